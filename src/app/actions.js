@@ -6,6 +6,9 @@ import {
 
 import connectAndListModels from "app/model-poller";
 
+import { closeAllModelConnections } from "juju/model-connection-pool";
+import { clearSnapshot } from "juju/snapshot-storage";
+
 import {
   clearControllerData,
   clearModelData,
@@ -17,11 +20,13 @@ export const actionsList = {
   logOut: "LOG_OUT",
   storeBakery: "STORE_BAKERY",
   storeConfig: "STORE_CONFIG",
+  storeIdentityProviderAvailable: "STORE_IDENTITY_PROVIDER_AVAILABLE",
   storeLoginError: "STORE_LOGIN_ERROR",
   storeUserPass: "STORE_USER_PASS",
   storeVersion: "STORE_VERSION",
   storeVisitURL: "STORE_VISIT_URL",
   updateControllerConnection: "UPDATE_CONTROLLER_CONNECTION",
+  updateControllerConnectionState: "UPDATE_CONTROLLER_CONNECTION_STATE",
   updateJujuAPIInstance: "UPDATE_JUJU_API_INSTANCE",
   updatePingerIntervalId: "UPDATE_PINGER_INTERVAL_ID",
 };
@@ -49,6 +54,24 @@ export function storeConfig(config) {
   };
 }
 
+/**
+  @param {String} wsControllerURL The URL of the websocket connection.
+  @param {Boolean} identityProviderAvailable Whether the controller uses an
+    identity provider to log in.
+*/
+export function storeIdentityProviderAvailable(
+  wsControllerURL,
+  identityProviderAvailable
+) {
+  return {
+    type: actionsList.storeIdentityProviderAvailable,
+    payload: {
+      wsControllerURL,
+      identityProviderAvailable,
+    },
+  };
+}
+
 /**
   @param {String} error The error message to store.
 */
@@ -97,6 +120,27 @@ export function updateControllerConnection(wsControllerURL, conn) {
   };
 }
 
+/**
+  @param {String} wsControllerURL The URL of the websocket connection.
+  @param {String} state The state of the connection, one of "connecting",
+    "connected", "reconnecting" or "failed".
+  @param {String|Object} error The error that caused the state change, if any.
+*/
+export function updateControllerConnectionState(
+  wsControllerURL,
+  state,
+  error = null
+) {
+  return {
+    type: actionsList.updateControllerConnectionState,
+    payload: {
+      wsControllerURL,
+      state,
+      error,
+    },
+  };
+}
+
 /**
   @param {String} wsControllerURL The URL of the websocket connection.
   @param {Object} juju The active Juju api instance.
@@ -151,7 +195,11 @@ export function logOut(store) {
     bakery.storage._store.removeItem("identity");
     bakery.storage._store.removeItem("https://api.jujucharms.com/identity");
     localStorage.removeItem("additionalControllers");
+    clearSnapshot().catch((error) => {
+      console.error("Unable to remove the stored model data:", error);
+    });
     Object.entries(jujus).forEach((juju) => juju[1].logout());
+    closeAllModelConnections();
     Object.entries(pingerIntervalIds).forEach((pingerIntervalId) =>
       clearInterval(pingerIntervalId[1])
     );
@@ -0,0 +1,45 @@
+const { autoBind } = require("@canonical/jujulib/dist/api/utils.js");
+
+/**
+  The AllModelWatcher facade streams the deltas for every model on a
+  controller. It is started with Controller.WatchAllModels and is only
+  available to controller administrators.
+*/
+class AllModelWatcherV2 {
+  constructor(transport, info) {
+    this._transport = transport;
+    this._info = info;
+    this.version = 2;
+
+    // Automatically bind all methods to instances.
+    autoBind(this);
+  }
+
+  next(watcherId) {
+    return new Promise((resolve, reject) => {
+      const req = {
+        type: "AllModelWatcher",
+        request: "Next",
+        version: 2,
+        id: watcherId,
+      };
+      this._transport.write(req, resolve, reject);
+    });
+  }
+
+  stop(watcherId) {
+    return new Promise((resolve, reject) => {
+      const req = {
+        type: "AllModelWatcher",
+        request: "Stop",
+        version: 2,
+        id: watcherId,
+      };
+      this._transport.write(req, resolve, reject);
+    });
+  }
+}
+
+AllModelWatcherV2.NAME = "AllModelWatcher";
+AllModelWatcherV2.VERSION = 2;
+export default AllModelWatcherV2;
@@ -0,0 +1,45 @@
+const { autoBind } = require("@canonical/jujulib/dist/api/utils.js");
+
+/**
+  The AllWatcher facade streams the deltas for a single model. The generated
+  facade in jujulib doesn't pass the watcher id so Juju is unable to find the
+  watcher that was started with Client.WatchAll.
+*/
+class AllWatcherV1 {
+  constructor(transport, info) {
+    this._transport = transport;
+    this._info = info;
+    this.version = 1;
+
+    // Automatically bind all methods to instances.
+    autoBind(this);
+  }
+
+  next(watcherId) {
+    return new Promise((resolve, reject) => {
+      const req = {
+        type: "AllWatcher",
+        request: "Next",
+        version: 1,
+        id: watcherId,
+      };
+      this._transport.write(req, resolve, reject);
+    });
+  }
+
+  stop(watcherId) {
+    return new Promise((resolve, reject) => {
+      const req = {
+        type: "AllWatcher",
+        request: "Stop",
+        version: 1,
+        id: watcherId,
+      };
+      this._transport.write(req, resolve, reject);
+    });
+  }
+}
+
+AllWatcherV1.NAME = "AllWatcher";
+AllWatcherV1.VERSION = 1;
+export default AllWatcherV1;
@@ -3,21 +3,24 @@
   has been whitelisted.
 */
 
-import { isLoggedIn } from "app/selectors";
+import { hasModelAccess, isLoggedIn } from "app/selectors";
 
 const actionWhitelist = [
   "STORE_BAKERY",
   "STORE_LOGIN_ERROR",
   "STORE_CONFIG",
+  "STORE_IDENTITY_PROVIDER_AVAILABLE",
   "STORE_USER_PASS",
   "STORE_VERSION",
   "UPDATE_CONTROLLER_CONNECTION",
+  "UPDATE_CONTROLLER_CONNECTION_STATE",
   "UPDATE_CONTROLLER_LIST",
   "UPDATE_JUJU_API_INSTANCE",
   "UPDATE_PINGER_INTERVAL_ID",
   "LOG_OUT",
   "CLEAR_CONTROLLER_DATA",
   "CLEAR_MODEL_DATA",
+  "RESTORE_SNAPSHOT",
   "STORE_VISIT_URL",
   "TOGGLE_USER_MENU",
   "SIDENAV_COLLAPSED",
@@ -34,6 +37,15 @@ function error(name, wsControllerURL) {
   );
 }
 
+function accessError(name, access, modelUUID) {
+  console.log(
+    "unable to perform action:",
+    name,
+    `user does not have ${access} access to model:`,
+    modelUUID
+  );
+}
+
 const checkLoggedIn = (state, wsControllerURL) => {
   if (!wsControllerURL) {
     console.error("unable to determine logged in status");
@@ -49,6 +61,8 @@ const checkLoggedIn = (state, wsControllerURL) => {
     appropriate auth check.
       wsControllerURL: The full controller websocket url that the controller
         is stored under in redux in order to determine it's logged in status.
+      modelUUID: The model that a thunk which requires model access (declared
+        with thunk.ACCESS) will act on.
 */
 // eslint-disable-next-line import/no-anonymous-default-export
 export default ({ getState }) =>
@@ -59,13 +73,20 @@ export default ({ getState }) =>
 
     // If the action is a function then it's probably a thunk.
     if (typeof action === "function") {
+      if (
+        action.ACCESS &&
+        !hasModelAccess(options?.modelUUID, action.ACCESS, state)
+      ) {
+        accessError(action.NAME, action.ACCESS, options?.modelUUID);
+        return;
+      }
       if (
         thunkWhitelist.includes(action.NAME) ||
         checkLoggedIn(state, wsControllerURL)
       ) {
-        // Await the next to support async thunks
-        await next(action);
-        return;
+        // Await the next to support async thunks and return the result so
+        // that the caller can handle it.
+        return await next(action);
       } else {
         error(action.NAME, wsControllerURL);
       }
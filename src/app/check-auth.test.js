@@ -0,0 +1,60 @@
+import configureStore from "redux-mock-store";
+import thunk from "redux-thunk";
+
+import dataDump from "testing/complete-redux-store-dump";
+
+import checkAuth from "./check-auth";
+
+const mockStore = configureStore([checkAuth, thunk]);
+const wsControllerURL = "wss://jimm.jujucharms.com/api";
+// The user has read access to this model.
+const readModelUUID = "2f995dee-392e-4459-8eb9-839c5fake0af";
+// The user has admin access to this model.
+const adminModelUUID = "84e872ff-9171-46be-829b-70f0ffake18d";
+
+describe("checkAuth", () => {
+  let consoleLog;
+
+  beforeEach(() => {
+    consoleLog = console.log;
+    console.log = jest.fn();
+  });
+
+  afterEach(() => {
+    console.log = consoleLog;
+  });
+
+  const generateThunk = () => {
+    const thunk = jest.fn(() => Promise.resolve("done"));
+    thunk.NAME = "changeModel";
+    thunk.ACCESS = "write";
+    return thunk;
+  };
+
+  it("runs thunks when the user has the required access", async () => {
+    const store = mockStore(dataDump);
+    const thunk = generateThunk();
+    const response = await store.dispatch(thunk, {
+      wsControllerURL,
+      modelUUID: adminModelUUID,
+    });
+    expect(thunk).toHaveBeenCalled();
+    expect(response).toBe("done");
+  });
+
+  it("does not run thunks when the user does not have the required access", async () => {
+    const store = mockStore(dataDump);
+    const thunk = generateThunk();
+    await store.dispatch(thunk, {
+      wsControllerURL,
+      modelUUID: readModelUUID,
+    });
+    expect(thunk).not.toHaveBeenCalled();
+    expect(console.log).toHaveBeenCalledWith(
+      "unable to perform action:",
+      "changeModel",
+      "user does not have write access to model:",
+      readModelUUID
+    );
+  });
+});
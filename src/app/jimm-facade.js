@@ -19,7 +19,7 @@ class JIMMV1 {
       const req = {
         type: "JIMM",
         request: "DisableControllerUUIDMasking",
-        version: 2,
+        version: this.version,
         params: params,
       };
       this._transport.write(req, resolve, reject);
@@ -32,7 +32,7 @@ class JIMMV1 {
       const req = {
         type: "JIMM",
         request: "ListControllers",
-        version: 2,
+        version: this.version,
         params: params,
       };
       this._transport.write(req, resolve, reject);
@@ -42,4 +42,126 @@ class JIMMV1 {
 
 JIMMV1.NAME = "JIMM";
 JIMMV1.VERSION = 2;
+
+/**
+  JIMMV3 adds the audit log and controller administration calls.
+*/
+export class JIMMV3 extends JIMMV1 {
+  constructor(transport, info) {
+    super(transport, info);
+    this.version = 3;
+  }
+
+  /**
+    Find the audit events that match the supplied filters.
+    @param {Object} params The filters in the format {after, before,
+      "user-tag", model, method, offset, limit}. All filters are optional.
+    @returns {Promise} Resolves with the events in the format {events}.
+  */
+  findAuditEvents(params = {}) {
+    return new Promise((resolve, reject) => {
+      const req = {
+        type: "JIMM",
+        request: "FindAuditEvents",
+        version: this.version,
+        params: params,
+      };
+      this._transport.write(req, resolve, reject);
+    });
+  }
+
+  /**
+    Grant a user access to the audit log.
+    @param {String} userTag The tag of the user e.g. "user-eggman@external".
+  */
+  grantAuditLogAccess(userTag) {
+    return new Promise((resolve, reject) => {
+      const req = {
+        type: "JIMM",
+        request: "GrantAuditLogAccess",
+        version: this.version,
+        params: { "user-tag": userTag, level: "read" },
+      };
+      this._transport.write(req, resolve, reject);
+    });
+  }
+
+  /**
+    Revoke a user's access to the audit log.
+    @param {String} userTag The tag of the user e.g. "user-eggman@external".
+  */
+  revokeAuditLogAccess(userTag) {
+    return new Promise((resolve, reject) => {
+      const req = {
+        type: "JIMM",
+        request: "RevokeAuditLogAccess",
+        version: this.version,
+        params: { "user-tag": userTag, level: "read" },
+      };
+      this._transport.write(req, resolve, reject);
+    });
+  }
+
+  /**
+    Add a controller to JIMM.
+    @param {Object} params The controller in the format {name,
+      "public-address", "api-addresses", "ca-certificate", username,
+      password}.
+    @returns {Promise} Resolves with the controller info.
+  */
+  addController(params) {
+    return new Promise((resolve, reject) => {
+      const req = {
+        type: "JIMM",
+        request: "AddController",
+        version: this.version,
+        params: params,
+      };
+      this._transport.write(req, resolve, reject);
+    });
+  }
+
+  /**
+    Remove a controller from JIMM. Unless forced the controller must have
+    been deprecated first.
+    @param {String} name The name of the controller.
+    @param {Boolean} force Whether to remove the controller even if it has
+      not been deprecated.
+    @returns {Promise} Resolves with the controller info.
+  */
+  removeController(name, force = false) {
+    return new Promise((resolve, reject) => {
+      const req = {
+        type: "JIMM",
+        request: "RemoveController",
+        version: this.version,
+        params: { name, force },
+      };
+      this._transport.write(req, resolve, reject);
+    });
+  }
+
+  /**
+    Set whether a controller is deprecated. New models are not added to
+    deprecated controllers.
+    @param {String} name The name of the controller.
+    @param {Boolean} deprecated Whether the controller is deprecated.
+    @returns {Promise} Resolves with the controller info.
+  */
+  setControllerDeprecated(name, deprecated) {
+    return new Promise((resolve, reject) => {
+      const req = {
+        type: "JIMM",
+        request: "SetControllerDeprecated",
+        version: this.version,
+        params: { name, deprecated },
+      };
+      this._transport.write(req, resolve, reject);
+    });
+  }
+}
+
+JIMMV3.NAME = "JIMM";
+JIMMV3.VERSION = 3;
+
 export default JIMMV1;
@@ -1,22 +1,29 @@
 import * as Sentry from "@sentry/browser";
 import {
   disableControllerUUIDMasking,
+  fetchAllModelInfo,
   fetchAllModelStatuses,
   fetchControllerList,
   loginWithBakery,
+  startControllerWatcher,
+  startModelWatcher,
 } from "juju";
+import { getFacade } from "juju/facade-versions";
 
 import {
+  storeIdentityProviderAvailable,
   storeLoginError,
   updateControllerConnection,
+  updateControllerConnectionState,
   updateJujuAPIInstance,
   updatePingerIntervalId,
 } from "app/actions";
 
-import { updateModelList } from "juju/actions";
+import { updateFacadeVersions, updateModelList } from "juju/actions";
 
 import {
   getConfig,
+  getControllerConnection,
   getControllerConnections,
   getUserPass,
   getWSControllerURL,
@@ -30,7 +37,7 @@ export default async function connectAndListModels(
 ) {
   try {
     const storeState = reduxStore.getState();
-    const { identityProviderAvailable, isJuju } = getConfig(storeState);
+    const { identityProviderAvailable } = getConfig(storeState);
     const wsControllerURL = getWSControllerURL(storeState);
     const credentials = getUserPass(wsControllerURL, storeState);
     const controllerConnections = getControllerConnections(storeState) || {};
@@ -50,7 +57,7 @@ export default async function connectAndListModels(
       return !connectedControllers.includes(controllerData[0]);
     });
     controllerList.forEach((controllerData) =>
-      connectAndPollController(controllerData, isJuju, reduxStore)
+      connectAndPollController(controllerData, reduxStore)
     );
   } catch (error) {
     // XXX Surface error to UI.
@@ -61,8 +68,47 @@ export default async function connectAndListModels(
   }
 }
 
+// The delay in ms before the first reconnection attempt. This doubles after
+// each failed attempt up to the maximum delay.
+const RECONNECT_DELAY = 1000;
+const MAX_RECONNECT_DELAY = 60000;
+// The number of failed attempts before giving up on the controller.
+const MAX_RECONNECT_ATTEMPTS = 10;
+
+// Descriptions of the websocket close codes that may be received when a
+// controller connection closes.
+const CLOSE_CODES = {
+  1000: "the connection was closed",
+  1001: "the controller is shutting down",
+  1002: "the controller rejected the connection",
+  1006: "the connection was closed unexpectedly",
+  1011: "the controller encountered an error",
+  1015: "the secure connection could not be established",
+};
+
 /**
+  Generates a readable description of why a controller connection failed or
+  closed.
+  @param {Number|String|Object} reason The websocket close code, the reason
+    supplied when the connection was closed, or the error that was thrown.
+  @returns {String|null} The description of the reason.
+*/
+export const generateConnectionError = (reason) => {
+  if (typeof reason === "number") {
+    return (
+      CLOSE_CODES[reason] || `the connection was closed with code ${reason}`
+    );
+  }
+  if (reason === "ping timeout") {
+    return "the controller stopped responding";
+  }
+  return reason ? reason.message || String(reason) : null;
+};
 
+/**
+  Connects to the controller and keeps the model data up to date. If the
+  connection drops then it is re-established with an exponential backoff and
+  the user is logged in again using the bakery or their stored credentials.
   @param {Object} controllerData The data to use to connect to the controller.
     In the format [
       wsControllerURL - The fully qualified controller url wss://ip:port/api
@@ -71,76 +117,383 @@ export default async function connectAndListModels(
       identityProviderAvailable - If an identity provider is to be used. If so
         a bakery must be provided.
     ]
-  @param {Boolean} isJuju
   @param {Object} reduxStore
 */
-export async function connectAndPollController(
-  controllerData,
-  isJuju,
-  reduxStore
-) {
-  let conn, error, juju, intervalId;
-  try {
-    ({ conn, error, juju, intervalId } = await loginWithBakery(
-      ...controllerData
-    ));
+export async function connectAndPollController(controllerData, reduxStore) {
+  const { dispatch, getState } = reduxStore;
+  const wsControllerURL = controllerData[0];
+  // Store the identity provider setting so that the model connections to
+  // this controller log in the same way.
+  dispatch(storeIdentityProviderAvailable(wsControllerURL, controllerData[3]));
+  let attempts = 0;
+  let reconnecting = false;
+  do {
+    if (attempts > 0) {
+      const delay = Math.min(
+        RECONNECT_DELAY * 2 ** (attempts - 1),
+        MAX_RECONNECT_DELAY
+      );
+      await new Promise((resolve) => setTimeout(resolve, delay));
+      if (
+        reconnecting &&
+        !getControllerConnection(wsControllerURL, getState())
+      ) {
+        // The user logged out while waiting to reconnect.
+        return;
+      }
+    }
+    dispatch(
+      updateControllerConnectionState(
+        wsControllerURL,
+        reconnecting ? "reconnecting" : "connecting"
+      )
+    );
+    // Tracks whether this connection has closed and the watchers that were
+    // started with it. Model watchers are stored in a map of model UUIDs to
+    // their watcher, models that don't support watchers are stored with a null
+    // value so that they're not retried.
+    const connection = {
+      closed: false,
+      controllerWatcher: null,
+      modelWatchers: {},
+    };
+    const closed = new Promise((resolve) => {
+      connection.onClose = (reason) => {
+        if (!connection.closed) {
+          connection.closed = true;
+          resolve(reason);
+        }
+      };
+    });
+    let conn, error, juju, intervalId;
+    try {
+      // Fetch the credentials from the store as they may have changed since
+      // the controller was first connected to.
+      ({ conn, error, juju, intervalId } = await loginWithBakery(
+        wsControllerURL,
+        getUserPass(wsControllerURL, getState()) || controllerData[1],
+        controllerData[2],
+        controllerData[3],
+        connection.onClose
+      ));
+    } catch (e) {
+      console.log("unable to log into controller", e, controllerData);
+      attempts += 1;
+      if (attempts >= MAX_RECONNECT_ATTEMPTS) {
+        dispatch(
+          updateControllerConnectionState(
+            wsControllerURL,
+            "failed",
+            generateConnectionError(e)
+          )
+        );
+        return;
+      }
+      dispatch(
+        updateControllerConnectionState(
+          wsControllerURL,
+          reconnecting ? "reconnecting" : "connecting",
+          generateConnectionError(e)
+        )
+      );
+      continue;
+    }
     if (error) {
-      reduxStore.dispatch(storeLoginError(error));
+      // The credentials were rejected so there is no point retrying.
+      dispatch(storeLoginError(error));
+      dispatch(
+        updateControllerConnectionState(
+          wsControllerURL,
+          "failed",
+          generateConnectionError(error)
+        )
+      );
       return;
     }
-  } catch (e) {
-    return console.log("unable to log into controller", e, controllerData);
-  }
+    attempts = 0;
 
+    const reason = await pollController(
+      controllerData,
+      conn,
+      juju,
+      intervalId,
+      reduxStore,
+      connection,
+      closed
+    );
+    clearInterval(intervalId);
+    stopWatchers(connection);
+    if (!connection.closed || !isLoggedIn(wsControllerURL, getState())) {
+      // The user has logged out.
+      return;
+    }
+    console.log("controller connection closed", reason);
+    // Make sure the socket is closed in case it was the pinger that gave up.
+    juju.logout();
+    reconnecting = true;
+    attempts = 1;
+    dispatch(
+      updateControllerConnectionState(
+        wsControllerURL,
+        "reconnecting",
+        generateConnectionError(reason)
+      )
+    );
+  } while (true);
+}
+
+/**
+  Stores the controller connection and keeps its model data up to date until
+  the user logs out or the connection is closed.
+  @param {Object} controllerData The data used to connect to the controller.
+  @param {Object} conn The controller connection.
+  @param {Object} juju The juju api instance.
+  @param {Number} intervalId The id of the pinger interval.
+  @param {Object} reduxStore The applications reduxStore.
+  @param {Object} connection The state of the connection and its watchers.
+  @param {Promise} closed A promise that resolves when the connection closes.
+  @returns {Promise} Resolves with the close reason if the connection closed.
+*/
+async function pollController(
+  controllerData,
+  conn,
+  juju,
+  intervalId,
+  reduxStore,
+  connection,
+  closed
+) {
+  const wsControllerURL = controllerData[0];
   // XXX Now that we can register multiple controllers this needs
   // to be sent per controller.
   if (process.env.NODE_ENV === "production") {
     Sentry.setTag("jujuVersion", conn?.info?.serverVersion);
   }
 
-  reduxStore.dispatch(updateControllerConnection(controllerData[0], conn));
-  reduxStore.dispatch(updateJujuAPIInstance(controllerData[0], juju));
-  reduxStore.dispatch(updatePingerIntervalId(controllerData[0], intervalId));
+  reduxStore.dispatch(updateControllerConnection(wsControllerURL, conn));
+  reduxStore.dispatch(updateJujuAPIInstance(wsControllerURL, juju));
+  reduxStore.dispatch(updatePingerIntervalId(wsControllerURL, intervalId));
+  reduxStore.dispatch(
+    updateFacadeVersions(
+      wsControllerURL,
+      "controller",
+      conn.info.facadeVersions
+    ),
+    { wsControllerURL }
+  );
+  reduxStore.dispatch(
+    updateControllerConnectionState(wsControllerURL, "connected")
+  );
 
-  fetchControllerList(controllerData[0], conn, controllerData[4], reduxStore);
-  // XXX the isJuju Check needs to be done on a per-controller basis
-  if (!isJuju) {
-    // This call will be a noop if the user isn't an administrator
-    // on the JIMM controller we're connected to.
-    try {
-      await disableControllerUUIDMasking(conn);
-    } catch (e) {
-      // Silently fail, if this doesn't work then the user isn't authorized
-      // to perform the action.
-    }
-  }
+  // Requests that are in flight when the socket closes never resolve so
+  // stop waiting on them as soon as the connection is closed.
+  return Promise.race([
+    closed,
+    (async () => {
+      try {
+        await fetchControllerList(
+          wsControllerURL,
+          conn,
+          controllerData[4],
+          reduxStore
+        );
+      } catch (e) {
+        console.error("unable to fetch controller list", e);
+      }
+      // This call will be a noop if the controller isn't a JIMM or the user
+      // isn't an administrator on the JIMM controller we're connected to.
+      try {
+        await disableControllerUUIDMasking(conn);
+      } catch (e) {
+        // Silently fail, if this doesn't work then the user isn't authorized
+        // to perform the action.
+      }
+      await watchAndPollModels(
+        wsControllerURL,
+        conn,
+        reduxStore,
+        connection,
+        closed
+      );
+    })(),
+  ]);
+}
 
+/**
+  Stops all of the watchers that were started for the connection.
+  @param {Object} connection The state of the connection and its watchers.
+*/
+function stopWatchers(connection) {
+  connection.controllerWatcher?.stop();
+  Object.values(connection.modelWatchers).forEach((watcher) => watcher?.stop());
+}
+
+/**
+  Keeps the model data for the controller up to date. When the controller
+  supports watchers the model deltas are streamed into the store and the model
+  list is only polled for new models. If the controller does not support
+  watchers then the full status of each model is polled instead.
+  @param {String} wsControllerURL The controller to watch.
+  @param {Object} conn The controller connection.
+  @param {Object} reduxStore The applications reduxStore.
+  @param {Object} connection The state of the connection. The watchers that
+    are started are stored on this object so that they can be stopped.
+  @param {Promise} closed A promise that resolves when the connection closes.
+*/
+async function watchAndPollModels(
+  wsControllerURL,
+  conn,
+  reduxStore,
+  connection,
+  closed
+) {
+  const { dispatch, getState } = reduxStore;
+  // A null controller watcher means the controller wide watcher isn't
+  // supported and each model will be watched individually.
+  connection.controllerWatcher = await startControllerWatcher(
+    conn,
+    wsControllerURL,
+    dispatch,
+    getState
+  );
+  let knownModels = [];
   do {
     try {
-      const models = await conn.facades.modelManager.listModels({
+      const models = await getFacade(conn, "modelManager").listModels({
         tag: conn.info.user.identity,
       });
-      reduxStore.dispatch(updateModelList(models), {
-        wsControllerURL: controllerData[0],
-      });
+      dispatch(updateModelList(models, wsControllerURL), { wsControllerURL });
       const modelUUIDList = models["user-models"].map(
         (item) => item.model.uuid
       );
-      await fetchAllModelStatuses(
-        controllerData[0],
-        modelUUIDList,
-        conn,
-        reduxStore
+      if (
+        connection.controllerWatcher &&
+        !connection.controllerWatcher.isActive()
+      ) {
+        // Try and restart the watcher, if that fails the full status of all
+        // the models will be fetched below.
+        connection.controllerWatcher = await startControllerWatcher(
+          conn,
+          wsControllerURL,
+          dispatch,
+          getState
+        );
+        knownModels = [];
+      }
+      const previousModels = knownModels;
+      const newModels = modelUUIDList.filter(
+        (modelUUID) => !previousModels.includes(modelUUID)
       );
+      const controllerWatcher = connection.controllerWatcher;
+      if (controllerWatcher) {
+        // The full status is fetched once for each model as the watcher deltas
+        // don't include all the data provided by the full status.
+        await fetchAllModelStatuses(
+          wsControllerURL,
+          controllerWatcher.isActive() ? newModels : modelUUIDList,
+          conn,
+          reduxStore
+        );
+        await fetchAllModelInfo(
+          wsControllerURL,
+          modelUUIDList.filter((modelUUID) => !newModels.includes(modelUUID)),
+          conn,
+          reduxStore
+        );
+      } else {
+        const pollList = await updateModelWatchers(
+          wsControllerURL,
+          modelUUIDList,
+          connection,
+          reduxStore
+        );
+        await fetchAllModelStatuses(
+          wsControllerURL,
+          pollList,
+          conn,
+          reduxStore
+        );
+        await fetchAllModelInfo(
+          wsControllerURL,
+          modelUUIDList.filter((modelUUID) => !pollList.includes(modelUUID)),
+          conn,
+          reduxStore
+        );
+      }
+      knownModels = modelUUIDList;
     } catch (e) {
       console.log(e);
     }
 
-    // Wait 30s then start again.
-    await new Promise((resolve) => {
-      setTimeout(() => {
-        resolve(true);
-      }, 30000);
-    });
-  } while (isLoggedIn(controllerData[0], reduxStore.getState()));
+    // Wait 30s then start again, unless the connection closes first.
+    await Promise.race([
+      closed,
+      new Promise((resolve) => {
+        setTimeout(() => {
+          resolve(true);
+        }, 30000);
+      }),
+    ]);
+  } while (!connection.closed && isLoggedIn(wsControllerURL, getState()));
+}
+
+/**
+  Starts watchers for any models that don't have an active watcher and stops
+  the watchers for models that are no longer in the model list.
+  @param {String} wsControllerURL The controller the models are on.
+  @param {Array} modelUUIDList The list of model UUIDs to watch.
+  @param {Object} connection The state of the controller connection, including
+    the map of model UUIDs to watchers.
+  @param {Object} reduxStore The applications reduxStore.
+  @returns {Array} The list of model UUIDs that need to be polled.
+*/
+async function updateModelWatchers(
+  wsControllerURL,
+  modelUUIDList,
+  connection,
+  reduxStore
+) {
+  const modelWatchers = connection.modelWatchers;
+  const pollList = [];
+  Object.keys(modelWatchers).forEach((modelUUID) => {
+    if (!modelUUIDList.includes(modelUUID)) {
+      modelWatchers[modelUUID]?.stop();
+      delete modelWatchers[modelUUID];
+    }
+  });
+  for (const modelUUID of modelUUIDList) {
+    if (
+      connection.closed ||
+      !isLoggedIn(wsControllerURL, reduxStore.getState())
+    ) {
+      break;
+    }
+    const watcher = modelWatchers[modelUUID];
+    if (watcher === null) {
+      // This model does not support watchers.
+      pollList.push(modelUUID);
+      continue;
+    }
+    if (watcher?.isActive()) {
+      continue;
+    }
+    try {
+      modelWatchers[modelUUID] = await startModelWatcher(
+        modelUUID,
+        wsControllerURL,
+        reduxStore.dispatch,
+        reduxStore.getState
+      );
+      if (modelWatchers[modelUUID] === null) {
+        pollList.push(modelUUID);
+      }
+    } catch (e) {
+      // The watcher will be retried on the next loop, until then the model
+      // will be polled.
+      console.error("unable to watch model:", modelUUID, e);
+      delete modelWatchers[modelUUID];
+      pollList.push(modelUUID);
+    }
+  }
+  return pollList;
 }
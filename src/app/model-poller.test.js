@@ -0,0 +1,28 @@
+import { generateConnectionError } from "./model-poller";
+
+describe("generateConnectionError", () => {
+  it("describes websocket close codes", () => {
+    expect(generateConnectionError(1006)).toBe(
+      "the connection was closed unexpectedly"
+    );
+    expect(generateConnectionError(4000)).toBe(
+      "the connection was closed with code 4000"
+    );
+  });
+
+  it("describes a ping timeout", () => {
+    expect(generateConnectionError("ping timeout")).toBe(
+      "the controller stopped responding"
+    );
+  });
+
+  it("uses the message of errors", () => {
+    expect(generateConnectionError(new Error("connection refused"))).toBe(
+      "connection refused"
+    );
+    expect(generateConnectionError("invalid entity name")).toBe(
+      "invalid entity name"
+    );
+    expect(generateConnectionError()).toBe(null);
+  });
+});
@@ -0,0 +1,255 @@
+/*
+  A query language for filtering the models list, e.g.:
+    status:blocked cloud:aws owner:alice -region:us-east-1
+    app:postgresql OR charm:mysql "free text"
+
+  A query is made up of terms separated by spaces. Each term is either a
+  field and value (`field:value`) or free text, which matches any part of the
+  model name, cloud, credential, region or owner. Values containing spaces can
+  be wrapped in double quotes. A term prefixed with `-` excludes the models
+  that match it. Terms joined with `OR` match if any of them match, otherwise
+  all terms must match.
+
+  Parsed queries are in the format:
+    [[{field, value, negated}]]
+  where each inner array is a group of terms that are OR'd together and the
+  groups are AND'd together. Free text terms have a null field.
+*/
+
+import {
+  extractCharmName,
+  extractCloudName,
+  extractCredentialName,
+  extractOwnerName,
+  getModelStatusGroupData,
+} from "app/utils/utils";
+
+export const QUERY_FIELDS = [
+  "name",
+  "status",
+  "cloud",
+  "region",
+  "credential",
+  "owner",
+  "controller",
+  "app",
+  "charm",
+];
+
+// The fields that are searched by free text terms.
+const FREE_TEXT_FIELDS = ["name", "cloud", "credential", "region", "owner"];
+
+const OR_OPERATOR = "OR";
+
+/**
+  Splits the query into tokens, keeping quoted values together.
+  @param {String} query The query string.
+  @returns {Array} The list of tokens in the format {text, quoteStart} where
+    quoteStart is the position in the text where the quoted value starts, or
+    null if the token is not quoted.
+*/
+const tokenize = (query) => {
+  const tokens = [];
+  let current = null;
+  let inQuotes = false;
+  for (let i = 0; i < query.length; i++) {
+    const char = query[i];
+    if (inQuotes) {
+      if (char === "\\" && query[i + 1] === '"') {
+        current.text += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        current.text += char;
+      }
+    } else if (/\s/.test(char)) {
+      if (current) {
+        tokens.push(current);
+        current = null;
+      }
+    } else {
+      if (!current) {
+        current = { text: "", quoteStart: null };
+      }
+      if (char === '"') {
+        inQuotes = true;
+        if (current.quoteStart === null) {
+          current.quoteStart = current.text.length;
+        }
+      } else {
+        current.text += char;
+      }
+    }
+  }
+  if (current) {
+    tokens.push(current);
+  }
+  return tokens;
+};
+
+/**
+  Parses a single token into a query term.
+  @param {Object} token The token in the format {text, quoteStart}.
+  @returns {Object|Null} The term in the format {field, value, negated} or null
+    if the term has no value.
+*/
+const parseTerm = ({ text, quoteStart }) => {
+  const quoted = quoteStart !== null;
+  // Operators inside quotes are part of the value.
+  const unquotedLength = quoted ? quoteStart : text.length;
+  let negated = false;
+  // The operator must be outside the quotes and be followed by a value.
+  if (
+    unquotedLength > 0 &&
+    text.startsWith("-") &&
+    (unquotedLength > 1 || quoted)
+  ) {
+    negated = true;
+    text = text.slice(1);
+  }
+  let field = null;
+  const separator = text.indexOf(":");
+  if (separator > 0 && separator < unquotedLength - (negated ? 1 : 0)) {
+    const possibleField = text.slice(0, separator).toLowerCase();
+    if (QUERY_FIELDS.includes(possibleField)) {
+      field = possibleField;
+      text = text.slice(separator + 1);
+    }
+  }
+  if (!text && !quoted) {
+    return null;
+  }
+  return { field, value: text, negated };
+};
+
+/**
+  Parses a query string.
+  @param {String} query The query string.
+  @returns {Array} The parsed query.
+*/
+export function parseModelQuery(query) {
+  const groups = [];
+  let joinNext = false;
+  tokenize(query || "").forEach((token) => {
+    if (token.quoteStart === null && token.text === OR_OPERATOR) {
+      // An OR is only valid between two terms.
+      joinNext = groups.length > 0;
+      return;
+    }
+    const term = parseTerm(token);
+    if (!term) {
+      return;
+    }
+    if (joinNext) {
+      groups[groups.length - 1].push(term);
+    } else {
+      groups.push([term]);
+    }
+    joinNext = false;
+  });
+  return groups;
+}
+
+/**
+  Generates the string for a query value, quoting it if required.
+  @param {String} value The value of a term.
+  @returns {String} The value, quoted if necessary.
+*/
+const serializeValue = (value) => {
+  if (
+    !value ||
+    value === OR_OPERATOR ||
+    value.startsWith("-") ||
+    /[\s":]/.test(value)
+  ) {
+    return `"${value.replace(/"/g, '\\"')}"`;
+  }
+  return value;
+};
+
+/**
+  Generates the canonical query string for a parsed query so that it can be
+  stored in the URL.
+  @param {Array} groups The parsed query.
+  @returns {String} The query string.
+*/
+export function serializeModelQuery(groups) {
+  return groups
+    .map((terms) =>
+      terms
+        .map(
+          ({ field, value, negated }) =>
+            `${negated ? "-" : ""}${field ? `${field}:` : ""}${serializeValue(
+              value
+            )}`
+        )
+        .join(` ${OR_OPERATOR} `)
+    )
+    .join(" ");
+}
+
+/**
+  Collects the values of a model that can be queried.
+  @param {Object} model The model data from the redux store, including the
+    controller name in info.controllerName.
+  @returns {Object} The lists of lower case values keyed by query field.
+*/
+export function getModelQueryAttributes(model) {
+  const applications = Object.entries(model?.applications || {});
+  const attributes = {
+    name: [model?.model?.name],
+    status: [getModelStatusGroupData(model).highestStatus],
+    cloud: [model?.model && extractCloudName(model.model["cloud-tag"])],
+    region: [model?.model?.region],
+    credential: [
+      model?.info && extractCredentialName(model.info["cloud-credential-tag"]),
+    ],
+    owner: [model?.info && extractOwnerName(model.info["owner-tag"])],
+    controller: [model?.info?.controllerName],
+    app: applications.map(([name]) => name),
+    charm: applications.map(
+      ([, application]) =>
+        application.charm && extractCharmName(application.charm)
+    ),
+  };
+  Object.keys(attributes).forEach((field) => {
+    attributes[field] = attributes[field]
+      .filter(Boolean)
+      .map((value) => value.toLowerCase());
+  });
+  return attributes;
+}
+
+/**
+  Checks whether a model matches a single query term. Field values must match
+  exactly while free text can match any part of a value. Both are case
+  insensitive.
+  @param {Object} term The query term.
+  @param {Object} attributes The model attributes.
+  @returns {Boolean} Whether the model matches.
+*/
+const matchesTerm = ({ field, value, negated }, attributes) => {
+  const search = value.toLowerCase();
+  let matches;
+  if (field) {
+    matches = attributes[field].includes(search);
+  } else {
+    matches = FREE_TEXT_FIELDS.some((freeTextField) =>
+      attributes[freeTextField].some((attribute) => attribute.includes(search))
+    );
+  }
+  return negated ? !matches : matches;
+};
+
+/**
+  Checks whether a model matches a parsed query.
+  @param {Array} groups The parsed query.
+  @param {Object} attributes The model attributes from getModelQueryAttributes.
+  @returns {Boolean} Whether the model matches.
+*/
+export function matchesModelQuery(groups, attributes) {
+  return groups.every((terms) =>
+    terms.some((term) => matchesTerm(term, attributes))
+  );
+}
@@ -0,0 +1,151 @@
+import {
+  getModelQueryAttributes,
+  matchesModelQuery,
+  parseModelQuery,
+  serializeModelQuery,
+} from "./model-query";
+
+const generateModel = () => ({
+  model: {
+    name: "production",
+    "cloud-tag": "cloud-aws",
+    region: "us-east-1",
+  },
+  info: {
+    "owner-tag": "user-alice@external",
+    "cloud-credential-tag": "cloudcred-aws_alice@external_base",
+    controllerName: "prod-1",
+  },
+  applications: {
+    db: {
+      charm: "cs:postgresql-12",
+      status: { status: "blocked" },
+      units: {},
+    },
+  },
+});
+
+describe("parseModelQuery", () => {
+  it("parses fields and free text", () => {
+    expect(parseModelQuery("status:blocked prod")).toStrictEqual([
+      [{ field: "status", value: "blocked", negated: false }],
+      [{ field: null, value: "prod", negated: false }],
+    ]);
+  });
+
+  it("parses quoted values", () => {
+    expect(parseModelQuery('owner:"alice smith" "two words"')).toStrictEqual([
+      [{ field: "owner", value: "alice smith", negated: false }],
+      [{ field: null, value: "two words", negated: false }],
+    ]);
+  });
+
+  it("parses negated terms", () => {
+    expect(parseModelQuery("-region:us-east-1")).toStrictEqual([
+      [{ field: "region", value: "us-east-1", negated: true }],
+    ]);
+  });
+
+  it("parses negated quoted values", () => {
+    expect(parseModelQuery('-"foo bar" "-baz" -')).toStrictEqual([
+      [{ field: null, value: "foo bar", negated: true }],
+      [{ field: null, value: "-baz", negated: false }],
+      [{ field: null, value: "-", negated: false }],
+    ]);
+  });
+
+  it("parses OR terms", () => {
+    expect(
+      parseModelQuery("app:postgresql OR app:mysql cloud:aws")
+    ).toStrictEqual([
+      [
+        { field: "app", value: "postgresql", negated: false },
+        { field: "app", value: "mysql", negated: false },
+      ],
+      [{ field: "cloud", value: "aws", negated: false }],
+    ]);
+  });
+
+  it("treats unknown fields as free text", () => {
+    expect(parseModelQuery("unknown:value")).toStrictEqual([
+      [{ field: null, value: "unknown:value", negated: false }],
+    ]);
+  });
+
+  it("ignores empty terms and dangling operators", () => {
+    expect(parseModelQuery("OR cloud: status:blocked OR")).toStrictEqual([
+      [{ field: "status", value: "blocked", negated: false }],
+    ]);
+  });
+});
+
+describe("serializeModelQuery", () => {
+  it("round trips queries", () => {
+    const query =
+      'status:blocked OR status:alert -region:us-east-1 owner:"alice smith" -"dev env" prod';
+    expect(serializeModelQuery(parseModelQuery(query))).toBe(query);
+  });
+
+  it("quotes values that would otherwise be parsed differently", () => {
+    const query = serializeModelQuery([
+      [{ field: null, value: "OR", negated: false }],
+      [{ field: null, value: "cloud:aws", negated: false }],
+      [{ field: "name", value: 'say "hi"', negated: false }],
+    ]);
+    expect(query).toBe('"OR" "cloud:aws" name:"say \\"hi\\""');
+    expect(parseModelQuery(query)).toStrictEqual([
+      [{ field: null, value: "OR", negated: false }],
+      [{ field: null, value: "cloud:aws", negated: false }],
+      [{ field: "name", value: 'say "hi"', negated: false }],
+    ]);
+  });
+});
+
+describe("matchesModelQuery", () => {
+  const attributes = getModelQueryAttributes(generateModel());
+  const matches = (query) =>
+    matchesModelQuery(parseModelQuery(query), attributes);
+
+  it("collects the model attributes", () => {
+    expect(attributes).toStrictEqual({
+      name: ["production"],
+      status: ["blocked"],
+      cloud: ["aws"],
+      region: ["us-east-1"],
+      credential: ["base"],
+      owner: ["alice"],
+      controller: ["prod-1"],
+      app: ["db"],
+      charm: ["postgresql"],
+    });
+  });
+
+  it("matches all terms", () => {
+    expect(matches("status:blocked cloud:aws owner:alice")).toBe(true);
+    expect(matches("status:blocked cloud:gce")).toBe(false);
+  });
+
+  it("matches application and charm names", () => {
+    expect(matches("app:db charm:postgresql")).toBe(true);
+    expect(matches("charm:mysql")).toBe(false);
+  });
+
+  it("matches negated terms", () => {
+    expect(matches("-region:us-east-1")).toBe(false);
+    expect(matches("-controller:prod-2")).toBe(true);
+  });
+
+  it("matches any OR term", () => {
+    expect(matches("charm:mysql OR charm:postgresql")).toBe(true);
+    expect(matches("charm:mysql OR charm:redis")).toBe(false);
+  });
+
+  it("matches free text case insensitively", () => {
+    expect(matches("PROD")).toBe(true);
+    expect(matches("staging")).toBe(false);
+  });
+
+  it("matches everything for an empty query", () => {
+    expect(matches("")).toBe(true);
+  });
+});
@@ -11,12 +11,36 @@ function rootReducer(state = {}, action) {
         connections[action.payload.wsControllerURL] = action.payload.conn;
         draftState.controllerConnections = connections;
         break;
+      case actionsList.updateControllerConnectionState:
+        const connectionStates = cloneDeep(
+          state.controllerConnectionStates || {}
+        );
+        const { wsControllerURL, error } = action.payload;
+        connectionStates[wsControllerURL] = {
+          state: action.payload.state,
+          // Keep the previous error so that it's available after the
+          // connection recovers.
+          lastError:
+            (error && (error.message || String(error))) ||
+            connectionStates[wsControllerURL]?.lastError ||
+            null,
+        };
+        draftState.controllerConnectionStates = connectionStates;
+        break;
       case actionsList.storeBakery:
         draftState.bakery = action.payload;
         break;
       case actionsList.storeConfig:
         draftState.config = action.payload;
         break;
+      case actionsList.storeIdentityProviderAvailable:
+        const identityProviders = cloneDeep(
+          state.identityProviderAvailable || {}
+        );
+        identityProviders[action.payload.wsControllerURL] =
+          !!action.payload.identityProviderAvailable;
+        draftState.identityProviderAvailable = identityProviders;
+        break;
       case actionsList.storeLoginError:
         draftState.loginError = action.payload;
         break;
@@ -34,6 +58,7 @@ function rootReducer(state = {}, action) {
       case actionsList.logOut:
         delete draftState.bakery.storage._store.identity;
         delete draftState.controllerConnections;
+        delete draftState.controllerConnectionStates;
         delete draftState.visitURL;
         break;
       case actionsList.updateJujuAPIInstance:
@@ -8,7 +8,15 @@ import {
   getMachineStatusGroup,
   getUnitStatusGroup,
   extractCredentialName,
+  extractCharmName,
+  extractRevisionNumber,
+  getRelationStatusGroup,
 } from "./utils/utils";
+import {
+  getModelQueryAttributes,
+  matchesModelQuery,
+  parseModelQuery,
+} from "./model-query";
 
 // ---- Selectors for top level keys
 
@@ -31,6 +39,29 @@ export const getModelData = (state) => {
 */
 export const getControllerData = (state) => state?.juju?.controllers;
 
+/**
+  Fetches the model change history from state.
+  @param {Object} state The application state.
+  @returns {Object|Undefined} The history events keyed by model UUID.
+*/
+export const getModelHistory = (state) => state?.juju?.modelHistory;
+
+/**
+  Fetches the time the restored model data snapshot was taken.
+  @param {Object} state The application state.
+  @returns {Number|Undefined} The time in ms or undefined if the data is not
+    from a restored snapshot.
+*/
+export const getSnapshotSavedAt = (state) => state?.juju?.snapshotSavedAt;
+
+/**
+  Fetches the negotiated facade versions from state.
+  @param {Object} state The application state.
+  @returns {Object|Undefined} The facade versions keyed by controller and then
+    by connection type e.g. {wsControllerURL: {controller: {...}, model: {...}}}.
+*/
+export const getFacadeVersions = (state) => state?.juju?.facadeVersions;
+
 /**
   Fetches the bakery from state.
   @param {Object} state The application state.
@@ -55,6 +86,25 @@ export const getConfig = (state) => state?.root?.config;
 export const getUserPass = (wsControllerURL, state) =>
   state?.root?.credentials?.[wsControllerURL];
 
+/**
+  Fetches whether the controller uses an identity provider to log in. If the
+  setting hasn't been stored for the controller then the application config is
+  used for the primary controller.
+  @param {String} wsControllerURL The fully qualified wsController URL.
+  @param {Object} state The application state.
+  @returns {Boolean} Whether an identity provider is available.
+*/
+export const getIdentityProviderAvailable = (wsControllerURL, state) => {
+  const stored = state?.root?.identityProviderAvailable?.[wsControllerURL];
+  if (stored !== undefined) {
+    return stored;
+  }
+  return (
+    wsControllerURL === getWSControllerURL(state) &&
+    !!getConfig(state)?.identityProviderAvailable
+  );
+};
+
 /**
   Fetches a login error from state
   @param {Object} state The application state.
@@ -76,6 +126,15 @@ export const getJujuAPIInstances = (state) => state?.root?.jujus;
 */
 export const getPingerIntervalIds = (state) => state?.root?.pingerIntervalIds;
 
+/**
+  Fetches the connection states for the controllers.
+  @param {Object} state The application state.
+  @returns {Object|Undefined} The connection states in the format
+    {wsControllerURL: {state, lastError}}.
+*/
+export const getControllerConnectionStates = (state) =>
+  state?.root?.controllerConnectionStates;
+
 /**
   Fetches the application version.
   @param {Object} state The application state.
@@ -320,6 +379,279 @@ const groupModelsByCloud = (modelData) => {
   return grouped;
 };
 
+/**
+  Returns a grouped collection of models using the supplied keys.
+  @param {Object} modelData
+  @param {Function} getKeys A function that returns the list of groups that a
+    model belongs to.
+  @returns {Object} The grouped models, with the groups in natural sort order.
+*/
+const groupModelsByKeys = (modelData, getKeys) => {
+  const grouped = {};
+  if (!modelData) {
+    return grouped;
+  }
+  for (let modelUUID in modelData) {
+    const model = modelData[modelUUID];
+    if (model.info) {
+      new Set(getKeys(model)).forEach((key) => {
+        if (!grouped[key]) {
+          grouped[key] = [];
+        }
+        grouped[key].push(model);
+      });
+    }
+  }
+  const sorted = {};
+  Object.keys(grouped)
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+    .forEach((key) => {
+      sorted[key] = grouped[key];
+    });
+  return sorted;
+};
+
+/**
+  Returns a grouped collection of model statuses by controller.
+  @param {Object} modelData
+  @returns {Object} The grouped model statuses by controller.
+*/
+const groupModelsByController = (modelData) =>
+  groupModelsByKeys(modelData, (model) => [model.info.controllerName]);
+
+/**
+  Returns a grouped collection of model statuses by cloud region.
+  @param {Object} modelData
+  @returns {Object} The grouped model statuses by cloud and region.
+*/
+const groupModelsByRegion = (modelData) =>
+  groupModelsByKeys(modelData, (model) => [
+    `${extractCloudName(model.info["cloud-tag"])}/${
+      model.info["cloud-region"] || "default"
+    }`,
+  ]);
+
+/**
+  Returns a grouped collection of model statuses by the charms they have
+  deployed. A model will be included in the group for each of its charms.
+  @param {Object} modelData
+  @returns {Object} The grouped model statuses by charm.
+*/
+const groupModelsByCharm = (modelData) =>
+  groupModelsByKeys(modelData, (model) =>
+    Object.values(model.applications || {})
+      .filter(({ charm }) => charm)
+      .map(({ charm }) => extractCharmName(charm))
+  );
+
+/**
+  Returns a grouped collection of model statuses by Juju agent version.
+  @param {Object} modelData
+  @returns {Object} The grouped model statuses by agent version.
+*/
+const groupModelsByAgentVersion = (modelData) =>
+  groupModelsByKeys(modelData, (model) => [
+    model.info["agent-version"] || "unknown",
+  ]);
+
+/**
+  Returns the source, owner and name of a charm, without the series or
+  revision.
+  @param {String} charmURL The charm URL e.g. cs:~foo/xenial/bar-123
+  @returns {String} The charm ID e.g. cs:~foo/bar.
+*/
+const getCharmID = (charmURL) => {
+  const [, source, owner] = charmURL.match(/^(?:([a-z]+):)?(?:(~[^/]+)\/)?/);
+  return `${source ? `${source}:` : ""}${
+    owner ? `${owner}/` : ""
+  }${extractCharmName(charmURL)}`;
+};
+
+/**
+  Returns the charms deployed across all the models, with each application
+  they are deployed as. Applications are marked as outdated when they are
+  running an older revision than the newest one deployed for that charm.
+  Charms are identified by their source, owner and name, as charms with the
+  same name from different sources or owners have unrelated revisions.
+  @param {Object} modelData
+  @returns {Array} The charms, sorted by name, in the format
+    {id, name, charm, latestRevision, deployments}.
+*/
+const generateCharmInventory = (modelData) => {
+  const charms = {};
+  if (!modelData) {
+    return [];
+  }
+  for (let modelUUID in modelData) {
+    const model = modelData[modelUUID];
+    if (!model.info) {
+      continue;
+    }
+    Object.entries(model.applications || {}).forEach(([appName, app]) => {
+      if (!app.charm) {
+        return;
+      }
+      const id = getCharmID(app.charm);
+      const revision = parseInt(extractRevisionNumber(app.charm), 10);
+      if (!charms[id]) {
+        charms[id] = {
+          id,
+          name: extractCharmName(app.charm),
+          charm: app.charm,
+          latestRevision: null,
+          deployments: [],
+        };
+      }
+      const entry = charms[id];
+      if (
+        !isNaN(revision) &&
+        (entry.latestRevision === null || revision > entry.latestRevision)
+      ) {
+        entry.latestRevision = revision;
+        entry.charm = app.charm;
+      }
+      entry.deployments.push({
+        appName,
+        charm: app.charm,
+        modelName: model.info.name,
+        modelUUID,
+        owner: extractOwnerName(model.info["owner-tag"]),
+        revision: isNaN(revision) ? null : revision,
+      });
+    });
+  }
+  return Object.values(charms)
+    .sort((a, b) => a.name.localeCompare(b.name) || a.id.localeCompare(b.id))
+    .map((entry) => ({
+      ...entry,
+      deployments: entry.deployments
+        .map((deployment) => ({
+          ...deployment,
+          outdated:
+            deployment.revision !== null &&
+            deployment.revision < entry.latestRevision,
+        }))
+        .sort(
+          (a, b) =>
+            a.modelName.localeCompare(b.modelName) ||
+            a.appName.localeCompare(b.appName)
+        ),
+    }));
+};
+
+/**
+  Returns the offer URL without the controller name and with the default
+  "@local" user domain removed so that URLs for the same offer can be
+  compared.
+  @param {String} offerURL The offer URL in the format
+    [controller:]owner/model.offer.
+  @returns {String} The normalized offer URL.
+*/
+const normalizeOfferURL = (offerURL) => {
+  const match = /^(?:[^:/]+:)?([^/]+)\/([^.]+)\.(.+)$/.exec(offerURL || "");
+  if (!match) {
+    return offerURL;
+  }
+  const [, owner, modelName, offerName] = match;
+  return `${owner.replace(/@local$/, "")}/${modelName}.${offerName}`;
+};
+
+/**
+  Returns the cross model relations between all the models by joining the
+  offers in each model with the remote applications in the models that
+  consume them. Offers or remote applications in models that have not been
+  loaded will only have the side of the relation that is available.
+  @param {Object} modelData
+  @returns {Array} The offers, sorted by offer URL, in the format
+    {offerURL, offer, consumers}.
+*/
+const generateCrossModelRelations = (modelData) => {
+  const offers = {};
+  if (!modelData) {
+    return [];
+  }
+  const getEntry = (offerURL) => {
+    if (!offers[offerURL]) {
+      offers[offerURL] = { offerURL, offer: null, consumers: [] };
+    }
+    return offers[offerURL];
+  };
+  for (let modelUUID in modelData) {
+    const model = modelData[modelUUID];
+    if (!model.info) {
+      continue;
+    }
+    const modelName = model.info.name;
+    const ownerTag = model.info["owner-tag"];
+    const owner = extractOwnerName(ownerTag);
+    const userName = ownerTag.replace(/^user-/, "").replace(/@local$/, "");
+    Object.entries(model.offers || {}).forEach(([offerName, offer]) => {
+      getEntry(`${userName}/${modelName}.${offerName}`).offer = {
+        offerName,
+        applicationName: offer["application-name"] || offer.applicationName,
+        modelUUID,
+        modelName,
+        owner,
+        endpoints: Object.values(offer.endpoints || {}).map((endpoint) => ({
+          name: endpoint.name,
+          interface: endpoint.interface,
+          role: endpoint.role,
+        })),
+        activeConnectedCount:
+          offer["active-connected-count"] ?? offer.activeConnectedCount ?? 0,
+        totalConnectedCount:
+          offer["total-connected-count"] ?? offer.totalConnectedCount ?? 0,
+      };
+    });
+    Object.entries(model["remote-applications"] || {}).forEach(
+      ([appName, app]) => {
+        if (!app["offer-url"]) {
+          return;
+        }
+        const relations = (model.relations || [])
+          .filter(({ endpoints }) =>
+            endpoints.some(({ application }) => application === appName)
+          )
+          .map((relation) => {
+            const remote = relation.endpoints.find(
+              ({ application }) => application === appName
+            );
+            const local = relation.endpoints.find(
+              ({ application }) => application !== appName
+            );
+            return {
+              key: relation.key,
+              interface: relation.interface,
+              offerEndpoint: remote?.name || null,
+              appName: local?.application || null,
+              endpoint: local?.name || null,
+              status: relation.status?.status || null,
+              statusGroup: getRelationStatusGroup(relation).status,
+            };
+          });
+        getEntry(normalizeOfferURL(app["offer-url"])).consumers.push({
+          appName,
+          modelUUID,
+          modelName,
+          owner,
+          status: app.status?.status || null,
+          relations,
+        });
+      }
+    );
+  }
+  return Object.values(offers)
+    .sort((a, b) => a.offerURL.localeCompare(b.offerURL))
+    .map((entry) => ({
+      ...entry,
+      consumers: entry.consumers.sort(
+        (a, b) =>
+          a.modelName.localeCompare(b.modelName) ||
+          a.appName.localeCompare(b.appName)
+      ),
+    }));
+};
+
 /**
   Returns an object containing the grouped model status counts.
   @param {Object} groupedModelStatuses
@@ -338,7 +670,8 @@ const countModelStatusGroups = (groupedModelStatuses) => {
   Uses the supplied filters object to filter down the supplied modelData and
   returns the filtered object.
   @param {Object} filters The filters to filter by in the format:
-    {segment: [values]}
+    {segment: [values]}. The custom values are queries in the format
+    described in app/model-query.js.
   @param {Object} modelData The model data from the redux store.
   @param {Array} controllers The controllers from the redux store.
   @returns {Object} The filtered model data.
@@ -383,15 +716,15 @@ const filterModelData = (filters, modelData, controllers) => {
     filterSegments[filter[0]].push(filter[1]);
   });
 
+  // The custom filters are queries, a model must match one of them.
+  const customQueries = (filters.custom || []).map(parseModelQuery);
+
   Object.entries(clonedModelData).forEach(([uuid, data]) => {
-    const modelName = data?.model?.name;
     const cloud = data?.model && extractCloudName(data.model["cloud-tag"]);
     const credential =
       data?.info && extractCredentialName(data.info["cloud-credential-tag"]);
     const region = data?.model && data.model.region;
     const owner = data?.info && extractOwnerName(data.info["owner-tag"]);
-    // Combine all of the above to create string for fuzzy custom search
-    const combinedModelAttributes = `${modelName} ${cloud} ${credential} ${region} ${owner}`;
 
     const remove = Object.entries(filterSegments).some(
       ([segment, valuesArr]) => {
@@ -412,10 +745,10 @@ const filterModelData = (filters, modelData, controllers) => {
             }
             break;
           case "custom":
-            function includesMatch(v) {
-              return combinedModelAttributes.includes(v);
-            }
-            return !values.some((v) => includesMatch(v));
+            const attributes = getModelQueryAttributes(data);
+            return !customQueries.some((query) =>
+              matchesModelQuery(query, attributes)
+            );
         }
         return false;
       }
@@ -521,6 +854,38 @@ export const getGroupedByCloudAndFilteredModelData = (filters) =>
 export const getGroupedByOwnerAndFilteredModelData = (filters) =>
   createSelector(getFilteredModelData(filters), groupModelsByOwner);
 
+/**
+  Returns the model data filtered and grouped by controller.
+  @param {Object} filters The filters to filter the model data by.
+  @returns {Object} The filtered and grouped model data.
+*/
+export const getGroupedByControllerAndFilteredModelData = (filters) =>
+  createSelector(getFilteredModelData(filters), groupModelsByController);
+
+/**
+  Returns the model data filtered and grouped by cloud region.
+  @param {Object} filters The filters to filter the model data by.
+  @returns {Object} The filtered and grouped model data.
+*/
+export const getGroupedByRegionAndFilteredModelData = (filters) =>
+  createSelector(getFilteredModelData(filters), groupModelsByRegion);
+
+/**
+  Returns the model data filtered and grouped by deployed charm.
+  @param {Object} filters The filters to filter the model data by.
+  @returns {Object} The filtered and grouped model data.
+*/
+export const getGroupedByCharmAndFilteredModelData = (filters) =>
+  createSelector(getFilteredModelData(filters), groupModelsByCharm);
+
+/**
+  Returns the model data filtered and grouped by Juju agent version.
+  @param {Object} filters The filters to filter the model data by.
+  @returns {Object} The filtered and grouped model data.
+*/
+export const getGroupedByAgentVersionAndFilteredModelData = (filters) =>
+  createSelector(getFilteredModelData(filters), groupModelsByAgentVersion);
+
 /**
   Returns the model statuses sorted by status.
   @returns {Function} The memoized selector to return the sorted model statuses.
@@ -566,6 +931,25 @@ export const getGroupedModelStatusCounts = createSelector(
   countModelStatusGroups
 );
 
+/**
+  Returns the charms deployed across all the models.
+  @returns {Function} The memoized selector to return the charm inventory.
+*/
+export const getCharmInventory = createSelector(
+  getModelData,
+  generateCharmInventory
+);
+
+/**
+  Returns the cross model relations between all the models.
+  @returns {Function} The memoized selector to return the cross model
+    relations.
+*/
+export const getCrossModelRelations = createSelector(
+  getModelData,
+  generateCrossModelRelations
+);
+
 /**
   Returns the fully qualified websocket controller API URL.
   @returns {Function} The memoized selector to return the controller websocket api url.
@@ -575,6 +959,23 @@ export const getWSControllerURL = createSelector(
   (config) => `wss://${config.baseControllerURL}/api`
 );
 
+/**
+  Returns the controllers whose connection has dropped and is being
+  re-established or has failed.
+  @returns {Function} The memoized selector to return the degraded controllers
+    in the format [{wsControllerURL, state, lastError}].
+*/
+export const getDegradedControllerConnections = createSelector(
+  getControllerConnectionStates,
+  (connectionStates) =>
+    Object.entries(connectionStates || {})
+      .filter(([, { state }]) => state === "reconnecting" || state === "failed")
+      .map(([wsControllerURL, connectionState]) => ({
+        wsControllerURL,
+        ...connectionState,
+      }))
+);
+
 /**
   Returns the controller data in the format of an Object.entries output.
   [wsControllerURL, [data]]
@@ -596,6 +997,38 @@ export const getControllerDataByUUID = (controllerUUID) => {
   });
 };
 
+/**
+  Returns the URL of the controller that the model is accessed through. In a
+  JAAS environment this will be the JAAS controller rather than the sub
+  controller the model is hosted on.
+  @param {String} modelUUID The UUID of the model.
+  @param {Object} state The application state.
+  @returns {String|Undefined} The fully qualified controller websocket url.
+*/
+export const getModelControllerURL = (modelUUID, state) => {
+  const controllerUUID =
+    getModelData(state)?.[modelUUID]?.info?.["controller-uuid"];
+  if (!controllerUUID) {
+    return undefined;
+  }
+  return getControllerDataByUUID(controllerUUID)(state)?.[0];
+};
+
+/**
+  Returns the options for dispatching a thunk that changes a model so that the
+  check-auth middleware can check the user's access to it. If the model's
+  controller isn't known yet the primary controller is used.
+  @param {String} modelUUID The UUID of the model.
+  @param {Object} state The application state.
+  @returns {Object} The dispatch options in the format
+    {wsControllerURL, modelUUID}.
+*/
+export const getModelDispatchOptions = (modelUUID, state) => ({
+  wsControllerURL:
+    getModelControllerURL(modelUUID, state) || getWSControllerURL(state),
+  modelUUID,
+});
+
 /**
   @param {String} controllerUUID The full controller UUID.
   @returns {Object} The controllerData.
@@ -604,6 +1037,7 @@ export const getModelControllerDataByUUID = (controllerUUID) => {
   return createSelector(getControllerData, (controllerData) => {
     if (!controllerData) return null;
     let modelController = null;
+    let wsControllerURL = null;
     Object.entries(controllerData).some((controller) => {
       // Loop through the sub controllers for each primary controller.
       // This is typically only seen in JAAS. Outside of JAAS there is only ever
@@ -613,16 +1047,81 @@ export const getModelControllerDataByUUID = (controllerUUID) => {
       );
       if (modelControllerData) {
         modelController = modelControllerData;
+        wsControllerURL = controller[0];
         return true;
       }
       return false;
     });
-    // This adds the controller url to existing model controller info so it can be used to access the
-    // write facades on the api
+    // This adds the url of the controller the model is accessed through to
+    // the existing model controller info so it can be used to access the write
+    // facades on the api.
     const clonedModelController = cloneDeep(modelController);
     if (clonedModelController) {
-      clonedModelController.url = Object.keys(controllerData)[0];
+      clonedModelController.url = wsControllerURL;
     }
     return clonedModelController;
   });
 };
+
+/**
+  Returns whether the user is an administrator on the JIMM the dashboard is
+  connected to and the JIMM provides the administration calls.
+  @param {Object} state The application state.
+  @returns {Boolean} Whether the user is a JIMM administrator.
+*/
+export const isJIMMAdmin = (state) => {
+  const conn = getControllerConnection(getWSControllerURL(state), state);
+  return (
+    conn?.facades?.jimM?.version >= 3 &&
+    conn?.info?.user?.["controller-access"] === "superuser"
+  );
+};
+
+// The model access levels in order of increasing permissions.
+export const MODEL_ACCESS_LEVELS = ["read", "write", "admin"];
+
+/**
+  Returns the active user's access level for the model. Controller superusers
+  have admin access to every model on the controller.
+  @param {String} modelUUID The UUID of the model.
+  @param {Object} state The application state.
+  @returns {String|Null} The access level, one of "read", "write" or "admin",
+    or null if the user's access is not known.
+*/
+export const getModelAccess = (modelUUID, state) => {
+  const wsControllerURL =
+    getModelControllerURL(modelUUID, state) || getWSControllerURL(state);
+  const user = getControllerConnection(wsControllerURL, state)?.info?.user;
+  if (!user?.identity) {
+    return null;
+  }
+  if (user["controller-access"] === "superuser") {
+    return "admin";
+  }
+  // The model users may or may not include the "user-" prefix.
+  const userName = user.identity.replace(/^user-/, "");
+  const modelUser = getModelData(state)?.[modelUUID]?.info?.users?.find(
+    ({ user }) => user.replace(/^user-/, "") === userName
+  );
+  return MODEL_ACCESS_LEVELS.includes(modelUser?.access)
+    ? modelUser.access
+    : null;
+};
+
+/**
+  Returns whether the active user has at least the supplied access to the
+  model.
+  @param {String} modelUUID The UUID of the model.
+  @param {String} access The required access level, one of "read", "write" or
+    "admin".
+  @param {Object} state The application state.
+  @returns {Boolean} Whether the user has the required access.
+*/
+export const hasModelAccess = (modelUUID, access, state) => {
+  const userAccess = getModelAccess(modelUUID, state);
+  return (
+    !!userAccess &&
+    MODEL_ACCESS_LEVELS.indexOf(userAccess) >=
+      MODEL_ACCESS_LEVELS.indexOf(access)
+  );
+};
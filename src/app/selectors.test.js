@@ -0,0 +1,118 @@
+import cloneDeep from "clone-deep";
+
+import dataDump from "testing/complete-redux-store-dump";
+
+import {
+  getCharmInventory,
+  getModelAccess,
+  getModelDispatchOptions,
+  hasModelAccess,
+} from "./selectors";
+
+const wsControllerURL = "wss://jimm.jujucharms.com/api";
+// The user has read access to this model.
+const readModelUUID = "2f995dee-392e-4459-8eb9-839c5fake0af";
+// The user has admin access to this model.
+const adminModelUUID = "84e872ff-9171-46be-829b-70f0ffake18d";
+
+describe("model access", () => {
+  let state;
+
+  beforeEach(() => {
+    state = cloneDeep(dataDump);
+  });
+
+  it("returns the user's model access", () => {
+    expect(getModelAccess(readModelUUID, state)).toBe("read");
+    expect(getModelAccess(adminModelUUID, state)).toBe("admin");
+  });
+
+  it("returns null for unknown models", () => {
+    expect(getModelAccess("unknown", state)).toBe(null);
+  });
+
+  it("gives superusers admin access", () => {
+    state.root.controllerConnections[wsControllerURL].info.user[
+      "controller-access"
+    ] = "superuser";
+    expect(getModelAccess(readModelUUID, state)).toBe("admin");
+  });
+
+  it("compares the access levels", () => {
+    expect(hasModelAccess(readModelUUID, "read", state)).toBe(true);
+    expect(hasModelAccess(readModelUUID, "write", state)).toBe(false);
+    expect(hasModelAccess(adminModelUUID, "write", state)).toBe(true);
+    expect(hasModelAccess("unknown", "read", state)).toBe(false);
+  });
+});
+
+describe("getModelDispatchOptions", () => {
+  let state;
+
+  beforeEach(() => {
+    state = cloneDeep(dataDump);
+    state.root.config.baseControllerURL = "example.com";
+  });
+
+  it("returns the controller the model is accessed through", () => {
+    expect(getModelDispatchOptions(readModelUUID, state)).toStrictEqual({
+      wsControllerURL,
+      modelUUID: readModelUUID,
+    });
+  });
+
+  it("falls back to the primary controller", () => {
+    delete state.juju.modelData[readModelUUID].info["controller-uuid"];
+    expect(getModelDispatchOptions(readModelUUID, state)).toStrictEqual({
+      wsControllerURL: "wss://example.com/api",
+      modelUUID: readModelUUID,
+    });
+  });
+});
+
+describe("getCharmInventory", () => {
+  const generateModel = (name, applications) => ({
+    info: { name, "owner-tag": "user-eggman@external" },
+    applications,
+  });
+
+  it("does not compare revisions of charms from different sources", () => {
+    const inventory = getCharmInventory({
+      juju: {
+        modelData: {
+          abc123: generateModel("one", {
+            db: { charm: "cs:mysql-58" },
+            "db-old": { charm: "cs:trusty/mysql-29" },
+            "alice-db": { charm: "cs:~alice/mysql-5" },
+          }),
+          def456: generateModel("two", {
+            "hub-db": { charm: "ch:mysql-3" },
+            "local-db": { charm: "local:mysql-0" },
+          }),
+        },
+      },
+    });
+    expect(
+      inventory.map(({ id, name, latestRevision }) => [
+        id,
+        name,
+        latestRevision,
+      ])
+    ).toStrictEqual([
+      ["ch:mysql", "mysql", 3],
+      ["cs:~alice/mysql", "mysql", 5],
+      ["cs:mysql", "mysql", 58],
+      ["local:mysql", "mysql", 0],
+    ]);
+    expect(
+      inventory[2].deployments.map(({ appName, outdated }) => [
+        appName,
+        outdated,
+      ])
+    ).toStrictEqual([
+      ["db", false],
+      ["db-old", true],
+    ]);
+    expect(inventory[1].deployments[0].outdated).toBe(false);
+  });
+});
@@ -173,6 +173,31 @@ export const getUnitStatusGroup = (unit) => {
   return response;
 };
 
+/**
+  Returns the status level for the relation.
+  @param {Object} relation The relation to check the status of in the
+    format stored in the redux store.
+  @returns {Object} The status of the relation and any relevent messaging.
+*/
+export const getRelationStatusGroup = (relation) => {
+  // Possible "blocked" or error states in the relation statuses.
+  const blocked = ["broken", "error", "suspended"];
+  // Possible "alert" states in the relation statuses.
+  const alert = ["joining", "suspending"];
+  const status = relation.status?.status;
+  const response = {
+    status: "running",
+    message: relation.status?.info || null,
+  };
+  if (blocked.includes(status)) {
+    response.status = "blocked";
+  }
+  if (alert.includes(status)) {
+    response.status = "alert";
+  }
+  return response;
+};
+
 /**
   Returns owner string from ownerTag
   @param {string} ownerTag The ownerTag identifier returns from the API
@@ -239,6 +264,19 @@ export const extractCredentialName = (tag) => {
 */
 export const extractRevisionNumber = (charmName) => charmName.split("-").pop();
 
+/**
+  Returns the name of the supplied charm string without the source, owner,
+  series or revision.
+  @param {String} charmId The full path of the charm e.g. cs:~foo/bar-123
+  @returns {String} The charm name e.g. bar.
+*/
+export const extractCharmName = (charmId) =>
+  charmId
+    .replace(/^[a-z]+:/, "")
+    .split("/")
+    .pop()
+    .replace(/-\d+$/, "");
+
 /**
   Returns a link to the charm icon for the provided charm name.
   @param {String} charmId The fully qualified charm name.
@@ -331,17 +369,19 @@ export const filterModelStatusDataByApp = (modelStatusData, appName) => {
     });
 
     // Remove all the machines that the selected application isn't installed on.
+    // Units in containers keep their host machine so that the container tree
+    // can be displayed.
     const appMachines = new Set();
     for (let unitId in application?.units) {
       const unit = application.units[unitId];
-      appMachines.add(unit.machine);
+      appMachines.add(unit.machine?.split("/")[0]);
     }
     subordinateTo.forEach((subAppName) => {
       // this will be the parent of the subordinate and grab the machines from it
       const parent = filteredData.applications[subAppName];
       for (let unitId in parent.units) {
         const unit = parent.units[unitId];
-        appMachines.add(unit.machine);
+        appMachines.add(unit.machine?.split("/")[0]);
       }
     });
     for (let machineId in filteredData.machines) {
@@ -363,11 +403,95 @@ export const isSet = (val) => val || val !== undefined;
 
 export const splitParts = (hardware) =>
   Object.fromEntries(
-    hardware.split(" ").map((item) => {
-      const parts = item.split("=");
-      return [parts[0], parts[1]];
-    })
+    (hardware || "")
+      .split(" ")
+      .filter(Boolean)
+      .map((item) => {
+        const parts = item.split("=");
+        return [parts[0], parts[1]];
+      })
+  );
+
+/**
+  Formats a size in megabytes, as used in the hardware string, to be human
+  readable.
+  @param {String} size The size e.g. "3584M".
+  @returns {String} The formatted size e.g. "3.5 GiB".
+*/
+const formatMegabytes = (size) => {
+  const megabytes = parseFloat(size);
+  if (isNaN(megabytes)) {
+    return size;
+  }
+  if (megabytes < 1024) {
+    return `${megabytes} MiB`;
+  }
+  return `${Math.round((megabytes / 1024) * 10) / 10} GiB`;
+};
+
+/**
+  Generates a short description of a machine's hardware.
+  @param {String} hardware The hardware in the format "cores=1 mem=3584M ...".
+  @returns {String} The description e.g. "1 core, 3.5 GiB memory, 10 GiB disk".
+*/
+export const generateHardwareSummary = (hardware) => {
+  const { cores, mem, "root-disk": disk } = splitParts(hardware);
+  return (
+    [
+      cores ? `${cores} ${cores === "1" ? "core" : "cores"}` : null,
+      mem ? `${formatMegabytes(mem)} memory` : null,
+      disk ? `${formatMegabytes(disk)} disk` : null,
+    ]
+      .filter(Boolean)
+      .join(", ") || "-"
   );
+};
+
+/**
+  Container ids contain slashes e.g. "0/lxd/1" so they are replaced in URLs.
+  @param {String} machineId The machine id.
+  @returns {String} The id to use in URLs e.g. "0-lxd-1".
+*/
+export const encodeMachineId = (machineId) => machineId.replace(/\//g, "-");
+
+/**
+  Converts a machine id from a URL back to the machine id.
+  @param {String} machineId The id from the URL e.g. "0-lxd-1".
+  @returns {String} The machine id e.g. "0/lxd/1".
+*/
+export const decodeMachineId = (machineId) => machineId?.replace(/-/g, "/");
+
+/**
+  Finds a machine or container in the machine tree. Containers are stored in
+  the containers object of their host machine.
+  @param {Object} machines The top level machines keyed by id.
+  @param {String} machineId The machine id e.g. "0" or "0/lxd/1".
+  @returns {Object|null} The machine.
+*/
+export const findMachine = (machines, machineId) => {
+  if (!machines || !machineId) {
+    return null;
+  }
+  const parts = machineId.split("/");
+  let machine = machines[parts[0]];
+  for (let i = 2; machine && i < parts.length; i += 2) {
+    machine = machine.containers?.[parts.slice(0, i + 1).join("/")];
+  }
+  return machine || null;
+};
+
+/**
+  Returns the ids of a machine and all the containers nested inside it.
+  @param {String} machineId The machine id.
+  @param {Object} machine The machine.
+  @returns {Array} The machine and container ids.
+*/
+export const getMachineTreeIds = (machineId, machine) => [
+  machineId,
+  ...Object.entries(machine?.containers || {}).flatMap(([id, container]) =>
+    getMachineTreeIds(id, container)
+  ),
+];
 
 export const extractRelationEndpoints = (relation) => {
   const endpoints = {};
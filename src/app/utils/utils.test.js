@@ -2,6 +2,13 @@ import {
   pluralize,
   formatFriendlyDateToNow,
   canAdministerModelAccess,
+  extractCharmName,
+  getRelationStatusGroup,
+  generateHardwareSummary,
+  encodeMachineId,
+  decodeMachineId,
+  findMachine,
+  getMachineTreeIds,
 } from "./utils";
 
 describe("pluralize", () => {
@@ -63,3 +70,86 @@ describe("canAdministerModelAccess", () => {
     );
   });
 });
+
+describe("extractCharmName", () => {
+  it("should remove the source, owner and revision", () => {
+    expect(extractCharmName("cs:~containers/easyrsa-278")).toBe("easyrsa");
+    expect(extractCharmName("cs:postgresql-12")).toBe("postgresql");
+  });
+
+  it("should remove the architecture and series", () => {
+    expect(extractCharmName("ch:amd64/xenial/content-cache-425")).toBe(
+      "content-cache"
+    );
+  });
+});
+
+describe("getRelationStatusGroup", () => {
+  it("should group the relation statuses", () => {
+    const getStatus = (status) =>
+      getRelationStatusGroup({ status: { status } }).status;
+    expect(getStatus("joined")).toBe("running");
+    expect(getStatus("joining")).toBe("alert");
+    expect(getStatus("suspending")).toBe("alert");
+    expect(getStatus("broken")).toBe("blocked");
+    expect(getStatus("error")).toBe("blocked");
+    expect(getStatus("suspended")).toBe("blocked");
+  });
+
+  it("should include the status message", () => {
+    expect(
+      getRelationStatusGroup({
+        status: { status: "error", info: "hook failed" },
+      })
+    ).toStrictEqual({ status: "blocked", message: "hook failed" });
+  });
+});
+
+describe("machine containers", () => {
+  const container = { id: "0/lxd/0/lxd/1", containers: {} };
+  const machines = {
+    0: {
+      id: "0",
+      containers: {
+        "0/lxd/0": {
+          id: "0/lxd/0",
+          containers: { "0/lxd/0/lxd/1": container },
+        },
+        "0/kvm/1": { id: "0/kvm/1", containers: {} },
+      },
+    },
+  };
+
+  it("should find nested containers", () => {
+    expect(findMachine(machines, "0")).toBe(machines["0"]);
+    expect(findMachine(machines, "0/lxd/0/lxd/1")).toBe(container);
+    expect(findMachine(machines, "0/lxd/2")).toBe(null);
+    expect(findMachine(machines, "1")).toBe(null);
+  });
+
+  it("should get the ids of a machine and its containers", () => {
+    expect(getMachineTreeIds("0", machines["0"])).toStrictEqual([
+      "0",
+      "0/lxd/0",
+      "0/lxd/0/lxd/1",
+      "0/kvm/1",
+    ]);
+  });
+
+  it("should convert container ids for URLs", () => {
+    expect(encodeMachineId("0/lxd/1")).toBe("0-lxd-1");
+    expect(decodeMachineId("0-lxd-1")).toBe("0/lxd/1");
+  });
+});
+
+describe("generateHardwareSummary", () => {
+  it("should describe the hardware", () => {
+    expect(
+      generateHardwareSummary(
+        "arch=amd64 cores=2 mem=3584M root-disk=512M availability-zone=a"
+      )
+    ).toBe("2 cores, 3.5 GiB memory, 512 MiB disk");
+    expect(generateHardwareSummary("cores=1")).toBe("1 core");
+    expect(generateHardwareSummary("")).toBe("-");
+  });
+});
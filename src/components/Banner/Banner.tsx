@@ -36,7 +36,7 @@ export default function Banner({
       >
         <i
           className={classnames("p-icon--close", {
-            "is-light": variant === "positive",
+            "is-light": variant === "positive" || variant === "negative",
           })}
         >
           Close banner
@@ -1,6 +1,7 @@
 import { Link, useParams } from "react-router-dom";
 
 import type { EntityDetailsRoute } from "components/Routes/Routes";
+import { decodeMachineId } from "app/utils/utils";
 
 import "./_breadcrumbs.scss";
 
@@ -93,7 +94,7 @@ export default function Breadcrumb(): JSX.Element {
   }
 
   if (!!machineId) {
-    entityType.id = machineId;
+    entityType.id = decodeMachineId(machineId);
     entityType.title = "Machines";
   }
 
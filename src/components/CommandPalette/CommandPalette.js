@@ -0,0 +1,129 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { useSelector } from "react-redux";
+import { useHistory } from "react-router-dom";
+import classnames from "classnames";
+import { Modal } from "@canonical/react-components/dist/components/Modal/Modal";
+
+import { getModelData, isJIMMAdmin } from "app/selectors";
+
+import useEventListener from "hooks/useEventListener";
+
+import { generateCommands, generateEntityItems, searchItems } from "./items";
+
+import "./_command-palette.scss";
+
+/**
+  Whether the keyboard event is the shortcut to open the palette.
+  @param {KeyboardEvent} e The keyboard event.
+  @returns {Boolean} Whether the palette should be opened.
+*/
+const isPaletteShortcut = (e) =>
+  (e.ctrlKey || e.metaKey) && e.key?.toLowerCase() === "k";
+
+function Palette({ close }) {
+  const history = useHistory();
+  const modelData = useSelector(getModelData);
+  const isAdmin = useSelector(isJIMMAdmin);
+  const [query, setQuery] = useState("");
+  const [selected, setSelected] = useState(0);
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    inputRef.current?.focus();
+  }, []);
+
+  const items = useMemo(
+    () => [...generateCommands(isAdmin), ...generateEntityItems(modelData)],
+    [isAdmin, modelData]
+  );
+  const results = useMemo(() => searchItems(query, items), [query, items]);
+
+  const openItem = (item) => {
+    if (item) {
+      history.push(item.path);
+      close();
+    }
+  };
+
+  const onKeyDown = (e) => {
+    switch (e.key) {
+      case "ArrowDown":
+        e.preventDefault();
+        setSelected(Math.min(selected + 1, results.length - 1));
+        break;
+      case "ArrowUp":
+        e.preventDefault();
+        setSelected(Math.max(selected - 1, 0));
+        break;
+      case "Enter":
+        e.preventDefault();
+        openItem(results[selected]);
+        break;
+      default:
+        break;
+    }
+  };
+
+  return (
+    <div className="command-palette">
+      <Modal close={close}>
+        <input
+          aria-label="Search models, applications, units, machines and commands"
+          className="command-palette__input"
+          placeholder="Search or jump to..."
+          ref={inputRef}
+          type="search"
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setSelected(0);
+          }}
+          onKeyDown={onKeyDown}
+        />
+        {results.length ? (
+          <ul className="p-list command-palette__results" role="listbox">
+            {results.map((item, i) => (
+              // The items are selected with the keyboard from the input.
+              // eslint-disable-next-line jsx-a11y/click-events-have-key-events
+              <li
+                aria-selected={i === selected}
+                className={classnames("p-list__item command-palette__result", {
+                  "is-selected": i === selected,
+                })}
+                key={`${item.type}-${item.path}-${item.label}`}
+                onClick={() => openItem(item)}
+                onMouseEnter={() => setSelected(i)}
+                role="option"
+              >
+                <span className="command-palette__label">{item.label}</span>
+                {item.description ? (
+                  <span className="command-palette__description">
+                    {item.description}
+                  </span>
+                ) : null}
+                <span className="p-label--information command-palette__type">
+                  {item.type}
+                </span>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="command-palette__empty">No matches found.</p>
+        )}
+      </Modal>
+    </div>
+  );
+}
+
+export default function CommandPalette() {
+  const [open, setOpen] = useState(false);
+
+  useEventListener("keydown", (e) => {
+    if (isPaletteShortcut(e)) {
+      e.preventDefault();
+      setOpen(!open);
+    }
+  });
+
+  return open ? <Palette close={() => setOpen(false)} /> : null;
+}
@@ -0,0 +1,155 @@
+import { mount } from "enzyme";
+import { act } from "react-dom/test-utils";
+import configureStore from "redux-mock-store";
+import { Provider } from "react-redux";
+import { Router } from "react-router";
+import { createMemoryHistory } from "history";
+
+import dataDump from "testing/complete-redux-store-dump";
+
+import CommandPalette from "./CommandPalette";
+import { fuzzyScore, generateEntityItems, searchItems } from "./items";
+
+const mockStore = configureStore([]);
+
+describe("CommandPalette", () => {
+  let history;
+
+  const renderComponent = () => {
+    history = createMemoryHistory();
+    return mount(
+      <Provider store={mockStore(dataDump)}>
+        <Router history={history}>
+          <CommandPalette />
+        </Router>
+      </Provider>
+    );
+  };
+
+  const openPalette = (wrapper, options = { ctrlKey: true }) => {
+    act(() => {
+      window.dispatchEvent(
+        new KeyboardEvent("keydown", { key: "k", ...options })
+      );
+    });
+    wrapper.update();
+  };
+
+  const search = (wrapper, query) => {
+    wrapper
+      .find("input.command-palette__input")
+      .simulate("change", { target: { value: query } });
+  };
+
+  it("opens with the keyboard shortcut", () => {
+    const wrapper = renderComponent();
+    expect(wrapper.find(".command-palette").exists()).toBe(false);
+    openPalette(wrapper);
+    expect(wrapper.find(".command-palette").exists()).toBe(true);
+    openPalette(wrapper, { metaKey: true });
+    expect(wrapper.find(".command-palette").exists()).toBe(false);
+  });
+
+  it("navigates to the selected unit", () => {
+    const wrapper = renderComponent();
+    openPalette(wrapper);
+    search(wrapper, "etcd/1");
+    expect(wrapper.find(".command-palette__label").first().text()).toBe(
+      "etcd/1"
+    );
+    wrapper
+      .find("input.command-palette__input")
+      .simulate("keydown", { key: "Enter" });
+    expect(history.location.pathname).toBe(
+      "/models/pizza@external/canonical-kubernetes/app/etcd/unit/etcd-1"
+    );
+    expect(wrapper.find(".command-palette").exists()).toBe(false);
+  });
+
+  it("can select results with the keyboard", () => {
+    const wrapper = renderComponent();
+    openPalette(wrapper);
+    search(wrapper, "go to");
+    const input = wrapper.find("input.command-palette__input");
+    input.simulate("keydown", { key: "ArrowDown" });
+    expect(
+      wrapper.find(".command-palette__result.is-selected").text()
+    ).toContain("Go to charms");
+    input.simulate("keydown", { key: "Enter" });
+    expect(history.location.pathname).toBe("/charms");
+  });
+
+  it("displays a message when nothing matches", () => {
+    const wrapper = renderComponent();
+    openPalette(wrapper);
+    search(wrapper, "zzzzzz");
+    expect(wrapper.find(".command-palette__empty").text()).toBe(
+      "No matches found."
+    );
+  });
+});
+
+describe("command palette items", () => {
+  const modelData = {
+    abc123: {
+      model: { name: "production" },
+      info: { "owner-tag": "user-alice@external" },
+      applications: {
+        db: {
+          charm: "cs:postgresql-12",
+          units: { "db/0": { "public-address": "10.0.0.1" } },
+        },
+      },
+      machines: {
+        0: { "dns-name": "10.0.0.1", "ip-addresses": ["10.0.0.1", "10.1.0.1"] },
+      },
+      offers: { "db-offer": {} },
+    },
+    def456: { model: { name: "no-owner" } },
+  };
+
+  it("generates items for all the entities", () => {
+    expect(
+      generateEntityItems(modelData).map(({ type, label, path }) => [
+        type,
+        label,
+        path,
+      ])
+    ).toStrictEqual([
+      ["model", "production", "/models/alice@external/production"],
+      ["application", "db", "/models/alice@external/production/app/db"],
+      ["charm", "postgresql", "/models/alice@external/production/app/db"],
+      ["unit", "db/0", "/models/alice@external/production/app/db/unit/db-0"],
+      [
+        "address",
+        "10.0.0.1",
+        "/models/alice@external/production/app/db/unit/db-0",
+      ],
+      ["machine", "machine 0", "/models/alice@external/production/machine/0"],
+      ["address", "10.0.0.1", "/models/alice@external/production/machine/0"],
+      ["address", "10.1.0.1", "/models/alice@external/production/machine/0"],
+      [
+        "offer",
+        "db-offer",
+        "/models/alice@external/production?activeView=integrations",
+      ],
+    ]);
+  });
+
+  it("fuzzy matches the query", () => {
+    expect(fuzzyScore("pgsql", "postgresql")).not.toBe(null);
+    expect(fuzzyScore("sqlpg", "postgresql")).toBe(null);
+    expect(fuzzyScore("post", "postgresql")).toBeGreaterThan(
+      fuzzyScore("post", "my-postgresql")
+    );
+  });
+
+  it("orders the results by the best match", () => {
+    const items = generateEntityItems(modelData);
+    expect(searchItems("db", items).map(({ label }) => label)).toStrictEqual([
+      "db",
+      "db/0",
+      "db-offer",
+    ]);
+  });
+});
@@ -0,0 +1,154 @@
+import { encodeMachineId, extractCharmName } from "app/utils/utils";
+
+// The maximum number of results to display.
+export const MAX_RESULTS = 50;
+
+/**
+  Generates the navigation commands.
+  @param {Boolean} isAdmin Whether the user is a JIMM administrator.
+  @returns {Array} The list of command items.
+*/
+export const generateCommands = (isAdmin) =>
+  [
+    { label: "Go to models", path: "/models" },
+    { label: "Go to controllers", path: "/controllers" },
+    { label: "Go to charms", path: "/charms" },
+    { label: "Go to cross-model relations", path: "/cross-model-relations" },
+    { label: "Go to audit logs", path: "/audit", adminOnly: true },
+    { label: "Open settings", path: "/settings" },
+  ]
+    .filter(({ adminOnly }) => isAdmin || !adminOnly)
+    .map(({ label, path }) => ({ type: "command", label, path }));
+
+/**
+  Generates the items for all the entities in the models.
+  @param {Object} modelData The model data from the redux store.
+  @returns {Array} The list of items in the format
+    {type, label, description, path}.
+*/
+export const generateEntityItems = (modelData) => {
+  const items = [];
+  Object.values(modelData || {}).forEach((model) => {
+    const modelName = model?.model?.name;
+    const ownerTag = model?.info?.["owner-tag"];
+    // Without an owner a reliable path to the model can't be generated.
+    if (!modelName || !ownerTag) {
+      return;
+    }
+    const owner = ownerTag.replace("user-", "");
+    const modelPath = `/models/${owner}/${modelName}`;
+    const addItem = (type, label, description, path) => {
+      if (label) {
+        items.push({ type, label, description, path });
+      }
+    };
+    addItem("model", modelName, owner, modelPath);
+    Object.entries(model.applications || {}).forEach(([appName, app]) => {
+      const appPath = `${modelPath}/app/${appName}`;
+      addItem("application", appName, modelName, appPath);
+      if (app.charm) {
+        addItem(
+          "charm",
+          extractCharmName(app.charm),
+          `${app.charm} in ${modelName}/${appName}`,
+          appPath
+        );
+      }
+      Object.entries(app.units || {}).forEach(([unitName, unit]) => {
+        const unitPath = `${appPath}/unit/${unitName.replace("/", "-")}`;
+        addItem("unit", unitName, modelName, unitPath);
+        addItem(
+          "address",
+          unit["public-address"],
+          `${unitName} in ${modelName}`,
+          unitPath
+        );
+      });
+    });
+    const addMachineItems = (machineId, machine) => {
+      const machinePath = `${modelPath}/machine/${encodeMachineId(machineId)}`;
+      addItem("machine", `machine ${machineId}`, modelName, machinePath);
+      const addresses = new Set([
+        machine["dns-name"],
+        ...(machine["ip-addresses"] || []),
+      ]);
+      addresses.forEach((address) => {
+        addItem(
+          "address",
+          address,
+          `machine ${machineId} in ${modelName}`,
+          machinePath
+        );
+      });
+      Object.entries(machine.containers || {}).forEach(([id, container]) =>
+        addMachineItems(id, container)
+      );
+    };
+    Object.entries(model.machines || {}).forEach(([machineId, machine]) =>
+      addMachineItems(machineId, machine)
+    );
+    Object.keys(model.offers || {}).forEach((offerName) => {
+      addItem(
+        "offer",
+        offerName,
+        modelName,
+        `${modelPath}?activeView=integrations`
+      );
+    });
+  });
+  return items;
+};
+
+/**
+  Scores how well the query matches the text. The characters of the query
+  must appear in the text in order, matches that are consecutive or at the
+  start of words score higher.
+  @param {String} query The lower case query.
+  @param {String} text The text to match.
+  @returns {Number|Null} The score or null if the text does not match.
+*/
+export const fuzzyScore = (query, text) => {
+  const lowerText = text.toLowerCase();
+  let score = 0;
+  let position = -1;
+  for (const char of query) {
+    const index = lowerText.indexOf(char, position + 1);
+    if (index === -1) {
+      return null;
+    }
+    if (index === position + 1) {
+      score += 3;
+    } else if (index === 0 || /[\s/:.@-]/.test(lowerText[index - 1])) {
+      score += 2;
+    } else {
+      score += 1;
+    }
+    position = index;
+  }
+  // Prefer shorter labels when the matches are otherwise equal.
+  return score - lowerText.length / 100;
+};
+
+/**
+  Finds the items that match the query, best matches first.
+  @param {String} query The search query.
+  @param {Array} items The items to search.
+  @returns {Array} The matching items.
+*/
+export const searchItems = (query, items) => {
+  const search = query.trim().toLowerCase();
+  if (!search) {
+    return items.slice(0, MAX_RESULTS);
+  }
+  return items
+    .reduce((matches, item) => {
+      const score = fuzzyScore(search, item.label);
+      if (score !== null) {
+        matches.push({ item, score });
+      }
+      return matches;
+    }, [])
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_RESULTS)
+    .map(({ item }) => item);
+};
@@ -0,0 +1,377 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { useSelector, useStore } from "react-redux";
+import { format } from "date-fns";
+import Select from "@canonical/react-components/dist/components/Select";
+
+import {
+  getBakery,
+  getModelControllerURL,
+  getUserPass,
+  getWSControllerURL,
+} from "app/selectors";
+import { generateAuthentication } from "components/WebCLI/authentication";
+
+import LogConnection from "./connection";
+
+import "./_debug-log.scss";
+
+export const LOG_LEVELS = [
+  "TRACE",
+  "DEBUG",
+  "INFO",
+  "WARNING",
+  "ERROR",
+  "CRITICAL",
+];
+// The maximum number of lines to keep so that a busy model doesn't use up
+// all the memory.
+export const MAX_LINES = 5000;
+
+/**
+  Converts an entity name to the tag used by the debug log filters. Names that
+  are already tags are returned as they are and application names match all
+  the application's units, in the same way as `juju debug-log`.
+  @param {String} entity The machine, unit or application name.
+  @returns {String} The entity tag.
+*/
+export const generateEntityTag = (entity) => {
+  if (/^(machine|unit|application)-/.test(entity)) {
+    return entity;
+  }
+  if (/^\d+(\/[a-z]+\/\d+)*$/.test(entity)) {
+    return `machine-${entity.replace(/\//g, "-")}`;
+  }
+  if (entity.includes("/")) {
+    return `unit-${entity.replace("/", "-")}`;
+  }
+  return `unit-${entity}-*`;
+};
+
+/**
+  Splits a comma or space separated list of entities.
+  @param {String} entities The list of entities.
+  @returns {Array} The entity tags.
+*/
+const parseEntities = (entities) =>
+  (entities || "")
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .map(generateEntityTag);
+
+/**
+  Generates the address of the debug log for a model.
+  @param {String} wsControllerURL The fully qualified controller URL.
+  @param {String} modelUUID The model UUID.
+  @param {Object} filters The log filters in the keys
+    { level, include, exclude, replay }.
+  @returns {String} The websocket address.
+*/
+export const generateLogAddress = (
+  wsControllerURL,
+  modelUUID,
+  { level, include, exclude, replay } = {}
+) => {
+  const params = new URLSearchParams();
+  if (level) {
+    params.append("level", level);
+  }
+  parseEntities(include).forEach((tag) => params.append("includeEntity", tag));
+  parseEntities(exclude).forEach((tag) => params.append("excludeEntity", tag));
+  const backlog = parseInt(replay, 10);
+  if (backlog > 0) {
+    params.append("backlog", backlog);
+  }
+  const query = params.toString();
+  return `${wsControllerURL.replace(/\/api$/, "")}/model/${modelUUID}/log${
+    query ? `?${query}` : ""
+  }`;
+};
+
+/**
+  Normalises a log record as different Juju versions use different keys.
+  @param {Object} record The log record from the websocket.
+  @returns {Object} The record in the keys
+    { timestamp, entity, level, module, message }.
+*/
+export const normaliseLogRecord = (record) => ({
+  timestamp: record.ts || record.timestamp,
+  entity: record.tag || record.entity,
+  level: record.sev || record.level,
+  module: record.mod || record.module,
+  message: record.msg || record.message,
+});
+
+/**
+  Formats a log record as a line of text.
+  @param {Object} line The normalised log record.
+  @returns {String} The log line.
+*/
+export const formatLogLine = ({ timestamp, entity, level, module, message }) =>
+  [
+    timestamp ? format(new Date(timestamp), "yyyy-MM-dd HH:mm:ss") : null,
+    entity,
+    level,
+    module,
+    message,
+  ]
+    .filter(Boolean)
+    .join(" ");
+
+/**
+  Wraps the parts of the text that match the search term in a mark element.
+  @param {String} text The text to highlight.
+  @param {String} search The search term.
+  @returns {String|Array} The text with the matches highlighted.
+*/
+const highlightMatches = (text, search) => {
+  if (!search || !text) {
+    return text;
+  }
+  const escaped = search.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return text
+    .split(new RegExp(`(${escaped})`, "i"))
+    .map((part, i) => (i % 2 === 1 ? <mark key={i}>{part}</mark> : part));
+};
+
+export default function DebugLog({ modelUUID, modelName, entity = "" }) {
+  const bakery = useSelector(getBakery);
+  const store = useStore();
+  const wsControllerURL = useSelector(
+    (state) =>
+      getModelControllerURL(modelUUID, state) || getWSControllerURL(state)
+  );
+  const initialFilters = {
+    level: "INFO",
+    include: entity,
+    exclude: "",
+    replay: "100",
+  };
+  const [formValues, setFormValues] = useState(initialFilters);
+  const [filters, setFilters] = useState(initialFilters);
+  const [lines, setLines] = useState([]);
+  // The lines received while the log is paused. They are displayed when the
+  // log is resumed so that the paused view is not trimmed.
+  const [waitingLines, setWaitingLines] = useState([]);
+  const [error, setError] = useState(null);
+  const [search, setSearch] = useState("");
+  const [follow, setFollow] = useState(true);
+  const [paused, setPaused] = useState(false);
+  // The message callback reads the paused state from a ref as the connection
+  // is not recreated when the log is paused.
+  const pausedRef = useRef(false);
+  const nextId = useRef(0);
+  const outputRef = useRef();
+
+  const address = useMemo(
+    () =>
+      modelUUID && wsControllerURL
+        ? generateLogAddress(wsControllerURL, modelUUID, filters)
+        : null,
+    [modelUUID, wsControllerURL, filters]
+  );
+
+  useEffect(() => {
+    if (!address) {
+      return;
+    }
+    setLines([]);
+    setWaitingLines([]);
+    setError(null);
+    const state = store.getState();
+    const connection = new LogConnection({
+      address,
+      getAuthentication: (currentAddress) =>
+        generateAuthentication(
+          getUserPass(wsControllerURL, state),
+          currentAddress,
+          address,
+          bakery,
+          state
+        ),
+      errorCallback: setError,
+      messageCallback: (records) => {
+        const received = records.map((record) => {
+          const line = normaliseLogRecord(record);
+          line.id = nextId.current++;
+          line.text = formatLogLine(line);
+          return line;
+        });
+        const update = (lines) => lines.concat(received).slice(-MAX_LINES);
+        if (pausedRef.current) {
+          setWaitingLines(update);
+        } else {
+          setLines(update);
+        }
+      },
+    }).connect();
+    return () => {
+      connection.disconnect();
+    };
+  }, [address, bakery, store, wsControllerURL]);
+
+  const visibleLines = useMemo(() => {
+    const term = search.toLowerCase();
+    return term
+      ? lines.filter((line) => line.text.toLowerCase().includes(term))
+      : lines;
+  }, [lines, search]);
+
+  useEffect(() => {
+    if (follow && outputRef.current) {
+      outputRef.current.scrollTop = outputRef.current.scrollHeight;
+    }
+  }, [follow, visibleLines]);
+
+  const setPausedState = (isPaused) => {
+    pausedRef.current = isPaused;
+    setPaused(isPaused);
+  };
+
+  const togglePause = () => {
+    if (paused) {
+      setLines((lines) => lines.concat(waitingLines).slice(-MAX_LINES));
+      setWaitingLines([]);
+    }
+    setPausedState(!paused);
+  };
+
+  const download = () => {
+    const blob = new Blob(
+      [
+        lines
+          .concat(waitingLines)
+          .map((line) => `${line.text}\n`)
+          .join(""),
+      ],
+      { type: "text/plain" }
+    );
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `${modelName || modelUUID}-debug-log-${format(
+      new Date(),
+      "yyyyMMdd-HHmmss"
+    )}.log`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="debug-log">
+      <form
+        className="debug-log__filters"
+        onSubmit={(e) => {
+          e.preventDefault();
+          setPausedState(false);
+          setFilters(formValues);
+        }}
+      >
+        <Select
+          id="debug-log-level"
+          label="Level"
+          value={formValues.level}
+          onChange={(e) =>
+            setFormValues({ ...formValues, level: e.target.value })
+          }
+          options={LOG_LEVELS.map((level) => ({ label: level, value: level }))}
+        />
+        <label className="debug-log__filter">
+          Include entities
+          <input
+            type="text"
+            name="include"
+            placeholder="e.g. mysql/0, 1"
+            value={formValues.include}
+            onChange={(e) =>
+              setFormValues({ ...formValues, include: e.target.value })
+            }
+          />
+        </label>
+        <label className="debug-log__filter">
+          Exclude entities
+          <input
+            type="text"
+            name="exclude"
+            placeholder="e.g. machine-0"
+            value={formValues.exclude}
+            onChange={(e) =>
+              setFormValues({ ...formValues, exclude: e.target.value })
+            }
+          />
+        </label>
+        <label className="debug-log__filter">
+          Replay last lines
+          <input
+            type="number"
+            name="replay"
+            min="0"
+            value={formValues.replay}
+            onChange={(e) =>
+              setFormValues({ ...formValues, replay: e.target.value })
+            }
+          />
+        </label>
+        <button className="p-button--positive" type="submit">
+          Apply
+        </button>
+      </form>
+      <div className="debug-log__controls">
+        <input
+          type="search"
+          className="debug-log__search"
+          name="search"
+          placeholder="Search the log"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+        />
+        <div className="debug-log__follow">
+          <input
+            type="checkbox"
+            id="debug-log-follow"
+            checked={follow}
+            onChange={() => setFollow(!follow)}
+          />
+          <label htmlFor="debug-log-follow">Follow</label>
+        </div>
+        <button className="p-button--neutral" onClick={togglePause}>
+          {paused ? `Resume (${waitingLines.length} new)` : "Pause"}
+        </button>
+        <button
+          className="p-button--neutral"
+          disabled={lines.length === 0}
+          onClick={download}
+        >
+          Download
+        </button>
+      </div>
+      {error ? (
+        <div className="p-notification--negative">
+          <p className="p-notification__response">
+            <span className="p-notification__status">Error:</span>
+            {error.message || error}
+          </p>
+        </div>
+      ) : null}
+      <pre className="debug-log__output" ref={outputRef}>
+        {visibleLines.length === 0 ? (
+          <span className="debug-log__empty">
+            {lines.length === 0
+              ? "Waiting for log messages..."
+              : "No log messages match the search."}
+          </span>
+        ) : (
+          visibleLines.map((line) => (
+            <div
+              key={line.id}
+              className={`debug-log__line is-${(
+                line.level || ""
+              ).toLowerCase()}`}
+            >
+              {highlightMatches(line.text, search)}
+            </div>
+          ))
+        )}
+      </pre>
+    </div>
+  );
+}
@@ -0,0 +1,267 @@
+import { mount } from "enzyme";
+import { act } from "react-dom/test-utils";
+import { Provider } from "react-redux";
+import configureStore from "redux-mock-store";
+import WS from "jest-websocket-mock";
+import cloneDeep from "clone-deep";
+
+import { waitForComponentToPaint } from "testing/utils";
+import dataDump from "testing/complete-redux-store-dump";
+
+import DebugLog, {
+  MAX_LINES,
+  generateEntityTag,
+  generateLogAddress,
+} from "./DebugLog";
+import LogConnection from "./connection";
+
+const mockStore = configureStore([]);
+
+describe("DebugLog", () => {
+  const address = "wss://localhost:1234/model/abc123/log";
+  let server;
+
+  beforeEach(() => {
+    // The mock server ignores the query so the filters are checked using the
+    // address of the connected client.
+    server = new WS(address, { jsonProtocol: true });
+  });
+
+  afterEach(() => {
+    act(() => {
+      WS.clean();
+    });
+  });
+
+  const generateComponent = async (props = {}) => {
+    const clonedDataDump = cloneDeep(dataDump);
+    clonedDataDump.root.config.baseControllerURL = "localhost:1234";
+    clonedDataDump.root.credentials = {
+      "wss://localhost:1234/api": {
+        user: "spaceman",
+        password: "somelongpassword",
+      },
+    };
+    const store = mockStore(clonedDataDump);
+    const wrapper = mount(
+      <Provider store={store}>
+        <DebugLog modelUUID="abc123" modelName="my-model" {...props} />
+      </Provider>
+    );
+    await act(async () => {
+      await server.connected;
+    });
+    return wrapper;
+  };
+
+  const sendRecords = async (wrapper, records) => {
+    act(() => {
+      records.forEach((record) => server.send(record));
+    });
+    // The records are passed on once per cycle.
+    await act(() => new Promise((resolve) => setTimeout(resolve)));
+    wrapper.update();
+  };
+
+  const generateRecord = (msg, sev = "INFO") => ({
+    tag: "unit-mysql-0",
+    ts: "2021-04-14T10:00:00Z",
+    sev,
+    mod: "juju.worker.uniter",
+    msg,
+  });
+
+  it("can generate entity tags", () => {
+    expect(generateEntityTag("mysql/0")).toBe("unit-mysql-0");
+    expect(generateEntityTag("mysql")).toBe("unit-mysql-*");
+    expect(generateEntityTag("1")).toBe("machine-1");
+    expect(generateEntityTag("1/lxd/2")).toBe("machine-1-lxd-2");
+    expect(generateEntityTag("machine-0")).toBe("machine-0");
+  });
+
+  it("can generate the log address", () => {
+    expect(
+      generateLogAddress("wss://example.com/api", "abc123", {
+        level: "DEBUG",
+        include: "mysql/0, 1",
+        exclude: "nginx",
+        replay: "50",
+      })
+    ).toBe(
+      "wss://example.com/model/abc123/log?level=DEBUG&includeEntity=unit-mysql-0&includeEntity=machine-1&excludeEntity=unit-nginx-*&backlog=50"
+    );
+    expect(generateLogAddress("wss://example.com/api", "abc123")).toBe(
+      "wss://example.com/model/abc123/log"
+    );
+  });
+
+  it("authenticates and displays the streamed log", async () => {
+    const wrapper = await generateComponent();
+    await expect(server).toReceiveMessage({
+      user: "spaceman",
+      credentials: "somelongpassword",
+    });
+    await sendRecords(wrapper, [
+      {},
+      generateRecord("first message"),
+      generateRecord("second message", "ERROR"),
+    ]);
+    const lines = wrapper.find(".debug-log__line");
+    expect(lines.length).toBe(2);
+    expect(lines.at(0).text()).toContain(
+      "unit-mysql-0 INFO juju.worker.uniter first message"
+    );
+    expect(lines.at(1).hasClass("is-error")).toBe(true);
+  });
+
+  const getClientURL = () => {
+    const clients = server.server.clients();
+    return clients[clients.length - 1].url;
+  };
+
+  it("reconnects with the chosen filters", async () => {
+    const wrapper = await generateComponent();
+    expect(getClientURL()).toBe(`${address}?level=INFO&backlog=100`);
+    wrapper
+      .find("select#debug-log-level")
+      .simulate("change", { target: { value: "ERROR" } });
+    wrapper
+      .find("input[name='include']")
+      .simulate("change", { target: { value: "mysql/0" } });
+    wrapper
+      .find("input[name='replay']")
+      .simulate("change", { target: { value: "10" } });
+    await act(async () => {
+      wrapper.find(".debug-log__filters").simulate("submit");
+    });
+    await expect(server).toReceiveMessage({
+      user: "spaceman",
+      credentials: "somelongpassword",
+    });
+    await expect(server).toReceiveMessage({
+      user: "spaceman",
+      credentials: "somelongpassword",
+    });
+    expect(getClientURL()).toBe(
+      `${address}?level=ERROR&includeEntity=unit-mysql-0&backlog=10`
+    );
+  });
+
+  it("filters the entity on the unit page", async () => {
+    await generateComponent({ entity: "mysql/0" });
+    expect(getClientURL()).toBe(
+      `${address}?level=INFO&includeEntity=unit-mysql-0&backlog=100`
+    );
+  });
+
+  it("can search and highlight the log", async () => {
+    const wrapper = await generateComponent();
+    await sendRecords(wrapper, [
+      generateRecord("first message"),
+      generateRecord("second message"),
+    ]);
+    wrapper
+      .find("input[name='search']")
+      .simulate("change", { target: { value: "SECOND" } });
+    const lines = wrapper.find(".debug-log__line");
+    expect(lines.length).toBe(1);
+    expect(lines.find("mark").text()).toBe("second");
+  });
+
+  it("can pause the log", async () => {
+    const wrapper = await generateComponent();
+    await sendRecords(wrapper, [generateRecord("first message")]);
+    wrapper.find(".debug-log__controls button").at(0).simulate("click");
+    await sendRecords(wrapper, [generateRecord("second message")]);
+    expect(wrapper.find(".debug-log__line").length).toBe(1);
+    const pauseButton = wrapper.find(".debug-log__controls button").at(0);
+    expect(pauseButton.text()).toBe("Resume (1 new)");
+    pauseButton.simulate("click");
+    expect(wrapper.find(".debug-log__line").length).toBe(2);
+  });
+
+  it("does not trim the paused log", async () => {
+    const wrapper = await generateComponent();
+    await sendRecords(wrapper, [generateRecord("first message")]);
+    wrapper.find(".debug-log__controls button").at(0).simulate("click");
+    await sendRecords(
+      wrapper,
+      Array.from({ length: MAX_LINES }, (_, i) => generateRecord(`line ${i}`))
+    );
+    const lines = wrapper.find(".debug-log__line");
+    expect(lines.length).toBe(1);
+    expect(lines.at(0).text()).toContain("first message");
+    const pauseButton = wrapper.find(".debug-log__controls button").at(0);
+    expect(pauseButton.text()).toBe(`Resume (${MAX_LINES} new)`);
+    pauseButton.simulate("click");
+    expect(wrapper.find(".debug-log__line").length).toBe(MAX_LINES);
+    expect(wrapper.find(".debug-log__line").at(0).text()).toContain("line 0");
+  });
+
+  it("can download the captured log", async () => {
+    global.URL.createObjectURL = jest.fn().mockReturnValue("blob:log");
+    global.URL.revokeObjectURL = jest.fn();
+    const click = jest
+      .spyOn(HTMLAnchorElement.prototype, "click")
+      .mockImplementation(() => {});
+    const wrapper = await generateComponent();
+    await sendRecords(wrapper, [generateRecord("first message")]);
+    wrapper.find(".debug-log__controls button").at(1).simulate("click");
+    const blob = global.URL.createObjectURL.mock.calls[0][0];
+    const content = await new Promise((resolve) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.readAsText(blob);
+    });
+    expect(content).toContain("first message\n");
+    expect(click).toHaveBeenCalled();
+    click.mockRestore();
+  });
+
+  it("displays errors from the log stream", async () => {
+    const wrapper = await generateComponent();
+    await act(async () => {
+      server.send({ error: { message: "permission denied" } });
+    });
+    await waitForComponentToPaint(wrapper);
+    expect(wrapper.find(".p-notification--negative").text()).toContain(
+      "permission denied"
+    );
+  });
+
+  it("displays an error if the connection fails", async () => {
+    const wrapper = await generateComponent();
+    act(() => {
+      server.error();
+    });
+    wrapper.update();
+    expect(wrapper.find(".p-notification--negative").text()).toContain(
+      "Unable to connect to the debug log."
+    );
+  });
+
+  it("displays an error if the connection is closed", async () => {
+    const wrapper = await generateComponent();
+    act(() => {
+      server.close();
+    });
+    wrapper.update();
+    expect(wrapper.find(".p-notification--negative").text()).toContain(
+      "The connection to the debug log was closed."
+    );
+  });
+
+  it("does not pass on the close event when it is disconnected", async () => {
+    const errorCallback = jest.fn();
+    const connection = new LogConnection({
+      address,
+      errorCallback,
+      getAuthentication: () => null,
+      messageCallback: jest.fn(),
+    }).connect();
+    await server.connected;
+    connection.disconnect();
+    await server.closed;
+    expect(errorCallback).not.toHaveBeenCalled();
+  });
+});
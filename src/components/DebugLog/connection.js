@@ -0,0 +1,107 @@
+/*
+  A connection to a model's debug log websocket endpoint. Log records are
+  buffered and passed to the message callback in batches.
+*/
+class LogConnection {
+  constructor(options) {
+    this._messageCallback = options.messageCallback;
+    this._errorCallback = options.errorCallback;
+    this._getAuthentication = options.getAuthentication;
+    this.address = options.address;
+  }
+
+  _messageBuffer = [];
+
+  connect() {
+    const ws = new WebSocket(this.address);
+    ws.onopen = this._wsOnOpen.bind(this);
+    ws.onmessage = this._handleMessage.bind(this);
+    ws.onerror = this._wsOnError.bind(this);
+    ws.onclose = this._wsOnClose.bind(this);
+    this._ws = ws;
+    return this;
+  }
+
+  disconnect() {
+    this._closed = true;
+    this._ws.close();
+  }
+
+  _wsOnOpen() {
+    // The authentication is generated when the socket opens as the address
+    // may have changed if the connection was redirected.
+    const authentication = this._getAuthentication(this.address);
+    if (authentication) {
+      this._ws.send(JSON.stringify(authentication));
+    }
+  }
+
+  _wsOnError(e) {
+    // Events from a socket that was replaced by a redirect are ignored.
+    if (this._closed || e.target !== this._ws) {
+      return;
+    }
+    this._errored = true;
+    this._errorCallback("Unable to connect to the debug log.");
+  }
+
+  _wsOnClose(e) {
+    // The socket closes after an error so the error is not replaced.
+    if (this._closed || this._errored || e.target !== this._ws) {
+      return;
+    }
+    this._errorCallback(
+      e.reason || "The connection to the debug log was closed."
+    );
+  }
+
+  _handleMessage(e) {
+    if (this._closed) {
+      return;
+    }
+    try {
+      const data = JSON.parse(e.data);
+      if (data["redirect-to"]) {
+        // This is a JAAS controller and we need to instead
+        // connect to the sub controller.
+        this._ws.close();
+        this.address = data["redirect-to"];
+        this.connect();
+        return;
+      }
+      if (data.error) {
+        this._errorCallback(data.error.message || data.error);
+        return;
+      }
+      if (!data.msg && !data.message) {
+        // This is the first message, an empty object when the stream was
+        // opened successfully.
+        return;
+      }
+      this._pushToMessageBuffer(data);
+    } catch (error) {
+      console.error("unable to parse the log message:", error);
+    }
+  }
+
+  _pushToMessageBuffer(record) {
+    this._messageBuffer.push(record);
+    if (this._messageBuffer.length > 1) {
+      // A callback has already been scheduled for this cycle.
+      return;
+    }
+    setTimeout(() => {
+      /*
+        The log can be streamed much faster than React wants to update the
+        component so the records are passed on once per cycle.
+      */
+      const records = this._messageBuffer;
+      this._messageBuffer = [];
+      if (!this._closed) {
+        this._messageCallback(records);
+      }
+    });
+  }
+}
+
+export default LogConnection;
@@ -1,12 +1,17 @@
 import configureStore from "redux-mock-store";
 import { Provider } from "react-redux";
 import { mount } from "enzyme";
-import { MemoryRouter, Route } from "react-router";
+import { act } from "react-dom/test-utils";
+import { MemoryRouter, Route, Router } from "react-router";
+import { createMemoryHistory } from "history";
+import cloneDeep from "clone-deep";
 import { QueryParamProvider } from "use-query-params";
 import dataDump from "testing/complete-redux-store-dump";
 
 import TestRoute from "components/Routes/TestRoute";
 
+import { saveApplicationPosition } from "juju/actions";
+
 import InfoPanel from "./InfoPanel";
 
 const mockStore = configureStore([]);
@@ -16,7 +21,47 @@ jest.mock("components/Topology/Topology", () => {
   return Topology;
 });
 
+const modelUUID = "57650e3c-815f-4540-89df-81fdfakeb7ef";
+
+function generateDataWithAccess(access) {
+  const data = cloneDeep(dataDump);
+  data.juju.modelData[modelUUID].info.users.find(
+    ({ user }) => user === "eggman@external"
+  ).access = access;
+  return data;
+}
+
+jest.mock("juju/actions", () => ({
+  saveApplicationPosition: jest.fn(),
+}));
+
 describe("Info Panel", () => {
+  beforeEach(() => {
+    window.localStorage.clear();
+  });
+
+  function generateExpandedComponent(data = dataDump) {
+    const store = mockStore(data);
+    const history = createMemoryHistory({
+      initialEntries: ["/models/user-eggman@external/group-test"],
+    });
+    const wrapper = mount(
+      <Provider store={store}>
+        <Router history={history}>
+          <QueryParamProvider ReactRouterRoute={Route}>
+            <TestRoute path="/models/:userName/:modelName?">
+              <InfoPanel />
+            </TestRoute>
+          </QueryParamProvider>
+        </Router>
+      </Provider>
+    );
+    wrapper
+      .find(".info-panel__pictogram .p-icon--fullscreen")
+      .simulate("click");
+    return { history, wrapper };
+  }
+
   it("renders the topology", () => {
     const store = mockStore(dataDump);
     const wrapper = mount(
@@ -56,4 +101,61 @@ describe("Info Panel", () => {
       .simulate("click");
     expect(wrapper.find("[data-test='topology-modal']").length).toBe(1);
   });
+
+  it("makes the expanded topology interactive", () => {
+    const { wrapper } = generateExpandedComponent();
+    expect(wrapper.find("Topology").prop("interactive")).toBe(true);
+  });
+
+  it("navigates to an application when it is clicked", () => {
+    const { history, wrapper } = generateExpandedComponent();
+    act(() => {
+      wrapper.find("Topology").prop("onApplicationClick")("cockroachdb");
+    });
+    expect(history.location.pathname).toBe(
+      "/models/user-eggman@external/group-test/app/cockroachdb"
+    );
+  });
+
+  it("allows applications to be moved by users with write access", () => {
+    const { wrapper } = generateExpandedComponent(
+      generateDataWithAccess("write")
+    );
+    saveApplicationPosition.mockReturnValue({ type: "SAVE_POSITION" });
+    const onApplicationMove = wrapper
+      .find("Topology")
+      .prop("onApplicationMove");
+    expect(onApplicationMove).toBeInstanceOf(Function);
+    onApplicationMove("cockroachdb", { x: 10, y: 20 });
+    expect(saveApplicationPosition).toHaveBeenCalledWith(
+      modelUUID,
+      "cockroachdb",
+      { x: 10, y: 20 }
+    );
+  });
+
+  it("does not allow read only users to move applications", () => {
+    const { wrapper } = generateExpandedComponent(
+      generateDataWithAccess("read")
+    );
+    expect(wrapper.find("Topology").prop("onApplicationMove")).toBeUndefined();
+  });
+
+  it("can switch the topology to the auto layout", () => {
+    const { wrapper } = generateExpandedComponent(
+      generateDataWithAccess("write")
+    );
+    expect(wrapper.find("Topology").prop("autoLayout")).toBe(false);
+    wrapper.find("button[value='auto layout']").simulate("click");
+    expect(wrapper.find("Topology").prop("autoLayout")).toBe(true);
+    // The automatic positions can't be saved.
+    expect(wrapper.find("Topology").prop("onApplicationMove")).toBeUndefined();
+  });
+
+  it("can export the expanded topology", () => {
+    const { wrapper } = generateExpandedComponent();
+    const topologyExport = wrapper.find("TopologyExport");
+    expect(topologyExport.prop("modelName")).toBe("group-test");
+    expect(topologyExport.prop("controllerName")).toBe("admin/jaas");
+  });
 });
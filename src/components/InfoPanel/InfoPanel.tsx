@@ -1,13 +1,23 @@
-import { useState } from "react";
-import { useParams } from "react-router-dom";
+import { useCallback, useMemo, useRef, useState } from "react";
+import { useDispatch, useSelector, useStore } from "react-redux";
+import { useHistory, useParams } from "react-router-dom";
 
+import ButtonGroup from "components/ButtonGroup/ButtonGroup";
 import Topology from "components/Topology/Topology";
+import TopologyExport from "components/TopologyExport/TopologyExport";
 import Modal from "@canonical/react-components/dist/components/Modal";
 
+import {
+  getModelControllerDataByUUID,
+  getModelDispatchOptions,
+} from "app/selectors";
 import { getViewportWidth } from "app/utils/utils";
+import { saveApplicationPosition } from "juju/actions";
 import useAnalytics from "hooks/useAnalytics";
 import useModelStatus from "hooks/useModelStatus";
+import useModelWriteAccess from "hooks/useModelWriteAccess";
 import useEventListener from "hooks/useEventListener";
+import useLocalStorage from "hooks/useLocalStorage";
 
 import type { TSFixMe } from "types";
 import type { EntityDetailsRoute } from "components/Routes/Routes";
@@ -34,13 +44,31 @@ const infoPanelDimensions = () => {
 };
 
 const InfoPanel = () => {
-  const { modelName } = useParams<EntityDetailsRoute>();
+  const { userName, modelName } = useParams<EntityDetailsRoute>();
+  const history = useHistory();
+  // The dispatch accepts options for the check-auth middleware. TSFixMe
+  const dispatch: TSFixMe = useDispatch();
+  const store = useStore();
 
   const [showExpandedTopology, setShowExpandedTopology] = useState(false);
+  const [topologyLayout, setTopologyLayout] = useLocalStorage(
+    "topologyLayout",
+    "saved positions"
+  );
+  const autoLayout = topologyLayout === "auto layout";
   const modelStatusData: TSFixMe = useModelStatus();
   const applicationsCount = Object.entries(
     modelStatusData.applications || {}
   ).length;
+  const modelUUID = modelStatusData?.uuid;
+  const { canWrite } = useModelWriteAccess(modelUUID);
+  const controllerUUID = modelStatusData?.info?.["controller-uuid"];
+  const getModelController: TSFixMe = useMemo(
+    () => getModelControllerDataByUUID(controllerUUID),
+    [controllerUUID]
+  );
+  const modelController: TSFixMe = useSelector(getModelController);
+  const expandedTopologyRef = useRef<HTMLDivElement>(null);
 
   const { width, height } = expandedTopologyDimensions();
   const topologySize = infoPanelDimensions();
@@ -64,6 +92,30 @@ const InfoPanel = () => {
     });
   };
 
+  // The handlers are memoised as the topology is updated when they change.
+  const handleApplicationClick = useCallback(
+    (appName: string) => {
+      setShowExpandedTopology(false);
+      history.push(`/models/${userName}/${modelName}/app/${appName}`);
+    },
+    [history, modelName, userName]
+  );
+
+  const handleApplicationMove = useCallback(
+    (appName: string, position: { x: number; y: number }) => {
+      sendAnalytics({
+        path: undefined,
+        category: "User",
+        action: "Moved application in topology",
+      });
+      return dispatch(
+        saveApplicationPosition(modelUUID, appName, position),
+        getModelDispatchOptions(modelUUID, store.getState())
+      );
+    },
+    [dispatch, modelUUID, sendAnalytics, store]
+  );
+
   return (
     <div className="info-panel">
       {showExpandedTopology ? (
@@ -72,7 +124,36 @@ const InfoPanel = () => {
           title={modelName?.split("/")[1] || modelName}
           data-test="topology-modal"
         >
-          <Topology width={width} height={height} modelData={modelStatusData} />
+          <ButtonGroup
+            buttons={["saved positions", "auto layout"]}
+            label="Layout:"
+            activeButton={topologyLayout}
+            setActiveButton={setTopologyLayout}
+          />
+          <TopologyExport
+            getTopology={() =>
+              expandedTopologyRef.current?.querySelector("svg")
+            }
+            modelName={modelStatusData?.model?.name || modelName}
+            controllerName={modelController?.path || controllerUUID}
+          />
+          <div ref={expandedTopologyRef}>
+            <Topology
+              width={width}
+              height={height}
+              modelData={modelStatusData}
+              interactive
+              autoLayout={autoLayout}
+              onApplicationClick={
+                modelName !== undefined ? handleApplicationClick : undefined
+              }
+              // The automatic positions are not saved so applications can only
+              // be moved when showing the saved positions.
+              onApplicationMove={
+                canWrite && !autoLayout ? handleApplicationMove : undefined
+              }
+            />
+          </div>
         </Modal>
       ) : (
         <>
@@ -82,6 +163,10 @@ const InfoPanel = () => {
                 width={topologySize}
                 height={topologySize}
                 modelData={modelStatusData}
+                autoLayout={autoLayout}
+                onApplicationClick={
+                  modelName !== undefined ? handleApplicationClick : undefined
+                }
                 data-test="topology"
               />
               {modelName !== undefined && (
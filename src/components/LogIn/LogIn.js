@@ -6,6 +6,7 @@ import {
   getConfig,
   getLoginError,
   getControllerConnections,
+  getSnapshotSavedAt,
   getWSControllerURL,
 } from "app/selectors";
 import { connectAndStartPolling, storeUserPass } from "app/actions";
@@ -14,6 +15,8 @@ import Spinner from "@canonical/react-components/dist/components/Spinner";
 
 import FadeUpIn from "animations/FadeUpIn";
 
+import useOffline from "hooks/useOffline";
+
 import logo from "static/images/logo/logo-black-on-white.svg";
 
 import "./_login.scss";
@@ -32,10 +35,14 @@ export default function LogIn({ children }) {
   );
 
   const loginError = useSelector(getLoginError);
+  // The stored model data can be browsed without logging in while offline.
+  const isOffline = useOffline();
+  const snapshotSavedAt = useSelector(getSnapshotSavedAt);
+  const displayLogin = !userIsLoggedIn && !(isOffline && snapshotSavedAt);
 
   return (
     <>
-      {!userIsLoggedIn && (
+      {displayLogin && (
         <div className="login">
           <FadeUpIn isActive={!userIsLoggedIn}>
             <div className="login__inner p-card--highlighted">
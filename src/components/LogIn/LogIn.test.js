@@ -1,6 +1,7 @@
 import configureStore from "redux-mock-store";
 import { Provider } from "react-redux";
 import { mount } from "enzyme";
+import { act } from "react-dom/test-utils";
 
 import LogIn from "./LogIn";
 
@@ -85,4 +86,27 @@ describe("LogIn", () => {
       "Invalid user name"
     );
   });
+
+  it("does not require logging in to browse stored data while offline", () => {
+    const store = mockStore({
+      root: {
+        config: {
+          identityProviderAvailable: false,
+        },
+      },
+      juju: { snapshotSavedAt: 1000 },
+    });
+    const wrapper = mount(
+      <Provider store={store}>
+        <LogIn>App content</LogIn>
+      </Provider>
+    );
+    expect(wrapper.find(".login").exists()).toBe(true);
+    act(() => {
+      window.dispatchEvent(new Event("offline"));
+    });
+    wrapper.update();
+    expect(wrapper.find(".login").exists()).toBe(false);
+    expect(wrapper.find("LogIn .app-content").text()).toBe("App content");
+  });
 });
@@ -0,0 +1,19 @@
+import { useSelector } from "react-redux";
+
+import { getGroupedByCharmAndFilteredModelData } from "app/selectors";
+
+import GroupTables from "./GroupTables";
+
+export default function CharmGroup({ filters, sortProps }) {
+  const groupedAndFilteredData = useSelector(
+    getGroupedByCharmAndFilteredModelData(filters)
+  );
+  return (
+    <GroupTables
+      groupedModels={groupedAndFilteredData}
+      groupedBy="charm"
+      className="charm-group"
+      sortProps={sortProps}
+    />
+  );
+}
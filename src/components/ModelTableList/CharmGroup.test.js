@@ -0,0 +1,49 @@
+import { MemoryRouter, Route } from "react-router";
+import { mount } from "enzyme";
+import { Provider } from "react-redux";
+import configureStore from "redux-mock-store";
+import { QueryParamProvider } from "use-query-params";
+
+import CharmGroup from "./CharmGroup";
+
+import dataDump from "../../testing/complete-redux-store-dump";
+
+const mockStore = configureStore([]);
+
+describe("CharmGroup", () => {
+  const renderComponent = (filters) =>
+    mount(
+      <MemoryRouter>
+        <Provider store={mockStore(dataDump)}>
+          <QueryParamProvider ReactRouterRoute={Route}>
+            <CharmGroup filters={filters} />
+          </QueryParamProvider>
+        </Provider>
+      </MemoryRouter>
+    );
+
+  it("displays model data grouped by charm from the redux store", () => {
+    const wrapper = renderComponent();
+    const tables = wrapper.find("MainTable");
+    expect(tables.length).toBe(31);
+    const easyrsa = tables.filterWhere((table) => table.key() === "easyrsa");
+    expect(easyrsa.prop("rows").length).toBe(5);
+  });
+
+  it("includes a model in the group for each of its charms", () => {
+    const wrapper = renderComponent({
+      custom: ["name:hadoopspark"],
+    });
+    const tables = wrapper.find("MainTable");
+    expect(tables.length).toBeGreaterThan(1);
+    tables.forEach((table) => {
+      expect(table.prop("rows").length).toBe(1);
+    });
+    expect(tables.map((table) => table.key())).toContain("spark");
+  });
+
+  it("fetches filtered data if filters supplied", () => {
+    const wrapper = renderComponent({ cloud: ["aws"] });
+    expect(wrapper.find("tbody TableRow").length).toBe(3);
+  });
+});
@@ -63,7 +63,7 @@ function generateCloudTableHeaders(cloud, count) {
   ];
 }
 
-export default function CloudGroup({ filters }) {
+export default function CloudGroup({ filters, sortProps }) {
   const activeUser = useActiveUser();
 
   const groupedAndFilteredData = useSelector(
@@ -172,6 +172,7 @@ export default function CloudGroup({ filters }) {
         headers={generateCloudTableHeaders(cloud, cloudModels.rows.length)}
         rows={cloudModels.rows}
         sortable
+        {...sortProps}
       />
     );
   }
@@ -0,0 +1,19 @@
+import { useSelector } from "react-redux";
+
+import { getGroupedByControllerAndFilteredModelData } from "app/selectors";
+
+import GroupTables from "./GroupTables";
+
+export default function ControllerGroup({ filters, sortProps }) {
+  const groupedAndFilteredData = useSelector(
+    getGroupedByControllerAndFilteredModelData(filters)
+  );
+  return (
+    <GroupTables
+      groupedModels={groupedAndFilteredData}
+      groupedBy="controller"
+      className="controller-group"
+      sortProps={sortProps}
+    />
+  );
+}
@@ -0,0 +1,58 @@
+import { MemoryRouter, Route } from "react-router";
+import { mount } from "enzyme";
+import { Provider } from "react-redux";
+import configureStore from "redux-mock-store";
+import { QueryParamProvider } from "use-query-params";
+import cloneDeep from "clone-deep";
+
+import ControllerGroup from "./ControllerGroup";
+
+import dataDump from "../../testing/complete-redux-store-dump";
+
+const mockStore = configureStore([]);
+
+describe("ControllerGroup", () => {
+  const renderComponent = (filters, state = dataDump) =>
+    mount(
+      <MemoryRouter>
+        <Provider store={mockStore(state)}>
+          <QueryParamProvider ReactRouterRoute={Route}>
+            <ControllerGroup filters={filters} />
+          </QueryParamProvider>
+        </Provider>
+      </MemoryRouter>
+    );
+
+  it("displays model data grouped by controller from the redux store", () => {
+    const wrapper = renderComponent();
+    const tables = wrapper.find("MainTable");
+    expect(tables.length).toBe(1);
+    expect(tables.at(0).key()).toBe("JAAS");
+    expect(tables.at(0).prop("rows").length).toBe(16);
+  });
+
+  it("groups models by the controller path", () => {
+    const state = cloneDeep(dataDump);
+    state.juju.modelData["2f995dee-392e-4459-8eb9-839c5fake0af"].info[
+      "controller-uuid"
+    ] = "086f0bf8-da79-4ad4-8d73-890721332c8b";
+    const wrapper = renderComponent(undefined, state);
+    const tables = wrapper.find("MainTable");
+    expect(tables.map((table) => table.key())).toStrictEqual([
+      "admins/1-eu-west-1-aws-jaas",
+      "JAAS",
+    ]);
+    expect(tables.at(0).prop("rows").length).toBe(1);
+    expect(
+      tables
+        .at(0)
+        .find("th")
+        .map((header) => header.text())
+    ).not.toContain("Controller");
+  });
+
+  it("fetches filtered data if filters supplied", () => {
+    const wrapper = renderComponent({ cloud: ["aws"] });
+    expect(wrapper.find("tbody TableRow").length).toBe(3);
+  });
+});
@@ -0,0 +1,202 @@
+import MainTable from "@canonical/react-components/dist/components/MainTable";
+import { useQueryParams, StringParam, withDefault } from "use-query-params";
+import useActiveUser from "hooks/useActiveUser";
+
+import {
+  generateStatusElement,
+  getModelStatusGroupData,
+  canAdministerModelAccess,
+  extractOwnerName,
+} from "app/utils/utils";
+
+import {
+  generateModelDetailsLink,
+  getStatusValue,
+  generateCloudCell,
+  generateCloudAndRegion,
+  generateAccessButton,
+} from "./shared";
+
+// The columns that can be displayed, a column is hidden when the models are
+// grouped by that column's attribute.
+const columns = [
+  { key: "status", label: "Status", className: "u-capitalise" },
+  { key: "owner", label: "Owner" },
+  { key: "cloud", label: "Cloud/Region", className: "u-truncate" },
+  { key: "controller", label: "Controller" },
+  { key: "version", label: "Version" },
+];
+
+/**
+  Returns the columns to display for the grouping.
+  @param {String} groupedBy The attribute the models are grouped by.
+  @returns {Array} The columns to display.
+*/
+const getColumns = (groupedBy) =>
+  columns.filter(({ key }) => key !== groupedBy);
+
+/**
+  Generates the table headers for a group of models.
+  @param {String} title The title of the table.
+  @param {Number} count The number of models in the group.
+  @param {String} groupedBy The attribute the models are grouped by.
+  @returns {Array} The headers for the table.
+*/
+function generateGroupTableHeaders(title, count, groupedBy) {
+  return [
+    {
+      content: generateStatusElement(title, count, false),
+      sortKey: "name",
+    },
+    { content: "", sortKey: "summary" }, // The unit/machines/apps counts
+    ...getColumns(groupedBy).map(({ key, label }) => ({
+      content: label,
+      sortKey: key,
+    })),
+    {
+      content: "Last Updated",
+      sortKey: "lastUpdated",
+      className: "u-align--right",
+    },
+    {
+      content: "",
+      sortKey: "",
+      className: "sm-screen-access-header",
+    },
+  ];
+}
+
+/**
+  Generates the table rows for a group of models.
+  @param {Array} models The models in the group.
+  @param {String} groupedBy The attribute the models are grouped by.
+  @param {String} activeUser The name of the logged in user.
+  @param {Function} setPanelQs A function to set the panel query strings.
+  @returns {Array} The rows for the table.
+*/
+function generateGroupTableRows(models, groupedBy, activeUser, setPanelQs) {
+  return models.map((model) => {
+    const { highestStatus } = getModelStatusGroupData(model);
+    const canAdminister = canAdministerModelAccess(
+      activeUser,
+      model?.info?.users
+    );
+    const lastUpdated = getStatusValue(model.info, "status.since")?.slice(2);
+    const values = {
+      status: {
+        content: generateStatusElement(highestStatus),
+        sortData: highestStatus,
+      },
+      owner: {
+        content: extractOwnerName(model.info["owner-tag"]),
+      },
+      cloud: {
+        content: generateCloudCell(model),
+        sortData: generateCloudAndRegion(model),
+        title: generateCloudAndRegion(model),
+      },
+      controller: {
+        content: getStatusValue(model.info, "controllerName"),
+      },
+      version: {
+        content: model.info["agent-version"],
+      },
+    };
+    const sortData = {
+      name: model.info.name,
+      lastUpdated,
+    };
+    const valueColumns = getColumns(groupedBy).map(({ key, className }) => {
+      const { content, sortData: sortValue, title } = values[key];
+      sortData[key] = sortValue ?? content;
+      return {
+        "data-test-column": key,
+        content,
+        className,
+        title,
+      };
+    });
+    return {
+      "data-test-model-uuid": model?.uuid,
+      columns: [
+        {
+          "data-test-column": "name",
+          content: generateModelDetailsLink(
+            model.info.name,
+            model.info["owner-tag"],
+            model.info.name
+          ),
+        },
+        {
+          "data-test-column": "summary",
+          content: getStatusValue(model, "summary"),
+          className: "u-overflow--visible",
+        },
+        ...valueColumns,
+        {
+          "data-test-column": "updated",
+          content: (
+            <>
+              {canAdminister &&
+                generateAccessButton(setPanelQs, model.info.name)}
+              <span className="model-access-alt">{lastUpdated}</span>
+            </>
+          ),
+          className: `u-align--right lrg-screen-access-cell ${
+            canAdminister ? "has-permission" : ""
+          }`,
+        },
+        {
+          content: (
+            <>
+              {canAdminister &&
+                generateAccessButton(setPanelQs, model.info.name)}
+            </>
+          ),
+          className: "sm-screen-access-cell",
+        },
+      ],
+      sortData,
+    };
+  });
+}
+
+/**
+  Displays a table for each group of models.
+  @param {Object} groupedModels The models in the format {group: [models]}.
+  @param {String} groupedBy The attribute the models are grouped by.
+  @param {String} className The class name for the wrapping element.
+  @param {Object} sortProps The props to control the table sorting.
+*/
+export default function GroupTables({
+  groupedModels,
+  groupedBy,
+  className,
+  sortProps,
+}) {
+  const activeUser = useActiveUser();
+  const setPanelQs = useQueryParams({
+    model: StringParam,
+    panel: withDefault(StringParam, "share-model"),
+  })[1];
+
+  return (
+    <div className={`${className} u-overflow--scroll`}>
+      {Object.entries(groupedModels).map(([group, models]) => (
+        <MainTable
+          key={group}
+          headers={generateGroupTableHeaders(group, models.length, groupedBy)}
+          rows={generateGroupTableRows(
+            models,
+            groupedBy,
+            activeUser,
+            setPanelQs
+          )}
+          sortable
+          {...sortProps}
+          className="p-main-table"
+        />
+      ))}
+    </div>
+  );
+}
@@ -1,17 +1,31 @@
 import StatusGroup from "./StatusGroup";
 import CloudGroup from "./CloudGroup";
 import OwnerGroup from "./OwnerGroup";
+import ControllerGroup from "./ControllerGroup";
+import RegionGroup from "./RegionGroup";
+import CharmGroup from "./CharmGroup";
+import VersionGroup from "./VersionGroup";
+import { generateSortProps } from "./shared";
 
 import "./_model-table-list.scss";
 
-export default function ModelTableList({ filters, groupedBy }) {
+export default function ModelTableList({ filters, groupedBy, sort, setSort }) {
+  const sortProps = generateSortProps(sort, setSort);
   switch (groupedBy) {
     case "status":
     default:
-      return <StatusGroup filters={filters} />;
+      return <StatusGroup filters={filters} sortProps={sortProps} />;
     case "cloud":
-      return <CloudGroup filters={filters} />;
+      return <CloudGroup filters={filters} sortProps={sortProps} />;
     case "owner":
-      return <OwnerGroup filters={filters} />;
+      return <OwnerGroup filters={filters} sortProps={sortProps} />;
+    case "controller":
+      return <ControllerGroup filters={filters} sortProps={sortProps} />;
+    case "region":
+      return <RegionGroup filters={filters} sortProps={sortProps} />;
+    case "charm":
+      return <CharmGroup filters={filters} sortProps={sortProps} />;
+    case "version":
+      return <VersionGroup filters={filters} sortProps={sortProps} />;
   }
 }
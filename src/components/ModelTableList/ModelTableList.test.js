@@ -34,6 +34,10 @@ describe("ModelTableList", () => {
       ["status", "StatusGroup"],
       ["owner", "OwnerGroup"],
       ["cloud", "CloudGroup"],
+      ["controller", "ControllerGroup"],
+      ["region", "RegionGroup"],
+      ["charm", "CharmGroup"],
+      ["version", "VersionGroup"],
     ];
     tables.forEach((table) => {
       const wrapper = mount(
@@ -63,7 +63,7 @@ function generateOwnerTableHeaders(owner, count) {
   ];
 }
 
-export default function OwnerGroup({ filters }) {
+export default function OwnerGroup({ filters, sortProps }) {
   const groupedAndFilteredData = useSelector(
     getGroupedByOwnerAndFilteredModelData(filters)
   );
@@ -165,6 +165,7 @@ export default function OwnerGroup({ filters }) {
         headers={generateOwnerTableHeaders(owner, ownerModels.rows.length)}
         rows={ownerModels.rows}
         sortable
+        {...sortProps}
         className="p-main-table"
       />
     );
@@ -0,0 +1,19 @@
+import { useSelector } from "react-redux";
+
+import { getGroupedByRegionAndFilteredModelData } from "app/selectors";
+
+import GroupTables from "./GroupTables";
+
+export default function RegionGroup({ filters, sortProps }) {
+  const groupedAndFilteredData = useSelector(
+    getGroupedByRegionAndFilteredModelData(filters)
+  );
+  return (
+    <GroupTables
+      groupedModels={groupedAndFilteredData}
+      groupedBy="cloud"
+      className="region-group"
+      sortProps={sortProps}
+    />
+  );
+}
@@ -0,0 +1,49 @@
+import { MemoryRouter, Route } from "react-router";
+import { mount } from "enzyme";
+import { Provider } from "react-redux";
+import configureStore from "redux-mock-store";
+import { QueryParamProvider } from "use-query-params";
+
+import RegionGroup from "./RegionGroup";
+
+import dataDump from "../../testing/complete-redux-store-dump";
+
+const mockStore = configureStore([]);
+
+describe("RegionGroup", () => {
+  const renderComponent = (filters) =>
+    mount(
+      <MemoryRouter>
+        <Provider store={mockStore(dataDump)}>
+          <QueryParamProvider ReactRouterRoute={Route}>
+            <RegionGroup filters={filters} />
+          </QueryParamProvider>
+        </Provider>
+      </MemoryRouter>
+    );
+
+  it("displays model data grouped by cloud region from the redux store", () => {
+    const wrapper = renderComponent();
+    const tables = wrapper.find("MainTable");
+    expect(
+      tables.map((table) => [table.key(), table.prop("rows").length])
+    ).toStrictEqual([
+      ["aws/eu-west-1", 2],
+      ["aws/us-east-1", 1],
+      ["google/europe-west1", 1],
+      ["google/us-central1", 7],
+      ["google/us-east1", 5],
+    ]);
+    expect(
+      tables
+        .at(0)
+        .find("th")
+        .map((header) => header.text())
+    ).not.toContain("Cloud/Region");
+  });
+
+  it("fetches filtered data if filters supplied", () => {
+    const wrapper = renderComponent({ cloud: ["aws"] });
+    expect(wrapper.find("tbody TableRow").length).toBe(3);
+  });
+});
@@ -188,7 +188,7 @@ function generateModelTableDataByStatus(groupedModels, setPanelQs, activeUser) {
   return modelData;
 }
 
-export default function StatusGroup({ filters }) {
+export default function StatusGroup({ filters, sortProps }) {
   const groupedAndFilteredData = useSelector(
     getGroupedByStatusAndFilteredModelData(filters)
   );
@@ -214,6 +214,7 @@ export default function StatusGroup({ filters }) {
           headers={generateStatusTableHeaders("Blocked", blockedRows.length)}
           rows={blockedRows}
           sortable
+          {...sortProps}
           emptyStateMsg={emptyStateMsg}
           className="p-main-table"
         />
@@ -223,6 +224,7 @@ export default function StatusGroup({ filters }) {
           headers={generateStatusTableHeaders("Alert", alertRows.length)}
           rows={alertRows}
           sortable
+          {...sortProps}
           emptyStateMsg={emptyStateMsg}
           className="p-main-table"
         />
@@ -232,6 +234,7 @@ export default function StatusGroup({ filters }) {
           headers={generateStatusTableHeaders("Running", runningRows.length)}
           rows={runningRows}
           sortable
+          {...sortProps}
           emptyStateMsg={emptyStateMsg}
           className="p-main-table"
         />
@@ -0,0 +1,19 @@
+import { useSelector } from "react-redux";
+
+import { getGroupedByAgentVersionAndFilteredModelData } from "app/selectors";
+
+import GroupTables from "./GroupTables";
+
+export default function VersionGroup({ filters, sortProps }) {
+  const groupedAndFilteredData = useSelector(
+    getGroupedByAgentVersionAndFilteredModelData(filters)
+  );
+  return (
+    <GroupTables
+      groupedModels={groupedAndFilteredData}
+      groupedBy="version"
+      className="version-group"
+      sortProps={sortProps}
+    />
+  );
+}
@@ -0,0 +1,51 @@
+import { MemoryRouter, Route } from "react-router";
+import { mount } from "enzyme";
+import { Provider } from "react-redux";
+import configureStore from "redux-mock-store";
+import { QueryParamProvider } from "use-query-params";
+
+import VersionGroup from "./VersionGroup";
+
+import dataDump from "../../testing/complete-redux-store-dump";
+
+const mockStore = configureStore([]);
+
+describe("VersionGroup", () => {
+  const renderComponent = (filters) =>
+    mount(
+      <MemoryRouter>
+        <Provider store={mockStore(dataDump)}>
+          <QueryParamProvider ReactRouterRoute={Route}>
+            <VersionGroup filters={filters} />
+          </QueryParamProvider>
+        </Provider>
+      </MemoryRouter>
+    );
+
+  it("displays model data grouped by agent version from the redux store", () => {
+    const wrapper = renderComponent();
+    const tables = wrapper.find("MainTable");
+    expect(
+      tables.map((table) => [table.key(), table.prop("rows").length])
+    ).toStrictEqual([
+      ["2.2.6", 1],
+      ["2.3.8", 2],
+      ["2.4.3", 1],
+      ["2.4.5", 1],
+      ["2.5.4", 1],
+      ["2.6.10", 1],
+      ["2.8.3", 9],
+    ]);
+    expect(
+      tables
+        .at(0)
+        .find("th")
+        .map((header) => header.text())
+    ).not.toContain("Version");
+  });
+
+  it("fetches filtered data if filters supplied", () => {
+    const wrapper = renderComponent({ cloud: ["aws"] });
+    expect(wrapper.find("tbody TableRow").length).toBe(3);
+  });
+});
@@ -229,3 +229,32 @@ export function generateAccessButton(setPanelQs, modelName) {
     </button>
   );
 }
+
+/**
+  Generates the props to control the sorting of the model tables so that the
+  sort can be stored outside of the tables.
+  @param {Object} sort The current sort in the format {key, direction}.
+  @param {Function} setSort The function to call with the updated sort.
+  @returns {Object} The props for the MainTable.
+*/
+export function generateSortProps(sort, setSort) {
+  if (!setSort) {
+    return {};
+  }
+  return {
+    defaultSort: sort?.key || undefined,
+    defaultSortDirection: sort?.direction || undefined,
+    onUpdateSort: (key) => {
+      // The table cycles from ascending to descending to no sort, but only
+      // provides the new key.
+      let direction = null;
+      if (key) {
+        direction =
+          key === sort?.key && sort?.direction === "ascending"
+            ? "descending"
+            : "ascending";
+      }
+      setSort({ key: key || null, direction });
+    },
+  };
+}
@@ -0,0 +1,21 @@
+import { shallow } from "enzyme";
+
+import { FacadeNotSupportedError } from "juju/facade-versions";
+
+import NotSupported, { isNotSupportedError } from "./NotSupported";
+
+describe("NotSupported", () => {
+  it("displays the unsupported feature", () => {
+    const wrapper = shallow(<NotSupported feature="Running actions" />);
+    expect(wrapper.find(".p-notification__response").text()).toBe(
+      "Not supported:Running actions is not supported on this controller."
+    );
+  });
+
+  it("can identify unsupported facade errors", () => {
+    expect(
+      isNotSupportedError(new FacadeNotSupportedError("action", "2.8.1"))
+    ).toBe(true);
+    expect(isNotSupportedError("timeout")).toBe(false);
+  });
+});
@@ -0,0 +1,25 @@
+import { FacadeNotSupportedError } from "juju/facade-versions";
+
+type Props = {
+  feature: string;
+};
+
+/**
+  Returns whether the error was caused by the controller not supporting a
+  facade that the request needed.
+  @param error The error returned by the request.
+  @returns Whether the error was caused by a facade not being supported.
+*/
+export const isNotSupportedError = (error: unknown): boolean =>
+  error instanceof FacadeNotSupportedError;
+
+export default function NotSupported({ feature }: Props): JSX.Element {
+  return (
+    <div className="p-notification--caution" data-test="not-supported">
+      <p className="p-notification__response">
+        <span className="p-notification__status">Not supported:</span>
+        {feature} is not supported on this controller.
+      </p>
+    </div>
+  );
+}
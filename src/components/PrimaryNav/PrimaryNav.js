@@ -1,11 +1,17 @@
 import { useSelector } from "react-redux";
 import { NavLink } from "react-router-dom";
 
-import { getGroupedModelStatusCounts, getAppVersion } from "app/selectors";
+import {
+  getGroupedModelStatusCounts,
+  getAppVersion,
+  isJIMMAdmin,
+} from "app/selectors";
 
 import Logo from "components/Logo/Logo";
 import UserMenu from "components/UserMenu/UserMenu";
 
+import useSavedViews, { generateViewPath } from "hooks/useSavedViews";
+
 // Style imports
 import "./_primary-nav.scss";
 
@@ -20,11 +26,29 @@ const pages = [
     path: "/controllers",
     icon: "controllers",
   },
+  {
+    label: "Charms",
+    path: "/charms",
+    icon: "applications",
+  },
+  {
+    label: "Cross-model relations",
+    path: "/cross-model-relations",
+    icon: "connected",
+  },
+  {
+    label: "Audit logs",
+    path: "/audit",
+    icon: "revisions",
+    adminOnly: true,
+  },
 ];
 
 const PrimaryNav = () => {
   const { blocked } = useSelector(getGroupedModelStatusCounts);
   const appVersion = useSelector(getAppVersion);
+  const isAdmin = useSelector(isJIMMAdmin);
+  const [savedViews] = useSavedViews();
 
   return (
     <nav className="p-primary-nav">
@@ -33,29 +57,56 @@ const PrimaryNav = () => {
       </div>
 
       <ul className="p-list is-internal">
-        {pages.map((navItem) => (
-          <li key={navItem.path} className="p-list__item">
-            <NavLink
-              className="p-list__link"
-              isActive={(match) => {
-                if (match && match.url.includes(navItem.path)) {
-                  return true;
-                }
-              }}
-              to={navItem.path}
-              activeClassName="is-selected"
-            >
-              <i className={`p-icon--${navItem.icon} is-light`}></i>
-              {navItem.label}
-              {navItem.label === "Models" && blocked > 0 ? (
-                <span className="entity-count">{blocked}</span>
-              ) : (
-                ""
-              )}
-            </NavLink>
-          </li>
-        ))}
+        {pages
+          .filter(({ adminOnly }) => isAdmin || !adminOnly)
+          .map((navItem) => (
+            <li key={navItem.path} className="p-list__item">
+              <NavLink
+                className="p-list__link"
+                isActive={(match) => {
+                  if (match && match.url.includes(navItem.path)) {
+                    return true;
+                  }
+                }}
+                to={navItem.path}
+                activeClassName="is-selected"
+              >
+                <i className={`p-icon--${navItem.icon} is-light`}></i>
+                {navItem.label}
+                {navItem.label === "Models" && blocked > 0 ? (
+                  <span className="entity-count">{blocked}</span>
+                ) : (
+                  ""
+                )}
+              </NavLink>
+            </li>
+          ))}
       </ul>
+      {savedViews.length ? (
+        <>
+          <hr className="p-primary-nav__divider" />
+          <h3 className="p-primary-nav__heading">Saved views</h3>
+          <ul className="p-list is-internal p-primary-nav__saved-views">
+            {savedViews.map((view) => {
+              const path = generateViewPath(view);
+              return (
+                <li key={view.name} className="p-list__item">
+                  <NavLink
+                    className="p-list__link"
+                    isActive={(match, location) =>
+                      `${location.pathname}${location.search}` === path
+                    }
+                    to={path}
+                    activeClassName="is-selected"
+                  >
+                    {view.name}
+                  </NavLink>
+                </li>
+              );
+            })}
+          </ul>
+        </>
+      ) : null}
       <hr className="p-primary-nav__divider" />
       <div className="p-primary-nav__bottom">
         <ul className="p-list">
@@ -72,4 +72,60 @@ describe("Primary Nav", () => {
     );
     expect(wrapper.find(".version").text()).toBe("Version 0.4.0");
   });
+
+  it("hides the audit logs link from non JIMM admins", () => {
+    const store = mockStore(dataDump);
+    const wrapper = mount(
+      <Provider store={store}>
+        <MemoryRouter initialEntries={["/"]}>
+          <PrimaryNav />
+        </MemoryRouter>
+      </Provider>
+    );
+    expect(wrapper.find("a[href='/audit']").exists()).toBe(false);
+  });
+
+  it("displays the audit logs link to JIMM admins", () => {
+    const clonedDump = cloneDeep(dataDump);
+    const conn =
+      clonedDump.root.controllerConnections["wss://jimm.jujucharms.com/api"];
+    conn.info.user["controller-access"] = "superuser";
+    conn.facades = { jimM: { version: 3 } };
+    const store = mockStore(clonedDump);
+    const wrapper = mount(
+      <Provider store={store}>
+        <MemoryRouter initialEntries={["/"]}>
+          <PrimaryNav />
+        </MemoryRouter>
+      </Provider>
+    );
+    expect(wrapper.find("a[href='/audit']").text()).toBe("Audit logs");
+  });
+
+  it("displays the saved views", () => {
+    window.localStorage.setItem(
+      "savedModelViews",
+      JSON.stringify([
+        { name: "Blocked", groupedBy: "status", filters: {} },
+        { name: "By cloud", groupedBy: "cloud", filters: { cloud: ["aws"] } },
+      ])
+    );
+    const store = mockStore(dataDump);
+    const wrapper = mount(
+      <Provider store={store}>
+        <MemoryRouter initialEntries={["/models?groupedby=cloud&cloud=aws"]}>
+          <PrimaryNav />
+        </MemoryRouter>
+      </Provider>
+    );
+    const links = wrapper.find(".p-primary-nav__saved-views a");
+    expect(links.map((link) => link.text())).toStrictEqual([
+      "Blocked",
+      "By cloud",
+    ]);
+    expect(links.at(1).prop("href")).toBe("/models?groupedby=cloud&cloud=aws");
+    expect(links.at(1).hasClass("is-selected")).toBe(true);
+    expect(links.at(0).hasClass("is-selected")).toBe(false);
+    window.localStorage.removeItem("savedModelViews");
+  });
 });
@@ -5,6 +5,8 @@ import Login from "components/LogIn/LogIn";
 
 import ControllersIndex from "pages/ControllersIndex/ControllersIndex";
 import ModelsIndex from "pages/ModelsIndex/ModelsIndex";
+import CharmsIndex from "pages/CharmsIndex/CharmsIndex";
+import CrossModelRelations from "pages/CrossModelRelations/CrossModelRelations";
 
 // Entity Detail pages
 import Model from "pages/EntityDetails/Model/Model";
@@ -13,6 +15,7 @@ import Unit from "pages/EntityDetails/Unit/Unit";
 import Machine from "pages/EntityDetails/Machine/Machine";
 
 import Settings from "pages/Settings/Settings";
+import AuditLogs from "pages/AuditLogs/AuditLogs";
 
 // Error pages
 import PageNotFound from "pages/PageNotFound/PageNotFound";
@@ -46,7 +49,10 @@ export const paths: Paths = {
   },
   "/models/:userName/:modelName?/machine/:machineId?": { component: Machine },
   "/controllers": { component: ControllersIndex },
+  "/charms": { component: CharmsIndex },
+  "/cross-model-relations": { component: CrossModelRelations },
   "/settings": { component: Settings },
+  "/audit": { component: AuditLogs },
 };
 
 export function Routes() {
@@ -0,0 +1,132 @@
+import { useState } from "react";
+import { Link } from "react-router-dom";
+
+import useSavedViews, {
+  generateViewPath,
+  mergeSavedViews,
+  parseSavedViews,
+} from "hooks/useSavedViews";
+
+import "./_saved-views.scss";
+
+/**
+  Reads the contents of a file.
+  @param {File} file The file to read.
+  @returns {Promise} A promise that resolves with the file contents.
+*/
+const readFile = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+
+export default function SavedViews({ view }) {
+  const [views, setViews] = useSavedViews();
+  const [name, setName] = useState("");
+  const [error, setError] = useState(null);
+
+  const saveView = (e) => {
+    e.preventDefault();
+    const viewName = name.trim();
+    if (!viewName) {
+      return;
+    }
+    setViews(mergeSavedViews(views, [{ ...view, name: viewName }]));
+    setName("");
+  };
+
+  const exportViews = () => {
+    const blob = new Blob([JSON.stringify(views, null, 2)], {
+      type: "application/json",
+    });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "model-views.json";
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const importViews = async (e) => {
+    const file = e.target.files?.[0];
+    // Reset the input so that the same file can be imported again.
+    e.target.value = "";
+    if (!file) {
+      return;
+    }
+    try {
+      setViews(mergeSavedViews(views, parseSavedViews(await readFile(file))));
+      setError(null);
+    } catch (error) {
+      setError(error);
+    }
+  };
+
+  return (
+    <div className="saved-views">
+      <form className="saved-views__form" onSubmit={saveView}>
+        <label className="saved-views__name">
+          View name
+          <input
+            type="text"
+            name="name"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+          />
+        </label>
+        <button
+          className="p-button--positive"
+          type="submit"
+          disabled={!name.trim()}
+        >
+          Save view
+        </button>
+        <button
+          className="p-button--neutral"
+          type="button"
+          disabled={!views.length}
+          onClick={exportViews}
+        >
+          Export views
+        </button>
+        <label className="p-button--neutral saved-views__import">
+          Import views
+          <input
+            className="u-off-screen"
+            type="file"
+            accept="application/json,.json"
+            onChange={importViews}
+          />
+        </label>
+      </form>
+      {error ? (
+        <div className="p-notification--negative">
+          <p className="p-notification__response">
+            <span className="p-notification__status">Error:</span>
+            {error.message}
+          </p>
+        </div>
+      ) : null}
+      {views.length ? (
+        <ul className="p-inline-list saved-views__list">
+          {views.map((savedView) => (
+            <li className="p-inline-list__item" key={savedView.name}>
+              <Link to={generateViewPath(savedView)}>{savedView.name}</Link>
+              <button
+                className="p-button--base is-dense saved-views__remove"
+                aria-label={`Remove ${savedView.name}`}
+                onClick={() =>
+                  setViews(views.filter(({ name }) => name !== savedView.name))
+                }
+              >
+                <i className="p-icon--close"></i>
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : null}
+    </div>
+  );
+}
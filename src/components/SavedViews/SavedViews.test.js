@@ -0,0 +1,148 @@
+import { mount } from "enzyme";
+import { act } from "react-dom/test-utils";
+import { MemoryRouter } from "react-router";
+
+import { waitForComponentToPaint } from "testing/utils";
+
+import { generateViewPath, parseSavedViews } from "hooks/useSavedViews";
+
+import SavedViews from "./SavedViews";
+
+const view = {
+  groupedBy: "cloud",
+  filters: { cloud: ["aws"], custom: ["status:blocked"] },
+  sort: { key: "name", direction: "descending" },
+};
+
+const getStoredViews = () =>
+  JSON.parse(window.localStorage.getItem("savedModelViews"));
+
+describe("SavedViews", () => {
+  beforeEach(() => {
+    window.localStorage.clear();
+  });
+
+  const renderComponent = () =>
+    mount(
+      <MemoryRouter>
+        <SavedViews view={view} />
+      </MemoryRouter>
+    );
+
+  it("can save the current view", () => {
+    const wrapper = renderComponent();
+    wrapper
+      .find("input[name='name']")
+      .simulate("change", { target: { value: "On call" } });
+    wrapper.find("form").simulate("submit");
+    expect(getStoredViews()).toStrictEqual([{ ...view, name: "On call" }]);
+    expect(wrapper.find(".saved-views__list a").prop("href")).toBe(
+      "/models?groupedby=cloud&cloud=aws&custom=status%3Ablocked&sort=name&sortdirection=descending"
+    );
+  });
+
+  it("replaces views with the same name", () => {
+    window.localStorage.setItem(
+      "savedModelViews",
+      JSON.stringify([{ name: "On call", groupedBy: "owner", filters: {} }])
+    );
+    const wrapper = renderComponent();
+    wrapper
+      .find("input[name='name']")
+      .simulate("change", { target: { value: "On call" } });
+    wrapper.find("form").simulate("submit");
+    expect(getStoredViews()).toStrictEqual([{ ...view, name: "On call" }]);
+  });
+
+  it("can remove a view", () => {
+    window.localStorage.setItem(
+      "savedModelViews",
+      JSON.stringify([{ ...view, name: "On call" }])
+    );
+    const wrapper = renderComponent();
+    wrapper.find("button.saved-views__remove").simulate("click");
+    expect(getStoredViews()).toStrictEqual([]);
+    expect(wrapper.find(".saved-views__list").exists()).toBe(false);
+  });
+
+  it("can export the views", () => {
+    window.localStorage.setItem(
+      "savedModelViews",
+      JSON.stringify([{ ...view, name: "On call" }])
+    );
+    const createObjectURL = jest.fn(() => "blob:views");
+    const revokeObjectURL = jest.fn();
+    URL.createObjectURL = createObjectURL;
+    URL.revokeObjectURL = revokeObjectURL;
+    const click = jest
+      .spyOn(HTMLAnchorElement.prototype, "click")
+      .mockImplementation(() => {});
+    const wrapper = renderComponent();
+    wrapper
+      .findWhere(
+        (node) => node.type() === "button" && node.text() === "Export views"
+      )
+      .simulate("click");
+    expect(createObjectURL).toHaveBeenCalled();
+    expect(click).toHaveBeenCalled();
+    expect(revokeObjectURL).toHaveBeenCalledWith("blob:views");
+    click.mockRestore();
+  });
+
+  it("can import views", async () => {
+    const wrapper = renderComponent();
+    const file = new File(
+      [JSON.stringify([{ ...view, name: "Imported" }])],
+      "views.json",
+      { type: "application/json" }
+    );
+    await act(async () => {
+      wrapper
+        .find("input[type='file']")
+        .simulate("change", { target: { files: [file], value: "" } });
+    });
+    await waitForComponentToPaint(wrapper);
+    expect(getStoredViews()).toStrictEqual([{ ...view, name: "Imported" }]);
+  });
+
+  it("displays an error if the import is not valid", async () => {
+    const wrapper = renderComponent();
+    const file = new File([JSON.stringify({ name: "nope" })], "views.json", {
+      type: "application/json",
+    });
+    await act(async () => {
+      wrapper
+        .find("input[type='file']")
+        .simulate("change", { target: { files: [file], value: "" } });
+    });
+    await waitForComponentToPaint(wrapper);
+    expect(wrapper.find(".p-notification--negative").text()).toContain(
+      "The file does not contain valid saved views."
+    );
+    expect(getStoredViews()).toBe(null);
+  });
+});
+
+describe("saved view helpers", () => {
+  it("generates the path for a view without filters", () => {
+    expect(generateViewPath({ groupedBy: "status", filters: {} })).toBe(
+      "/models?groupedby=status"
+    );
+  });
+
+  it("validates imported views", () => {
+    expect(() => parseSavedViews("not json")).toThrow(
+      "The file does not contain valid saved views."
+    );
+    expect(() =>
+      parseSavedViews(
+        JSON.stringify([{ name: "x", groupedBy: "cloud", filters: { a: [] } }])
+      )
+    ).toThrow("The file does not contain valid saved views.");
+    expect(
+      parseSavedViews(JSON.stringify([{ name: "x", groupedBy: "cloud" }]))
+    ).toStrictEqual([
+      { name: "x", groupedBy: "cloud", filters: {}, sort: null },
+    ]);
+  });
+});
@@ -1,14 +1,47 @@
-import { useRef, useEffect } from "react";
+import { useEffect, useMemo, useRef } from "react";
 import * as d3 from "d3";
 
-import { generateIconPath } from "app/utils/utils";
+import {
+  generateIconPath,
+  getApplicationStatusGroup,
+  getRelationStatusGroup,
+  getUnitStatusGroup,
+} from "app/utils/utils";
+
+import { computeAutoLayout, isSubordinate } from "./layout";
+import { STATUS_BADGES, STATUS_COLORS, STATUS_ORDER } from "./status";
 
 /**
-  Returns whether the application is a subordinate.
-  @param {Object} app The application status object.
-  @returns {Boolean} If the application is a subordinate.
+  Returns the radius of the node for the application.
+  @param {Object} app The application.
+  @returns {Number} The radius.
 */
-const isSubordinate = (app) => app?.subordinateTo?.length > 0;
+const getNodeRadius = (app) => (app.remote || isSubordinate(app) ? 60 : 90);
+
+/**
+  Counts the units of an application in each status group. Subordinate units
+  are nested inside the units of their principals so all units are checked.
+  @param {String} appName The name of the application.
+  @param {Object} modelData The model status.
+  @returns {Object} The number of units in each status group.
+*/
+const getUnitStatusCounts = (appName, modelData) => {
+  const counts = { running: 0, alert: 0, blocked: 0 };
+  const countUnit = (unitName, unit) => {
+    if (unitName.split("/")[0] === appName && unit["agent-status"]) {
+      counts[getUnitStatusGroup(unit).status] += 1;
+    }
+  };
+  Object.values(modelData?.applications || {}).forEach((app) => {
+    Object.entries(app.units || {}).forEach(([unitName, unit]) => {
+      countUnit(unitName, unit);
+      Object.entries(unit.subordinates || {}).forEach(([subName, sub]) =>
+        countUnit(subName, sub)
+      );
+    });
+  });
+  return counts;
+};
 
 /**
   Computes the maximum delta from 0 for both the x and y axis. This is necessary
@@ -40,33 +73,6 @@ const computePositionDelta = (annotations) => {
   return { deltaX, deltaY };
 };
 
-/**
-  Retrieve the X and Y annotation with the highest value.
-  @param {Object} annotations The annotations object from the model status.
-  @returns {Object} The value of the annotation with the highest X and Y value.
-*/
-const computeMaxXY = (annotations) => {
-  let maxY = 0;
-  let maxX = 0;
-  if (!annotations) {
-    return { maxX, maxY };
-  }
-
-  Object.keys(annotations).forEach((appName) => {
-    const { "gui-x": guiX, "gui-y": guiY } = annotations[appName];
-    const y = parseFloat(guiY);
-    const x = parseFloat(guiX);
-    if (!isNaN(x) && x > maxX) {
-      maxX = x;
-    }
-    if (!isNaN(y) && y > maxY) {
-      maxY = y;
-    }
-  });
-
-  return { maxX, maxY };
-};
-
 /**
   Applies the supplied delta to the supplied position. Both inputs are parsed
   as floats.
@@ -81,13 +87,15 @@ const applyDelta = (position, delta) =>
   Generates the relation positions for the two endpoints based on the
   application name data passed in.
   @param {*} data The relation data.
+  @param {Object} container The d3 selection that contains the applications.
   @returns {Object} x and y coordinates for the two relation endpoints.
 */
-const getRelationPosition = (data) => {
+const getRelationPosition = (data, container) => {
   // Gets the values from the elements translate attribute.
-  // translate(123.456, 789.012)
-  const translateValues = /(\d*\.?\d*),\s(\d*\.?\d*)/;
-  const getElement = (index) => d3.select(`[data-name="${data[index]}"]`);
+  // translate(123.456, -789.012)
+  const translateValues = /(-?\d*\.?\d*),\s(-?\d*\.?\d*)/;
+  const getElement = (index) =>
+    container.select(`[data-name="${data[index]}"]`);
   const getRect = (element) =>
     translateValues.exec(element.node().getAttribute("transform"));
   const getData = (element) => element.data()[0];
@@ -98,32 +106,59 @@ const getRelationPosition = (data) => {
   const app2 = getRect(element2);
 
   return {
-    x1: applyDelta(app1[1], isSubordinate(getData(element1)) ? -60 : -90),
-    y1: applyDelta(app1[2], isSubordinate(getData(element1)) ? -60 : -90),
-    x2: applyDelta(app2[1], isSubordinate(getData(element2)) ? -60 : -90),
-    y2: applyDelta(app2[2], isSubordinate(getData(element2)) ? -60 : -90),
+    x1: applyDelta(app1[1], -getNodeRadius(getData(element1))),
+    y1: applyDelta(app1[2], -getNodeRadius(getData(element1))),
+    x2: applyDelta(app2[1], -getNodeRadius(getData(element2))),
+    y2: applyDelta(app2[2], -getNodeRadius(getData(element2))),
   };
 };
 
-const Topology = ({ modelData, width, height }) => {
-  const ref = useRef();
+/**
+  Merges the positions of applications that have been moved but not yet
+  updated in the model's annotations.
+  @param {Object} annotations The annotations object from the model status.
+  @param {Object} pending The moved positions, keyed by application name.
+  @returns {Object} The annotations with the pending positions applied.
+*/
+const mergePendingPositions = (annotations, pending) => {
+  const merged = { ...annotations };
+  Object.entries(pending).forEach(([appName, position]) => {
+    merged[appName] = { ...merged[appName], ...position };
+  });
+  return merged;
+};
 
-  const { deltaX, deltaY } = computePositionDelta(
-    modelData && modelData.annotations
-  );
+/**
+  Generates the applications, relations and positions to draw for the model.
+  @param {Object} modelData The model status.
+  @param {Object} pending The moved positions, keyed by application name.
+  @param {Boolean} autoLayout Whether to lay out all the applications
+    automatically rather than using their saved positions.
+  @returns {Object} The data to draw in the keys { applications, relations,
+    relationStatuses, positions, deltaX, deltaY }.
+*/
+const generateTopologyData = (modelData, pending, autoLayout) => {
+  const annotations =
+    modelData && mergePendingPositions(modelData.annotations, pending);
+
+  const { deltaX, deltaY } = computePositionDelta(annotations);
 
-  // XXX If this is put into a useMemo as it should, it causes the topology to
-  // incorrectly position icons on every render.
-  // https://github.com/canonical-web-and-design/jaas-dashboard/issues/762
-  // eslint-disable-next-line react-hooks/exhaustive-deps
   const applications =
     (modelData &&
       Object.keys(modelData.applications).map((appName) => ({
-        ...modelData.annotations[appName],
+        ...annotations[appName],
         ...modelData.applications[appName],
         name: appName,
+        unitCounts: getUnitStatusCounts(appName, modelData),
       }))) ||
     [];
+  // Applications consumed from other models are displayed alongside the
+  // local applications.
+  Object.entries(modelData?.["remote-applications"] || {}).forEach(
+    ([appName, app]) => {
+      applications.push({ ...app, name: appName, remote: true });
+    }
+  );
 
   // Apply deltas to the annotations.
   for (const appName in applications) {
@@ -136,22 +171,25 @@ const Topology = ({ modelData, width, height }) => {
     }
   }
 
-  let { maxX, maxY } = computeMaxXY(modelData && modelData.annotations);
-  if (maxX === 0) {
-    // If there is no maxX then all of the icons are unplaced
-    // so set a maximum width.
-    maxX = 500;
-  }
-
   // Dedupe the relations as we only draw a single line between two
-  // applications regardless of how many relations are between them.
+  // applications regardless of how many relations are between them. The line
+  // displays the most severe status of the relations it represents.
+  const relationStatuses = {};
   const endpoints =
     modelData?.relations &&
     modelData.relations.reduce((acc, relation) => {
       const endpoints = relation.endpoints;
       // We don't draw peer relations so we can ignore them.
       if (endpoints.length > 1) {
-        acc.push(`${endpoints[0].application}:${endpoints[1].application}`);
+        const pair = `${endpoints[0].application}:${endpoints[1].application}`;
+        const { status } = getRelationStatusGroup(relation);
+        if (
+          STATUS_ORDER.indexOf(status) >
+          STATUS_ORDER.indexOf(relationStatuses[pair])
+        ) {
+          relationStatuses[pair] = status;
+        }
+        acc.push(pair);
       }
       return acc;
     }, []);
@@ -160,76 +198,276 @@ const Topology = ({ modelData, width, height }) => {
     pair.split(":")
   );
   // Remove relations that do not have all applications in the map.
-  // The missing application is likely a cross-model-relation which isn't
-  // fully supported yet.
-  // https://github.com/canonical-web-and-design/jaas-dashboard/issues/526
   const applicationNames = applications.map((app) => app.name);
   const relations = deDupedRelations.filter(
     (relation) =>
       applicationNames.includes(relation[0]) &&
       applicationNames.includes(relation[1])
   );
+
+  // Use the saved positions unless the auto layout has been requested.
+  // Applications without saved positions are always laid out automatically.
+  const placed = {};
+  if (!autoLayout) {
+    applications.forEach((app) => {
+      if (app["gui-x"] !== undefined && app["gui-y"] !== undefined) {
+        placed[app.name] = { x: app["gui-x"], y: app["gui-y"] };
+      }
+    });
+  }
+  const positions = {
+    ...placed,
+    ...computeAutoLayout(applications, relations, placed),
+  };
+
+  return {
+    applications,
+    relations,
+    relationStatuses,
+    positions,
+    deltaX,
+    deltaY,
+  };
+};
+
+/**
+  Renders the applications and relations in the model. Applications without
+  saved positions, or all applications when autoLayout is set, are laid out
+  automatically. The topology can be panned and zoomed when it is
+  interactive. onApplicationClick is called with
+  the application name when an application is clicked and, if
+  onApplicationMove is supplied, applications can be dragged and it is called
+  with the application name and the new { x, y } position. The application is
+  moved back if it returns undefined or a promise that resolves to undefined
+  or rejects, as the position was not saved.
+*/
+const Topology = ({
+  modelData,
+  width,
+  height,
+  interactive = false,
+  autoLayout = false,
+  onApplicationClick = null,
+  onApplicationMove = null,
+}) => {
+  const ref = useRef();
+  // The layers that the applications and relations are drawn in.
+  const layers = useRef(null);
+  // Positions that have been saved but that have not yet been received in a
+  // model update.
+  const pendingPositions = useRef({});
+  // The application that is being dragged in the format { name, x, y, moved }.
+  const dragging = useRef(null);
+  // The name of the application that is highlighted.
+  const highlighted = useRef(null);
+  // The layout that the topology was last fitted to the canvas for.
+  const fittedLayout = useRef(null);
+
+  const annotations = modelData?.annotations;
+  const {
+    applications,
+    relations,
+    relationStatuses,
+    positions,
+    deltaX,
+    deltaY,
+  } = useMemo(
+    () => generateTopologyData(modelData, pendingPositions.current, autoLayout),
+    [modelData, autoLayout]
+  );
+
   useEffect(() => {
-    const topo = d3
+    // Stop merging the moved positions once they are in the annotations.
+    Object.entries(pendingPositions.current).forEach(([appName, position]) => {
+      if (
+        annotations?.[appName]?.["gui-x"] === position["gui-x"] &&
+        annotations?.[appName]?.["gui-y"] === position["gui-y"]
+      ) {
+        delete pendingPositions.current[appName];
+      }
+    });
+  }, [annotations]);
+
+  useEffect(() => {
+    const svg = d3
       .select(ref.current)
-      .attr("viewBox", `0 0 ${width} ${height}`)
-      .append("g");
+      .attr("viewBox", `0 0 ${width} ${height}`);
+    // The zoom layer holds the user's pan and zoom so that it is kept separate
+    // from the transform that fits the topology to the canvas.
+    const zoomLayer = svg.append("g");
+    const topo = zoomLayer.append("g");
+    // The relations are drawn below the applications.
+    const relationLayer = topo.append("g");
+    const appLayer = topo.append("g");
+    layers.current = { topo, relationLayer, appLayer };
 
-    const appIcons = topo.selectAll(".application").data(applications);
+    if (interactive) {
+      const zoom = d3
+        .zoom()
+        .scaleExtent([0.1, 10])
+        .on("zoom", (event) => zoomLayer.attr("transform", event.transform));
+      svg.call(zoom);
+      // Restore the current zoom if the canvas has been recreated.
+      zoomLayer.attr("transform", d3.zoomTransform(svg.node()));
+    }
 
-    let gridCount = {
-      x: 0,
-      y: maxY,
+    return () => {
+      svg.on(".zoom", null);
+      zoomLayer.remove();
+      layers.current = null;
+      fittedLayout.current = null;
     };
+  }, [height, width, interactive]);
 
-    const appIcon = appIcons
-      .enter()
-      .append("g")
-      .attr("transform", (d) => {
-        const x = d["gui-x"] !== undefined ? d["gui-x"] : gridCount.x;
-        const y = d["gui-y"] !== undefined ? d["gui-y"] : gridCount.y;
-        gridCount.x += 250;
-        // Let the placed units determine the max width of the visualization.
-        // and move the grid units to a new line.
-        if (gridCount.x > maxX) {
-          gridCount.x = 0;
-          gridCount.y += 200;
-        }
-        return `translate(${x}, ${y})`;
-      });
+  useEffect(() => {
+    const { topo, relationLayer, appLayer } = layers.current;
 
-    appIcon
+    applications.forEach((d) => {
+      // An application that is being dragged keeps its current position.
+      const position =
+        dragging.current?.name === d.name
+          ? dragging.current
+          : positions[d.name];
+      // Store the position so that it can be updated when dragging.
+      d.x = position.x;
+      d.y = position.y;
+    });
+
+    const getStatus = (d) =>
+      d.status?.status ? getApplicationStatusGroup(d).status : null;
+    const getStatusColor = (d) => STATUS_COLORS[getStatus(d)] || "#888888";
+
+    // The existing applications are updated in place so that any drag or
+    // highlight in progress is not interrupted.
+    const appIcon = appLayer
+      .selectAll(".application")
+      .data(applications, (d) => d.name)
+      .join("g")
       .classed("application", true)
+      .classed("is-remote", (d) => !!d.remote)
       .attr("data-name", (d) => d.name)
+      .attr("data-status", getStatus)
+      .attr("transform", (d) => `translate(${d.x}, ${d.y})`);
+    // The contents depend on the application's status so they are redrawn.
+    appIcon.selectAll("*").remove();
+
+    appIcon
+      .append("title")
+      .text((d) =>
+        [d.name, d["offer-url"], d.status?.status, d.status?.info]
+          .filter(Boolean)
+          .join("\n")
+      );
+
+    const localApps = appIcon.filter((d) => !d.remote);
+    const remoteApps = appIcon.filter((d) => d.remote);
+
+    localApps
       .append("circle")
-      .attr("cx", (d) => (isSubordinate(d) ? 60 : 90))
-      .attr("cy", (d) => (isSubordinate(d) ? 60 : 90))
-      .attr("r", (d) => (isSubordinate(d) ? 60 : 90))
+      .attr("cx", getNodeRadius)
+      .attr("cy", getNodeRadius)
+      .attr("r", getNodeRadius)
       .attr("fill", "#f5f5f5")
-      .attr("stroke-width", 3)
-      .attr("stroke", "#888888")
-      .call((_) => {
-        // When ever a new element is added zoom the canvas to fit.
-        const { width: svgWidth, height: svgHeight } = topo
-          .node()
-          .getBoundingClientRect();
-        if (svgWidth > 0 && svgHeight > 0) {
-          // Magic number that presents reasonable padding around the viz.
-          const padding = 200;
-          const scale = Math.min(
-            width / (svgWidth + padding),
-            height / (svgHeight + padding)
-          );
-          const translateX = (width - svgWidth * scale) / 2;
-          const translateY = (height - svgHeight * scale) / 2;
-          topo.attr(
-            "transform",
-            `translate(${translateX},${translateY}) scale(${scale},${scale})`
-          );
-        }
-      });
+      .attr("stroke-width", 5)
+      .attr("stroke", getStatusColor);
 
-    appIcon
+    // Remote applications are displayed as a square as they have no charm
+    // icon and can't be managed from this model.
+    remoteApps
+      .append("rect")
+      .attr("width", (d) => getNodeRadius(d) * 2)
+      .attr("height", (d) => getNodeRadius(d) * 2)
+      .attr("rx", 24)
+      .attr("fill", "#f5f5f5")
+      .attr("stroke-width", 5)
+      .attr("stroke-dasharray", "12 6")
+      .attr("stroke", getStatusColor);
+    remoteApps
+      .append("text")
+      .attr("x", getNodeRadius)
+      .attr("y", getNodeRadius)
+      .attr("text-anchor", "middle")
+      .attr("dominant-baseline", "middle")
+      .attr("font-size", 20)
+      .text((d) => (d.name.length > 12 ? `${d.name.slice(0, 11)}…` : d.name));
+
+    // The badge displays the application's status.
+    const badge = appIcon
+      .filter((d) => !!getStatus(d))
+      .append("g")
+      .classed("status-badge", true)
+      .attr(
+        "transform",
+        (d) =>
+          `translate(${getNodeRadius(d) * 1.75}, ${getNodeRadius(d) * 0.25})`
+      );
+    badge
+      .append("circle")
+      .attr("r", 22)
+      .attr("fill", getStatusColor)
+      .attr("stroke", "#ffffff")
+      .attr("stroke-width", 3);
+    badge
+      .append("text")
+      .attr("text-anchor", "middle")
+      .attr("dominant-baseline", "central")
+      .attr("fill", "#ffffff")
+      .attr("font-size", 24)
+      .attr("font-weight", "bold")
+      .text((d) => STATUS_BADGES[getStatus(d)]);
+
+    // Display the number of units in each status below the application.
+    localApps
+      .append("text")
+      .classed("unit-counts", true)
+      .attr("x", getNodeRadius)
+      .attr("y", (d) => getNodeRadius(d) * 2 + 32)
+      .attr("text-anchor", "middle")
+      .attr("font-size", 24)
+      .selectAll("tspan")
+      .data((d) =>
+        STATUS_ORDER.filter((status) => d.unitCounts[status] > 0).map(
+          (status) => ({ status, count: d.unitCounts[status] })
+        )
+      )
+      .enter()
+      .append("tspan")
+      .attr("dx", (d, i) => (i > 0 ? 12 : 0))
+      .attr("fill", (d) => STATUS_COLORS[d.status])
+      .text((d) => `${d.count} ${d.status}`);
+
+    // Zoom the canvas to fit the applications. This is only done when
+    // applications are added or removed or the layout changes so that the
+    // topology doesn't jump when the statuses or positions are updated.
+    const layout = [
+      autoLayout,
+      ...applications.map(({ name }) => name).sort(),
+    ].join(",");
+    // The box is measured in the topology's own coordinates so that it
+    // doesn't include the current fit or the user's zoom.
+    const box = topo.node().getBBox?.();
+    if (
+      fittedLayout.current !== layout &&
+      !dragging.current &&
+      box?.width > 0 &&
+      box?.height > 0
+    ) {
+      fittedLayout.current = layout;
+      // Magic number that presents reasonable padding around the viz.
+      const padding = 200;
+      const scale = Math.min(
+        width / (box.width + padding),
+        height / (box.height + padding)
+      );
+      const translateX = (width - box.width * scale) / 2 - box.x * scale;
+      const translateY = (height - box.height * scale) / 2 - box.y * scale;
+      topo.attr(
+        "transform",
+        `translate(${translateX},${translateY}) scale(${scale},${scale})`
+      );
+    }
+
+    localApps
       .append("image")
       .attr("xlink:href", (d) => generateIconPath(d.charm))
       .attr("width", (d) => (isSubordinate(d) ? 96 : 126))
@@ -243,26 +481,158 @@ const Topology = ({ modelData, width, height }) => {
           : "circle(55px at 63px 63px)"
       );
 
-    const relationLines = topo.selectAll(".relation").data(relations);
-    const relationLine = relationLines.enter().insert("g", ":first-child");
+    const getRelationStatus = (d) => relationStatuses[d.join(":")];
+    const getRelationColor = (d) =>
+      getRelationStatus(d) === "running"
+        ? "#666666"
+        : STATUS_COLORS[getRelationStatus(d)];
+
+    const relationLine = relationLayer
+      .selectAll(".relation")
+      .data(relations, (d) => d.join(":"))
+      .join((enter) => {
+        const line = enter.append("g").classed("relation", true);
+        line.append("line");
+        return line;
+      })
+      .attr("data-status", getRelationStatus);
+
+    // The lines are selected when they are positioned so that a drag that
+    // started before the topology was updated also moves the new lines.
+    const positionRelationLines = () =>
+      relationLayer
+        .selectAll(".relation line")
+        .attr("x1", (d) => getRelationPosition(d, topo).x1)
+        .attr("y1", (d) => getRelationPosition(d, topo).y1)
+        .attr("x2", (d) => getRelationPosition(d, topo).x2)
+        .attr("y2", (d) => getRelationPosition(d, topo).y2);
 
     relationLine
-      .classed("relation", true)
-      .append("line")
-      .attr("x1", (d) => getRelationPosition(d).x1)
-      .attr("y1", (d) => getRelationPosition(d).y1)
-      .attr("x2", (d) => getRelationPosition(d).x2)
-      .attr("y2", (d) => getRelationPosition(d).y2)
-      .attr("stroke", "#666666")
-      .attr("stroke-width", 2);
-
-    appIcons.exit().remove();
-    relationLines.exit().remove();
+      .select("line")
+      .attr("stroke", getRelationColor)
+      .attr("stroke-width", 2)
+      // Relations that are not established are drawn with a dashed line.
+      .attr("stroke-dasharray", (d) =>
+        getRelationStatus(d) === "running" ? null : "12 8"
+      );
+    positionRelationLines();
 
-    return () => {
-      topo.remove();
+    // Highlight the hovered application, its relations and the applications
+    // it is related to.
+    const highlightApplication = (appName) => {
+      highlighted.current = appName;
+      const related = relations
+        .filter((relation) => relation.includes(appName))
+        .flat();
+      appIcon.attr("opacity", (d) =>
+        appName && !related.includes(d.name) && d.name !== appName ? 0.3 : 1
+      );
+      relationLine
+        .attr("opacity", (d) => (appName && !d.includes(appName) ? 0.3 : 1))
+        .select("line")
+        .attr("stroke", (d) =>
+          appName && d.includes(appName) && getRelationStatus(d) === "running"
+            ? "#0066cc"
+            : getRelationColor(d)
+        )
+        .attr("stroke-width", (d) => (appName && d.includes(appName) ? 4 : 2));
     };
-  }, [applications, deltaX, deltaY, height, width, maxX, maxY, relations]);
+
+    appIcon
+      .on("mouseenter", (event, d) => highlightApplication(d.name))
+      .on("mouseleave", () => highlightApplication(null));
+    // Keep the current highlight if the application still exists.
+    highlightApplication(
+      applications.some(({ name }) => name === highlighted.current)
+        ? highlighted.current
+        : null
+    );
+
+    // Remove the handlers from the previous update before adding them again.
+    appIcon.style("cursor", null).on("click", null).on(".drag", null);
+
+    if (onApplicationClick) {
+      // Remote applications don't have an application page.
+      localApps
+        .style("cursor", "pointer")
+        .on("click", (event, d) => onApplicationClick(d.name));
+    }
+
+    if (onApplicationMove) {
+      localApps.call(
+        d3
+          .drag()
+          .on("start", function (event, d) {
+            dragging.current = { name: d.name, x: d.x, y: d.y, moved: false };
+            d3.select(this).raise().style("cursor", "grabbing");
+          })
+          .on("drag", function (event, d) {
+            const drag = dragging.current;
+            drag.x += event.dx;
+            drag.y += event.dy;
+            drag.moved = true;
+            d.x = drag.x;
+            d.y = drag.y;
+            d3.select(this).attr("transform", `translate(${d.x}, ${d.y})`);
+            positionRelationLines();
+          })
+          .on("end", function (event, d) {
+            const { moved, x, y } = dragging.current;
+            dragging.current = null;
+            d3.select(this).style(
+              "cursor",
+              onApplicationClick ? "pointer" : null
+            );
+            if (!moved) {
+              return;
+            }
+            // Remove the deltas so that the position is relative to the
+            // other annotations.
+            const position = {
+              x: Math.round(x + (deltaX || 0)),
+              y: Math.round(y + (deltaY || 0)),
+            };
+            pendingPositions.current[d.name] = {
+              "gui-x": `${position.x}`,
+              "gui-y": `${position.y}`,
+            };
+            const element = this;
+            const restorePosition = () => {
+              // The position could not be saved so move the application back
+              // to its stored position.
+              delete pendingPositions.current[d.name];
+              d.x = positions[d.name].x;
+              d.y = positions[d.name].y;
+              d3.select(element).attr("transform", `translate(${d.x}, ${d.y})`);
+              positionRelationLines();
+            };
+            Promise.resolve(onApplicationMove(d.name, position)).then(
+              (response) => {
+                // The change is refused without an error if the user
+                // doesn't have write access.
+                if (response === undefined) {
+                  restorePosition();
+                }
+              },
+              restorePosition
+            );
+          })
+      );
+    }
+  }, [
+    applications,
+    autoLayout,
+    deltaX,
+    deltaY,
+    height,
+    width,
+    interactive,
+    onApplicationClick,
+    onApplicationMove,
+    positions,
+    relations,
+    relationStatuses,
+  ]);
   return <svg ref={ref} />;
 };
 
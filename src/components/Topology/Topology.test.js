@@ -0,0 +1,236 @@
+import { mount } from "enzyme";
+import cloneDeep from "clone-deep";
+
+import Topology from "./Topology";
+
+const generateModelData = () => ({
+  applications: {
+    mysql: {
+      charm: "cs:mysql-58",
+      status: { status: "active" },
+      units: {
+        "mysql/0": { "agent-status": { status: "idle" } },
+      },
+    },
+    wordpress: {
+      charm: "cs:wordpress-0",
+      status: { status: "active" },
+      units: {
+        "wordpress/0": { "agent-status": { status: "idle" } },
+      },
+    },
+    haproxy: {
+      charm: "cs:haproxy-1",
+      status: { status: "active" },
+      units: {},
+    },
+  },
+  annotations: {
+    mysql: { "gui-x": "0", "gui-y": "0" },
+    wordpress: { "gui-x": "400", "gui-y": "0" },
+    haproxy: { "gui-x": "800", "gui-y": "0" },
+  },
+  relations: [
+    {
+      endpoints: [
+        { application: "wordpress", name: "db" },
+        { application: "mysql", name: "db" },
+      ],
+      status: { status: "joined" },
+    },
+  ],
+});
+
+describe("Topology", () => {
+  const renderComponent = (modelData) =>
+    mount(<Topology modelData={modelData} width={500} height={500} />);
+
+  const getApplication = (wrapper, appName) =>
+    wrapper.getDOMNode().querySelector(`.application[data-name='${appName}']`);
+
+  it("displays the status of blocked applications and their units", () => {
+    const modelData = generateModelData();
+    modelData.applications.mysql.status.status = "blocked";
+    modelData.applications.mysql.units["mysql/1"] = {
+      "agent-status": { status: "lost" },
+    };
+    const wrapper = renderComponent(modelData);
+    const mysql = getApplication(wrapper, "mysql");
+    expect(mysql.getAttribute("data-status")).toBe("blocked");
+    expect(mysql.querySelector(".status-badge").textContent).toBe("✕");
+    expect(
+      [...mysql.querySelectorAll(".unit-counts tspan")].map(
+        (tspan) => tspan.textContent
+      )
+    ).toStrictEqual(["1 running", "1 blocked"]);
+  });
+
+  it("displays the most severe status of the relations", () => {
+    const modelData = generateModelData();
+    modelData.relations.push({
+      endpoints: [
+        { application: "wordpress", name: "db-admin" },
+        { application: "mysql", name: "db-admin" },
+      ],
+      status: { status: "error" },
+    });
+    const wrapper = renderComponent(modelData);
+    const relations = wrapper.getDOMNode().querySelectorAll(".relation");
+    expect(relations.length).toBe(1);
+    expect(relations[0].getAttribute("data-status")).toBe("blocked");
+  });
+
+  it("displays remote applications", () => {
+    const modelData = generateModelData();
+    modelData["remote-applications"] = {
+      "remote-db": {
+        "offer-url": "admin/other.mysql",
+        status: { status: "active" },
+      },
+    };
+    const wrapper = renderComponent(modelData);
+    const remote = getApplication(wrapper, "remote-db");
+    expect(remote.classList.contains("is-remote")).toBe(true);
+    expect(remote.getAttribute("data-status")).toBe("running");
+    expect(remote.querySelector("rect")).not.toBe(null);
+    expect(remote.querySelector(".unit-counts")).toBe(null);
+    expect(
+      getApplication(wrapper, "mysql").classList.contains("is-remote")
+    ).toBe(false);
+  });
+
+  it("updates the existing applications when the model changes", () => {
+    const modelData = generateModelData();
+    const wrapper = renderComponent(modelData);
+    const mysql = getApplication(wrapper, "mysql");
+    expect(mysql.getAttribute("data-status")).toBe("running");
+    const updated = cloneDeep(modelData);
+    updated.applications.mysql.status.status = "blocked";
+    wrapper.setProps({ modelData: updated });
+    expect(getApplication(wrapper, "mysql")).toBe(mysql);
+    expect(mysql.getAttribute("data-status")).toBe("blocked");
+    expect(wrapper.getDOMNode().querySelectorAll(".application").length).toBe(
+      3
+    );
+  });
+
+  it("does not redraw when rendered with the same model", () => {
+    const modelData = generateModelData();
+    const wrapper = renderComponent(modelData);
+    const mysql = getApplication(wrapper, "mysql");
+    const title = mysql.querySelector("title");
+    wrapper.setProps({ width: 500 });
+    expect(mysql.querySelector("title")).toBe(title);
+  });
+
+  it("keeps the highlighted application when the model changes", () => {
+    const modelData = generateModelData();
+    const wrapper = renderComponent(modelData);
+    getApplication(wrapper, "mysql").dispatchEvent(new Event("mouseenter"));
+    expect(getApplication(wrapper, "haproxy").getAttribute("opacity")).toBe(
+      "0.3"
+    );
+    const updated = cloneDeep(modelData);
+    updated.applications.wordpress.status.status = "unknown";
+    wrapper.setProps({ modelData: updated });
+    expect(getApplication(wrapper, "haproxy").getAttribute("opacity")).toBe(
+      "0.3"
+    );
+    expect(getApplication(wrapper, "wordpress").getAttribute("opacity")).toBe(
+      "1"
+    );
+    getApplication(wrapper, "mysql").dispatchEvent(new Event("mouseleave"));
+    expect(getApplication(wrapper, "haproxy").getAttribute("opacity")).toBe(
+      "1"
+    );
+  });
+
+  it("displays subordinate applications at a smaller size", () => {
+    const modelData = generateModelData();
+    modelData.applications.haproxy["subordinate-to"] = ["wordpress"];
+    const wrapper = renderComponent(modelData);
+    expect(
+      getApplication(wrapper, "haproxy")
+        .querySelector("image")
+        .getAttribute("width")
+    ).toBe("96");
+    expect(
+      getApplication(wrapper, "mysql")
+        .querySelector("image")
+        .getAttribute("width")
+    ).toBe("126");
+  });
+
+  it("removes applications that are no longer in the model", () => {
+    const modelData = generateModelData();
+    const wrapper = renderComponent(modelData);
+    const updated = cloneDeep(modelData);
+    delete updated.applications.haproxy;
+    wrapper.setProps({ modelData: updated });
+    expect(getApplication(wrapper, "haproxy")).toBe(null);
+    expect(wrapper.getDOMNode().querySelectorAll(".application").length).toBe(
+      2
+    );
+  });
+
+  describe("fitting to the canvas", () => {
+    let getBBox;
+
+    beforeEach(() => {
+      // jsdom doesn't lay out SVG elements so the measurement is stubbed.
+      getBBox = jest.fn().mockReturnValue({
+        x: -100,
+        y: 0,
+        width: 800,
+        height: 300,
+      });
+      window.SVGElement.prototype.getBBox = getBBox;
+    });
+
+    afterEach(() => {
+      delete window.SVGElement.prototype.getBBox;
+    });
+
+    const getTransform = (wrapper) =>
+      wrapper
+        .getDOMNode()
+        .querySelector("svg > g > g")
+        .getAttribute("transform");
+
+    it("fits the topology to the canvas", () => {
+      const wrapper = renderComponent(generateModelData());
+      expect(getTransform(wrapper)).toBe("translate(100,175) scale(0.5,0.5)");
+    });
+
+    it("does not refit the topology when it is updated", () => {
+      const modelData = generateModelData();
+      const wrapper = renderComponent(modelData);
+      const transform = getTransform(wrapper);
+      // A different size would be measured if the topology was refitted.
+      getBBox.mockReturnValue({ x: 0, y: 0, width: 1800, height: 300 });
+      const updated = cloneDeep(modelData);
+      updated.applications.mysql.status.status = "blocked";
+      wrapper.setProps({ modelData: updated, onApplicationClick: jest.fn() });
+      wrapper.setProps({ onApplicationClick: jest.fn() });
+      expect(getTransform(wrapper)).toBe(transform);
+    });
+
+    it("refits the topology when applications are added", () => {
+      const modelData = generateModelData();
+      const wrapper = renderComponent(modelData);
+      const transform = getTransform(wrapper);
+      getBBox.mockReturnValue({ x: 0, y: 0, width: 1800, height: 300 });
+      const updated = cloneDeep(modelData);
+      updated.applications.nginx = {
+        charm: "cs:nginx-1",
+        status: { status: "active" },
+        units: {},
+      };
+      wrapper.setProps({ modelData: updated });
+      expect(getTransform(wrapper)).not.toBe(transform);
+      expect(getTransform(wrapper)).toBe(
+        "translate(25,212.5) scale(0.25,0.25)"
+      );
+    });
+  });
+});
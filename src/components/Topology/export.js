@@ -0,0 +1,280 @@
+/*
+  Generates standalone copies of a rendered topology so that it can be saved
+  as an SVG or PNG file.
+*/
+import { STATUS_COLORS } from "./status";
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const XLINK_NS = "http://www.w3.org/1999/xlink";
+const XMLNS_NS = "http://www.w3.org/2000/xmlns/";
+// The space above the diagram for the title.
+const TITLE_HEIGHT = 70;
+// The space around the legend.
+const LEGEND_PADDING = 20;
+// The height of each row of legend items.
+const LEGEND_ROW_HEIGHT = 24;
+
+/**
+  Creates an SVG element with the supplied attributes.
+  @param {String} name The element name.
+  @param {Object} attributes The attributes to set on the element.
+  @returns {Object} The SVG element.
+*/
+const createElement = (name, attributes = {}) => {
+  const element = document.createElementNS(SVG_NS, name);
+  Object.entries(attributes).forEach(([key, value]) => {
+    element.setAttribute(key, value);
+  });
+  return element;
+};
+
+/**
+  Reads the contents of a blob as a data URL.
+  @param {Blob} blob The blob to read.
+  @returns {Promise} Resolves with the data URL.
+*/
+const readAsDataURL = (blob) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+
+/**
+  Replaces the links to the charm icons with the icon data so that the
+  exported file can be viewed without access to the icons and so that it can
+  be drawn to a canvas.
+  @param {Object} svg The SVG element containing the images.
+*/
+const inlineImages = async (svg) => {
+  const icons = {};
+  const images = Array.from(svg.getElementsByTagNameNS(SVG_NS, "image"));
+  await Promise.all(
+    images.map(async (image) => {
+      const href =
+        image.getAttributeNS(XLINK_NS, "href") || image.getAttribute("href");
+      if (!href || href.startsWith("data:")) {
+        return;
+      }
+      if (!icons[href]) {
+        icons[href] = fetch(href).then((response) => {
+          if (!response.ok) {
+            throw new Error(`Unable to fetch ${href}`);
+          }
+          return response.blob().then(readAsDataURL);
+        });
+      }
+      try {
+        image.setAttributeNS(XLINK_NS, "xlink:href", await icons[href]);
+      } catch (error) {
+        // The link is kept if the icon can't be fetched.
+        console.error("unable to inline the charm icon:", error);
+      }
+    })
+  );
+};
+
+/**
+  Generates the legend describing the statuses and shapes in the topology.
+  @param {Number} width The width available for the legend.
+  @returns {Object} The legend SVG group and its height in the keys
+    { legend, height }.
+*/
+const generateLegend = (width) => {
+  const legend = createElement("g", { class: "legend", "font-size": 13 });
+  let x = 0;
+  let y = 0;
+  const addItem = (symbol, label) => {
+    // Approximate the width of the label so that the items don't overlap.
+    const itemWidth = 40 + label.length * 7;
+    if (x > 0 && x + itemWidth > width) {
+      x = 0;
+      y += LEGEND_ROW_HEIGHT;
+    }
+    const item = createElement("g", { transform: `translate(${x}, ${y})` });
+    item.appendChild(symbol);
+    const text = createElement("text", {
+      x: 20,
+      y: 0,
+      "dominant-baseline": "central",
+    });
+    text.textContent = label;
+    item.appendChild(text);
+    legend.appendChild(item);
+    x += itemWidth;
+  };
+  Object.entries(STATUS_COLORS).forEach(([status, color]) => {
+    addItem(
+      createElement("circle", {
+        cx: 6,
+        cy: 0,
+        r: 6,
+        fill: "#f5f5f5",
+        stroke: color,
+        "stroke-width": 3,
+      }),
+      status
+    );
+  });
+  addItem(
+    createElement("rect", {
+      x: 0,
+      y: -6,
+      width: 12,
+      height: 12,
+      rx: 3,
+      fill: "#f5f5f5",
+      stroke: "#888888",
+      "stroke-width": 2,
+      "stroke-dasharray": "3 2",
+    }),
+    "remote application"
+  );
+  addItem(
+    createElement("line", {
+      x1: 0,
+      y1: 0,
+      x2: 14,
+      y2: 0,
+      stroke: STATUS_COLORS.alert,
+      "stroke-width": 2,
+      "stroke-dasharray": "4 3",
+    }),
+    "relation not established"
+  );
+  return { legend, height: y + LEGEND_ROW_HEIGHT };
+};
+
+/**
+  Generates a standalone SVG document from a rendered topology.
+  @param {Object} svgElement The topology SVG element.
+  @param {Object} options The export options:
+    title: The title to display above the diagram.
+    subtitle: The details to display below the title.
+    legend: Whether to include the legend.
+  @returns {Promise} Resolves with the SVG document string, width and height
+    in the keys { svg, width, height }.
+*/
+export const generateTopologySVG = async (
+  svgElement,
+  { title, subtitle, legend = false } = {}
+) => {
+  const [, , width, height] = svgElement
+    .getAttribute("viewBox")
+    .split(" ")
+    .map((value) => parseFloat(value));
+  const top = title ? TITLE_HEIGHT : 0;
+  const legendContent = legend
+    ? generateLegend(width - LEGEND_PADDING * 2)
+    : null;
+  const totalHeight =
+    top + height + (legendContent ? legendContent.height + LEGEND_PADDING : 0);
+  const root = createElement("svg", {
+    width,
+    height: totalHeight,
+    viewBox: `0 0 ${width} ${totalHeight}`,
+    "font-family": "Ubuntu, sans-serif",
+  });
+  root.setAttributeNS(XMLNS_NS, "xmlns:xlink", XLINK_NS);
+  root.appendChild(
+    createElement("rect", { width, height: totalHeight, fill: "#ffffff" })
+  );
+  if (title) {
+    const titleText = createElement("text", {
+      x: 20,
+      y: 32,
+      "font-size": 20,
+      "font-weight": "bold",
+    });
+    titleText.textContent = title;
+    root.appendChild(titleText);
+    if (subtitle) {
+      const subtitleText = createElement("text", {
+        x: 20,
+        y: 54,
+        "font-size": 13,
+        fill: "#666666",
+      });
+      subtitleText.textContent = subtitle;
+      root.appendChild(subtitleText);
+    }
+  }
+  const diagram = createElement("g", { transform: `translate(0, ${top})` });
+  Array.from(svgElement.cloneNode(true).children).forEach((child) => {
+    // Export the whole diagram rather than the area the user has zoomed to.
+    child.removeAttribute("transform");
+    diagram.appendChild(child);
+  });
+  root.appendChild(diagram);
+  if (legendContent) {
+    legendContent.legend.setAttribute(
+      "transform",
+      `translate(${LEGEND_PADDING}, ${top + height + LEGEND_ROW_HEIGHT / 2})`
+    );
+    root.appendChild(legendContent.legend);
+  }
+  await inlineImages(root);
+  return {
+    svg: new XMLSerializer().serializeToString(root),
+    width,
+    height: totalHeight,
+  };
+};
+
+/**
+  Draws an SVG document to a canvas to generate a PNG.
+  @param {String} svg The SVG document.
+  @param {Number} width The width of the SVG.
+  @param {Number} height The height of the SVG.
+  @param {Number} scale The amount to scale the image by.
+  @returns {Promise} Resolves with the PNG blob.
+*/
+export const convertSVGToPNG = (svg, width, height, scale = 1) =>
+  new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = width * scale;
+      canvas.height = height * scale;
+      const context = canvas.getContext("2d");
+      context.scale(scale, scale);
+      context.drawImage(image, 0, 0, width, height);
+      canvas.toBlob((blob) => {
+        if (blob) {
+          resolve(blob);
+        } else {
+          reject(new Error("Unable to generate the PNG."));
+        }
+      }, "image/png");
+    };
+    image.onerror = () => reject(new Error("Unable to load the SVG."));
+    image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+  });
+
+/**
+  Exports the topology and downloads it as a file.
+  @param {Object} svgElement The topology SVG element.
+  @param {String} fileName The name of the file without the extension.
+  @param {Object} options The export options:
+    format: Either "svg" or "png".
+    scale: The amount to scale the PNG by.
+    title, subtitle, legend: As described in generateTopologySVG.
+*/
+export const exportTopology = async (
+  svgElement,
+  fileName,
+  { format = "svg", scale = 1, ...options } = {}
+) => {
+  const { svg, width, height } = await generateTopologySVG(svgElement, options);
+  const blob =
+    format === "png"
+      ? await convertSVGToPNG(svg, width, height, scale)
+      : new Blob([svg], { type: "image/svg+xml" });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `${fileName}.${format}`;
+  link.click();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,86 @@
+import { generateTopologySVG } from "./export";
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const XLINK_NS = "http://www.w3.org/1999/xlink";
+
+describe("generateTopologySVG", () => {
+  let svgElement;
+
+  beforeEach(() => {
+    svgElement = document.createElementNS(SVG_NS, "svg");
+    svgElement.setAttribute("viewBox", "0 0 300 200");
+    const zoomLayer = document.createElementNS(SVG_NS, "g");
+    zoomLayer.setAttribute("transform", "translate(10,10) scale(2)");
+    const image = document.createElementNS(SVG_NS, "image");
+    image.setAttributeNS(XLINK_NS, "xlink:href", "/icons/mysql.svg");
+    zoomLayer.appendChild(image);
+    svgElement.appendChild(zoomLayer);
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      blob: () =>
+        Promise.resolve(new Blob(["<svg/>"], { type: "image/svg+xml" })),
+    });
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  const parse = (svg) =>
+    new DOMParser().parseFromString(svg, "image/svg+xml").documentElement;
+
+  it("generates a standalone svg", async () => {
+    const { svg, width, height } = await generateTopologySVG(svgElement);
+    expect(width).toBe(300);
+    expect(height).toBe(200);
+    const root = parse(svg);
+    expect(root.getAttribute("xmlns")).toBe(SVG_NS);
+    expect(root.getAttribute("viewBox")).toBe("0 0 300 200");
+  });
+
+  it("exports the whole diagram regardless of the zoom", async () => {
+    const { svg } = await generateTopologySVG(svgElement);
+    const diagram = parse(svg).querySelector("image").parentNode;
+    expect(diagram.hasAttribute("transform")).toBe(false);
+    // The original topology should not be changed.
+    expect(svgElement.firstChild.getAttribute("transform")).toBe(
+      "translate(10,10) scale(2)"
+    );
+  });
+
+  it("inlines the charm icons", async () => {
+    const { svg } = await generateTopologySVG(svgElement);
+    expect(global.fetch).toHaveBeenCalledWith("/icons/mysql.svg");
+    expect(
+      parse(svg).querySelector("image").getAttributeNS(XLINK_NS, "href")
+    ).toMatch(/^data:image\/svg\+xml;base64,/);
+  });
+
+  it("keeps the link if an icon can't be fetched", async () => {
+    global.fetch.mockResolvedValue({ ok: false });
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    const { svg } = await generateTopologySVG(svgElement);
+    expect(
+      parse(svg).querySelector("image").getAttributeNS(XLINK_NS, "href")
+    ).toBe("/icons/mysql.svg");
+  });
+
+  it("can include a title and legend", async () => {
+    const { svg, height } = await generateTopologySVG(svgElement, {
+      title: "my-model",
+      subtitle: "my-controller",
+      legend: true,
+    });
+    // The title is placed above the diagram and the legend wraps onto three
+    // rows below it to fit the width.
+    expect(height).toBe(362);
+    const root = parse(svg);
+    const text = Array.from(root.querySelectorAll("text")).map(
+      (element) => element.textContent
+    );
+    expect(text).toEqual(
+      expect.arrayContaining(["my-model", "my-controller", "blocked"])
+    );
+    expect(root.querySelector(".legend")).not.toBeNull();
+  });
+});
@@ -0,0 +1,188 @@
+/*
+  Generates positions for applications that do not have gui-x and gui-y
+  annotations. Applications are laid out in columns based on the relations
+  between them, starting from the most connected application, and
+  subordinates are stacked next to their principal. Applications are always
+  processed in name order so that the layout is the same for every render.
+*/
+
+// The horizontal distance between the columns of related applications.
+const COLUMN_WIDTH = 400;
+// The vertical distance between applications in a column.
+const ROW_HEIGHT = 250;
+// The vertical distance between subordinates stacked next to a principal.
+const SUBORDINATE_SPACING = 140;
+// The horizontal distance from a principal to its subordinates.
+const SUBORDINATE_OFFSET = 200;
+// The space between groups of related applications.
+const GROUP_GAP = 100;
+// The number of unrelated applications to place on each row.
+const UNRELATED_PER_ROW = 4;
+
+/**
+  Returns whether the application is a subordinate.
+  @param {Object} app The application status object.
+  @returns {Boolean} If the application is a subordinate.
+*/
+export const isSubordinate = (app) => app?.["subordinate-to"]?.length > 0;
+
+/**
+  Sorts names in a way that does not depend on the user's locale.
+  @param {String} a The first name.
+  @param {String} b The second name.
+  @returns {Number} The sort order.
+*/
+const compareNames = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+/**
+  Returns the name of the principal that a subordinate will be placed next to.
+  @param {Object} app The application.
+  @param {Object} applications The applications keyed by name.
+  @returns {String|undefined} The principal application name.
+*/
+const getPrincipal = (app, applications) =>
+  isSubordinate(app)
+    ? [...app["subordinate-to"]]
+        .sort(compareNames)
+        .find(
+          (name) => applications[name] && !isSubordinate(applications[name])
+        )
+    : undefined;
+
+/**
+  Computes the positions for the applications that have not been placed.
+  @param {Array} applications The list of applications, each with a name.
+  @param {Array} relations The list of application name pairs that are
+    related.
+  @param {Object} placed The positions of the applications that have already
+    been placed, keyed by application name, in the keys { x, y }.
+  @returns {Object} The positions of the unplaced applications keyed by
+    application name, in the keys { x, y }.
+*/
+export const computeAutoLayout = (applications, relations, placed = {}) => {
+  const positions = {};
+  const appsByName = {};
+  applications.forEach((app) => {
+    appsByName[app.name] = app;
+  });
+  const names = Object.keys(appsByName).sort(compareNames);
+
+  // Group the subordinates with their principals.
+  const principals = [];
+  const subordinates = {};
+  const groups = {};
+  names.forEach((name) => {
+    const principal = getPrincipal(appsByName[name], appsByName);
+    if (principal) {
+      subordinates[principal] = [...(subordinates[principal] || []), name];
+      groups[name] = principal;
+    } else {
+      principals.push(name);
+      groups[name] = name;
+    }
+  });
+
+  // Relations to subordinates are treated as relations to their principal.
+  const adjacent = {};
+  principals.forEach((name) => {
+    adjacent[name] = new Set();
+  });
+  relations.forEach(([app1, app2]) => {
+    const group1 = groups[app1];
+    const group2 = groups[app2];
+    if (group1 && group2 && group1 !== group2) {
+      adjacent[group1].add(group2);
+      adjacent[group2].add(group1);
+    }
+  });
+
+  const placeSubordinates = (principal, { x, y }) => {
+    (subordinates[principal] || [])
+      .filter((name) => !placed[name])
+      .forEach((name, i) => {
+        positions[name] = {
+          x: x + SUBORDINATE_OFFSET,
+          y: y + i * SUBORDINATE_SPACING,
+        };
+      });
+  };
+  const getRowHeight = (principal) =>
+    Math.max(
+      ROW_HEIGHT,
+      (subordinates[principal] || []).length * SUBORDINATE_SPACING
+    );
+
+  // Subordinates of applications that have been placed go next to them.
+  principals
+    .filter((name) => placed[name])
+    .forEach((name) => placeSubordinates(name, placed[name]));
+
+  // Start placing the new applications below those that have been placed.
+  const placedPositions = Object.values(placed);
+  let offsetY =
+    placedPositions.length > 0
+      ? Math.max(...placedPositions.map(({ y }) => y)) + ROW_HEIGHT
+      : 0;
+
+  const unplaced = principals.filter((name) => !placed[name]);
+  // Start from the most connected applications so that they are on the left.
+  const roots = [...unplaced].sort(
+    (a, b) => adjacent[b].size - adjacent[a].size || compareNames(a, b)
+  );
+  const visited = new Set();
+  const unrelated = [];
+  roots.forEach((root) => {
+    if (visited.has(root)) {
+      return;
+    }
+    // Lay out the related applications in columns by their distance from the
+    // root application.
+    visited.add(root);
+    const columns = [];
+    let column = [root];
+    while (column.length > 0) {
+      columns.push(column);
+      const next = [];
+      column.forEach((name) => {
+        [...adjacent[name]].sort(compareNames).forEach((related) => {
+          if (!placed[related] && !visited.has(related)) {
+            visited.add(related);
+            next.push(related);
+          }
+        });
+      });
+      column = next;
+    }
+    if (columns.length === 1) {
+      // Applications without relations are placed in a grid after the
+      // related applications.
+      unrelated.push(root);
+      return;
+    }
+    let groupHeight = 0;
+    columns.forEach((names, i) => {
+      let y = offsetY;
+      names.forEach((name) => {
+        positions[name] = { x: i * COLUMN_WIDTH, y };
+        placeSubordinates(name, positions[name]);
+        y += getRowHeight(name);
+      });
+      groupHeight = Math.max(groupHeight, y - offsetY);
+    });
+    offsetY += groupHeight + GROUP_GAP;
+  });
+
+  let rowHeight = 0;
+  unrelated.sort(compareNames).forEach((name, i) => {
+    const columnIndex = i % UNRELATED_PER_ROW;
+    if (i > 0 && columnIndex === 0) {
+      offsetY += rowHeight;
+      rowHeight = 0;
+    }
+    positions[name] = { x: columnIndex * COLUMN_WIDTH, y: offsetY };
+    placeSubordinates(name, positions[name]);
+    rowHeight = Math.max(rowHeight, getRowHeight(name));
+  });
+
+  return positions;
+};
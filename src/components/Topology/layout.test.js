@@ -0,0 +1,79 @@
+import { computeAutoLayout } from "./layout";
+
+describe("computeAutoLayout", () => {
+  const generateApps = (names, subordinates = {}) =>
+    names.map((name) => ({
+      name,
+      "subordinate-to": subordinates[name] || [],
+    }));
+
+  it("places related applications in columns", () => {
+    const applications = generateApps(["mysql", "wordpress", "haproxy"]);
+    const relations = [
+      ["wordpress", "mysql"],
+      ["haproxy", "wordpress"],
+    ];
+    expect(computeAutoLayout(applications, relations)).toStrictEqual({
+      wordpress: { x: 0, y: 0 },
+      haproxy: { x: 400, y: 0 },
+      mysql: { x: 400, y: 250 },
+    });
+  });
+
+  it("places unrelated applications in a grid", () => {
+    const applications = generateApps(["e", "d", "c", "b", "a"]);
+    expect(computeAutoLayout(applications, [])).toStrictEqual({
+      a: { x: 0, y: 0 },
+      b: { x: 400, y: 0 },
+      c: { x: 800, y: 0 },
+      d: { x: 1200, y: 0 },
+      e: { x: 0, y: 250 },
+    });
+  });
+
+  it("places subordinates next to their principal", () => {
+    const applications = generateApps(
+      ["mysql", "telegraf", "ntp", "wordpress"],
+      { telegraf: ["mysql", "wordpress"], ntp: ["mysql"] }
+    );
+    const relations = [
+      ["wordpress", "mysql"],
+      ["telegraf", "wordpress"],
+    ];
+    expect(computeAutoLayout(applications, relations)).toStrictEqual({
+      mysql: { x: 0, y: 0 },
+      ntp: { x: 200, y: 0 },
+      telegraf: { x: 200, y: 140 },
+      wordpress: { x: 400, y: 0 },
+    });
+  });
+
+  it("places applications below those that have positions", () => {
+    const applications = generateApps(["mysql", "wordpress", "ntp"], {
+      ntp: ["mysql"],
+    });
+    const placed = { mysql: { x: 100, y: 300 } };
+    expect(
+      computeAutoLayout(applications, [["wordpress", "mysql"]], placed)
+    ).toStrictEqual({
+      ntp: { x: 300, y: 300 },
+      wordpress: { x: 0, y: 550 },
+    });
+  });
+
+  it("generates the same layout regardless of the order", () => {
+    const relations = [
+      ["a", "b"],
+      ["b", "c"],
+      ["d", "a"],
+    ];
+    expect(
+      computeAutoLayout(generateApps(["a", "b", "c", "d"]), relations)
+    ).toStrictEqual(
+      computeAutoLayout(
+        generateApps(["d", "c", "b", "a"]),
+        [...relations].reverse()
+      )
+    );
+  });
+});
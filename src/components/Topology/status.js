@@ -0,0 +1,16 @@
+// The colours for each status group. These match the status icons.
+export const STATUS_COLORS = {
+  running: "#0e8420",
+  alert: "#f99b11",
+  blocked: "#c7162b",
+};
+
+// The symbols displayed in the status badges.
+export const STATUS_BADGES = {
+  running: "✓",
+  alert: "!",
+  blocked: "✕",
+};
+
+// The status groups in order of increasing severity.
+export const STATUS_ORDER = ["running", "alert", "blocked"];
@@ -0,0 +1,101 @@
+import { useState } from "react";
+import { format } from "date-fns";
+import Select from "@canonical/react-components/dist/components/Select";
+
+import { exportTopology } from "components/Topology/export";
+
+import "./_topology-export.scss";
+
+export default function TopologyExport({
+  getTopology,
+  modelName,
+  controllerName,
+}) {
+  const [fileFormat, setFileFormat] = useState("svg");
+  const [scale, setScale] = useState("2");
+  const [legend, setLegend] = useState(true);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleExport = async (e) => {
+    e.preventDefault();
+    const svgElement = getTopology();
+    if (!svgElement) {
+      return;
+    }
+    setExporting(true);
+    setError(null);
+    const date = new Date();
+    try {
+      await exportTopology(
+        svgElement,
+        `${modelName}-${format(date, "yyyyMMdd-HHmmss")}`,
+        {
+          format: fileFormat,
+          scale: parseInt(scale, 10),
+          legend,
+          title: modelName,
+          subtitle: [controllerName, format(date, "yyyy-MM-dd HH:mm:ss")]
+            .filter(Boolean)
+            .join(" · "),
+        }
+      );
+    } catch (error) {
+      setError(error);
+    }
+    setExporting(false);
+  };
+
+  return (
+    <div className="topology-export">
+      <form className="topology-export__form" onSubmit={handleExport}>
+        <Select
+          id="topology-export-format"
+          label="Format"
+          value={fileFormat}
+          onChange={(e) => setFileFormat(e.target.value)}
+          options={[
+            { label: "SVG", value: "svg" },
+            { label: "PNG", value: "png" },
+          ]}
+        />
+        {fileFormat === "png" ? (
+          <Select
+            id="topology-export-scale"
+            label="Scale"
+            value={scale}
+            onChange={(e) => setScale(e.target.value)}
+            options={["1", "2", "3", "4"].map((value) => ({
+              label: `${value}x`,
+              value,
+            }))}
+          />
+        ) : null}
+        <div className="topology-export__legend">
+          <input
+            type="checkbox"
+            id="topology-export-legend"
+            checked={legend}
+            onChange={() => setLegend(!legend)}
+          />
+          <label htmlFor="topology-export-legend">Include legend</label>
+        </div>
+        <button
+          className="p-button--neutral"
+          type="submit"
+          disabled={exporting}
+        >
+          {exporting ? "Exporting..." : "Export"}
+        </button>
+      </form>
+      {error ? (
+        <div className="p-notification--negative">
+          <p className="p-notification__response">
+            <span className="p-notification__status">Error:</span>
+            {error.message}
+          </p>
+        </div>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,75 @@
+import { mount } from "enzyme";
+
+import { exportTopology } from "components/Topology/export";
+import { waitForComponentToPaint } from "testing/utils";
+
+import TopologyExport from "./TopologyExport";
+
+jest.mock("components/Topology/export", () => ({
+  exportTopology: jest.fn(),
+}));
+
+describe("TopologyExport", () => {
+  const svgElement = document.createElementNS(
+    "http://www.w3.org/2000/svg",
+    "svg"
+  );
+
+  const generateComponent = () =>
+    mount(
+      <TopologyExport
+        getTopology={() => svgElement}
+        modelName="my-model"
+        controllerName="my-controller"
+      />
+    );
+
+  it("exports the topology as an svg", async () => {
+    exportTopology.mockResolvedValue();
+    const wrapper = generateComponent();
+    expect(wrapper.find("select#topology-export-scale").exists()).toBe(false);
+    wrapper.find("form").simulate("submit");
+    await waitForComponentToPaint(wrapper);
+    expect(exportTopology).toHaveBeenCalledWith(
+      svgElement,
+      expect.stringMatching(/^my-model-\d{8}-\d{6}$/),
+      expect.objectContaining({
+        format: "svg",
+        legend: true,
+        title: "my-model",
+        subtitle: expect.stringMatching(/^my-controller · /),
+      })
+    );
+  });
+
+  it("exports the topology as a png at the chosen scale", async () => {
+    exportTopology.mockResolvedValue();
+    const wrapper = generateComponent();
+    wrapper
+      .find("select#topology-export-format")
+      .simulate("change", { target: { value: "png" } });
+    wrapper
+      .find("select#topology-export-scale")
+      .simulate("change", { target: { value: "4" } });
+    wrapper
+      .find("input#topology-export-legend")
+      .simulate("change", { target: { checked: false } });
+    wrapper.find("form").simulate("submit");
+    await waitForComponentToPaint(wrapper);
+    expect(exportTopology).toHaveBeenCalledWith(
+      svgElement,
+      expect.any(String),
+      expect.objectContaining({ format: "png", scale: 4, legend: false })
+    );
+  });
+
+  it("displays export errors", async () => {
+    exportTopology.mockRejectedValue(new Error("Unable to load the SVG."));
+    const wrapper = generateComponent();
+    wrapper.find("form").simulate("submit");
+    await waitForComponentToPaint(wrapper);
+    expect(wrapper.find(".p-notification--negative").text()).toContain(
+      "Unable to load the SVG."
+    );
+  });
+});
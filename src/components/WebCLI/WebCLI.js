@@ -1,13 +1,14 @@
 import { useEffect, useMemo, useRef, useState } from "react";
 import { useSelector, useStore } from "react-redux";
 
-import { getActiveUserTag, getBakery } from "app/selectors";
+import { getBakery } from "app/selectors";
 
 import useAnalytics from "../../hooks/useAnalytics";
 
 import WebCLIOutput from "./Output.js";
 
 import Connection from "./connection";
+import { generateAuthentication } from "./authentication";
 
 import "./_webcli.scss";
 
@@ -62,29 +63,17 @@ const WebCLI = ({
     // We need to get the most up to date connection information in the event
     // that the original connection was redirected. This typically happens in
     // a JAAS style environment.
-    let authentication = {};
-    if (credentials && credentials.user && credentials.password) {
-      authentication.user = credentials.user;
-      authentication.credentials = credentials.password;
-    } else {
-      // A user name and password were not provided so try and get a macaroon.
-      // The macaroon should be already stored as we've already connected to
-      // the model for the model status.
-      const origin = new URL(connection.address).origin;
-      const macaroons = bakery.storage.get(origin);
-      if (macaroons) {
-        const deserialized = JSON.parse(atob(macaroons));
-        const originalWSOrigin = new URL(wsAddress).origin;
-        const activeUser = getActiveUserTag(
-          `${originalWSOrigin}/api`,
-          storeState
-        );
-        authentication.user = activeUser?.replace("user-", "");
-        authentication.macaroons = [deserialized];
-      } else {
-        // XXX Surface error to the user.
-        console.error("No authentication information available");
-      }
+    let authentication = generateAuthentication(
+      credentials,
+      connection.address,
+      wsAddress,
+      bakery,
+      storeState
+    );
+    if (!authentication) {
+      // XXX Surface error to the user.
+      console.error("No authentication information available");
+      authentication = {};
     }
 
     connection.send(
@@ -109,6 +109,7 @@ describe("WebCLI", () => {
     const wrapper = await generateComponent({
       protocol: "ws",
       controllerWSHost: "localhost:1234",
+      refreshModel: jest.fn(),
       modelUUID: "abc123",
       credentials: {
         user: "spaceman",
@@ -152,6 +153,7 @@ describe("WebCLI", () => {
       {
         protocol: "ws",
         controllerWSHost: "localhost:1234",
+        refreshModel: jest.fn(),
         modelUUID: "abc123",
       },
       clonedDataDump
@@ -176,6 +178,42 @@ describe("WebCLI", () => {
     });
   });
 
+  it("sends the command without authentication if none is available", async () => {
+    const clonedDataDump = cloneDeep(dataDump);
+    clonedDataDump.root.bakery.storage.get = () => null;
+    clobberConsoleError();
+    const server = new WS("ws://localhost:1234/model/abc123/commands", {
+      jsonProtocol: true,
+    });
+    const wrapper = await generateComponent(
+      {
+        protocol: "ws",
+        controllerWSHost: "localhost:1234",
+        refreshModel: jest.fn(),
+        modelUUID: "abc123",
+      },
+      clonedDataDump
+    );
+    return new Promise(async (resolve) => {
+      await server.connected;
+      wrapper.find(".webcli__input-input").instance().value = "status";
+      wrapper.find("form").simulate("submit", { preventDefault: () => {} });
+      await waitForComponentToPaint(wrapper);
+      await expect(server).toReceiveMessage({
+        commands: ["status"],
+      });
+      expect(console.error).toHaveBeenCalledWith(
+        "No authentication information available"
+      );
+      setTimeout(() => {
+        act(() => {
+          WS.clean();
+        });
+        resolve();
+      });
+    });
+  });
+
   describe("WebCLI Output", () => {
     it("displays messages recieved over the websocket", async () => {
       clobberConsoleError();
@@ -186,6 +224,7 @@ describe("WebCLI", () => {
       const wrapper = await generateComponent({
         protocol: "ws",
         controllerWSHost: "localhost:1234",
+        refreshModel: jest.fn(),
         modelUUID: "abc123",
         credentials: {
           user: "spaceman",
@@ -266,6 +305,7 @@ describe("WebCLI", () => {
       const wrapper = await generateComponent({
         protocol: "ws",
         controllerWSHost: "localhost:1234",
+        refreshModel: jest.fn(),
         modelUUID: "abc123",
         credentials: {
           user: "spaceman",
@@ -0,0 +1,45 @@
+import { getActiveUserTag } from "app/selectors";
+
+/**
+  Generates the authentication details to send to a controller websocket
+  endpoint such as the Web CLI or debug log.
+  @param {Object} credentials The user name and password in the keys
+    { user, password }, if the controller uses local users.
+  @param {String} address The address that is currently connected to. This
+    may differ from the original address if the connection was redirected,
+    which typically happens in a JAAS style environment.
+  @param {String} originalAddress The address that was originally requested.
+  @param {Object} bakery The bakery holding the stored macaroons.
+  @param {Object} state The application state.
+  @returns {Object|null} The authentication details or null if none are
+    available.
+*/
+export const generateAuthentication = (
+  credentials,
+  address,
+  originalAddress,
+  bakery,
+  state
+) => {
+  if (credentials && credentials.user && credentials.password) {
+    return {
+      user: credentials.user,
+      credentials: credentials.password,
+    };
+  }
+  // A user name and password were not provided so try and get a macaroon.
+  // The macaroon should be already stored as we've already connected to
+  // the model for the model status.
+  const origin = new URL(address).origin;
+  const macaroons = bakery?.storage.get(origin);
+  if (!macaroons) {
+    return null;
+  }
+  const deserialized = JSON.parse(atob(macaroons));
+  const originalWSOrigin = new URL(originalAddress).origin;
+  const activeUser = getActiveUserTag(`${originalWSOrigin}/api`, state);
+  return {
+    user: activeUser?.replace("user-", ""),
+    macaroons: [deserialized],
+  };
+};
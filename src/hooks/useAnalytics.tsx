@@ -1,3 +1,4 @@
+import { useCallback } from "react";
 import ReactGA from "react-ga";
 
 type AnalyticMessage = {
@@ -7,20 +8,25 @@ type AnalyticMessage = {
 };
 
 export default function useAnalytics() {
-  return ({ path, category = "", action = "" }: AnalyticMessage) => {
-    const disableAnalytics = localStorage.getItem("disableAnalytics");
-    const isProduction = process.env.NODE_ENV === "production" ?? true;
-    if (!isProduction || disableAnalytics === "true") {
-      return;
-    }
+  // The function is memoised so that it can be used in the dependencies of
+  // other hooks.
+  return useCallback(
+    ({ path, category = "", action = "" }: AnalyticMessage) => {
+      const disableAnalytics = localStorage.getItem("disableAnalytics");
+      const isProduction = process.env.NODE_ENV === "production" ?? true;
+      if (!isProduction || disableAnalytics === "true") {
+        return;
+      }
 
-    if (path) {
-      ReactGA.pageview(path);
-    } else {
-      ReactGA.event({
-        category,
-        action,
-      });
-    }
-  };
+      if (path) {
+        ReactGA.pageview(path);
+      } else {
+        ReactGA.event({
+          category,
+          action,
+        });
+      }
+    },
+    []
+  );
 }
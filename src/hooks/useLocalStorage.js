@@ -1,5 +1,11 @@
 import { useState } from "react";
 
+import useEventListener from "hooks/useEventListener";
+
+// The event used to keep the values in sync between the hooks that use the
+// same key.
+const CHANGE_EVENT = "local-storage-change";
+
 function useLocalStorage(key, initialValue) {
   // State to store our value
   // Pass initial state function to useState so logic is only executed once
@@ -13,6 +19,12 @@ function useLocalStorage(key, initialValue) {
     }
   });
 
+  useEventListener(CHANGE_EVENT, (event) => {
+    if (event.detail.key === key) {
+      setStoredValue(event.detail.value);
+    }
+  });
+
   // Return a wrapped version of useState's setter function that persists the
   // new value to localStorage.
   const setValue = (value) => {
@@ -22,6 +34,11 @@ function useLocalStorage(key, initialValue) {
         value instanceof Function ? value(storedValue) : value;
       setStoredValue(valueToStore);
       window.localStorage.setItem(key, JSON.stringify(valueToStore));
+      window.dispatchEvent(
+        new CustomEvent(CHANGE_EVENT, {
+          detail: { key, value: valueToStore },
+        })
+      );
     } catch (error) {
       console.log(error);
     }
@@ -0,0 +1,29 @@
+import { useSelector } from "react-redux";
+
+import { hasModelAccess } from "app/selectors";
+import useOffline from "hooks/useOffline";
+
+/**
+  Returns whether changes can be made to the model. Changes can't be made
+  while the dashboard is offline as the data is read only.
+  @param {String} modelUUID The UUID of the model.
+  @returns {{canWrite: Boolean, getDisabledTitle: Function}} Whether changes
+    can be made and a function that returns the reason a control for the
+    supplied action is disabled.
+*/
+export default function useModelWriteAccess(modelUUID) {
+  const isOffline = useOffline();
+  const hasWriteAccess = useSelector((state) =>
+    hasModelAccess(modelUUID, "write", state)
+  );
+  const canWrite = hasWriteAccess && !isOffline;
+  const getDisabledTitle = (action) => {
+    if (canWrite) {
+      return undefined;
+    }
+    return isOffline
+      ? `You can't ${action} while the dashboard is offline.`
+      : `You need write access to this model to ${action}.`;
+  };
+  return { canWrite, getDisabledTitle };
+}
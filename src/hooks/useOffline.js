@@ -6,7 +6,11 @@ import { useState, useEffect } from "react";
  * @returns {Boolean} isOffline
  */
 export default function useOffline() {
-  const [isOffline, setIsOffline] = useState(null);
+  // The status is null until it changes unless the dashboard was loaded while
+  // offline.
+  const [isOffline, setIsOffline] = useState(
+    navigator.onLine === false ? true : null
+  );
 
   useEffect(() => {
     const offlineEvent = window.addEventListener(
@@ -0,0 +1,91 @@
+import useLocalStorage from "hooks/useLocalStorage";
+
+// The filters that can be stored in a view, these match the query params used
+// by the models list.
+const VIEW_FILTERS = ["cloud", "owner", "region", "credential", "custom"];
+
+/**
+  Generates the path to the models list for a saved view.
+  @param {Object} view The view in the format:
+    {name, groupedBy, filters: {filter: [values]}, sort: {key, direction}}
+  @returns {String} The path including the query string.
+*/
+export const generateViewPath = ({ groupedBy, filters, sort }) => {
+  const params = new URLSearchParams();
+  if (groupedBy) {
+    params.append("groupedby", groupedBy);
+  }
+  VIEW_FILTERS.forEach((filter) => {
+    (filters?.[filter] || []).forEach((value) => {
+      params.append(filter, value);
+    });
+  });
+  if (sort?.key) {
+    params.append("sort", sort.key);
+    params.append("sortdirection", sort.direction || "ascending");
+  }
+  const search = params.toString();
+  return `/models${search ? `?${search}` : ""}`;
+};
+
+/**
+  Checks that a value is a list of strings.
+  @param {*} value The value to check.
+  @returns {Boolean} Whether the value is a list of strings.
+*/
+const isStringList = (value) =>
+  Array.isArray(value) && value.every((item) => typeof item === "string");
+
+/**
+  Parses and validates a list of views that has been exported as JSON.
+  @param {String} json The exported views.
+  @returns {Array} The list of views.
+  @throws {Error} If the JSON does not contain a list of valid views.
+*/
+export const parseSavedViews = (json) => {
+  const invalid = new Error("The file does not contain valid saved views.");
+  let views;
+  try {
+    views = JSON.parse(json);
+  } catch (error) {
+    throw invalid;
+  }
+  const valid =
+    Array.isArray(views) &&
+    views.every(
+      (view) =>
+        typeof view?.name === "string" &&
+        view.name.length > 0 &&
+        typeof view.groupedBy === "string" &&
+        Object.entries(view.filters || {}).every(
+          ([filter, values]) =>
+            VIEW_FILTERS.includes(filter) && isStringList(values)
+        ) &&
+        (!view.sort || typeof view.sort.key === "string")
+    );
+  if (!valid) {
+    throw invalid;
+  }
+  return views.map(({ name, groupedBy, filters, sort }) => ({
+    name,
+    groupedBy,
+    filters: filters || {},
+    sort: sort || null,
+  }));
+};
+
+/**
+  Adds the views to the existing views, replacing any views with the same
+  name.
+  @param {Array} views The existing views.
+  @param {Array} newViews The views to add.
+  @returns {Array} The combined list of views.
+*/
+export const mergeSavedViews = (views, newViews) => {
+  const names = newViews.map(({ name }) => name);
+  return [...views.filter(({ name }) => !names.includes(name)), ...newViews];
+};
+
+export default function useSavedViews() {
+  return useLocalStorage("savedModelViews", []);
+}
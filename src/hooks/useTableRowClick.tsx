@@ -1,6 +1,8 @@
 import { useEffect, useState } from "react";
 import { useParams, useHistory } from "react-router-dom";
 
+import { encodeMachineId } from "app/utils/utils";
+
 type Params = {
   userName: string;
   modelName: string;
@@ -17,7 +19,10 @@ export default function useTableRowClick() {
   const { userName, modelName } = useParams<Params>();
 
   useEffect(() => {
-    const entityId = entity && entity.id.replace("/", "-");
+    let entityId = entity && entity.id.replace("/", "-");
+    if (entity?.type === "machine") {
+      entityId = encodeMachineId(entity.id);
+    }
     if (entity?.type === "unit") {
       const appName = entityId?.split("-").slice(0, -1).join("-");
       userName &&
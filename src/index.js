@@ -20,6 +20,8 @@ import {
 } from "app/actions";
 
 import jujuReducer from "juju/reducer";
+import { getModelConnectionPoolStats } from "juju/model-connection-pool";
+import { persistJujuState, restoreJujuState } from "juju/persistence";
 
 import { version as appVersion } from "../package.json";
 
@@ -68,6 +70,19 @@ function bootstrap() {
     Sentry.setTag("isJuju", config.isJuju);
   }
 
+  if (process.env.REACT_APP_MOCK_CONTROLLER === "true") {
+    // Serve the API from the in-repo mock controller so that the dashboard can
+    // be run offline by e2e tests. This is required inline so that it is
+    // removed from normal builds. The controller is made available so that the
+    // e2e harness can script responses.
+    const {
+      MockController,
+    } = require("testing/mock-controller/mock-controller");
+    window.jujuDashboardMockController = new MockController({
+      url: `wss://${config.baseControllerURL}/api`,
+    }).start();
+  }
+
   const reduxStore = createStore(
     combineReducers({
       root: rootReducer,
@@ -88,6 +103,14 @@ function bootstrap() {
     storage: new BakeryStorage(localStorage, {}),
   });
   reduxStore.dispatch(storeBakery(bakery));
+
+  // Display the model data from the previous session while it is refetched,
+  // this also allows the data to be browsed while offline.
+  restoreJujuState(reduxStore).then(() => persistJujuState(reduxStore));
+
+  // Make the model connection pool stats available from the browser console
+  // for debugging.
+  window.jujuDashboardPoolStats = getModelConnectionPoolStats;
   if (config.identityProviderAvailable) {
     // If an identity provider is available then try and connect automatically
     // If not then wait for the login UI to trigger this
@@ -1,12 +1,25 @@
 import cloneDeep from "clone-deep";
 
-import { fetchAndStoreModelStatus } from "juju";
+import { getModelControllerURL, getWSControllerURL } from "app/selectors";
+import {
+  addRelation,
+  addUnits,
+  destroyRelation,
+  destroyUnits,
+  executeActionOnUnits,
+  fetchAndStoreModelStatus,
+  setApplicationAnnotations,
+  setApplicationConfig,
+} from "juju";
 
 // Action labels
 export const actionsList = {
   clearControllerData: "CLEAR_CONTROLLER_DATA",
   clearModelData: "CLEAR_MODEL_DATA",
+  processAllWatcherDeltas: "PROCESS_ALL_WATCHER_DELTAS",
+  restoreSnapshot: "RESTORE_SNAPSHOT",
   updateControllerList: "UPDATE_CONTROLLER_LIST",
+  updateFacadeVersions: "UPDATE_FACADE_VERSIONS",
   updateModelInfo: "UPDATE_MODEL_INFO",
   updateModelStatus: "UPDATE_MODEL_STATUS",
   updateModelList: "UPDATE_MODEL_LIST",
@@ -26,6 +39,17 @@ export function clearControllerData() {
   };
 }
 
+/**
+  @param {Object} snapshot The stored snapshot in the format
+    {savedAt, models, modelData, controllers}.
+*/
+export function restoreSnapshot(snapshot) {
+  return {
+    type: actionsList.restoreSnapshot,
+    payload: snapshot,
+  };
+}
+
 /**
   @param {String} wsControllerURL The URL of the websocket connection.
   @param {Array} controllers The list of controllers to store.
@@ -40,13 +64,38 @@ export function updateControllerList(wsControllerURL, controllers) {
   };
 }
 
+/**
+  @param {String} wsControllerURL The URL of the websocket connection.
+  @param {String} connectionType The type of connection the versions were
+    negotiated for, either "controller" or "model".
+  @param {Object} facadeVersions The facade versions in the format
+    {supported, selected}.
+*/
+export function updateFacadeVersions(
+  wsControllerURL,
+  connectionType,
+  facadeVersions
+) {
+  return {
+    type: actionsList.updateFacadeVersions,
+    payload: {
+      wsControllerURL,
+      connectionType,
+      facadeVersions,
+    },
+  };
+}
+
 /**
   @param {Array} models The list of models to store.
+  @param {String} wsControllerURL The URL of the controller that the models
+    were listed from.
 */
-export function updateModelList(models) {
+export function updateModelList(models, wsControllerURL) {
   return {
     type: actionsList.updateModelList,
     payload: models,
+    meta: { wsControllerURL },
   };
 }
 
@@ -62,6 +111,21 @@ export function updateModelStatus(modelUUID, status) {
       modelUUID,
       status,
     },
+    // The time the status was received, used to record the model history.
+    meta: { timestamp: Date.now() },
+  };
+}
+
+/**
+  @param {Array} deltas The list of deltas as returned from the AllWatcher or
+    AllModelWatcher Next call.
+ */
+export function processAllWatcherDeltas(deltas) {
+  return {
+    type: actionsList.processAllWatcherDeltas,
+    payload: deltas,
+    // The time the deltas were received, used to record the model history.
+    meta: { timestamp: Date.now() },
   };
 }
 
@@ -124,3 +188,170 @@ export function addControllerCloudRegion(wsControllerURL, modelInfo) {
     }
   };
 }
+
+/**
+  Sets the application config. This requires write access to the model so it
+  must be dispatched with the modelUUID option.
+  @param {String} modelUUID The UUID of the model the application is in.
+  @param {String} appName The name of the application.
+  @param {Object} config The config as displayed in the config panel.
+*/
+export function saveApplicationConfig(modelUUID, appName, config) {
+  async function saveApplicationConfig(dispatch, getState) {
+    return setApplicationConfig(modelUUID, appName, config, getState());
+  }
+  saveApplicationConfig.NAME = "saveApplicationConfig";
+  saveApplicationConfig.ACCESS = "write";
+  return saveApplicationConfig;
+}
+
+/**
+  Runs an action on the units. This requires write access to the model so it
+  must be dispatched with the modelUUID option.
+  @param {Array} unitList The list of unit names to run the action on.
+  @param {String} actionName The name of the action.
+  @param {Object} actionOptions The options for the action.
+  @param {String} modelUUID The UUID of the model the units are in.
+*/
+export function runAction(unitList, actionName, actionOptions, modelUUID) {
+  async function runAction(dispatch, getState) {
+    return executeActionOnUnits(
+      unitList,
+      actionName,
+      actionOptions,
+      modelUUID,
+      getState()
+    );
+  }
+  runAction.NAME = "runAction";
+  runAction.ACCESS = "write";
+  return runAction;
+}
+
+/**
+  Stores the position of an application in the topology as its gui-x and gui-y
+  annotations. This requires write access to the model so it must be
+  dispatched with the modelUUID option.
+  @param {String} modelUUID The UUID of the model the application is in.
+  @param {String} appName The name of the application.
+  @param {Object} position The new position in the keys { x, y }.
+*/
+export function saveApplicationPosition(modelUUID, appName, { x, y }) {
+  async function saveApplicationPosition(dispatch, getState) {
+    return setApplicationAnnotations(
+      modelUUID,
+      appName,
+      // Juju requires that annotation values be strings.
+      { "gui-x": `${Math.round(x)}`, "gui-y": `${Math.round(y)}` },
+      getState()
+    );
+  }
+  saveApplicationPosition.NAME = "saveApplicationPosition";
+  saveApplicationPosition.ACCESS = "write";
+  return saveApplicationPosition;
+}
+
+/**
+  Fetches the latest status of the model so that a change made from the
+  dashboard is displayed without waiting for the watcher.
+  @param {String} modelUUID The UUID of the model to refresh.
+  @param {Function} dispatch The redux dispatch method.
+  @param {Function} getState A function that returns the app redux state.
+*/
+async function refreshModelStatus(modelUUID, dispatch, getState) {
+  const wsControllerURL =
+    getModelControllerURL(modelUUID, getState()) ||
+    getWSControllerURL(getState());
+  await fetchAndStoreModelStatus(
+    modelUUID,
+    wsControllerURL,
+    dispatch,
+    getState
+  );
+}
+
+/**
+  Relates two application endpoints. This requires write access to the model
+  so it must be dispatched with the modelUUID option.
+  @param {String} modelUUID The UUID of the model the applications are in.
+  @param {Array} endpoints The endpoints to relate e.g. ["mysql:db",
+    "wordpress:db"].
+*/
+export function createRelation(modelUUID, endpoints) {
+  async function createRelation(dispatch, getState) {
+    const response = await addRelation(modelUUID, endpoints, getState());
+    await refreshModelStatus(modelUUID, dispatch, getState);
+    return response;
+  }
+  createRelation.NAME = "createRelation";
+  createRelation.ACCESS = "write";
+  return createRelation;
+}
+
+/**
+  Removes the relation between two application endpoints. This requires write
+  access to the model so it must be dispatched with the modelUUID option.
+  @param {String} modelUUID The UUID of the model the applications are in.
+  @param {Array} endpoints The related endpoints e.g. ["mysql:db",
+    "wordpress:db"].
+*/
+export function removeRelation(modelUUID, endpoints) {
+  async function removeRelation(dispatch, getState) {
+    const response = await destroyRelation(modelUUID, endpoints, getState());
+    await refreshModelStatus(modelUUID, dispatch, getState);
+    return response;
+  }
+  removeRelation.NAME = "removeRelation";
+  removeRelation.ACCESS = "write";
+  return removeRelation;
+}
+
+/**
+  Adds units to an application. This requires write access to the model so it
+  must be dispatched with the modelUUID option.
+  @param {String} modelUUID The UUID of the model the application is in.
+  @param {String} appName The name of the application to add units to.
+  @param {Number} count The number of units to add.
+  @param {Array} placement The placement directives in the format
+    [{ scope, directive }].
+*/
+export function createUnits(modelUUID, appName, count, placement = []) {
+  async function createUnits(dispatch, getState) {
+    const response = await addUnits(
+      modelUUID,
+      appName,
+      count,
+      placement,
+      getState()
+    );
+    await refreshModelStatus(modelUUID, dispatch, getState);
+    return response;
+  }
+  createUnits.NAME = "createUnits";
+  createUnits.ACCESS = "write";
+  return createUnits;
+}
+
+/**
+  Removes units from an application. This requires write access to the model
+  so it must be dispatched with the modelUUID option.
+  @param {String} modelUUID The UUID of the model the units are in.
+  @param {Array} unitNames The units to remove e.g. ["mysql/0"].
+  @param {Object} options The removal options in the keys
+    { force, destroyStorage }.
+*/
+export function removeUnits(modelUUID, unitNames, options) {
+  async function removeUnits(dispatch, getState) {
+    const response = await destroyUnits(
+      modelUUID,
+      unitNames,
+      options,
+      getState()
+    );
+    await refreshModelStatus(modelUUID, dispatch, getState);
+    return response;
+  }
+  removeUnits.NAME = "removeUnits";
+  removeUnits.ACCESS = "write";
+  return removeUnits;
+}
@@ -3,9 +3,30 @@ import * as actions from "./actions";
 describe("action creators", () => {
   it("updateModelList", () => {
     const models = [{ model: "data" }];
-    expect(actions.updateModelList(models)).toStrictEqual({
+    expect(
+      actions.updateModelList(models, "wss://example.com/api")
+    ).toStrictEqual({
       type: actions.actionsList.updateModelList,
       payload: models,
+      meta: { wsControllerURL: "wss://example.com/api" },
+    });
+  });
+
+  it("processAllWatcherDeltas", () => {
+    const deltas = [["application", "change", { name: "mysql" }]];
+    expect(actions.processAllWatcherDeltas(deltas)).toStrictEqual({
+      type: actions.actionsList.processAllWatcherDeltas,
+      payload: deltas,
+      meta: { timestamp: expect.any(Number) },
+    });
+  });
+
+  it("updateModelStatus", () => {
+    const status = { applications: {} };
+    expect(actions.updateModelStatus("abc123", status)).toStrictEqual({
+      type: actions.actionsList.updateModelStatus,
+      payload: { modelUUID: "abc123", status },
+      meta: { timestamp: expect.any(Number) },
     });
   });
 });
@@ -0,0 +1,376 @@
+/*
+  Helpers to apply the deltas returned by the AllWatcher and AllModelWatcher
+  facades to the model data stored in redux. The model data is stored in the
+  format returned by Client.FullStatus so the deltas are converted to that
+  format as they're applied so that the rest of the application doesn't need to
+  know which source the data came from.
+
+  Each delta is in the format [entityKind, "change"|"remove", entityInfo].
+*/
+
+/**
+  Converts a watcher status object into the format returned by FullStatus.
+  @param {Object} status The status in the format
+    {current, message, since, version}.
+  @param {Object} existing The existing status to merge the new values into.
+  @returns {Object} The status in the format {status, info, since, version}.
+*/
+export const convertStatus = (status, existing = {}) => {
+  if (!status) {
+    return existing;
+  }
+  return {
+    ...existing,
+    status: status.current,
+    info: status.message,
+    since: status.since,
+    version: status.version || existing.version || "",
+  };
+};
+
+/**
+  Generates the hardware string, as returned by FullStatus, from the watcher
+  hardware characteristics.
+  @param {Object} characteristics The machine hardware characteristics.
+  @returns {String|null} The hardware in the format "arch=amd64 cores=1 ...".
+*/
+export const generateHardwareString = (characteristics) => {
+  if (!characteristics) {
+    return null;
+  }
+  const keys = {
+    arch: "arch",
+    "cpu-cores": "cores",
+    "cpu-power": "cpu-power",
+    mem: "mem",
+    "root-disk": "root-disk",
+    "availability-zone": "availability-zone",
+  };
+  return Object.entries(keys)
+    .filter(([key]) => characteristics[key] !== undefined)
+    .map(([key, name]) => {
+      let value = characteristics[key];
+      if (key === "mem" || key === "root-disk") {
+        value = `${value}M`;
+      }
+      return `${name}=${value}`;
+    })
+    .join(" ");
+};
+
+/**
+  Returns the collection that the machine is stored in. Top level machines are
+  stored in the machines object and containers are stored in the containers
+  object of their host machine.
+  @param {Object} model The model data.
+  @param {String} machineId The machine id e.g. "0" or "0/lxd/1".
+  @returns {Object|null} The collection the machine belongs in.
+*/
+const getMachineCollection = (model, machineId) => {
+  if (!model.machines) {
+    model.machines = {};
+  }
+  const parts = machineId.split("/");
+  if (parts.length === 1) {
+    return model.machines;
+  }
+  // Walk down the container tree e.g. "0/lxd/1/lxd/2".
+  let collection = model.machines;
+  for (let i = 0; i < parts.length - 2; i += 2) {
+    const id = parts.slice(0, i + 1).join("/");
+    const host = collection[id];
+    if (!host) {
+      return null;
+    }
+    if (!host.containers) {
+      host.containers = {};
+    }
+    collection = host.containers;
+  }
+  return collection;
+};
+
+const applicationDelta = {
+  change: (model, entity) => {
+    if (!model.applications) {
+      model.applications = {};
+    }
+    const existing = model.applications[entity.name] || {
+      units: {},
+      relations: {},
+      "subordinate-to": [],
+    };
+    model.applications[entity.name] = {
+      ...existing,
+      charm: entity["charm-url"],
+      exposed: entity.exposed,
+      life: entity.life,
+      status: convertStatus(entity.status, existing.status),
+      "workload-version":
+        entity["workload-version"] || existing["workload-version"],
+    };
+  },
+  remove: (model, entity) => {
+    delete model.applications?.[entity.name];
+  },
+};
+
+const unitDelta = {
+  change: (model, entity) => {
+    const principal = entity.principal;
+    let collection = null;
+    if (principal) {
+      const principalUnit =
+        model.applications?.[principal.split("/")[0]]?.units?.[principal];
+      if (!principalUnit) {
+        return;
+      }
+      if (!principalUnit.subordinates) {
+        principalUnit.subordinates = {};
+      }
+      collection = principalUnit.subordinates;
+    } else {
+      const application = model.applications?.[entity.application];
+      if (!application) {
+        return;
+      }
+      if (!application.units) {
+        application.units = {};
+      }
+      collection = application.units;
+    }
+    const existing = collection[entity.name] || {};
+    const ports = (entity.ports || []).map(
+      (port) => `${port.number}/${port.protocol}`
+    );
+    collection[entity.name] = {
+      ...existing,
+      charm: entity["charm-url"],
+      machine: entity["machine-id"],
+      "public-address": entity["public-address"],
+      "opened-ports": ports.length ? ports : existing["opened-ports"],
+      "agent-status": convertStatus(
+        entity["agent-status"],
+        existing["agent-status"]
+      ),
+      "workload-status": convertStatus(
+        entity["workload-status"],
+        existing["workload-status"]
+      ),
+    };
+  },
+  remove: (model, entity) => {
+    const principal = entity.principal;
+    if (principal) {
+      delete model.applications?.[principal.split("/")[0]]?.units?.[principal]
+        ?.subordinates?.[entity.name];
+    } else {
+      delete model.applications?.[entity.application]?.units?.[entity.name];
+    }
+  },
+};
+
+const machineDelta = {
+  change: (model, entity) => {
+    const collection = getMachineCollection(model, entity.id);
+    if (!collection) {
+      return;
+    }
+    const existing = collection[entity.id] || { containers: {} };
+    const addresses = (entity.addresses || []).map((address) => address.value);
+    collection[entity.id] = {
+      ...existing,
+      id: entity.id,
+      series: entity.series,
+      "instance-id": entity["instance-id"],
+      "agent-status": convertStatus(
+        entity["agent-status"],
+        existing["agent-status"]
+      ),
+      "instance-status": convertStatus(
+        entity["instance-status"],
+        existing["instance-status"]
+      ),
+      "dns-name": addresses[0] || existing["dns-name"],
+      "ip-addresses": addresses.length ? addresses : existing["ip-addresses"],
+      hardware:
+        generateHardwareString(entity["hardware-characteristics"]) ||
+        existing.hardware ||
+        "",
+    };
+  },
+  remove: (model, entity) => {
+    const collection = getMachineCollection(model, entity.id);
+    if (collection) {
+      delete collection[entity.id];
+    }
+  },
+};
+
+const relationDelta = {
+  change: (model, entity) => {
+    if (!model.relations) {
+      model.relations = [];
+    }
+    const index = model.relations.findIndex(
+      (relation) => relation.id === entity.id
+    );
+    const existing = model.relations[index] || {};
+    const endpoints = entity.endpoints || [];
+    const relation = {
+      ...existing,
+      id: entity.id,
+      key: entity.key,
+      interface: endpoints[0]?.relation?.interface,
+      scope: endpoints[0]?.relation?.scope,
+      endpoints: endpoints.map((endpoint) => ({
+        application: endpoint["application-name"],
+        name: endpoint.relation.name,
+        role: endpoint.relation.role,
+        subordinate: endpoint.relation.scope === "container",
+      })),
+      // The watcher doesn't provide the relation status so a new relation
+      // is considered to be joining until the status is next fetched.
+      status: existing.status || { status: "joining", info: "" },
+    };
+    if (index === -1) {
+      model.relations.push(relation);
+    } else {
+      model.relations[index] = relation;
+    }
+  },
+  remove: (model, entity) => {
+    if (model.relations) {
+      model.relations = model.relations.filter(
+        (relation) => relation.id !== entity.id
+      );
+    }
+  },
+};
+
+const annotationDelta = {
+  change: (model, entity) => {
+    if (!entity.tag.startsWith("application-")) {
+      // Only the application annotations are stored.
+      return;
+    }
+    if (!model.annotations) {
+      model.annotations = {};
+    }
+    const appName = entity.tag.replace("application-", "");
+    if (Object.keys(entity.annotations || {}).length > 0) {
+      model.annotations[appName] = entity.annotations;
+    } else {
+      delete model.annotations[appName];
+    }
+  },
+  remove: (model, entity) => {
+    delete model.annotations?.[entity.tag.replace("application-", "")];
+  },
+};
+
+const remoteApplicationDelta = {
+  change: (model, entity) => {
+    if (!model["remote-applications"]) {
+      model["remote-applications"] = {};
+    }
+    const existing = model["remote-applications"][entity.name] || {
+      endpoints: [],
+      relations: {},
+    };
+    model["remote-applications"][entity.name] = {
+      ...existing,
+      "offer-name": existing["offer-name"] || entity.name,
+      "offer-url": entity["offer-url"],
+      life: entity.life,
+      status: convertStatus(entity.status, existing.status),
+    };
+  },
+  remove: (model, entity) => {
+    delete model["remote-applications"]?.[entity.name];
+  },
+};
+
+const applicationOfferDelta = {
+  change: (model, entity) => {
+    if (!model.offers) {
+      model.offers = {};
+    }
+    const name = entity["offer-name"];
+    const existing = model.offers[name] || { endpoints: {} };
+    model.offers[name] = {
+      ...existing,
+      "offer-name": name,
+      "application-name": entity["application-name"],
+      charm: existing.charm || entity["charm-name"],
+      "active-connected-count": entity["active-connected-count"],
+      "total-connected-count": entity["total-connected-count"],
+    };
+  },
+  remove: (model, entity) => {
+    delete model.offers?.[entity["offer-name"]];
+  },
+};
+
+const modelDelta = {
+  change: (model, entity) => {
+    const existing = model.model || {};
+    model.model = {
+      ...existing,
+      name: entity.name,
+      type: entity.type || existing.type,
+      "cloud-tag": entity.cloud
+        ? `cloud-${entity.cloud}`
+        : existing["cloud-tag"],
+      region: entity["cloud-region"] || existing.region,
+      version: entity.config?.["agent-version"] || existing.version,
+      sla: entity.sla?.level || existing.sla,
+      "model-status": convertStatus(entity.status, existing["model-status"]),
+    };
+  },
+  // Models that are removed are dropped from the model list the next time
+  // it is fetched so there is nothing to do here.
+  remove: () => {},
+};
+
+const deltaHandlers = {
+  annotation: annotationDelta,
+  application: applicationDelta,
+  applicationOffer: applicationOfferDelta,
+  machine: machineDelta,
+  model: modelDelta,
+  relation: relationDelta,
+  remoteApplication: remoteApplicationDelta,
+  unit: unitDelta,
+};
+
+/**
+  Applies the supplied watcher deltas to the model data. This mutates the
+  supplied model data so it is expected to be called with an immer draft.
+  Deltas for models that the user does not have in their model list are
+  ignored, this can happen when using the controller wide watcher as an admin.
+  @param {Object} modelData The model data from the redux store.
+  @param {Object} models The model list from the redux store.
+  @param {Array} deltas The deltas as returned by the watcher.
+*/
+export function applyDeltas(modelData, models, deltas) {
+  deltas.forEach(([kind, operation, entity]) => {
+    const handler = deltaHandlers[kind]?.[operation];
+    const modelUUID = entity?.["model-uuid"];
+    if (!handler || !modelUUID || !models?.[modelUUID]) {
+      // Unhandled entities such as charms, actions and blocks are ignored.
+      return;
+    }
+    if (!modelData[modelUUID]) {
+      modelData[modelUUID] = {
+        applications: {},
+        machines: {},
+        offers: {},
+        relations: [],
+        "remote-applications": {},
+        uuid: modelUUID,
+      };
+    }
+    handler(modelData[modelUUID], entity);
+  });
+}
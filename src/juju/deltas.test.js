@@ -0,0 +1,183 @@
+import { applyDeltas, convertStatus, generateHardwareString } from "./deltas";
+
+const modelUUID = "abc123";
+
+const generateModelData = () => ({
+  [modelUUID]: {
+    applications: {
+      mysql: {
+        charm: "cs:mysql-58",
+        series: "bionic",
+        status: { status: "active", info: "ready", since: "1" },
+        units: {
+          "mysql/0": {
+            machine: "0",
+            "agent-status": { status: "idle", info: "" },
+            "workload-status": { status: "active", info: "ready" },
+            subordinates: {},
+          },
+        },
+      },
+    },
+    machines: {
+      0: {
+        id: "0",
+        hardware: "arch=amd64",
+        "agent-status": { status: "started" },
+        containers: {},
+      },
+    },
+    relations: [],
+    uuid: modelUUID,
+  },
+});
+
+const models = { [modelUUID]: { uuid: modelUUID } };
+
+describe("deltas", () => {
+  it("converts watcher statuses to the full status format", () => {
+    expect(
+      convertStatus({ current: "blocked", message: "oops", since: "2" })
+    ).toStrictEqual({
+      status: "blocked",
+      info: "oops",
+      since: "2",
+      version: "",
+    });
+  });
+
+  it("generates a hardware string", () => {
+    expect(
+      generateHardwareString({
+        arch: "amd64",
+        "cpu-cores": 2,
+        mem: 1700,
+        "availability-zone": "us-east1-b",
+      })
+    ).toBe("arch=amd64 cores=2 mem=1700M availability-zone=us-east1-b");
+  });
+
+  it("updates an application without replacing its units", () => {
+    const modelData = generateModelData();
+    applyDeltas(modelData, models, [
+      [
+        "application",
+        "change",
+        {
+          "model-uuid": modelUUID,
+          name: "mysql",
+          "charm-url": "cs:mysql-59",
+          status: { current: "blocked", message: "missing relation" },
+        },
+      ],
+    ]);
+    const app = modelData[modelUUID].applications.mysql;
+    expect(app.charm).toBe("cs:mysql-59");
+    expect(app.series).toBe("bionic");
+    expect(app.status.status).toBe("blocked");
+    expect(app.units["mysql/0"]).toBeDefined();
+  });
+
+  it("adds and removes units", () => {
+    const modelData = generateModelData();
+    const unit = {
+      "model-uuid": modelUUID,
+      name: "mysql/1",
+      application: "mysql",
+      "machine-id": "1",
+      "agent-status": { current: "allocating" },
+      "workload-status": { current: "waiting" },
+      ports: [{ number: 3306, protocol: "tcp" }],
+    };
+    applyDeltas(modelData, models, [["unit", "change", unit]]);
+    const units = modelData[modelUUID].applications.mysql.units;
+    expect(units["mysql/1"].machine).toBe("1");
+    expect(units["mysql/1"]["agent-status"].status).toBe("allocating");
+    expect(units["mysql/1"]["opened-ports"]).toStrictEqual(["3306/tcp"]);
+    applyDeltas(modelData, models, [["unit", "remove", unit]]);
+    expect(units["mysql/1"]).toBeUndefined();
+  });
+
+  it("stores subordinate units on their principal", () => {
+    const modelData = generateModelData();
+    applyDeltas(modelData, models, [
+      [
+        "unit",
+        "change",
+        {
+          "model-uuid": modelUUID,
+          name: "nrpe/0",
+          application: "nrpe",
+          principal: "mysql/0",
+          "workload-status": { current: "active" },
+        },
+      ],
+    ]);
+    expect(
+      modelData[modelUUID].applications.mysql.units["mysql/0"].subordinates[
+        "nrpe/0"
+      ]["workload-status"].status
+    ).toBe("active");
+  });
+
+  it("stores containers on their host machine", () => {
+    const modelData = generateModelData();
+    applyDeltas(modelData, models, [
+      [
+        "machine",
+        "change",
+        {
+          "model-uuid": modelUUID,
+          id: "0/lxd/0",
+          series: "focal",
+          "agent-status": { current: "pending" },
+        },
+      ],
+    ]);
+    const container = modelData[modelUUID].machines["0"].containers["0/lxd/0"];
+    expect(container.series).toBe("focal");
+    expect(container["agent-status"].status).toBe("pending");
+  });
+
+  it("adds and removes relations", () => {
+    const modelData = generateModelData();
+    const relation = {
+      "model-uuid": modelUUID,
+      id: 3,
+      key: "wordpress:db mysql:db",
+      endpoints: [
+        {
+          "application-name": "mysql",
+          relation: { name: "db", role: "provider", interface: "mysql" },
+        },
+        {
+          "application-name": "wordpress",
+          relation: { name: "db", role: "requirer", interface: "mysql" },
+        },
+      ],
+    };
+    applyDeltas(modelData, models, [["relation", "change", relation]]);
+    expect(modelData[modelUUID].relations[0]).toMatchObject({
+      id: 3,
+      interface: "mysql",
+      endpoints: [
+        { application: "mysql", name: "db", role: "provider" },
+        { application: "wordpress", name: "db", role: "requirer" },
+      ],
+    });
+    applyDeltas(modelData, models, [["relation", "remove", relation]]);
+    expect(modelData[modelUUID].relations).toHaveLength(0);
+  });
+
+  it("ignores deltas for models that are not in the model list", () => {
+    const modelData = generateModelData();
+    applyDeltas(modelData, models, [
+      [
+        "application",
+        "change",
+        { "model-uuid": "unknown", name: "mysql", "charm-url": "cs:mysql" },
+      ],
+    ]);
+    expect(modelData.unknown).toBeUndefined();
+  });
+});
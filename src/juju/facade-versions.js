@@ -0,0 +1,164 @@
+/*
+  Negotiates the facade versions used for each connection. jujulib only
+  registers a single version of each facade so on its own the dashboard can
+  only talk to controllers that support that exact version. Instead the list of
+  facades the server supports is recorded from the login response and the
+  newest version of each facade that both the dashboard and the server support
+  is added to the connection.
+*/
+import action from "@canonical/jujulib/dist/api/facades/action-v6";
+import annotations from "@canonical/jujulib/dist/api/facades/annotations-v2";
+import applicationV12 from "@canonical/jujulib/dist/api/facades/application-v12";
+import applicationV13 from "@canonical/jujulib/dist/api/facades/application-v13";
+import charmsV2 from "@canonical/jujulib/dist/api/facades/charms-v2";
+import charmsV3 from "@canonical/jujulib/dist/api/facades/charms-v3";
+import charmsV4 from "@canonical/jujulib/dist/api/facades/charms-v4";
+import client from "@canonical/jujulib/dist/api/facades/client-v2";
+import cloudV1 from "@canonical/jujulib/dist/api/facades/cloud-v1";
+import cloudV2 from "@canonical/jujulib/dist/api/facades/cloud-v2";
+import cloudV3 from "@canonical/jujulib/dist/api/facades/cloud-v3";
+import cloudV4 from "@canonical/jujulib/dist/api/facades/cloud-v4";
+import cloudV5 from "@canonical/jujulib/dist/api/facades/cloud-v5";
+import cloudV7 from "@canonical/jujulib/dist/api/facades/cloud-v7";
+import controllerV3 from "@canonical/jujulib/dist/api/facades/controller-v3";
+import controllerV4 from "@canonical/jujulib/dist/api/facades/controller-v4";
+import controllerV5 from "@canonical/jujulib/dist/api/facades/controller-v5";
+import controllerV6 from "@canonical/jujulib/dist/api/facades/controller-v6";
+import controllerV7 from "@canonical/jujulib/dist/api/facades/controller-v7";
+import controllerV8 from "@canonical/jujulib/dist/api/facades/controller-v8";
+import controllerV9 from "@canonical/jujulib/dist/api/facades/controller-v9";
+import modelManagerV2 from "@canonical/jujulib/dist/api/facades/model-manager-v2";
+import modelManagerV3 from "@canonical/jujulib/dist/api/facades/model-manager-v3";
+import modelManagerV4 from "@canonical/jujulib/dist/api/facades/model-manager-v4";
+import modelManagerV5 from "@canonical/jujulib/dist/api/facades/model-manager-v5";
+import modelManagerV8 from "@canonical/jujulib/dist/api/facades/model-manager-v8";
+import modelManagerV9 from "@canonical/jujulib/dist/api/facades/model-manager-v9";
+import pinger from "@canonical/jujulib/dist/api/facades/pinger-v1";
+
+import allModelWatcher from "app/all-model-watcher-facade";
+import allWatcher from "app/all-watcher-facade";
+import jimm, { JIMMV3 } from "app/jimm-facade";
+
+// The facades used by the dashboard, keyed by the name they're available
+// under on the connection. The versions are listed newest first.
+export const facadeVersions = {
+  action: [action],
+  allModelWatcher: [allModelWatcher],
+  allWatcher: [allWatcher],
+  annotations: [annotations],
+  application: [applicationV13, applicationV12],
+  charms: [charmsV4, charmsV3, charmsV2],
+  client: [client],
+  cloud: [cloudV7, cloudV5, cloudV4, cloudV3, cloudV2, cloudV1],
+  controller: [
+    controllerV9,
+    controllerV8,
+    controllerV7,
+    controllerV6,
+    controllerV5,
+    controllerV4,
+    controllerV3,
+  ],
+  jimM: [JIMMV3, jimm],
+  modelManager: [
+    modelManagerV9,
+    modelManagerV8,
+    modelManagerV5,
+    modelManagerV4,
+    modelManagerV3,
+    modelManagerV2,
+  ],
+  pinger: [pinger],
+};
+
+/**
+  The error thrown when a call requires a facade that the controller doesn't
+  provide a supported version of.
+*/
+export class FacadeNotSupportedError extends Error {
+  constructor(facadeName, serverVersion) {
+    super(
+      `${facadeName} is not supported on this controller${
+        serverVersion ? ` (Juju ${serverVersion})` : ""
+      }.`
+    );
+    this.name = "FacadeNotSupportedError";
+    this.facadeName = facadeName;
+    this.serverVersion = serverVersion;
+  }
+}
+
+/**
+  Generates a websocket class that records the facades the server reports in
+  its login response.
+  @returns {Object} The recorder in the format {wsclass, facades} where facades
+    is populated once the login response has been received.
+*/
+export function generateFacadeRecorder() {
+  const recorder = { facades: null };
+  class RecordingWebSocket extends WebSocket {
+    constructor(...args) {
+      super(...args);
+      const listener = (event) => {
+        let message = null;
+        try {
+          message = JSON.parse(event.data);
+        } catch (e) {
+          return;
+        }
+        if (message?.response?.facades) {
+          recorder.facades = message.response.facades;
+          this.removeEventListener("message", listener);
+        }
+      };
+      this.addEventListener("message", listener);
+    }
+  }
+  recorder.wsclass = RecordingWebSocket;
+  return recorder;
+}
+
+/**
+  Adds the newest supported version of each facade to the connection and stores
+  the negotiated versions on the connection info.
+  @param {Object} conn The logged in connection.
+  @param {Array} serverFacades The facades from the login response in the
+    format [{name, versions}].
+  @returns {Object} The facade versions in the format {supported, selected}
+    where supported is the versions the server provides keyed by facade name
+    and selected is the version being used keyed by connection facade name.
+*/
+export function negotiateFacades(conn, serverFacades) {
+  const supported = {};
+  (serverFacades || []).forEach(({ name, versions }) => {
+    supported[name] = versions;
+  });
+  const selected = {};
+  Object.entries(facadeVersions).forEach(([facadeName, facadeClasses]) => {
+    const facadeClass = facadeClasses.find((facade) =>
+      supported[facade.NAME]?.includes(facade.VERSION)
+    );
+    if (facadeClass) {
+      conn.facades[facadeName] = new facadeClass(conn.transport, conn.info);
+      selected[facadeName] = facadeClass.VERSION;
+    }
+  });
+  conn.info.facadeVersions = { supported, selected };
+  return conn.info.facadeVersions;
+}
+
+/**
+  Returns the facade from the connection.
+  @param {Object} conn The connection.
+  @param {String} facadeName The name of the facade on the connection
+    e.g. "modelManager".
+  @returns {Object} The facade instance.
+  @throws {FacadeNotSupportedError} If the facade is not available.
+*/
+export function getFacade(conn, facadeName) {
+  const facade = conn?.facades?.[facadeName];
+  if (!facade) {
+    throw new FacadeNotSupportedError(facadeName, conn?.info?.serverVersion);
+  }
+  return facade;
+}
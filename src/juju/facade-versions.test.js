@@ -0,0 +1,81 @@
+import {
+  FacadeNotSupportedError,
+  generateFacadeRecorder,
+  getFacade,
+  negotiateFacades,
+} from "./facade-versions";
+
+const generateConn = () => ({
+  facades: {},
+  info: { serverVersion: "2.9.12" },
+  transport: {},
+});
+
+describe("facade versions", () => {
+  it("selects the newest version supported by the server", () => {
+    const conn = generateConn();
+    const versions = negotiateFacades(conn, [
+      { name: "Application", versions: [11, 12, 13] },
+      { name: "ModelManager", versions: [2, 3, 4, 5, 6, 7] },
+    ]);
+    expect(versions.selected).toStrictEqual({
+      application: 13,
+      modelManager: 5,
+    });
+    expect(versions.supported).toStrictEqual({
+      Application: [11, 12, 13],
+      ModelManager: [2, 3, 4, 5, 6, 7],
+    });
+    expect(conn.facades.application.version).toBe(13);
+    expect(conn.facades.modelManager.version).toBe(5);
+    expect(conn.info.facadeVersions).toBe(versions);
+  });
+
+  it("does not add facades that have no supported version", () => {
+    const conn = generateConn();
+    negotiateFacades(conn, [{ name: "Application", versions: [14, 15] }]);
+    expect(conn.facades.application).toBeUndefined();
+  });
+
+  it("selects the JIMM version with the administration calls", () => {
+    const conn = generateConn();
+    negotiateFacades(conn, [{ name: "JIMM", versions: [2, 3] }]);
+    expect(conn.facades.jimM.version).toBe(3);
+    expect(conn.facades.jimM.findAuditEvents).toBeDefined();
+  });
+
+  it("falls back to the original JIMM version", () => {
+    const conn = generateConn();
+    negotiateFacades(conn, [{ name: "JIMM", versions: [2] }]);
+    expect(conn.facades.jimM.version).toBe(2);
+    expect(conn.facades.jimM.findAuditEvents).toBeUndefined();
+  });
+
+  it("returns facades from the connection", () => {
+    const conn = generateConn();
+    negotiateFacades(conn, [{ name: "Action", versions: [6] }]);
+    expect(getFacade(conn, "action")).toBe(conn.facades.action);
+  });
+
+  it("throws when getting an unsupported facade", () => {
+    const conn = generateConn();
+    negotiateFacades(conn, []);
+    expect(() => getFacade(conn, "action")).toThrow(FacadeNotSupportedError);
+    expect(() => getFacade(conn, "action")).toThrow(
+      "action is not supported on this controller (Juju 2.9.12)."
+    );
+  });
+
+  it("records the facades from the login response", () => {
+    const recorder = generateFacadeRecorder();
+    const ws = new recorder.wsclass("ws://localhost:1234");
+    const facades = [{ name: "Client", versions: [2] }];
+    ws.dispatchEvent(
+      new MessageEvent("message", {
+        data: JSON.stringify({ "request-id": 1, response: { facades } }),
+      })
+    );
+    expect(recorder.facades).toStrictEqual(facades);
+    ws.close();
+  });
+});
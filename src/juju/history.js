@@ -0,0 +1,191 @@
+/*
+  Generates the change history of a model by comparing each status update with
+  the previous status. The stored model status is replaced on each update so
+  this is the only point at which the previous values are available.
+
+  Each event is in the format:
+    {timestamp, entityType, entity, type, from, to}
+  where the type is one of "status", "scale", "charm", "added" or "removed".
+*/
+
+// The maximum number of events that are kept for each model.
+export const MAX_HISTORY_EVENTS = 1000;
+
+/**
+  Returns the units of the applications, including subordinate units.
+  @param {Object} applications The applications from the model status.
+  @returns {Object} The units keyed by unit name.
+*/
+const getUnits = (applications = {}) => {
+  const units = {};
+  Object.values(applications).forEach((application) => {
+    Object.entries(application?.units || {}).forEach(([name, unit]) => {
+      units[name] = unit;
+      Object.entries(unit?.subordinates || {}).forEach(
+        ([subordinateName, subordinate]) => {
+          units[subordinateName] = subordinate;
+        }
+      );
+    });
+  });
+  return units;
+};
+
+/**
+  Returns the relations keyed by the relation key.
+  @param {Array} relations The relations from the model status.
+  @returns {Object} The relations keyed by the relation key.
+*/
+const getRelations = (relations = []) => {
+  const keyed = {};
+  (relations || []).forEach((relation) => {
+    keyed[relation.key] = relation;
+  });
+  return keyed;
+};
+
+/**
+  Generates the events for the changes between two collections of entities.
+  @param {String} entityType The type of the entities.
+  @param {Object} previous The previous entities keyed by name.
+  @param {Object} current The current entities keyed by name.
+  @param {Object} options How to compare the entities:
+    getStatus: returns the status object of an entity to compare.
+    getScale: returns the number of units of an entity to compare.
+    getCharm: returns the charm of an entity to compare.
+    trackPresence: whether to generate events for added and removed entities.
+  @param {Number} timestamp The time the current status was received.
+  @returns {Array} The list of events.
+*/
+const compareEntities = (
+  entityType,
+  previous,
+  current,
+  { getStatus, getScale, getCharm, trackPresence },
+  timestamp
+) => {
+  const events = [];
+  const addEvent = (entity, type, from, to, time = timestamp) => {
+    events.push({
+      timestamp: time,
+      entityType,
+      entity,
+      type,
+      from: from ?? null,
+      to: to ?? null,
+    });
+  };
+  Object.entries(current).forEach(([name, entity]) => {
+    const previousEntity = previous[name];
+    if (!previousEntity) {
+      if (trackPresence) {
+        addEvent(name, "added");
+      }
+      return;
+    }
+    if (getStatus) {
+      const from = getStatus(previousEntity)?.status;
+      const status = getStatus(entity);
+      if (from && status?.status && from !== status.status) {
+        // Use the time the status changed, as reported by Juju, if available.
+        const since = Date.parse(status.since);
+        addEvent(
+          name,
+          "status",
+          from,
+          status.status,
+          Number.isNaN(since) ? timestamp : since
+        );
+      }
+    }
+    if (getScale) {
+      const from = getScale(previousEntity);
+      const to = getScale(entity);
+      if (from !== to) {
+        addEvent(name, "scale", from, to);
+      }
+    }
+    if (getCharm) {
+      const from = getCharm(previousEntity);
+      const to = getCharm(entity);
+      if (from && to && from !== to) {
+        addEvent(name, "charm", from, to);
+      }
+    }
+  });
+  if (trackPresence) {
+    Object.keys(previous).forEach((name) => {
+      if (!current[name]) {
+        addEvent(name, "removed");
+      }
+    });
+  }
+  return events;
+};
+
+/**
+  Generates the history events for the changes between two model statuses.
+  @param {Object} previous The previous model status.
+  @param {Object} current The current model status.
+  @param {Number} timestamp The time the current status was received.
+  @returns {Array} The list of events, oldest first.
+*/
+export function generateHistoryEvents(previous, current, timestamp) {
+  if (!previous || !current) {
+    return [];
+  }
+  const events = [
+    ...compareEntities(
+      "application",
+      previous.applications || {},
+      current.applications || {},
+      {
+        getStatus: (application) => application.status,
+        // Subordinate applications don't have their own units.
+        getScale: (application) =>
+          application["subordinate-to"]?.length
+            ? null
+            : Object.keys(application.units || {}).length,
+        getCharm: (application) => application.charm,
+        trackPresence: true,
+      },
+      timestamp
+    ),
+    ...compareEntities(
+      "unit",
+      getUnits(previous.applications),
+      getUnits(current.applications),
+      { getStatus: (unit) => unit["workload-status"] },
+      timestamp
+    ),
+    ...compareEntities(
+      "machine",
+      previous.machines || {},
+      current.machines || {},
+      { getStatus: (machine) => machine["agent-status"] },
+      timestamp
+    ),
+    ...compareEntities(
+      "relation",
+      getRelations(previous.relations),
+      getRelations(current.relations),
+      { trackPresence: true },
+      timestamp
+    ),
+  ];
+  return events.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+  Adds the events to the model history, dropping the oldest events once the
+  history is full.
+  @param {Array} history The existing model history.
+  @param {Array} events The events to add.
+  @returns {Array} The updated model history.
+*/
+export function appendHistoryEvents(history = [], events) {
+  if (!events.length) {
+    return history;
+  }
+  return [...history, ...events].slice(-MAX_HISTORY_EVENTS);
+}
@@ -0,0 +1,210 @@
+import { combineReducers, createStore } from "redux";
+
+import {
+  processAllWatcherDeltas,
+  updateModelList,
+  updateModelStatus,
+} from "./actions";
+import {
+  appendHistoryEvents,
+  generateHistoryEvents,
+  MAX_HISTORY_EVENTS,
+} from "./history";
+import jujuReducer from "./reducer";
+
+const generateStatus = () => ({
+  applications: {
+    mysql: {
+      charm: "cs:mysql-58",
+      status: { status: "active", since: "2021-07-01T12:00:00Z" },
+      units: {
+        "mysql/0": {
+          "workload-status": {
+            status: "active",
+            since: "2021-07-01T12:00:00Z",
+          },
+          subordinates: {
+            "telegraf/0": {
+              "workload-status": { status: "active" },
+            },
+          },
+        },
+      },
+    },
+    telegraf: {
+      charm: "cs:telegraf-1",
+      status: { status: "active" },
+      "subordinate-to": ["mysql"],
+      units: {},
+    },
+  },
+  machines: {
+    0: { "agent-status": { status: "started" } },
+  },
+  relations: [{ key: "telegraf:juju-info mysql:juju-info" }],
+});
+
+describe("generateHistoryEvents", () => {
+  it("does not generate events for the first status", () => {
+    expect(generateHistoryEvents(undefined, generateStatus(), 1000)).toEqual(
+      []
+    );
+  });
+
+  it("does not generate events if nothing changed", () => {
+    expect(
+      generateHistoryEvents(generateStatus(), generateStatus(), 1000)
+    ).toEqual([]);
+  });
+
+  it("records status changes at the time they happened", () => {
+    const current = generateStatus();
+    current.applications.mysql.units["mysql/0"]["workload-status"] = {
+      status: "blocked",
+      since: "2021-07-01T12:30:00Z",
+    };
+    current.machines[0]["agent-status"].status = "down";
+    expect(generateHistoryEvents(generateStatus(), current, 5000)).toEqual([
+      {
+        timestamp: 5000,
+        entityType: "machine",
+        entity: "0",
+        type: "status",
+        from: "started",
+        to: "down",
+      },
+      {
+        timestamp: Date.parse("2021-07-01T12:30:00Z"),
+        entityType: "unit",
+        entity: "mysql/0",
+        type: "status",
+        from: "active",
+        to: "blocked",
+      },
+    ]);
+  });
+
+  it("records subordinate unit status changes", () => {
+    const current = generateStatus();
+    current.applications.mysql.units["mysql/0"].subordinates["telegraf/0"][
+      "workload-status"
+    ].status = "error";
+    expect(generateHistoryEvents(generateStatus(), current, 1000)).toEqual([
+      expect.objectContaining({ entity: "telegraf/0", to: "error" }),
+    ]);
+  });
+
+  it("records scale and charm changes", () => {
+    const current = generateStatus();
+    current.applications.mysql.units["mysql/1"] = {
+      "workload-status": { status: "waiting" },
+    };
+    current.applications.mysql.charm = "cs:mysql-59";
+    expect(generateHistoryEvents(generateStatus(), current, 1000)).toEqual([
+      {
+        timestamp: 1000,
+        entityType: "application",
+        entity: "mysql",
+        type: "scale",
+        from: 1,
+        to: 2,
+      },
+      {
+        timestamp: 1000,
+        entityType: "application",
+        entity: "mysql",
+        type: "charm",
+        from: "cs:mysql-58",
+        to: "cs:mysql-59",
+      },
+    ]);
+  });
+
+  it("records added and removed applications and relations", () => {
+    const current = generateStatus();
+    delete current.applications.telegraf;
+    current.applications.redis = { status: { status: "waiting" }, units: {} };
+    current.relations = [{ key: "redis:db mysql:db" }];
+    expect(
+      generateHistoryEvents(generateStatus(), current, 1000).map(
+        ({ entity, type }) => [entity, type]
+      )
+    ).toEqual([
+      ["redis", "added"],
+      ["telegraf", "removed"],
+      ["redis:db mysql:db", "added"],
+      ["telegraf:juju-info mysql:juju-info", "removed"],
+    ]);
+  });
+});
+
+describe("appendHistoryEvents", () => {
+  it("drops the oldest events when the history is full", () => {
+    const history = Array.from({ length: MAX_HISTORY_EVENTS }, (_, i) => ({
+      timestamp: i,
+    }));
+    const updated = appendHistoryEvents(history, [{ timestamp: 5000 }]);
+    expect(updated.length).toBe(MAX_HISTORY_EVENTS);
+    expect(updated[0].timestamp).toBe(1);
+    expect(updated[MAX_HISTORY_EVENTS - 1].timestamp).toBe(5000);
+  });
+});
+
+describe("model history", () => {
+  let store;
+
+  beforeEach(() => {
+    store = createStore(combineReducers({ juju: jujuReducer }));
+    store.dispatch(
+      updateModelList({
+        "user-models": [{ model: { name: "test", uuid: "abc123" } }],
+      })
+    );
+    store.dispatch(updateModelStatus("abc123", generateStatus()));
+  });
+
+  it("records the history when the model status is updated", () => {
+    expect(store.getState().juju.modelHistory).toBeUndefined();
+    const status = generateStatus();
+    status.applications.mysql.status.status = "blocked";
+    store.dispatch(updateModelStatus("abc123", status));
+    expect(store.getState().juju.modelHistory.abc123).toEqual([
+      expect.objectContaining({
+        entity: "mysql",
+        from: "active",
+        to: "blocked",
+      }),
+    ]);
+  });
+
+  it("records the history from the watcher deltas", () => {
+    store.dispatch(
+      processAllWatcherDeltas([
+        [
+          "application",
+          "change",
+          {
+            "model-uuid": "abc123",
+            name: "mysql",
+            "charm-url": "cs:mysql-58",
+            status: {
+              current: "maintenance",
+              message: "",
+              since: "2021-07-01T13:00:00Z",
+            },
+          },
+        ],
+      ])
+    );
+    expect(store.getState().juju.modelHistory.abc123).toEqual([
+      {
+        timestamp: Date.parse("2021-07-01T13:00:00Z"),
+        entityType: "application",
+        entity: "mysql",
+        type: "status",
+        from: "active",
+        to: "maintenance",
+      },
+    ]);
+  });
+});
@@ -1,61 +1,51 @@
 import Limiter from "async-limiter";
 import { connect, connectAndLogin } from "@canonical/jujulib";
 
-import actions from "@canonical/jujulib/dist/api/facades/action-v6";
-import annotations from "@canonical/jujulib/dist/api/facades/annotations-v2";
-import applications from "@canonical/jujulib/dist/api/facades/application-v12";
-import client from "@canonical/jujulib/dist/api/facades/client-v2";
-import cloud from "@canonical/jujulib/dist/api/facades/cloud-v3";
-import controller from "@canonical/jujulib/dist/api/facades/controller-v5";
-import modelManager from "@canonical/jujulib/dist/api/facades/model-manager-v5";
-import pinger from "@canonical/jujulib/dist/api/facades/pinger-v1";
-
-import jimm from "app/jimm-facade";
 import { isSet } from "app/utils/utils";
 
 import {
   getBakery,
-  getConfig,
   getControllerConnection,
+  getFacadeVersions,
+  getIdentityProviderAvailable,
+  getModelControllerURL,
   isLoggedIn,
   getUserPass,
   getWSControllerURL,
 } from "app/selectors";
 import {
   addControllerCloudRegion,
+  processAllWatcherDeltas,
   updateControllerList,
+  updateFacadeVersions,
   updateModelInfo,
   updateModelStatus,
 } from "./actions";
+import {
+  FacadeNotSupportedError,
+  generateFacadeRecorder,
+  getFacade,
+  negotiateFacades,
+} from "./facade-versions";
+import { withModelConnection } from "./model-connection-pool";
 
 /**
   Return a common connection option config.
-  @param {Boolean} usePinger If the connection will be long lived then use the
-    pinger. Defaults to false.
   @param {Object} bakery A bakery instance.
+  @param {Function} onClose The function to call when the connection closes.
   @returns {Object} The configuration options.
 */
-function generateConnectionOptions(usePinger = false, bakery, onClose) {
-  // The options used when connecting to a Juju controller or model.
-  const facades = [
-    actions,
-    annotations,
-    applications,
-    client,
-    cloud,
-    controller,
-    jimm,
-    modelManager,
-  ];
-  if (usePinger) {
-    facades.push(pinger);
-  }
+function generateConnectionOptions(bakery, onClose) {
+  const facadeRecorder = generateFacadeRecorder();
   return {
     bakery,
     closeCallback: onClose,
     debug: false,
-    facades,
-    wsclass: WebSocket,
+    // The facades are added once logged in so that the newest version
+    // supported by the server can be used, see negotiateFacades.
+    facades: [],
+    facadeRecorder,
+    wsclass: facadeRecorder.wsclass,
   };
 }
 
@@ -78,6 +68,8 @@ function determineLoginParams(credentials, identityProviderAvailable) {
     {user: ..., password: ...}
   @param {Object} bakery A bakery instance.
   @param {Boolean} identityProviderAvailable Whether an identity provider is available.
+  @param {Function} onClose The function to call when the connection closes or
+    stops responding to pings.
   @returns {Object}
     conn The controller connection instance.
     juju The juju api instance.
@@ -86,14 +78,11 @@ export async function loginWithBakery(
   wsControllerURL,
   credentials,
   bakery,
-  identityProviderAvailable
+  identityProviderAvailable,
+  onClose = () => {}
 ) {
-  const juju = await connect(
-    wsControllerURL,
-    generateConnectionOptions(true, bakery, (e) =>
-      console.log("controller closed", e)
-    )
-  );
+  const options = generateConnectionOptions(bakery, onClose);
+  const juju = await connect(wsControllerURL, options);
   const loginParams = determineLoginParams(
     credentials,
     identityProviderAvailable
@@ -104,14 +93,29 @@ export async function loginWithBakery(
   } catch (error) {
     return { error };
   }
+  negotiateFacades(conn, options.facadeRecorder.facades);
 
-  // Ping to keep the connection alive.
+  // Ping to keep the connection alive. If a ping fails, or the previous ping
+  // still hasn't responded when the next one is due, then the connection is
+  // treated as closed so that it can be re-established.
+  let awaitingPing = false;
   const intervalId = setInterval(() => {
-    conn.facades.pinger.ping().catch((e) => {
-      // If the pinger fails for whatever reason then cancel the ping.
-      console.error("pinger stopped,", e);
+    if (awaitingPing) {
       clearInterval(intervalId);
-    });
+      onClose("ping timeout");
+      return;
+    }
+    awaitingPing = true;
+    conn.facades.pinger
+      .ping()
+      .then(() => {
+        awaitingPing = false;
+      })
+      .catch((e) => {
+        console.error("pinger stopped,", e);
+        clearInterval(intervalId);
+        onClose(e);
+      });
   }, 20000);
 
   return { conn, juju, intervalId };
@@ -148,60 +152,109 @@ async function connectAndLoginWithTimeout(
         reject("timeout");
         return;
       }
+      negotiateFacades(resp.conn, options.facadeRecorder.facades);
       resolve(resp);
     });
   });
 }
 
 /**
-  Connects to the model url by doing a replacement on the controller url and
-  fetches it's full status then logs out of the model and closes the connection.
+  Connects and logs in to the model on the supplied controller using the
+  credentials and identity provider settings for that controller.
   @param {String} modelUUID The UUID of the model to connect to. Must be on the
     same controller as provided by the wsControllerURL`.
+  @param {String} wsControllerURL The controller the model is on.
   @param {Object} getState A function that'll return the app redux state.
-  @returns {Object} The full model status.
+  @param {Function} onClose The function to call when the connection closes.
+  @returns {Object} The connection in the format {conn, logout}.
 */
-async function fetchModelStatus(modelUUID, wsControllerURL, getState) {
+async function connectToModel(modelUUID, wsControllerURL, getState, onClose) {
   const appState = getState();
   const bakery = getBakery(appState);
-  const baseWSControllerURL = getWSControllerURL(appState);
-  const { identityProviderAvailable } = getConfig(appState);
-  let useIdentityProvider = false;
+  const modelURL = wsControllerURL.replace("/api", `/model/${modelUUID}/api`);
+  const controllerCredentials = getUserPass(wsControllerURL, appState);
+  return await connectAndLoginWithTimeout(
+    modelURL,
+    controllerCredentials,
+    generateConnectionOptions(bakery, onClose),
+    getIdentityProviderAvailable(wsControllerURL, appState)
+  );
+}
 
-  if (baseWSControllerURL === wsControllerURL) {
-    useIdentityProvider = identityProviderAvailable;
+/**
+  Stores the facade versions that were negotiated for a model connection. Every
+  model on a controller supports the same facades so they only need to be
+  stored once per controller.
+  @param {Object} conn The model connection.
+  @param {String} wsControllerURL The controller the model is on.
+  @param {Function} dispatch The redux store hook method.
+  @param {Object} getState A function that'll return the app redux state.
+*/
+function storeModelFacadeVersions(conn, wsControllerURL, dispatch, getState) {
+  if (getFacadeVersions(getState())?.[wsControllerURL]?.model) {
+    return;
   }
-  const modelURL = wsControllerURL.replace("/api", `/model/${modelUUID}/api`);
+  dispatch(
+    updateFacadeVersions(wsControllerURL, "model", conn.info.facadeVersions),
+    { wsControllerURL }
+  );
+}
+
+/**
+  Fetches the application annotations for the supplied status and stores them
+  on the status object.
+  @param {Object} conn The model connection.
+  @param {Object} status The full status of the model.
+*/
+async function fetchApplicationAnnotations(conn, status) {
+  const entities = Object.keys(status.applications).map((name) => ({
+    tag: `application-${name}`,
+  }));
+  const response = await getFacade(conn, "annotations").get({ entities });
+  // It will return an entry for every entity even if there are no
+  // annotations so we have to inspect them and strip out the empty.
+  const annotations = {};
+  response.results.forEach((item) => {
+    if (Object.keys(item.annotations).length > 0) {
+      const appName = item.entity.replace("application-", "");
+      annotations[appName] = item.annotations;
+    }
+  });
+  status.annotations = annotations;
+}
+
+/**
+  Connects to the model url by doing a replacement on the controller url and
+  fetches it's full status then logs out of the model and closes the connection.
+  @param {String} modelUUID The UUID of the model to connect to. Must be on the
+    same controller as provided by the wsControllerURL`.
+  @param {String} wsControllerURL The controller the model is on.
+  @param {Function} dispatch The redux store hook method.
+  @param {Object} getState A function that'll return the app redux state.
+  @returns {Object} The full model status.
+*/
+async function fetchModelStatus(
+  modelUUID,
+  wsControllerURL,
+  dispatch,
+  getState
+) {
   let status = null;
   // Logged in state is checked multiple times as the user may have logged out
   // between requests.
   if (isLoggedIn(wsControllerURL, getState())) {
     try {
-      const controllerCredentials = getUserPass(wsControllerURL, getState());
-      const { conn, logout } = await connectAndLoginWithTimeout(
-        modelURL,
-        controllerCredentials,
-        generateConnectionOptions(false, bakery),
-        useIdentityProvider
+      const { conn, logout } = await connectToModel(
+        modelUUID,
+        wsControllerURL,
+        getState
       );
+      storeModelFacadeVersions(conn, wsControllerURL, dispatch, getState);
       if (isLoggedIn(wsControllerURL, getState())) {
-        status = await conn.facades.client.fullStatus();
+        status = await getFacade(conn, "client").fullStatus();
       }
       if (isLoggedIn(wsControllerURL, getState())) {
-        const entities = Object.keys(status.applications).map((name) => ({
-          tag: `application-${name}`,
-        }));
-        const response = await conn.facades.annotations.get({ entities });
-        // It will return an entry for every entity even if there are no
-        // annotations so we have to inspect them and strip out the empty.
-        const annotations = {};
-        response.results.forEach((item) => {
-          if (Object.keys(item.annotations).length > 0) {
-            const appName = item.entity.replace("application-", "");
-            annotations[appName] = item.annotations;
-          }
-        });
-        status.annotations = annotations;
+        await fetchApplicationAnnotations(conn, status);
       }
       logout();
     } catch (e) {
@@ -224,7 +277,12 @@ export async function fetchAndStoreModelStatus(
   dispatch,
   getState
 ) {
-  const status = await fetchModelStatus(modelUUID, wsControllerURL, getState);
+  const status = await fetchModelStatus(
+    modelUUID,
+    wsControllerURL,
+    dispatch,
+    getState
+  );
   if (status === null) {
     return;
   }
@@ -242,12 +300,36 @@ export async function fetchAndStoreModelStatus(
   @returns {Object} The full modelInfo.
 */
 async function fetchModelInfo(conn, modelUUID) {
-  const modelInfo = await conn.facades.modelManager.modelInfo({
+  const modelInfo = await getFacade(conn, "modelManager").modelInfo({
     entities: [{ tag: `model-${modelUUID}` }],
   });
   return modelInfo;
 }
 
+/**
+  Fetches the model info for the supplied model and dispatches to store it.
+  @param {Object} conn The connection to the controller.
+  @param {String} modelUUID The model UUID to fetch the info for.
+  @param {String} wsControllerURL The controller the model is on.
+  @param {Function} dispatch The redux store hook method.
+*/
+async function fetchAndStoreModelInfo(
+  conn,
+  modelUUID,
+  wsControllerURL,
+  dispatch
+) {
+  const modelInfo = await fetchModelInfo(conn, modelUUID);
+  dispatch(updateModelInfo(modelInfo), { wsControllerURL });
+  if (modelInfo.results[0].result.isController) {
+    // If this is a controller model then update the
+    // controller data with this model data.
+    dispatch(addControllerCloudRegion(wsControllerURL, modelInfo), {
+      wsControllerURL,
+    });
+  }
+}
+
 /**
   Loops through each model UUID to fetch the status. Upon receiving the status
   dispatches to store that status data.
@@ -277,15 +359,12 @@ export async function fetchAllModelStatuses(
         );
       }
       if (isLoggedIn(wsControllerURL, getState())) {
-        const modelInfo = await fetchModelInfo(conn, modelUUID);
-        dispatch(updateModelInfo(modelInfo), { wsControllerURL });
-        if (modelInfo.results[0].result.isController) {
-          // If this is a controller model then update the
-          // controller data with this model data.
-          dispatch(addControllerCloudRegion(wsControllerURL, modelInfo), {
-            wsControllerURL,
-          });
-        }
+        await fetchAndStoreModelInfo(
+          conn,
+          modelUUID,
+          wsControllerURL,
+          dispatch
+        );
       }
       done();
     });
@@ -297,6 +376,205 @@ export async function fetchAllModelStatuses(
   });
 }
 
+/**
+  Loops through each model UUID to fetch the model info. This is used for
+  models that have their status kept up to date by a watcher.
+  @param {String} wsControllerURL The controller the models are on.
+  @param {Array} modelUUIDList A list of the model uuid's to fetch.
+  @param {Object} conn The connection to the controller.
+  @param {Object} reduxStore The applications reduxStore.
+*/
+export async function fetchAllModelInfo(
+  wsControllerURL,
+  modelUUIDList,
+  conn,
+  reduxStore
+) {
+  for (const modelUUID of modelUUIDList) {
+    if (!isLoggedIn(wsControllerURL, reduxStore.getState())) {
+      return;
+    }
+    try {
+      await fetchAndStoreModelInfo(
+        conn,
+        modelUUID,
+        wsControllerURL,
+        reduxStore.dispatch
+      );
+    } catch (e) {
+      console.error("error fetching model info:", modelUUID, e);
+    }
+  }
+}
+
+/**
+  Requests the next set of deltas from a watcher until the watcher is stopped,
+  the user logs out or the watcher returns an error.
+  @param {Function} next The watcher facade's next method.
+  @param {String} watcherId The id of the watcher.
+  @param {Object} watcher The watcher handle.
+  @param {String} wsControllerURL The controller the watcher is on.
+  @param {Function} dispatch The redux store hook method.
+  @param {Object} getState A function that'll return the app redux state.
+*/
+async function watchDeltas(
+  next,
+  watcherId,
+  watcher,
+  wsControllerURL,
+  dispatch,
+  getState
+) {
+  while (watcher.isActive()) {
+    let response = null;
+    try {
+      response = await next(watcherId);
+    } catch (e) {
+      response = e;
+    }
+    if (!watcher.isActive() || !isLoggedIn(wsControllerURL, getState())) {
+      break;
+    }
+    // Errors are returned as a string instead of the response object.
+    if (!response?.deltas) {
+      console.error("watcher stopped:", response);
+      break;
+    }
+    dispatch(processAllWatcherDeltas(response.deltas), { wsControllerURL });
+  }
+  watcher.stop();
+}
+
+/**
+  Generates a handle that is used to check and stop a running watcher.
+  @param {Function} onStop The function to call when the watcher is stopped.
+  @returns {Object} The watcher handle in the format {isActive, stop}.
+*/
+function generateWatcherHandle(onStop) {
+  let active = true;
+  return {
+    isActive: () => active,
+    stop: () => {
+      if (active) {
+        active = false;
+        onStop();
+      }
+    },
+  };
+}
+
+/**
+  Connects to the model and starts an AllWatcher to stream the model changes
+  into the store. The full status is fetched first as the watcher deltas do not
+  contain all of the data that FullStatus provides.
+  @param {String} modelUUID The UUID of the model to watch.
+  @param {String} wsControllerURL The controller the model is on.
+  @param {Function} dispatch The redux store hook method.
+  @param {Object} getState A function that'll return the app redux state.
+  @returns {Object|null} The watcher handle or null if the controller does not
+    support model watchers.
+*/
+export async function startModelWatcher(
+  modelUUID,
+  wsControllerURL,
+  dispatch,
+  getState
+) {
+  let watcher = null;
+  const { conn, logout } = await connectToModel(
+    modelUUID,
+    wsControllerURL,
+    getState,
+    () => watcher?.stop()
+  );
+  storeModelFacadeVersions(conn, wsControllerURL, dispatch, getState);
+  if (!conn.facades.allWatcher || !conn.facades.client?.watchAll) {
+    logout();
+    return null;
+  }
+  let watcherId = null;
+  try {
+    const status = await getFacade(conn, "client").fullStatus();
+    await fetchApplicationAnnotations(conn, status);
+    dispatch(updateModelStatus(modelUUID, status), { wsControllerURL });
+    const response = await conn.facades.client.watchAll();
+    watcherId = response?.["watcher-id"];
+  } catch (e) {
+    logout();
+    throw e;
+  }
+  if (!watcherId) {
+    logout();
+    return null;
+  }
+  // Ping to keep the connection alive as the watcher can block for long
+  // periods when nothing is changing in the model.
+  const intervalId = setInterval(() => {
+    conn.facades.pinger?.ping().catch(() => watcher?.stop());
+  }, 20000);
+  watcher = generateWatcherHandle(() => {
+    clearInterval(intervalId);
+    conn.facades.allWatcher.stop(watcherId).catch(() => {});
+    logout();
+  });
+  watchDeltas(
+    conn.facades.allWatcher.next,
+    watcherId,
+    watcher,
+    wsControllerURL,
+    dispatch,
+    getState
+  );
+  return watcher;
+}
+
+/**
+  Starts the controller wide AllModelWatcher on the existing controller
+  connection. Watching all models requires superuser access on the controller.
+  @param {Object} conn The controller connection.
+  @param {String} wsControllerURL The controller to watch.
+  @param {Function} dispatch The redux store hook method.
+  @param {Object} getState A function that'll return the app redux state.
+  @returns {Object|null} The watcher handle or null if the controller or user
+    does not support the controller wide watcher.
+*/
+export async function startControllerWatcher(
+  conn,
+  wsControllerURL,
+  dispatch,
+  getState
+) {
+  if (
+    !conn.facades.allModelWatcher ||
+    !conn.facades.controller?.watchAllModels ||
+    conn.info?.user?.["controller-access"] !== "superuser"
+  ) {
+    return null;
+  }
+  let response = null;
+  try {
+    response = await conn.facades.controller.watchAllModels();
+  } catch (e) {
+    return null;
+  }
+  const watcherId = response?.["watcher-id"];
+  if (!watcherId) {
+    return null;
+  }
+  const watcher = generateWatcherHandle(() => {
+    conn.facades.allModelWatcher.stop(watcherId).catch(() => {});
+  });
+  watchDeltas(
+    conn.facades.allModelWatcher.next,
+    watcherId,
+    watcher,
+    wsControllerURL,
+    dispatch,
+    getState
+  );
+  return watcher;
+}
+
 /**
   Performs an HTTP request to the controller to fetch the controller list.
   Will fail with a console error message if the user doesn't have access.
@@ -319,7 +597,10 @@ export async function fetchControllerList(
   } else {
     // If we're not connected to a JIMM then call to get the controller config
     // and generate a fake controller list.
-    const controllerConfig = await conn.facades.controller.controllerConfig();
+    const controllerConfig = await getFacade(
+      conn,
+      "controller"
+    ).controllerConfig();
     controllers = [
       {
         path: controllerConfig.config["controller-name"],
@@ -356,27 +637,27 @@ export function disableControllerUUIDMasking(conn) {
 }
 
 /**
-  Connect to the model representing the supplied modelUUID.
-  @param {*} modelUUID
-  @param {*} appState
-  @returns {Object} conn The connection.
+  Calls the supplied callback with a connection to the model representing the
+  supplied modelUUID. The connection is made through the controller that the
+  model belongs to, using that controller's credentials. Connections are pooled
+  so that subsequent calls to the same model reuse the existing connection.
+  @param {String} modelUUID The UUID of the model to connect to.
+  @param {Object} appState The application state.
+  @param {Function} callback The function to call with the model connection.
+  @returns {Promise} Resolves with the result of the callback.
 */
-async function connectAndLoginToModel(modelUUID, appState) {
-  const bakery = getBakery(appState);
-  const baseWSControllerURL = getWSControllerURL(appState);
-  const { identityProviderAvailable } = getConfig(appState);
-  const credentials = getUserPass(baseWSControllerURL, appState);
-  const modelURL = baseWSControllerURL.replace(
-    "/api",
-    `/model/${modelUUID}/api`
-  );
-  const { conn } = await connectAndLoginWithTimeout(
-    modelURL,
-    credentials,
-    generateConnectionOptions(false, bakery),
-    identityProviderAvailable
+async function callModelAPI(modelUUID, appState, callback) {
+  // If the model info hasn't been fetched yet then the owning controller
+  // can't be determined so fall back to the primary controller.
+  const wsControllerURL =
+    getModelControllerURL(modelUUID, appState) || getWSControllerURL(appState);
+  return await withModelConnection(
+    wsControllerURL,
+    modelUUID,
+    (onClose) =>
+      connectToModel(modelUUID, wsControllerURL, () => appState, onClose),
+    callback
   );
-  return conn;
 }
 
 /**
@@ -387,9 +668,9 @@ async function connectAndLoginToModel(modelUUID, appState) {
   @returns {Promise} The application config.
 */
 export async function getApplicationConfig(modelUUID, appName, appState) {
-  const conn = await connectAndLoginToModel(modelUUID, appState);
-  const config = await conn.facades.application.get({ application: appName });
-  return config;
+  return await callModelAPI(modelUUID, appState, (conn) =>
+    getFacade(conn, "application").get({ application: appName })
+  );
 }
 
 /**
@@ -406,7 +687,6 @@ export async function setApplicationConfig(
   config,
   appState
 ) {
-  const conn = await connectAndLoginToModel(modelUUID, appState);
   const setValues = {};
   Object.keys(config).forEach((key) => {
     if (isSet(config[key].newValue)) {
@@ -414,19 +694,131 @@ export async function setApplicationConfig(
       setValues[key] = `${config[key].newValue}`;
     }
   });
-  const resp = await conn.facades.application.set({
-    application: appName,
-    options: setValues,
-  });
-  return resp;
+  return await callModelAPI(modelUUID, appState, (conn) =>
+    getFacade(conn, "application").set({
+      application: appName,
+      options: setValues,
+    })
+  );
+}
+
+/**
+  Call the API to set annotations on an application. This is used to store
+  the position of the application in the topology so that it is shared with
+  the CLI and other dashboard users.
+  @param {String} modelUUID
+  @param {String} appName
+  @param {Object} annotations The annotations to set as key/value pairs.
+  @param {Object} appState
+  @returns {Promise} The results of setting the annotations.
+*/
+export async function setApplicationAnnotations(
+  modelUUID,
+  appName,
+  annotations,
+  appState
+) {
+  return await callModelAPI(modelUUID, appState, (conn) =>
+    getFacade(conn, "annotations").set({
+      annotations: [{ entity: `application-${appName}`, annotations }],
+    })
+  );
+}
+
+/**
+  Call the API to fetch the charm details, including the endpoints that the
+  charm provides and requires.
+  @param {String} charmURL The charm URL e.g. "cs:mysql-58".
+  @param {String} modelUUID The UUID of the model the charm is in.
+  @param {Object} appState
+  @returns {Promise} The charm details.
+*/
+export async function getCharmInfo(charmURL, modelUUID, appState) {
+  return await callModelAPI(modelUUID, appState, (conn) =>
+    getFacade(conn, "charms").charmInfo({ url: charmURL })
+  );
+}
+
+/**
+  Call the API to relate two application endpoints.
+  @param {String} modelUUID
+  @param {Array} endpoints The endpoints to relate e.g. ["mysql:db",
+    "wordpress:db"].
+  @param {Object} appState
+  @returns {Promise} The add relation response.
+*/
+export async function addRelation(modelUUID, endpoints, appState) {
+  return await callModelAPI(modelUUID, appState, (conn) =>
+    getFacade(conn, "application").addRelation({ endpoints })
+  );
+}
+
+/**
+  Call the API to remove the relation between two application endpoints.
+  @param {String} modelUUID
+  @param {Array} endpoints The related endpoints e.g. ["mysql:db",
+    "wordpress:db"].
+  @param {Object} appState
+  @returns {Promise} The destroy relation response.
+*/
+export async function destroyRelation(modelUUID, endpoints, appState) {
+  return await callModelAPI(modelUUID, appState, (conn) =>
+    getFacade(conn, "application").destroyRelation({ endpoints })
+  );
+}
+
+/**
+  Call the API to add units to an application.
+  @param {String} modelUUID
+  @param {String} appName
+  @param {Number} count The number of units to add.
+  @param {Array} placement The placement directives in the format
+    [{ scope, directive }].
+  @param {Object} appState
+  @returns {Promise} The add units response.
+*/
+export async function addUnits(modelUUID, appName, count, placement, appState) {
+  return await callModelAPI(modelUUID, appState, (conn) =>
+    getFacade(conn, "application").addUnits({
+      application: appName,
+      "num-units": count,
+      placement,
+    })
+  );
+}
+
+/**
+  Call the API to remove units from an application.
+  @param {String} modelUUID
+  @param {Array} unitNames The units to remove e.g. ["mysql/0"].
+  @param {Object} options The removal options in the keys
+    { force, destroyStorage }.
+  @param {Object} appState
+  @returns {Promise} The destroy unit response with a result for each unit.
+*/
+export async function destroyUnits(
+  modelUUID,
+  unitNames,
+  { force = false, destroyStorage = false } = {},
+  appState
+) {
+  return await callModelAPI(modelUUID, appState, (conn) =>
+    getFacade(conn, "application").destroyUnit({
+      units: unitNames.map((unitName) => ({
+        "unit-tag": `unit-${unitName.replace("/", "-")}`,
+        "destroy-storage": destroyStorage,
+        force,
+      })),
+    })
+  );
 }
 
 export async function getActionsForApplication(appName, modelUUID, appState) {
-  const conn = await connectAndLoginToModel(modelUUID, appState);
-  const actionList = await conn.facades.action.applicationsCharmsActions({
-    entities: [{ tag: `application-${appName}` }],
-  });
-  return actionList;
+  return await callModelAPI(modelUUID, appState, (conn) =>
+    getFacade(conn, "action").applicationsCharmsActions({
+      entities: [{ tag: `application-${appName}` }],
+    })
+  );
 }
 
 export async function executeActionOnUnits(
@@ -443,19 +835,17 @@ export async function executeActionOnUnits(
       parameters: actionOptions,
     };
   });
-  const conn = await connectAndLoginToModel(modelUUID, appState);
-  const actionResult = await conn.facades.action.enqueueOperation({
-    actions: generatedActions,
-  });
-  return actionResult;
+  return await callModelAPI(modelUUID, appState, (conn) =>
+    getFacade(conn, "action").enqueueOperation({
+      actions: generatedActions,
+    })
+  );
 }
 
 export async function queryOperationsList(queryArgs, modelUUID, appState) {
-  const conn = await connectAndLoginToModel(modelUUID, appState);
-  const operationListResult = await conn.facades.action.listOperations(
-    queryArgs
+  return await callModelAPI(modelUUID, appState, (conn) =>
+    getFacade(conn, "action").listOperations(queryArgs)
   );
-  return operationListResult;
 }
 
 /**
@@ -483,7 +873,7 @@ export async function setModelSharingPermissions(
   const conn = await getControllerConnection(controllerURL, getState());
 
   const modifyAccess = async (access, action) => {
-    return await conn.facades.modelManager.modifyModelAccess({
+    return await getFacade(conn, "modelManager").modifyModelAccess({
       changes: [
         {
           access,
@@ -517,3 +907,116 @@ export async function setModelSharingPermissions(
 
   return response;
 }
+
+/**
+  Returns the JIMM facade from the primary controller connection if it
+  provides the requested method.
+  @param {Object} appState The application state.
+  @param {String} method The name of the JIMM facade method.
+  @returns {Object} The JIMM facade.
+  @throws {FacadeNotSupportedError} If the method is not available.
+*/
+function getJIMMFacade(appState, method) {
+  const conn = getControllerConnection(getWSControllerURL(appState), appState);
+  const jimm = getFacade(conn, "jimM");
+  if (!jimm[method]) {
+    throw new FacadeNotSupportedError(
+      `JIMM.${method}`,
+      conn?.info?.serverVersion
+    );
+  }
+  return jimm;
+}
+
+/**
+  Call the API to find the JIMM audit events matching the supplied filters.
+  @param {Object} params The filters in the format {after, before,
+    "user-tag", model, method, offset, limit}.
+  @param {Object} appState The application state.
+  @returns {Promise} Resolves with the audit events.
+*/
+export async function findAuditEvents(params, appState) {
+  const response = await getJIMMFacade(
+    appState,
+    "findAuditEvents"
+  ).findAuditEvents(params);
+  return response?.events || [];
+}
+
+/**
+  Call the API to grant or revoke a user's access to the JIMM audit log.
+  @param {String} userName The name of the user e.g. "eggman@external".
+  @param {String} action grant|revoke
+  @param {Object} appState The application state.
+  @returns {Promise} Resolves when the access has been changed.
+*/
+export async function setAuditLogAccess(userName, action, appState) {
+  const method =
+    action === "grant" ? "grantAuditLogAccess" : "revokeAuditLogAccess";
+  return await getJIMMFacade(appState, method)[method](`user-${userName}`);
+}
+
+/**
+  Call a JIMM controller administration method and then refresh the stored
+  controller list so that it reflects the change.
+  @param {Object} reduxStore The application's redux store.
+  @param {String} method The name of the JIMM facade method.
+  @param {Array} args The arguments to pass to the method.
+  @returns {Promise} Resolves with the response from the method.
+*/
+async function callJIMMControllerAPI(reduxStore, method, ...args) {
+  const appState = reduxStore.getState();
+  const response = await getJIMMFacade(appState, method)[method](...args);
+  const wsControllerURL = getWSControllerURL(appState);
+  await fetchControllerList(
+    wsControllerURL,
+    getControllerConnection(wsControllerURL, appState),
+    false,
+    reduxStore
+  );
+  return response;
+}
+
+/**
+  Call the API to add a controller to JIMM.
+  @param {Object} params The controller in the format {name,
+    "public-address", "api-addresses", "ca-certificate", username, password}.
+  @param {Object} reduxStore The application's redux store.
+  @returns {Promise} Resolves with the controller info.
+*/
+export async function addController(params, reduxStore) {
+  return await callJIMMControllerAPI(reduxStore, "addController", params);
+}
+
+/**
+  Call the API to remove a controller from JIMM.
+  @param {String} name The name of the controller.
+  @param {Boolean} force Whether to remove a controller that hasn't been
+    deprecated.
+  @param {Object} reduxStore The application's redux store.
+  @returns {Promise} Resolves with the controller info.
+*/
+export async function removeController(name, force, reduxStore) {
+  return await callJIMMControllerAPI(
+    reduxStore,
+    "removeController",
+    name,
+    force
+  );
+}
+
+/**
+  Call the API to set whether a JIMM controller is deprecated.
+  @param {String} name The name of the controller.
+  @param {Boolean} deprecated Whether the controller is deprecated.
+  @param {Object} reduxStore The application's redux store.
+  @returns {Promise} Resolves with the controller info.
+*/
+export async function setControllerDeprecated(name, deprecated, reduxStore) {
+  return await callJIMMControllerAPI(
+    reduxStore,
+    "setControllerDeprecated",
+    name,
+    deprecated
+  );
+}
@@ -0,0 +1,149 @@
+/*
+  A pool of logged in model connections. Connections are keyed by the
+  controller they're on and the model UUID so that repeated calls to the same
+  model (e.g. opening the config panel or action logs) reuse the existing
+  connection instead of opening a new websocket each time. Connections that
+  haven't been used for the idle timeout are logged out.
+*/
+
+// The time in ms a connection can be unused before it is logged out.
+export const IDLE_TIMEOUT = 60000;
+
+const pool = {};
+const counts = {
+  opened: 0,
+  reused: 0,
+  closed: 0,
+};
+
+const generateKey = (wsControllerURL, modelUUID) =>
+  `${wsControllerURL}|${modelUUID}`;
+
+/**
+  Removes the connection from the pool and logs it out.
+  @param {String} key The pool key of the connection.
+*/
+function closeConnection(key) {
+  const entry = pool[key];
+  if (!entry) {
+    return;
+  }
+  clearTimeout(entry.timeoutId);
+  delete pool[key];
+  counts.closed += 1;
+  entry.connection.then(({ logout }) => logout()).catch(() => {});
+}
+
+/**
+  Starts the idle timer for the connection if it's no longer in use.
+  @param {String} key The pool key of the connection.
+*/
+function startIdleTimer(key) {
+  const entry = pool[key];
+  if (!entry || entry.inUse > 0) {
+    return;
+  }
+  clearTimeout(entry.timeoutId);
+  entry.timeoutId = setTimeout(() => closeConnection(key), IDLE_TIMEOUT);
+}
+
+/**
+  Calls the supplied callback with a logged in connection to the model,
+  reusing a live connection from the pool if one exists.
+  @param {String} wsControllerURL The controller the model is on.
+  @param {String} modelUUID The UUID of the model to connect to.
+  @param {Function} connect A function that accepts a close callback and
+    returns a promise that resolves to {conn, logout}.
+  @param {Function} callback The function to call with the connection.
+  @returns {Promise} Resolves with the result of the callback.
+*/
+export async function withModelConnection(
+  wsControllerURL,
+  modelUUID,
+  connect,
+  callback
+) {
+  const key = generateKey(wsControllerURL, modelUUID);
+  let entry = pool[key];
+  if (entry) {
+    counts.reused += 1;
+  } else {
+    counts.opened += 1;
+    entry = {
+      wsControllerURL,
+      modelUUID,
+      inUse: 0,
+      uses: 0,
+      lastUsed: null,
+      timeoutId: null,
+    };
+    // Store the pending connection so that concurrent calls share it.
+    entry.connection = connect(() => {
+      // The connection was closed so remove it from the pool.
+      if (pool[key] === entry) {
+        clearTimeout(entry.timeoutId);
+        delete pool[key];
+      }
+    });
+    pool[key] = entry;
+  }
+  clearTimeout(entry.timeoutId);
+  entry.inUse += 1;
+  entry.uses += 1;
+  entry.lastUsed = Date.now();
+  try {
+    const { conn } = await entry.connection;
+    return await callback(conn);
+  } catch (error) {
+    // Don't keep connections that failed to connect in the pool.
+    if (pool[key] === entry && !(await isConnected(entry))) {
+      entry.inUse -= 1;
+      closeConnection(key);
+    }
+    throw error;
+  } finally {
+    if (pool[key] === entry) {
+      entry.inUse = Math.max(entry.inUse - 1, 0);
+      startIdleTimer(key);
+    }
+  }
+}
+
+/**
+  Check whether the pooled connection resolved successfully.
+  @param {Object} entry The pool entry.
+  @returns {Boolean} Whether the connection is available.
+*/
+async function isConnected(entry) {
+  try {
+    await entry.connection;
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+  Logs out and removes every connection in the pool.
+*/
+export function closeAllModelConnections() {
+  Object.keys(pool).forEach(closeConnection);
+}
+
+/**
+  Returns the current state of the pool for debugging.
+  @returns {Object} The pool stats.
+*/
+export function getModelConnectionPoolStats() {
+  return {
+    ...counts,
+    size: Object.keys(pool).length,
+    connections: Object.values(pool).map((entry) => ({
+      wsControllerURL: entry.wsControllerURL,
+      modelUUID: entry.modelUUID,
+      inUse: entry.inUse,
+      uses: entry.uses,
+      lastUsed: entry.lastUsed,
+    })),
+  };
+}
@@ -0,0 +1,88 @@
+import {
+  closeAllModelConnections,
+  getModelConnectionPoolStats,
+  IDLE_TIMEOUT,
+  withModelConnection,
+} from "./model-connection-pool";
+
+const controllerURL = "wss://example.com/api";
+
+const generateConnect = () => {
+  const logout = jest.fn();
+  const conn = { facades: { application: { get: jest.fn() } } };
+  const connect = jest.fn(() => Promise.resolve({ conn, logout }));
+  return { conn, connect, logout };
+};
+
+describe("model connection pool", () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    closeAllModelConnections();
+    jest.useRealTimers();
+  });
+
+  it("reuses connections to the same model", async () => {
+    const { conn, connect } = generateConnect();
+    const callback = jest.fn(() => "result");
+    await withModelConnection(controllerURL, "abc", connect, callback);
+    const result = await withModelConnection(
+      controllerURL,
+      "abc",
+      connect,
+      callback
+    );
+    expect(result).toBe("result");
+    expect(connect).toHaveBeenCalledTimes(1);
+    expect(callback).toHaveBeenCalledWith(conn);
+    expect(getModelConnectionPoolStats().size).toBe(1);
+  });
+
+  it("opens separate connections for different models", async () => {
+    const { connect } = generateConnect();
+    await withModelConnection(controllerURL, "abc", connect, jest.fn());
+    await withModelConnection(controllerURL, "def", connect, jest.fn());
+    expect(connect).toHaveBeenCalledTimes(2);
+    expect(getModelConnectionPoolStats().size).toBe(2);
+  });
+
+  it("logs out connections after the idle timeout", async () => {
+    const { connect, logout } = generateConnect();
+    await withModelConnection(controllerURL, "abc", connect, jest.fn());
+    jest.advanceTimersByTime(IDLE_TIMEOUT);
+    await Promise.resolve();
+    expect(logout).toHaveBeenCalled();
+    expect(getModelConnectionPoolStats().size).toBe(0);
+  });
+
+  it("removes connections that are closed", async () => {
+    const { conn, logout } = generateConnect();
+    let onClose = null;
+    const connect = jest.fn((closeCallback) => {
+      onClose = closeCallback;
+      return Promise.resolve({ conn, logout });
+    });
+    await withModelConnection(controllerURL, "abc", connect, jest.fn());
+    onClose();
+    expect(getModelConnectionPoolStats().size).toBe(0);
+  });
+
+  it("does not keep connections that failed", async () => {
+    const connect = jest.fn(() => Promise.reject("timeout"));
+    await expect(
+      withModelConnection(controllerURL, "abc", connect, jest.fn())
+    ).rejects.toBe("timeout");
+    expect(getModelConnectionPoolStats().size).toBe(0);
+  });
+
+  it("closes all connections", async () => {
+    const { connect, logout } = generateConnect();
+    await withModelConnection(controllerURL, "abc", connect, jest.fn());
+    closeAllModelConnections();
+    await Promise.resolve();
+    expect(logout).toHaveBeenCalled();
+    expect(getModelConnectionPoolStats().size).toBe(0);
+  });
+});
@@ -0,0 +1,99 @@
+/*
+  Persists the model data from the juju slice of the store so that the
+  dashboard can display it as soon as it loads, while the poller refetches it,
+  and so that it can be browsed while offline. Only the model list, the model
+  statuses and info and the controller list are stored. Credentials and the
+  bakery live in the root slice and are never stored.
+*/
+import { restoreSnapshot } from "./actions";
+import { loadSnapshot, saveSnapshot } from "./snapshot-storage";
+
+// Stored snapshots with a different version will be ignored.
+export const SNAPSHOT_VERSION = 2;
+// The time in ms to wait after the data changes before storing it.
+export const SAVE_DELAY = 5000;
+
+/**
+  Generate a snapshot of the data to store.
+  @param {Object} jujuState The juju slice of the store.
+  @param {Number} savedAt The time the snapshot was taken.
+  @returns {Object|Null} The snapshot or null if there are no models to store.
+*/
+export function generateSnapshot(jujuState, savedAt = Date.now()) {
+  const models = jujuState?.models || {};
+  if (!Object.keys(models).length) {
+    return null;
+  }
+  // Don't store the data for models that are no longer in the model list.
+  const modelData = {};
+  Object.entries(jujuState.modelData || {}).forEach(([modelUUID, data]) => {
+    if (models[modelUUID]) {
+      modelData[modelUUID] = data;
+    }
+  });
+  return {
+    version: SNAPSHOT_VERSION,
+    savedAt,
+    models,
+    modelData,
+    controllers: jujuState.controllers || {},
+  };
+}
+
+/**
+  Restore the stored snapshot into the store.
+  @param {Object} reduxStore The application redux store.
+*/
+export async function restoreJujuState(reduxStore) {
+  try {
+    const snapshot = await loadSnapshot();
+    if (snapshot?.version === SNAPSHOT_VERSION) {
+      reduxStore.dispatch(restoreSnapshot(snapshot));
+    }
+  } catch (error) {
+    console.error("Unable to restore the stored model data:", error);
+  }
+}
+
+/**
+  Store a snapshot of the juju data whenever it changes. The restored snapshot
+  is not stored again until it has been replaced by data from the controllers
+  so that it keeps the time it was taken.
+  @param {Object} reduxStore The application redux store.
+  @returns {Function} A function to stop storing the data.
+*/
+export function persistJujuState(reduxStore) {
+  let previousState = reduxStore.getState().juju;
+  let timeoutId = null;
+
+  const save = () => {
+    timeoutId = null;
+    const jujuState = reduxStore.getState().juju;
+    if (jujuState.snapshotSavedAt) {
+      return;
+    }
+    const snapshot = generateSnapshot(jujuState);
+    if (snapshot) {
+      saveSnapshot(snapshot).catch((error) => {
+        console.error("Unable to store the model data:", error);
+      });
+    }
+  };
+
+  const unsubscribe = reduxStore.subscribe(() => {
+    const jujuState = reduxStore.getState().juju;
+    if (jujuState === previousState) {
+      return;
+    }
+    previousState = jujuState;
+    // Changes that happen before the pending save will be included in it.
+    if (!timeoutId && !jujuState.snapshotSavedAt) {
+      timeoutId = setTimeout(save, SAVE_DELAY);
+    }
+  });
+
+  return () => {
+    clearTimeout(timeoutId);
+    unsubscribe();
+  };
+}
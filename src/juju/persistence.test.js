@@ -0,0 +1,183 @@
+import { combineReducers, createStore } from "redux";
+
+import { restoreSnapshot, updateModelList } from "./actions";
+import {
+  generateSnapshot,
+  persistJujuState,
+  restoreJujuState,
+  SAVE_DELAY,
+  SNAPSHOT_VERSION,
+} from "./persistence";
+import jujuReducer from "./reducer";
+import { loadSnapshot, saveSnapshot } from "./snapshot-storage";
+
+jest.mock("./snapshot-storage", () => ({
+  loadSnapshot: jest.fn(),
+  saveSnapshot: jest.fn(),
+}));
+
+const wsControllerURL = "wss://example.com/api";
+
+const generateJujuState = () => ({
+  models: {
+    abc123: { name: "hadoopspark", uuid: "abc123", wsControllerURL },
+  },
+  modelData: {
+    abc123: { uuid: "abc123", applications: {} },
+    def456: { uuid: "def456", applications: {} },
+  },
+  controllers: { "wss://example.com/api": [{ path: "admin/jaas" }] },
+  facadeVersions: { "wss://example.com/api": {} },
+});
+
+describe("persistence", () => {
+  let store;
+
+  beforeEach(() => {
+    loadSnapshot.mockImplementation(() => Promise.resolve(null));
+    saveSnapshot.mockImplementation(() => Promise.resolve());
+    store = createStore(combineReducers({ juju: jujuReducer }));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("generates a snapshot of the model data", () => {
+    expect(generateSnapshot(generateJujuState(), 1000)).toStrictEqual({
+      version: SNAPSHOT_VERSION,
+      savedAt: 1000,
+      models: {
+        abc123: { name: "hadoopspark", uuid: "abc123", wsControllerURL },
+      },
+      modelData: { abc123: { uuid: "abc123", applications: {} } },
+      controllers: { "wss://example.com/api": [{ path: "admin/jaas" }] },
+    });
+  });
+
+  it("does not generate a snapshot if there are no models", () => {
+    expect(generateSnapshot({ models: {}, modelData: {} })).toBe(null);
+  });
+
+  it("restores the stored snapshot", async () => {
+    const snapshot = generateSnapshot(generateJujuState(), 1000);
+    loadSnapshot.mockImplementation(() => Promise.resolve(snapshot));
+    await restoreJujuState(store);
+    expect(store.getState().juju).toMatchObject({
+      models: snapshot.models,
+      modelData: snapshot.modelData,
+      controllers: snapshot.controllers,
+      snapshotSavedAt: 1000,
+    });
+  });
+
+  it("ignores snapshots from other versions", async () => {
+    loadSnapshot.mockImplementation(() =>
+      Promise.resolve({ ...generateSnapshot(generateJujuState()), version: 0 })
+    );
+    await restoreJujuState(store);
+    expect(store.getState().juju.models).toStrictEqual({});
+  });
+
+  it("does not replace data fetched from the controllers", () => {
+    store.dispatch(
+      updateModelList({
+        "user-models": [{ model: { name: "current", uuid: "xyz789" } }],
+      })
+    );
+    store.dispatch(restoreSnapshot(generateSnapshot(generateJujuState())));
+    expect(Object.keys(store.getState().juju.models)).toStrictEqual(["xyz789"]);
+    expect(store.getState().juju.snapshotSavedAt).toBeUndefined();
+  });
+
+  it("replaces the restored snapshot when the model list is fetched", () => {
+    store.dispatch(restoreSnapshot(generateSnapshot(generateJujuState())));
+    store.dispatch(
+      updateModelList(
+        {
+          "user-models": [{ model: { name: "current", uuid: "xyz789" } }],
+        },
+        wsControllerURL
+      )
+    );
+    const jujuState = store.getState().juju;
+    expect(Object.keys(jujuState.models)).toStrictEqual(["xyz789"]);
+    expect(jujuState.modelData).toStrictEqual({});
+    expect(jujuState.snapshotSavedAt).toBeUndefined();
+  });
+
+  it("keeps the restored models from other controllers", () => {
+    store.dispatch(restoreSnapshot(generateSnapshot(generateJujuState())));
+    store.dispatch(
+      updateModelList(
+        {
+          "user-models": [{ model: { name: "current", uuid: "xyz789" } }],
+        },
+        "wss://other.example.com/api"
+      )
+    );
+    let jujuState = store.getState().juju;
+    expect(Object.keys(jujuState.models)).toStrictEqual(["abc123", "xyz789"]);
+    expect(jujuState.models.abc123.fromSnapshot).toBe(true);
+    expect(Object.keys(jujuState.modelData)).toStrictEqual(["abc123"]);
+    // The restored models are replaced once their controller responds.
+    store.dispatch(updateModelList({ "user-models": [] }, wsControllerURL));
+    jujuState = store.getState().juju;
+    expect(Object.keys(jujuState.models)).toStrictEqual(["xyz789"]);
+    expect(jujuState.modelData).toStrictEqual({});
+  });
+
+  it("keeps the snapshot time until all the controllers have responded", () => {
+    const otherControllerURL = "wss://other.example.com/api";
+    const jujuState = generateJujuState();
+    jujuState.models.def456 = {
+      name: "kubeflow",
+      uuid: "def456",
+      wsControllerURL: otherControllerURL,
+    };
+    store.dispatch(restoreSnapshot(generateSnapshot(jujuState, 1000)));
+    store.dispatch(updateModelList({ "user-models": [] }, wsControllerURL));
+    expect(Object.keys(store.getState().juju.models)).toStrictEqual(["def456"]);
+    expect(store.getState().juju.snapshotSavedAt).toBe(1000);
+    store.dispatch(updateModelList({ "user-models": [] }, otherControllerURL));
+    expect(store.getState().juju.models).toStrictEqual({});
+    expect(store.getState().juju.snapshotSavedAt).toBeUndefined();
+  });
+
+  it("stores the data after it changes", () => {
+    jest.useFakeTimers();
+    persistJujuState(store);
+    store.dispatch(
+      updateModelList({
+        "user-models": [{ model: { name: "current", uuid: "xyz789" } }],
+      })
+    );
+    expect(saveSnapshot).not.toHaveBeenCalled();
+    jest.advanceTimersByTime(SAVE_DELAY);
+    expect(saveSnapshot).toHaveBeenCalledTimes(1);
+    expect(saveSnapshot.mock.calls[0][0].models).toStrictEqual(
+      store.getState().juju.models
+    );
+  });
+
+  it("does not store the restored snapshot again", () => {
+    jest.useFakeTimers();
+    persistJujuState(store);
+    store.dispatch(restoreSnapshot(generateSnapshot(generateJujuState())));
+    jest.advanceTimersByTime(SAVE_DELAY);
+    expect(saveSnapshot).not.toHaveBeenCalled();
+  });
+
+  it("can stop storing the data", () => {
+    jest.useFakeTimers();
+    const stop = persistJujuState(store);
+    store.dispatch(
+      updateModelList({
+        "user-models": [{ model: { name: "current", uuid: "xyz789" } }],
+      })
+    );
+    stop();
+    jest.advanceTimersByTime(SAVE_DELAY);
+    expect(saveSnapshot).not.toHaveBeenCalled();
+  });
+});
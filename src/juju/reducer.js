@@ -1,7 +1,35 @@
-import immerProduce from "immer";
+import immerProduce, { current, isDraft } from "immer";
 import cloneDeep from "clone-deep";
 
 import { actionsList } from "./actions";
+import { applyDeltas } from "./deltas";
+import { appendHistoryEvents, generateHistoryEvents } from "./history";
+
+/**
+  Records the changes between the previous and current model status in the
+  model history.
+  @param {Object} draftState The immer draft of the juju state.
+  @param {Object} state The juju state before the action was applied.
+  @param {String} modelUUID The UUID of the model that was updated.
+  @param {Number} timestamp The time the update was received.
+*/
+function recordHistory(draftState, state, modelUUID, timestamp) {
+  const modelData = draftState.modelData[modelUUID];
+  const events = generateHistoryEvents(
+    state.modelData?.[modelUUID],
+    isDraft(modelData) ? current(modelData) : modelData,
+    timestamp
+  );
+  if (events.length) {
+    if (!draftState.modelHistory) {
+      draftState.modelHistory = {};
+    }
+    draftState.modelHistory[modelUUID] = appendHistoryEvents(
+      state.modelHistory?.[modelUUID],
+      events
+    );
+  }
+}
 
 const defaultState = {
   models: {},
@@ -13,7 +41,18 @@ export default function jujuReducer(state = defaultState, action) {
     const payload = action.payload;
     switch (action.type) {
       case actionsList.updateModelList:
+        const listControllerURL = action.meta?.wsControllerURL;
         const modelList = cloneDeep(state.models || {});
+        // Replace the models restored from the snapshot for this controller
+        // so that models that have been removed since it was taken are no
+        // longer displayed. The restored models from other controllers are
+        // kept until those controllers respond.
+        const restoredModels = Object.keys(modelList).filter(
+          (uuid) =>
+            modelList[uuid].fromSnapshot &&
+            modelList[uuid].wsControllerURL === listControllerURL
+        );
+        restoredModels.forEach((uuid) => delete modelList[uuid]);
         let userModels = action.payload["user-models"];
         if (!userModels) {
           userModels = [];
@@ -25,9 +64,20 @@ export default function jujuReducer(state = defaultState, action) {
             ownerTag: model.model["owner-tag"],
             type: model.model.type,
             uuid: model.model.uuid,
+            wsControllerURL: listControllerURL,
           };
         });
         draftState.models = modelList;
+        restoredModels.forEach((uuid) => {
+          if (!modelList[uuid]) {
+            delete draftState.modelData[uuid];
+          }
+        });
+        // The data is no longer stale once every controller has replaced its
+        // restored models.
+        if (!Object.values(modelList).some((model) => model.fromSnapshot)) {
+          delete draftState.snapshotSavedAt;
+        }
         break;
       case actionsList.updateModelStatus:
         const modelUUID = payload.modelUUID;
@@ -54,6 +104,17 @@ export default function jujuReducer(state = defaultState, action) {
         // The status doesn't contain a top level uuid and when this data is
         // fetched it doesn't contain the UUID.
         draftState.modelData[modelUUID].uuid = modelUUID;
+        recordHistory(draftState, state, modelUUID, action.meta?.timestamp);
+        break;
+      case actionsList.processAllWatcherDeltas:
+        applyDeltas(draftState.modelData, state.models, payload);
+        new Set(payload.map((delta) => delta[2]?.["model-uuid"])).forEach(
+          (uuid) => {
+            if (draftState.modelData[uuid]) {
+              recordHistory(draftState, state, uuid, action.meta?.timestamp);
+            }
+          }
+        );
         break;
       case actionsList.updateModelInfo:
         const modelInfo = payload.results[0].result;
@@ -71,6 +132,23 @@ export default function jujuReducer(state = defaultState, action) {
       case actionsList.clearModelData:
         draftState.modelData = {};
         draftState.models = {};
+        draftState.modelHistory = {};
+        delete draftState.snapshotSavedAt;
+        break;
+      case actionsList.restoreSnapshot:
+        // Don't replace data that has already been fetched from the
+        // controllers.
+        if (Object.keys(state.models || {}).length) {
+          break;
+        }
+        draftState.models = {};
+        Object.entries(payload.models).forEach(([uuid, model]) => {
+          draftState.models[uuid] = { ...model, fromSnapshot: true };
+        });
+        draftState.modelData = payload.modelData;
+        draftState.controllers = payload.controllers;
+        // Mark the data as stale until it is replaced by the poller.
+        draftState.snapshotSavedAt = payload.savedAt;
         break;
       case actionsList.clearControllerData:
         draftState.controllers = {};
@@ -81,6 +159,17 @@ export default function jujuReducer(state = defaultState, action) {
           action.payload.controllers;
         draftState.controllers = controllers;
         break;
+      case actionsList.updateFacadeVersions:
+        const { wsControllerURL, connectionType, facadeVersions } = payload;
+        if (!draftState.facadeVersions) {
+          draftState.facadeVersions = {};
+        }
+        if (!draftState.facadeVersions[wsControllerURL]) {
+          draftState.facadeVersions[wsControllerURL] = {};
+        }
+        draftState.facadeVersions[wsControllerURL][connectionType] =
+          facadeVersions;
+        break;
       default:
         // No default value, fall through.
         break;
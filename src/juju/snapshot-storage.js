@@ -0,0 +1,88 @@
+/*
+  Stores a snapshot of the juju data in IndexedDB so that it can be displayed
+  immediately on the next page load and browsed while offline. If IndexedDB is
+  not available (e.g. in private browsing in some browsers) the snapshot is
+  silently not stored.
+*/
+
+const DB_NAME = "juju-dashboard";
+const DB_VERSION = 1;
+const STORE_NAME = "snapshots";
+const SNAPSHOT_KEY = "juju";
+
+/**
+  Opens the dashboard database, creating the object store if required.
+  @returns {Promise} Resolves with the database or null if IndexedDB is not
+    available.
+*/
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      resolve(null);
+      return;
+    }
+    const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE_NAME);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+  Performs a request against the snapshot store.
+  @param {String} mode The transaction mode, "readonly" or "readwrite".
+  @param {Function} generateRequest Called with the object store and should
+    return the request to perform.
+  @returns {Promise} Resolves with the result of the request or undefined if
+    IndexedDB is not available.
+*/
+async function performRequest(mode, generateRequest) {
+  const db = await openDatabase();
+  if (!db) {
+    return;
+  }
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = generateRequest(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request.result);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+}
+
+/**
+  Retrieves the stored snapshot.
+  @returns {Promise} Resolves with the snapshot or null if there isn't one.
+*/
+export async function loadSnapshot() {
+  const snapshot = await performRequest("readonly", (store) =>
+    store.get(SNAPSHOT_KEY)
+  );
+  return snapshot || null;
+}
+
+/**
+  Replaces the stored snapshot.
+  @param {Object} snapshot The snapshot to store.
+  @returns {Promise} Resolves once the snapshot has been stored.
+*/
+export function saveSnapshot(snapshot) {
+  return performRequest("readwrite", (store) =>
+    store.put(snapshot, SNAPSHOT_KEY)
+  );
+}
+
+/**
+  Removes the stored snapshot.
+  @returns {Promise} Resolves once the snapshot has been removed.
+*/
+export function clearSnapshot() {
+  return performRequest("readwrite", (store) => store.delete(SNAPSHOT_KEY));
+}
@@ -1,5 +1,6 @@
 import { BrowserRouter as Router } from "react-router-dom";
 import { mount } from "enzyme";
+import { act } from "react-dom/test-utils";
 import configureStore from "redux-mock-store";
 import { Provider } from "react-redux";
 import { MemoryRouter, Route } from "react-router";
@@ -112,4 +113,96 @@ describe("Base Layout", () => {
     );
     expect(wrapper.find(".l-navigation-bar").exists()).toBe(true);
   });
+
+  it("should display a banner when a controller connection is degraded", () => {
+    const clonedDump: TSFixMe = cloneDeep(dataDump);
+    clonedDump.root.controllerConnectionStates = {
+      "wss://jimm.jujucharms.com/api": {
+        state: "reconnecting",
+        lastError: "ping timeout",
+      },
+    };
+    const store = mockStore(clonedDump);
+    const wrapper = mount(
+      <Provider store={store}>
+        <MemoryRouter initialEntries={["/models/"]}>
+          <QueryParamProvider ReactRouterRoute={Route}>
+            <TestRoute path="/models">
+              <BaseLayout>
+                <p>foo</p>
+              </BaseLayout>
+            </TestRoute>
+          </QueryParamProvider>
+        </MemoryRouter>
+      </Provider>
+    );
+    const message = wrapper.find("[data-test='connection-state']");
+    expect(message.text()).toBe(
+      "The connection to jimm.jujucharms.com was lost, reconnecting. The data shown may be out of date."
+    );
+    expect(message.closest(".banner").prop("data-active")).toBe(true);
+  });
+
+  it("should display a failed controller connection", () => {
+    const clonedDump: TSFixMe = cloneDeep(dataDump);
+    clonedDump.root.controllerConnectionStates = {
+      "wss://jimm.jujucharms.com/api": {
+        state: "failed",
+        lastError: "connection refused",
+      },
+    };
+    const store = mockStore(clonedDump);
+    const wrapper = mount(
+      <Provider store={store}>
+        <MemoryRouter initialEntries={["/models/"]}>
+          <QueryParamProvider ReactRouterRoute={Route}>
+            <TestRoute path="/models">
+              <BaseLayout>
+                <p>foo</p>
+              </BaseLayout>
+            </TestRoute>
+          </QueryParamProvider>
+        </MemoryRouter>
+      </Provider>
+    );
+    const message = wrapper.find("[data-test='connection-state']");
+    expect(message.text()).toBe(
+      "Unable to connect to jimm.jujucharms.com: connection refused."
+    );
+    expect(message.closest(".banner").prop("data-variant")).toBe("negative");
+  });
+
+  it("should display the time of the stored data while offline", () => {
+    const clonedDump: TSFixMe = cloneDeep(dataDump);
+    const savedAt = new Date(2021, 6, 1, 12, 30).getTime();
+    clonedDump.juju.snapshotSavedAt = savedAt;
+    const store = mockStore(clonedDump);
+    const wrapper = mount(
+      <Provider store={store}>
+        <MemoryRouter initialEntries={["/models?panel=share-model"]}>
+          <QueryParamProvider ReactRouterRoute={Route}>
+            <TestRoute path="/models">
+              <BaseLayout>
+                <p>foo</p>
+              </BaseLayout>
+            </TestRoute>
+          </QueryParamProvider>
+        </MemoryRouter>
+      </Provider>
+    );
+    expect(wrapper.find("Panels").exists()).toBe(true);
+    act(() => {
+      window.dispatchEvent(new Event("offline"));
+    });
+    wrapper.update();
+    expect(wrapper.find("[data-test='snapshot-saved-at']").text()).toBe(
+      ` Showing data as of ${new Date(
+        savedAt
+      ).toLocaleString()}, it can be browsed but not changed.`
+    );
+    expect(wrapper.find("Panels").exists()).toBe(false);
+    act(() => {
+      window.dispatchEvent(new Event("online"));
+    });
+  });
 });
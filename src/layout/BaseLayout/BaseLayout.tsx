@@ -6,6 +6,7 @@ import { Toaster } from "react-hot-toast";
 
 import Logo from "components/Logo/Logo";
 import Banner from "components/Banner/Banner";
+import CommandPalette from "components/CommandPalette/CommandPalette";
 import PrimaryNav from "components/PrimaryNav/PrimaryNav";
 
 import Panels from "panels/panels";
@@ -14,6 +15,10 @@ import useOffline from "hooks/useOffline";
 
 import type { EntityDetailsRoute } from "components/Routes/Routes";
 
+import {
+  getDegradedControllerConnections,
+  getSnapshotSavedAt,
+} from "app/selectors";
 import { sideNavCollapsed } from "ui/actions";
 import { isSideNavCollapsed } from "ui/selectors";
 
@@ -23,6 +28,29 @@ type Props = {
   children: JSX.Element;
 };
 
+type ControllerConnectionState = {
+  wsControllerURL: string;
+  state: "connecting" | "connected" | "reconnecting" | "failed";
+  lastError: string | null;
+};
+
+const generateConnectionMessage = ({
+  wsControllerURL,
+  state,
+  lastError,
+}: ControllerConnectionState) => {
+  let host = wsControllerURL;
+  try {
+    host = new URL(wsControllerURL).host;
+  } catch (e) {
+    // Display the full URL if it can't be parsed.
+  }
+  if (state === "failed") {
+    return `Unable to connect to ${host}${lastError ? `: ${lastError}` : ""}.`;
+  }
+  return `The connection to ${host} was lost, reconnecting. The data shown may be out of date.`;
+};
+
 const BaseLayout = ({ children }: Props) => {
   const [mobileMenuCollapsed, setMobileMenuCollapsed] = useState(true);
   const location = useLocation();
@@ -42,6 +70,13 @@ const BaseLayout = ({ children }: Props) => {
   }, [modelName, dispatch]);
 
   const isOffline = useOffline();
+  const degradedConnections = useSelector(
+    getDegradedControllerConnections
+  ) as ControllerConnectionState[];
+  const connectionFailed = degradedConnections.some(
+    ({ state }) => state === "failed"
+  );
+  const snapshotSavedAt = useSelector(getSnapshotSavedAt) as number | undefined;
 
   return (
     <>
@@ -54,7 +89,16 @@ const BaseLayout = ({ children }: Props) => {
         variant={isOffline === false ? "positive" : "caution"}
       >
         {isOffline ? (
-          <p>Your dashboard is offline.</p>
+          <p>
+            Your dashboard is offline.
+            {snapshotSavedAt ? (
+              <span data-test="snapshot-saved-at">
+                {" "}
+                Showing data as of {new Date(snapshotSavedAt).toLocaleString()},
+                it can be browsed but not changed.
+              </span>
+            ) : null}
+          </p>
         ) : (
           <p>
             Your dashboard is now back online - please{" "}
@@ -63,7 +107,19 @@ const BaseLayout = ({ children }: Props) => {
         )}
       </Banner>
 
+      <Banner
+        isActive={!isOffline && degradedConnections.length > 0}
+        variant={connectionFailed ? "negative" : "caution"}
+      >
+        {degradedConnections.map((connection) => (
+          <p key={connection.wsControllerURL} data-test="connection-state">
+            {generateConnectionMessage(connection)}
+          </p>
+        ))}
+      </Banner>
+
       <div id="confirmation-modal-container"></div>
+      <CommandPalette />
 
       <div className="l-application">
         <div className="l-navigation-bar">
@@ -89,7 +145,8 @@ const BaseLayout = ({ children }: Props) => {
         <main className="l-main" id="main-content">
           <div data-test="main-children">{children}</div>
         </main>
-        <Panels />
+        {/* The panels make changes so are not available while offline. */}
+        {isOffline ? null : <Panels />}
         <Toaster
           position="bottom-right"
           containerClassName="toast-container"
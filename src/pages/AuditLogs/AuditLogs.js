@@ -0,0 +1,440 @@
+import { useEffect, useState } from "react";
+import { useSelector, useStore } from "react-redux";
+import {
+  useQueryParams,
+  NumberParam,
+  StringParam,
+  withDefault,
+} from "use-query-params";
+import MainTable from "@canonical/react-components/dist/components/MainTable";
+
+import BaseLayout from "layout/BaseLayout/BaseLayout";
+import ConfirmationModal from "components/ConfirmationModal/ConfirmationModal";
+import Header from "components/Header/Header";
+import LoadingHandler from "components/LoadingHandler/LoadingHandler";
+import NotSupported, {
+  isNotSupportedError,
+} from "components/NotSupported/NotSupported";
+import PageNotFound from "pages/PageNotFound/PageNotFound";
+
+import FadeIn from "animations/FadeIn";
+
+import useWindowTitle from "hooks/useWindowTitle";
+
+import { isJIMMAdmin } from "app/selectors";
+import { findAuditEvents, setAuditLogAccess } from "juju";
+
+import "./_audit-logs.scss";
+
+// The number of events to display on each page.
+export const PAGE_SIZE = 50;
+// The number of events to request at a time when exporting.
+const EXPORT_BATCH_SIZE = 1000;
+
+const filterFields = [
+  { name: "user", label: "User", type: "text", placeholder: "eggman@external" },
+  { name: "model", label: "Model", type: "text", placeholder: "Model UUID" },
+  { name: "method", label: "Method", type: "text", placeholder: "Deploy" },
+  { name: "after", label: "After", type: "datetime-local" },
+  { name: "before", label: "Before", type: "datetime-local" },
+];
+
+const csvColumns = [
+  ["time", (event) => event.time],
+  ["conversation-id", (event) => event["conversation-id"]],
+  ["message-id", (event) => event["message-id"]],
+  ["user", (event) => extractUserName(event["user-tag"])],
+  ["model", (event) => event.model],
+  ["facade", (event) => event["facade-name"]],
+  ["method", (event) => event["facade-method"]],
+  ["version", (event) => event["facade-version"]],
+  ["object-id", (event) => event["object-id"]],
+  ["type", (event) => (event["is-response"] ? "response" : "request")],
+  ["params", (event) => (event.params ? JSON.stringify(event.params) : "")],
+  ["errors", (event) => (event.errors ? JSON.stringify(event.errors) : "")],
+];
+
+const extractUserName = (userTag) => userTag?.replace(/^user-/, "") || "";
+
+/**
+  Convert the filters from the query params to the FindAuditEvents params.
+  @param {Object} filters The filters in the format
+    {user, model, method, after, before}.
+  @returns {Object} The FindAuditEvents params.
+*/
+export const generateAuditParams = (filters) => {
+  const params = {};
+  if (filters.user) {
+    params["user-tag"] = `user-${filters.user}`;
+  }
+  if (filters.model) {
+    params.model = filters.model;
+  }
+  if (filters.method) {
+    params.method = filters.method;
+  }
+  ["after", "before"].forEach((key) => {
+    const date = filters[key] && new Date(filters[key]);
+    if (date && !isNaN(date)) {
+      params[key] = date.toISOString();
+    }
+  });
+  return params;
+};
+
+/**
+  Generate a CSV document from the audit events.
+  @param {Array} events The audit events.
+  @returns {String} The events in CSV format.
+*/
+export const generateAuditCSV = (events) => {
+  const escape = (value) => {
+    const content = `${value ?? ""}`;
+    return /[",\n]/.test(content)
+      ? `"${content.replace(/"/g, '""')}"`
+      : content;
+  };
+  const rows = [csvColumns.map(([heading]) => heading)].concat(
+    events.map((event) => csvColumns.map(([, getValue]) => getValue(event)))
+  );
+  return rows.map((row) => row.map(escape).join(",")).join("\n");
+};
+
+const generateErrors = (errors) => {
+  const messages = Object.values(errors?.results || errors || {})
+    .map((error) => error?.message || error?.error?.message)
+    .filter(Boolean);
+  return messages.join(", ");
+};
+
+const generateRows = (events) =>
+  events.map((event, i) => ({
+    key: `${event["conversation-id"]}-${event["message-id"]}-${i}`,
+    columns: [
+      { content: new Date(event.time).toLocaleString(), className: "u-nowrap" },
+      { content: extractUserName(event["user-tag"]) },
+      { content: event.model || "-" },
+      {
+        content: `${event["facade-name"]} v${event["facade-version"]}.${event["facade-method"]}`,
+      },
+      { content: event["is-response"] ? "Response" : "Request" },
+      { content: generateErrors(event.errors) },
+    ],
+  }));
+
+const headers = [
+  { content: "Time" },
+  { content: "User" },
+  { content: "Model" },
+  { content: "Method" },
+  { content: "Type" },
+  { content: "Errors" },
+];
+
+function AuditLogsTable() {
+  const appStore = useStore();
+  const [queryParams, setQueryParams] = useQueryParams({
+    user: withDefault(StringParam, ""),
+    model: withDefault(StringParam, ""),
+    method: withDefault(StringParam, ""),
+    after: withDefault(StringParam, ""),
+    before: withDefault(StringParam, ""),
+    page: withDefault(NumberParam, 0),
+  });
+  const { page, ...filters } = queryParams;
+  const [formValues, setFormValues] = useState(filters);
+  const [events, setEvents] = useState([]);
+  const [hasNextPage, setHasNextPage] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [exporting, setExporting] = useState(false);
+  const filterKey = JSON.stringify(filters);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    findAuditEvents(
+      {
+        ...generateAuditParams(JSON.parse(filterKey)),
+        offset: page * PAGE_SIZE,
+        // Request one additional event to know if there is another page.
+        limit: PAGE_SIZE + 1,
+      },
+      appStore.getState()
+    )
+      .then((response) => {
+        if (!cancelled) {
+          setEvents(response.slice(0, PAGE_SIZE));
+          setHasNextPage(response.length > PAGE_SIZE);
+        }
+      })
+      .catch((e) => {
+        if (!cancelled) {
+          setEvents([]);
+          setError(e);
+        }
+      })
+      .finally(() => {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [appStore, filterKey, page]);
+
+  const exportCSV = async () => {
+    setExporting(true);
+    try {
+      const params = generateAuditParams(filters);
+      let allEvents = [];
+      let batch = [];
+      do {
+        batch = await findAuditEvents(
+          { ...params, offset: allEvents.length, limit: EXPORT_BATCH_SIZE },
+          appStore.getState()
+        );
+        allEvents = allEvents.concat(batch);
+      } while (batch.length === EXPORT_BATCH_SIZE);
+      const blob = new Blob([generateAuditCSV(allEvents)], {
+        type: "text/csv",
+      });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = "audit-events.csv";
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (e) {
+      setError(e);
+    }
+    setExporting(false);
+  };
+
+  if (isNotSupportedError(error)) {
+    return <NotSupported feature="The audit log" />;
+  }
+
+  return (
+    <>
+      <form
+        className="audit-logs__filters"
+        onSubmit={(e) => {
+          e.preventDefault();
+          setQueryParams({ ...formValues, page: 0 });
+        }}
+      >
+        {filterFields.map(({ name, label, type, placeholder }) => (
+          <label key={name} className="audit-logs__filter">
+            {label}
+            <input
+              type={type}
+              name={name}
+              placeholder={placeholder}
+              value={formValues[name]}
+              onChange={(e) =>
+                setFormValues({ ...formValues, [name]: e.target.value })
+              }
+            />
+          </label>
+        ))}
+        <div className="audit-logs__filter-actions">
+          <button className="p-button--positive" type="submit">
+            Filter
+          </button>
+          <button
+            className="p-button--neutral"
+            type="button"
+            disabled={exporting}
+            onClick={exportCSV}
+          >
+            {exporting ? "Exporting..." : "Export CSV"}
+          </button>
+        </div>
+      </form>
+      {error ? (
+        <div className="p-notification--negative">
+          <p className="p-notification__response">
+            <span className="p-notification__status">Error:</span>
+            {error.message || error}
+          </p>
+        </div>
+      ) : null}
+      <LoadingHandler
+        hasData={events.length > 0}
+        loading={loading}
+        noDataMessage="There are no audit events matching these filters."
+      >
+        <MainTable headers={headers} rows={generateRows(events)} />
+      </LoadingHandler>
+      <div className="audit-logs__pagination">
+        <button
+          className="p-button--neutral"
+          disabled={loading || page === 0}
+          onClick={() => setQueryParams({ page: page - 1 })}
+        >
+          Previous
+        </button>
+        <span className="audit-logs__page">Page {page + 1}</span>
+        <button
+          className="p-button--neutral"
+          disabled={loading || !hasNextPage}
+          onClick={() => setQueryParams({ page: page + 1 })}
+        >
+          Next
+        </button>
+      </div>
+    </>
+  );
+}
+
+/**
+  Generates the confirmation text for changing a user's access to the audit
+  log.
+  @param {String} action grant|revoke
+  @param {String} userName The name of the user.
+  @returns {Object} The confirmation in the format
+    {title, message, button, buttonClass}.
+*/
+const generateAccessConfirmation = (action, userName) =>
+  action === "grant"
+    ? {
+        title: `Grant "${userName}" access to the audit log?`,
+        message: "The user will be able to view the audit events in JIMM.",
+        button: "Grant access",
+        buttonClass: "p-button--positive",
+      }
+    : {
+        title: `Revoke "${userName}"'s access to the audit log?`,
+        message: "The user will no longer be able to view the audit events.",
+        button: "Revoke access",
+        buttonClass: "p-button--negative",
+      };
+
+function AuditLogAccess() {
+  const appStore = useStore();
+  const [userName, setUserName] = useState("");
+  // The access change that is waiting to be confirmed, grant|revoke.
+  const [confirm, setConfirm] = useState(null);
+  const [inProgress, setInProgress] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleConfirm = async () => {
+    const action = confirm;
+    setConfirm(null);
+    setInProgress(true);
+    setError(null);
+    try {
+      await setAuditLogAccess(userName, action, appStore.getState());
+      setUserName("");
+    } catch (e) {
+      setError(e);
+    }
+    setInProgress(false);
+  };
+
+  const generateConfirmation = () => {
+    const confirmation = generateAccessConfirmation(confirm, userName);
+    return (
+      <ConfirmationModal
+        buttonRow={[
+          <button
+            className="p-button--neutral"
+            key="cancel"
+            onClick={() => setConfirm(null)}
+          >
+            Cancel
+          </button>,
+          <button
+            className={confirmation.buttonClass}
+            key="confirm"
+            data-test="confirm-audit-access"
+            onClick={handleConfirm}
+          >
+            {confirmation.button}
+          </button>,
+        ]}
+      >
+        <h4>{confirmation.title}</h4>
+        <p>{confirmation.message}</p>
+      </ConfirmationModal>
+    );
+  };
+
+  return (
+    <>
+      <h5>Audit log access</h5>
+      {error ? (
+        <div className="p-notification--negative">
+          <p className="p-notification__response">
+            <span className="p-notification__status">Error:</span>
+            {error.message || error}
+          </p>
+        </div>
+      ) : null}
+      <form
+        className="audit-logs__access"
+        onSubmit={(e) => {
+          e.preventDefault();
+          setConfirm("grant");
+        }}
+      >
+        <label className="audit-logs__filter">
+          Username
+          <input
+            type="text"
+            name="access-user"
+            placeholder="eggman@external"
+            value={userName}
+            onChange={(e) => setUserName(e.target.value.trim())}
+            required
+          />
+        </label>
+        <div className="audit-logs__filter-actions">
+          <button
+            className="p-button--positive"
+            type="submit"
+            disabled={inProgress}
+          >
+            Grant access
+          </button>
+          <button
+            className="p-button--negative"
+            type="button"
+            data-test="revoke-audit-access"
+            disabled={inProgress || !userName}
+            onClick={() => setConfirm("revoke")}
+          >
+            Revoke access
+          </button>
+        </div>
+      </form>
+      {confirm ? generateConfirmation() : null}
+    </>
+  );
+}
+
+export default function AuditLogs() {
+  useWindowTitle("Audit logs");
+  const isAdmin = useSelector(isJIMMAdmin);
+
+  if (!isAdmin) {
+    return <PageNotFound />;
+  }
+
+  return (
+    <BaseLayout>
+      <Header>
+        <span className="l-content audit-logs__header">Audit logs</span>
+      </Header>
+      <FadeIn isActive={true}>
+        <div className="l-content audit-logs">
+          <AuditLogsTable />
+          <AuditLogAccess />
+        </div>
+      </FadeIn>
+    </BaseLayout>
+  );
+}
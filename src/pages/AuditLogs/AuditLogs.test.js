@@ -0,0 +1,232 @@
+import { mount } from "enzyme";
+import { act } from "react-dom/test-utils";
+import { MemoryRouter, Route } from "react-router";
+import { Provider } from "react-redux";
+import configureStore from "redux-mock-store";
+import { QueryParamProvider } from "use-query-params";
+import cloneDeep from "clone-deep";
+
+import { findAuditEvents, setAuditLogAccess } from "juju/index";
+import { FacadeNotSupportedError } from "juju/facade-versions";
+import dataDump from "testing/complete-redux-store-dump";
+
+import AuditLogs, {
+  generateAuditCSV,
+  generateAuditParams,
+  PAGE_SIZE,
+} from "./AuditLogs";
+
+jest.mock("juju/index", () => ({
+  findAuditEvents: jest.fn(),
+  setAuditLogAccess: jest.fn(),
+}));
+
+const mockStore = configureStore([]);
+
+const generateEvent = (overrides) => ({
+  time: "2021-04-14T03:23:54Z",
+  "conversation-id": "abc123",
+  "message-id": 1,
+  "facade-name": "Application",
+  "facade-method": "Deploy",
+  "facade-version": 13,
+  "object-id": "",
+  "user-tag": "user-eggman@external",
+  model: "model-uuid",
+  "is-response": false,
+  params: { applications: [{ application: "etcd" }] },
+  errors: null,
+  ...overrides,
+});
+
+const generateAdminState = () => {
+  const state = cloneDeep(dataDump);
+  const conn =
+    state.root.controllerConnections["wss://jimm.jujucharms.com/api"];
+  conn.info.user["controller-access"] = "superuser";
+  conn.facades = { jimM: { version: 3 } };
+  return state;
+};
+
+const renderComponent = async (state, path = "/audit") => {
+  const store = mockStore(state);
+  let wrapper;
+  await act(async () => {
+    wrapper = mount(
+      <MemoryRouter initialEntries={[path]}>
+        <Provider store={store}>
+          <QueryParamProvider ReactRouterRoute={Route}>
+            <AuditLogs />
+          </QueryParamProvider>
+        </Provider>
+      </MemoryRouter>
+    );
+  });
+  wrapper.update();
+  return wrapper;
+};
+
+describe("AuditLogs", () => {
+  beforeEach(() => {
+    findAuditEvents.mockImplementation(() =>
+      Promise.resolve([generateEvent()])
+    );
+  });
+
+  it("displays not found to users that are not JIMM admins", async () => {
+    const wrapper = await renderComponent(dataDump);
+    expect(wrapper.find("NotFound").exists()).toBe(true);
+    expect(findAuditEvents).not.toHaveBeenCalled();
+  });
+
+  it("displays the audit events", async () => {
+    const wrapper = await renderComponent(generateAdminState());
+    const cells = wrapper.find("tbody tr td");
+    expect(cells.at(1).text()).toBe("eggman@external");
+    expect(cells.at(2).text()).toBe("model-uuid");
+    expect(cells.at(3).text()).toBe("Application v13.Deploy");
+    expect(cells.at(4).text()).toBe("Request");
+  });
+
+  it("requests the events using the filters from the URL", async () => {
+    await renderComponent(
+      generateAdminState(),
+      "/audit?user=eggman@external&method=Deploy&page=2"
+    );
+    expect(findAuditEvents.mock.calls[0][0]).toStrictEqual({
+      "user-tag": "user-eggman@external",
+      method: "Deploy",
+      offset: 2 * PAGE_SIZE,
+      limit: PAGE_SIZE + 1,
+    });
+  });
+
+  it("can move to the next page", async () => {
+    findAuditEvents.mockImplementation(() =>
+      Promise.resolve(
+        Array.from({ length: PAGE_SIZE + 1 }, (_, i) =>
+          generateEvent({ "message-id": i })
+        )
+      )
+    );
+    const wrapper = await renderComponent(generateAdminState());
+    expect(wrapper.find("tbody tr").length).toBe(PAGE_SIZE);
+    const next = wrapper.find(".audit-logs__pagination button").last();
+    expect(next.prop("disabled")).toBe(false);
+    await act(async () => {
+      next.simulate("click");
+    });
+    expect(findAuditEvents.mock.calls[1][0].offset).toBe(PAGE_SIZE);
+  });
+
+  it("disables the next button on the last page", async () => {
+    const wrapper = await renderComponent(generateAdminState());
+    expect(
+      wrapper.find(".audit-logs__pagination button").last().prop("disabled")
+    ).toBe(true);
+  });
+
+  it("displays a message if the audit log is not supported", async () => {
+    findAuditEvents.mockImplementation(() =>
+      Promise.reject(new FacadeNotSupportedError("JIMM.findAuditEvents"))
+    );
+    const wrapper = await renderComponent(generateAdminState());
+    expect(wrapper.find("[data-test='not-supported']").exists()).toBe(true);
+  });
+
+  const setAccessUser = (wrapper, userName) =>
+    wrapper
+      .find("input[name='access-user']")
+      .simulate("change", { target: { value: userName } });
+
+  const confirmAccess = async (wrapper) => {
+    await act(async () => {
+      wrapper
+        .find("button[data-test='confirm-audit-access']")
+        .simulate("click");
+    });
+    wrapper.update();
+  };
+
+  it("grants a user access to the audit log", async () => {
+    setAuditLogAccess.mockImplementation(() => Promise.resolve());
+    const state = generateAdminState();
+    const wrapper = await renderComponent(state);
+    setAccessUser(wrapper, "eggman@external");
+    wrapper.find(".audit-logs__access").simulate("submit");
+    expect(wrapper.find(".p-confirmation-modal h4").text()).toBe(
+      'Grant "eggman@external" access to the audit log?'
+    );
+    await confirmAccess(wrapper);
+    expect(setAuditLogAccess).toHaveBeenCalledWith(
+      "eggman@external",
+      "grant",
+      state
+    );
+    expect(wrapper.find("input[name='access-user']").prop("value")).toBe("");
+  });
+
+  it("revokes a user's access to the audit log", async () => {
+    setAuditLogAccess.mockImplementation(() => Promise.resolve());
+    const state = generateAdminState();
+    const wrapper = await renderComponent(state);
+    const revokeButton = () =>
+      wrapper.find("button[data-test='revoke-audit-access']");
+    expect(revokeButton().prop("disabled")).toBe(true);
+    setAccessUser(wrapper, "eggman@external");
+    revokeButton().simulate("click");
+    await confirmAccess(wrapper);
+    expect(setAuditLogAccess).toHaveBeenCalledWith(
+      "eggman@external",
+      "revoke",
+      state
+    );
+  });
+
+  it("displays errors when changing access to the audit log", async () => {
+    setAuditLogAccess.mockImplementation(() =>
+      Promise.reject(new Error("unauthorized access"))
+    );
+    const wrapper = await renderComponent(generateAdminState());
+    setAccessUser(wrapper, "eggman@external");
+    wrapper.find(".audit-logs__access").simulate("submit");
+    await confirmAccess(wrapper);
+    expect(wrapper.find(".p-notification--negative").text()).toContain(
+      "unauthorized access"
+    );
+    expect(wrapper.find("input[name='access-user']").prop("value")).toBe(
+      "eggman@external"
+    );
+  });
+});
+
+describe("generateAuditParams", () => {
+  it("converts the filters to request params", () => {
+    expect(
+      generateAuditParams({
+        user: "eggman@external",
+        model: "",
+        method: "Deploy",
+        after: "2021-04-14T03:23:54Z",
+        before: "not a date",
+      })
+    ).toStrictEqual({
+      "user-tag": "user-eggman@external",
+      method: "Deploy",
+      after: "2021-04-14T03:23:54.000Z",
+    });
+  });
+});
+
+describe("generateAuditCSV", () => {
+  it("generates a CSV document", () => {
+    const csv = generateAuditCSV([generateEvent({ errors: null })]);
+    const [header, row] = csv.split("\n");
+    expect(header).toBe(
+      "time,conversation-id,message-id,user,model,facade,method,version,object-id,type,params,errors"
+    );
+    expect(row).toBe(
+      '2021-04-14T03:23:54Z,abc123,1,eggman@external,model-uuid,Application,Deploy,13,,request,"{""applications"":[{""application"":""etcd""}]}",'
+    );
+  });
+});
@@ -0,0 +1,138 @@
+import { useSelector } from "react-redux";
+import { Link } from "react-router-dom";
+import MainTable from "@canonical/react-components/dist/components/MainTable";
+
+import BaseLayout from "layout/BaseLayout/BaseLayout";
+import Header from "components/Header/Header";
+
+import FadeIn from "animations/FadeIn";
+
+import useWindowTitle from "hooks/useWindowTitle";
+
+import { getCharmInventory } from "app/selectors";
+import { generateIconPath } from "app/utils/utils";
+
+import "./_charms.scss";
+
+/**
+  Generates the table headers for a charm.
+  @param {Object} charm The charm from the inventory.
+  @returns {Array} The headers for the table.
+*/
+const generateHeaders = ({ id, name, charm, latestRevision, deployments }) => [
+  {
+    content: (
+      <span className="charms__title">
+        <img
+          alt={`${name} icon`}
+          className="entity-icon"
+          height="24"
+          src={generateIconPath(charm)}
+          width="24"
+        />
+        {name}
+        <span className="charms__count">{deployments.length}</span>
+        <span className="charms__source">{id}</span>
+      </span>
+    ),
+    sortKey: "application",
+  },
+  { content: "Model", sortKey: "model" },
+  { content: "Owner", sortKey: "owner" },
+  {
+    content: latestRevision === null ? "Revision" : `Latest: ${latestRevision}`,
+    sortKey: "revision",
+    className: "u-align--right",
+  },
+];
+
+/**
+  Generates the table rows for the applications a charm is deployed as.
+  @param {Object} charm The charm from the inventory.
+  @returns {Array} The rows for the table.
+*/
+const generateRows = ({ latestRevision, deployments }) =>
+  deployments.map((deployment) => {
+    const modelPath = `/models/${deployment.owner}/${deployment.modelName}`;
+    return {
+      "data-test-app": `${deployment.modelUUID}/${deployment.appName}`,
+      className: deployment.outdated ? "charms__outdated" : null,
+      columns: [
+        {
+          "data-test-column": "application",
+          content: (
+            <Link to={`${modelPath}/app/${deployment.appName}`}>
+              {deployment.appName}
+            </Link>
+          ),
+        },
+        {
+          "data-test-column": "model",
+          content: <Link to={modelPath}>{deployment.modelName}</Link>,
+        },
+        { "data-test-column": "owner", content: deployment.owner },
+        {
+          "data-test-column": "revision",
+          content: (
+            <>
+              {deployment.outdated ? (
+                <span className="p-label--deprecated">Outdated</span>
+              ) : null}
+              {deployment.revision ?? "-"}
+            </>
+          ),
+          className: "u-align--right",
+          title: deployment.outdated
+            ? `${deployment.charm} is behind revision ${latestRevision}`
+            : deployment.charm,
+        },
+      ],
+      sortData: {
+        application: deployment.appName,
+        model: deployment.modelName,
+        owner: deployment.owner,
+        revision: deployment.revision,
+      },
+    };
+  });
+
+export default function CharmsIndex() {
+  useWindowTitle("Charms");
+  const charms = useSelector(getCharmInventory);
+  const outdatedCount = charms.reduce(
+    (count, { deployments }) =>
+      count + deployments.filter(({ outdated }) => outdated).length,
+    0
+  );
+
+  return (
+    <BaseLayout>
+      <Header>
+        <div className="entity-details__header">
+          <strong className="charms__summary">
+            {charms.length} charms, {outdatedCount} outdated applications
+          </strong>
+        </div>
+      </Header>
+      <div className="l-content charms">
+        <FadeIn isActive={true}>
+          {charms.length ? (
+            <div className="u-overflow--scroll">
+              {charms.map((charm) => (
+                <MainTable
+                  className="p-main-table"
+                  headers={generateHeaders(charm)}
+                  key={charm.id}
+                  rows={generateRows(charm)}
+                  sortable
+                />
+              ))}
+            </div>
+          ) : (
+            <p className="charms__empty">There are no charms deployed.</p>
+          )}
+        </FadeIn>
+      </div>
+    </BaseLayout>
+  );
+}
@@ -0,0 +1,80 @@
+import { mount } from "enzyme";
+import { MemoryRouter, Route } from "react-router";
+import { Provider } from "react-redux";
+import configureStore from "redux-mock-store";
+import { QueryParamProvider } from "use-query-params";
+
+import dataDump from "testing/complete-redux-store-dump";
+
+import CharmsIndex from "./CharmsIndex";
+
+const mockStore = configureStore([]);
+
+describe("CharmsIndex", () => {
+  const renderComponent = (state = dataDump) =>
+    mount(
+      <MemoryRouter>
+        <Provider store={mockStore(state)}>
+          <QueryParamProvider ReactRouterRoute={Route}>
+            <CharmsIndex />
+          </QueryParamProvider>
+        </Provider>
+      </MemoryRouter>
+    );
+
+  const findCharmTable = (wrapper, name) =>
+    wrapper.find("MainTable").filterWhere((table) => table.key() === name);
+
+  it("displays a table for each charm", () => {
+    const wrapper = renderComponent();
+    expect(wrapper.find("MainTable").length).toBe(32);
+    expect(wrapper.find(".charms__summary").text()).toBe(
+      "32 charms, 27 outdated applications"
+    );
+  });
+
+  it("lists each application a charm is deployed as", () => {
+    const wrapper = renderComponent();
+    const mysql = findCharmTable(wrapper, "cs:mysql");
+    expect(
+      mysql.find("td[data-test-column='application']").map((td) => td.text())
+    ).toStrictEqual(["mysql", "mysql", "db", "mysql"]);
+    expect(
+      mysql.find("td[data-test-column='revision']").map((td) => td.text())
+    ).toStrictEqual(["58", "Outdated57", "58", "Outdated29"]);
+    expect(mysql.find("th").first().text()).toContain("mysql4");
+    expect(mysql.find("th").at(3).text()).toBe("Latest: 58");
+  });
+
+  it("highlights applications running older revisions", () => {
+    const wrapper = renderComponent();
+    const easyrsa = findCharmTable(wrapper, "cs:~containers/easyrsa");
+    expect(easyrsa.find("tr.charms__outdated").length).toBe(4);
+    expect(
+      easyrsa
+        .find(
+          "tr[data-test-app='84e872ff-9171-46be-829b-70f0ffake18d/easyrsa']"
+        )
+        .hasClass("charms__outdated")
+    ).toBe(false);
+  });
+
+  it("links to the application pages", () => {
+    const wrapper = renderComponent();
+    const row = findCharmTable(wrapper, "cs:mysql").find("tbody tr").at(2);
+    expect(row.find("td[data-test-column='application'] a").prop("href")).toBe(
+      "/models/island/october/app/db"
+    );
+    expect(row.find("td[data-test-column='model'] a").prop("href")).toBe(
+      "/models/island/october"
+    );
+  });
+
+  it("displays a message when there are no charms", () => {
+    const wrapper = renderComponent({
+      ...dataDump,
+      juju: { ...dataDump.juju, modelData: {} },
+    });
+    expect(wrapper.find(".charms__empty").exists()).toBe(true);
+  });
+});
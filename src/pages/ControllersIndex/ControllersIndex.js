@@ -10,7 +10,7 @@ import FadeIn from "animations/FadeIn";
 
 import useWindowTitle from "hooks/useWindowTitle";
 
-import { getControllerData, getModelData } from "app/selectors";
+import { getControllerData, getModelData, isJIMMAdmin } from "app/selectors";
 
 import { useQueryParam, StringParam } from "use-query-params";
 
@@ -22,6 +22,7 @@ function Details() {
   useWindowTitle("Controllers");
   const controllerData = useSelector(getControllerData);
   const modelData = useSelector(getModelData);
+  const isAdmin = useSelector(isJIMMAdmin);
 
   const controllerMap = {};
   const additionalControllers = [];
@@ -143,6 +144,15 @@ function Details() {
           Model status across controllers
         </div>
         <div className="controllers--register">
+          {isAdmin ? (
+            <button
+              className="p-button--neutral"
+              data-test="manage-controllers"
+              onClick={() => setPanelQs("controller-admin")}
+            >
+              Manage JIMM controllers
+            </button>
+          ) : null}
           <button
             className="p-button--positive"
             onClick={() => setPanelQs("register-controller")}
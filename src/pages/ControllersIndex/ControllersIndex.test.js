@@ -78,4 +78,39 @@ describe("Controllers table", () => {
     );
     expect(wrapper.find(".p-panel.register-controller").length).toBe(1);
   });
+
+  it("hides the manage controllers button from non JIMM admins", () => {
+    const store = mockStore(dataDump);
+    const wrapper = mount(
+      <MemoryRouter>
+        <Provider store={store}>
+          <QueryParamProvider ReactRouterRoute={Route}>
+            <ControllersIndex />
+          </QueryParamProvider>
+        </Provider>
+      </MemoryRouter>
+    );
+    expect(wrapper.find("[data-test='manage-controllers']").exists()).toBe(
+      false
+    );
+  });
+  it("shows the controller admin panel to JIMM admins", () => {
+    const clonedData = cloneDeep(dataDump);
+    const conn =
+      clonedData.root.controllerConnections["wss://jimm.jujucharms.com/api"];
+    conn.info.user["controller-access"] = "superuser";
+    conn.facades = { jimM: { version: 3 } };
+    const store = mockStore(clonedData);
+    const wrapper = mount(
+      <MemoryRouter initialEntries={["/controllers"]}>
+        <Provider store={store}>
+          <QueryParamProvider ReactRouterRoute={Route}>
+            <ControllersIndex />
+          </QueryParamProvider>
+        </Provider>
+      </MemoryRouter>
+    );
+    wrapper.find("button[data-test='manage-controllers']").simulate("click");
+    expect(wrapper.find(".p-panel.controller-admin").length).toBe(1);
+  });
 });
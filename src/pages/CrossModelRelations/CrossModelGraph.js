@@ -0,0 +1,123 @@
+import { Link } from "react-router-dom";
+
+import { STATUS_COLORS, STATUS_ORDER } from "components/Topology/status";
+
+// The height of each offer or consumer in the graph.
+const ROW_HEIGHT = 40;
+// The width of the graph.
+const WIDTH = 800;
+// The space given to the offer and consumer labels.
+const LABEL_WIDTH = 240;
+
+/**
+  Returns the most severe status of the consumer's relations.
+  @param {Object} consumer The consumer of the offer.
+  @returns {String|Null} The status group or null if there are no relations.
+*/
+const getConsumerStatus = ({ relations }) =>
+  relations.reduce(
+    (status, { statusGroup }) =>
+      STATUS_ORDER.indexOf(statusGroup) > STATUS_ORDER.indexOf(status)
+        ? statusGroup
+        : status,
+    null
+  );
+
+/**
+  Draws the offers on the left and the models consuming them on the right
+  with a line between each offer and consumer.
+*/
+export default function CrossModelGraph({ crossModelRelations }) {
+  const consumers = crossModelRelations.flatMap(({ offerURL, consumers }) =>
+    consumers.map((consumer) => ({ ...consumer, offerURL }))
+  );
+  const height =
+    Math.max(crossModelRelations.length, consumers.length) * ROW_HEIGHT;
+  // Centre the shorter column against the longer one.
+  const offerTop = (height - crossModelRelations.length * ROW_HEIGHT) / 2;
+  const consumerTop = (height - consumers.length * ROW_HEIGHT) / 2;
+  const getY = (top, index) => top + index * ROW_HEIGHT + ROW_HEIGHT / 2;
+  const offerY = {};
+  crossModelRelations.forEach(({ offerURL }, i) => {
+    offerY[offerURL] = getY(offerTop, i);
+  });
+  const lineStart = LABEL_WIDTH;
+  const lineEnd = WIDTH - LABEL_WIDTH;
+
+  return (
+    <svg
+      className="cross-model-graph"
+      viewBox={`0 0 ${WIDTH} ${height}`}
+      data-test="cross-model-graph"
+    >
+      {consumers.map((consumer, i) => {
+        const y1 = offerY[consumer.offerURL];
+        const y2 = getY(consumerTop, i);
+        const status = getConsumerStatus(consumer);
+        const midX = (lineStart + lineEnd) / 2;
+        return (
+          <path
+            className="cross-model-graph__relation"
+            d={`M${lineStart},${y1} C${midX},${y1} ${midX},${y2} ${lineEnd},${y2}`}
+            fill="none"
+            key={`${consumer.offerURL}-${consumer.modelUUID}-${consumer.appName}`}
+            stroke={status ? STATUS_COLORS[status] : "#666666"}
+            strokeDasharray={status ? null : "6 4"}
+            strokeWidth={2}
+          />
+        );
+      })}
+      {crossModelRelations.map(({ offerURL, offer }) => {
+        const label = <title>{offerURL}</title>;
+        return (
+          <g
+            className="cross-model-graph__offer"
+            key={offerURL}
+            transform={`translate(${lineStart}, ${offerY[offerURL]})`}
+          >
+            <circle r={6} fill="#f5f5f5" stroke="#666666" strokeWidth={2} />
+            {offer ? (
+              <Link
+                to={`/models/${offer.owner}/${offer.modelName}/app/${offer.applicationName}`}
+              >
+                <text x={-12} textAnchor="end" dominantBaseline="central">
+                  {label}
+                  {offer.modelName}.{offer.offerName}
+                </text>
+              </Link>
+            ) : (
+              <text x={-12} textAnchor="end" dominantBaseline="central">
+                {label}
+                {offerURL}
+              </text>
+            )}
+          </g>
+        );
+      })}
+      {consumers.map((consumer, i) => (
+        <g
+          className="cross-model-graph__consumer"
+          key={`${consumer.offerURL}-${consumer.modelUUID}-${consumer.appName}`}
+          transform={`translate(${lineEnd}, ${getY(consumerTop, i)})`}
+        >
+          <rect
+            x={-6}
+            y={-6}
+            width={12}
+            height={12}
+            rx={3}
+            fill="#f5f5f5"
+            stroke="#666666"
+            strokeWidth={2}
+          />
+          <Link to={`/models/${consumer.owner}/${consumer.modelName}`}>
+            <text x={12} dominantBaseline="central">
+              <title>{consumer.status || ""}</title>
+              {consumer.modelName}/{consumer.appName}
+            </text>
+          </Link>
+        </g>
+      ))}
+    </svg>
+  );
+}
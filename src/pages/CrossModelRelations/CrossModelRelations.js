@@ -0,0 +1,205 @@
+import { useSelector } from "react-redux";
+import { Link } from "react-router-dom";
+import MainTable from "@canonical/react-components/dist/components/MainTable";
+
+import BaseLayout from "layout/BaseLayout/BaseLayout";
+import Header from "components/Header/Header";
+
+import FadeIn from "animations/FadeIn";
+
+import useWindowTitle from "hooks/useWindowTitle";
+
+import { getCrossModelRelations } from "app/selectors";
+
+import CrossModelGraph from "./CrossModelGraph";
+
+import "./_cross-model-relations.scss";
+
+const headers = [
+  { content: "Offer", sortKey: "offer" },
+  { content: "Offer endpoint", sortKey: "offerEndpoint" },
+  { content: "Connections", sortKey: "connections" },
+  { content: "Consumer", sortKey: "consumer" },
+  { content: "Consumer endpoint", sortKey: "endpoint" },
+  { content: "Status", sortKey: "status" },
+];
+
+/**
+  Generates the link to the application that provides the offer.
+  @param {Object} offer The offer.
+  @param {String} label The content of the link.
+  @returns {Object} The link.
+*/
+const generateOfferLink = (offer, label) =>
+  offer ? (
+    <Link
+      to={`/models/${offer.owner}/${offer.modelName}/app/${offer.applicationName}`}
+    >
+      {label}
+    </Link>
+  ) : (
+    label
+  );
+
+/**
+  Generates the table rows with a row for each relation to an offer. Offers
+  without any relations have a single row.
+  @param {Array} crossModelRelations The offers and their consumers.
+  @returns {Array} The rows for the table.
+*/
+const generateRows = (crossModelRelations) =>
+  crossModelRelations.flatMap(({ offerURL, offer, consumers }) => {
+    const offerColumn = {
+      "data-test-column": "offer",
+      content: generateOfferLink(
+        offer,
+        offer ? `${offer.modelName}.${offer.offerName}` : offerURL
+      ),
+      title: offerURL,
+      className: "u-truncate",
+    };
+    const connectionsColumn = {
+      "data-test-column": "connections",
+      content: offer
+        ? `${offer.activeConnectedCount}/${offer.totalConnectedCount}`
+        : "-",
+    };
+    const relations = consumers.flatMap((consumer) =>
+      consumer.relations.length
+        ? consumer.relations.map((relation) => ({ consumer, relation }))
+        : [{ consumer, relation: null }]
+    );
+    if (!relations.length) {
+      return [
+        {
+          "data-test-offer": offerURL,
+          columns: [
+            offerColumn,
+            {
+              "data-test-column": "offerEndpoint",
+              content: (offer?.endpoints || [])
+                .map((endpoint) => `${endpoint.name}:${endpoint.interface}`)
+                .join(", "),
+            },
+            connectionsColumn,
+            { "data-test-column": "consumer", content: "-" },
+            { "data-test-column": "endpoint", content: "-" },
+            { "data-test-column": "status", content: "-" },
+          ],
+          sortData: {
+            offer: offerURL,
+            offerEndpoint: "",
+            connections: offer?.totalConnectedCount || 0,
+            consumer: "",
+            endpoint: "",
+            status: "",
+          },
+        },
+      ];
+    }
+    return relations.map(({ consumer, relation }) => {
+      const consumerModelPath = `/models/${consumer.owner}/${consumer.modelName}`;
+      const offerEndpoint = relation?.offerEndpoint;
+      const endpoint = relation?.appName
+        ? `${relation.appName}:${relation.endpoint}`
+        : null;
+      return {
+        "data-test-offer": offerURL,
+        columns: [
+          offerColumn,
+          {
+            "data-test-column": "offerEndpoint",
+            content: offerEndpoint
+              ? generateOfferLink(
+                  offer,
+                  `${
+                    offer?.applicationName || consumer.appName
+                  }:${offerEndpoint}`
+                )
+              : "-",
+            title: relation?.interface,
+          },
+          connectionsColumn,
+          {
+            "data-test-column": "consumer",
+            content: (
+              <Link to={consumerModelPath}>
+                {consumer.modelName}/{consumer.appName}
+              </Link>
+            ),
+            className: "u-truncate",
+          },
+          {
+            "data-test-column": "endpoint",
+            content: endpoint ? (
+              <Link to={`${consumerModelPath}/app/${relation.appName}`}>
+                {endpoint}
+              </Link>
+            ) : (
+              "-"
+            ),
+          },
+          {
+            "data-test-column": "status",
+            content: relation?.status ? (
+              <span className={`status-icon is-${relation.statusGroup}`}>
+                {relation.status}
+              </span>
+            ) : (
+              "-"
+            ),
+          },
+        ],
+        sortData: {
+          offer: offerURL,
+          offerEndpoint: offerEndpoint || "",
+          connections: offer?.totalConnectedCount || 0,
+          consumer: `${consumer.modelName}/${consumer.appName}`,
+          endpoint: endpoint || "",
+          status: relation?.status || "",
+        },
+      };
+    });
+  });
+
+export default function CrossModelRelations() {
+  useWindowTitle("Cross-model relations");
+  const crossModelRelations = useSelector(getCrossModelRelations);
+  const consumerCount = crossModelRelations.reduce(
+    (count, { consumers }) => count + consumers.length,
+    0
+  );
+
+  return (
+    <BaseLayout>
+      <Header>
+        <div className="entity-details__header">
+          <strong className="cross-model-relations__summary">
+            {crossModelRelations.length} offers, {consumerCount} consumers
+          </strong>
+        </div>
+      </Header>
+      <div className="l-content cross-model-relations">
+        <FadeIn isActive={true}>
+          {crossModelRelations.length ? (
+            <>
+              <CrossModelGraph crossModelRelations={crossModelRelations} />
+              <div className="u-overflow--scroll">
+                <MainTable
+                  className="p-main-table"
+                  headers={headers}
+                  rows={generateRows(crossModelRelations)}
+                  sortable
+                />
+              </div>
+            </>
+          ) : (
+            <p className="cross-model-relations__empty">
+              There are no cross-model relations.
+            </p>
+          )}
+        </FadeIn>
+      </div>
+    </BaseLayout>
+  );
+}
@@ -0,0 +1,157 @@
+import { mount } from "enzyme";
+import { MemoryRouter, Route } from "react-router";
+import { Provider } from "react-redux";
+import configureStore from "redux-mock-store";
+import { QueryParamProvider } from "use-query-params";
+
+import dataDump from "testing/complete-redux-store-dump";
+
+import CrossModelRelations from "./CrossModelRelations";
+
+const mockStore = configureStore([]);
+
+const modelData = {
+  "offering-uuid": {
+    info: {
+      name: "database",
+      "owner-tag": "user-eggman@external",
+    },
+    offers: {
+      db: {
+        "offer-name": "db",
+        "application-name": "mysql",
+        endpoints: {
+          db: { name: "db", interface: "mysql", role: "provider" },
+        },
+        "active-connected-count": 1,
+        "total-connected-count": 2,
+      },
+      metrics: {
+        "offer-name": "metrics",
+        "application-name": "mysql",
+        endpoints: {
+          metrics: {
+            name: "metrics",
+            interface: "prometheus",
+            role: "provider",
+          },
+        },
+        "active-connected-count": 0,
+        "total-connected-count": 0,
+      },
+    },
+  },
+  "consuming-uuid": {
+    info: {
+      name: "blog",
+      "owner-tag": "user-island@external",
+    },
+    "remote-applications": {
+      "blog-db": {
+        "offer-name": "db",
+        "offer-url": "jaas:eggman@external/database.db",
+        status: { status: "active" },
+      },
+      cache: {
+        "offer-name": "cache",
+        "offer-url": "jaas:pizza@external/caching.cache",
+        status: { status: "active" },
+      },
+    },
+    relations: [
+      {
+        key: "wordpress:db blog-db:db",
+        interface: "mysql",
+        endpoints: [
+          { application: "wordpress", name: "db", role: "requirer" },
+          { application: "blog-db", name: "db", role: "provider" },
+        ],
+        status: { status: "joining" },
+      },
+    ],
+  },
+};
+
+describe("CrossModelRelations", () => {
+  const renderComponent = (data = modelData) =>
+    mount(
+      <MemoryRouter>
+        <Provider
+          store={mockStore({
+            ...dataDump,
+            juju: { ...dataDump.juju, modelData: data },
+          })}
+        >
+          <QueryParamProvider ReactRouterRoute={Route}>
+            <CrossModelRelations />
+          </QueryParamProvider>
+        </Provider>
+      </MemoryRouter>
+    );
+
+  const findRows = (wrapper, offerURL) =>
+    wrapper.find(`tr[data-test-offer='${offerURL}']`);
+
+  it("joins offers with the models that consume them", () => {
+    const wrapper = renderComponent();
+    expect(wrapper.find(".cross-model-relations__summary").text()).toBe(
+      "3 offers, 2 consumers"
+    );
+    const row = findRows(wrapper, "eggman@external/database.db");
+    expect(row.length).toBe(1);
+    expect(row.find("td[data-test-column='offer']").text()).toBe("database.db");
+    expect(row.find("td[data-test-column='connections']").text()).toBe("1/2");
+    expect(row.find("td[data-test-column='consumer']").text()).toBe(
+      "blog/blog-db"
+    );
+    expect(row.find("td[data-test-column='status']").text()).toBe("joining");
+  });
+
+  it("links each endpoint to both sides of the relation", () => {
+    const wrapper = renderComponent();
+    const row = findRows(wrapper, "eggman@external/database.db");
+    const offerEndpoint = row.find("td[data-test-column='offerEndpoint'] a");
+    expect(offerEndpoint.text()).toBe("mysql:db");
+    expect(offerEndpoint.prop("href")).toBe(
+      "/models/eggman/database/app/mysql"
+    );
+    const endpoint = row.find("td[data-test-column='endpoint'] a");
+    expect(endpoint.text()).toBe("wordpress:db");
+    expect(endpoint.prop("href")).toBe("/models/island/blog/app/wordpress");
+    expect(row.find("td[data-test-column='consumer'] a").prop("href")).toBe(
+      "/models/island/blog"
+    );
+  });
+
+  it("displays offers without consumers", () => {
+    const wrapper = renderComponent();
+    const row = findRows(wrapper, "eggman@external/database.metrics");
+    expect(row.find("td[data-test-column='offerEndpoint']").text()).toBe(
+      "metrics:prometheus"
+    );
+    expect(row.find("td[data-test-column='consumer']").text()).toBe("-");
+  });
+
+  it("displays consumers of offers in models that are not loaded", () => {
+    const wrapper = renderComponent();
+    const row = findRows(wrapper, "pizza@external/caching.cache");
+    expect(row.find("td[data-test-column='offer']").text()).toBe(
+      "pizza@external/caching.cache"
+    );
+    expect(row.find("td[data-test-column='offer'] a").exists()).toBe(false);
+    expect(row.find("td[data-test-column='connections']").text()).toBe("-");
+  });
+
+  it("draws a graph of the offers and consumers", () => {
+    const wrapper = renderComponent();
+    const graph = wrapper.find("svg[data-test='cross-model-graph']");
+    expect(graph.find(".cross-model-graph__offer").length).toBe(3);
+    expect(graph.find(".cross-model-graph__consumer").length).toBe(2);
+    expect(graph.find("path.cross-model-graph__relation").length).toBe(2);
+  });
+
+  it("displays a message when there are no cross-model relations", () => {
+    const wrapper = renderComponent({});
+    expect(wrapper.find(".cross-model-relations__empty").exists()).toBe(true);
+  });
+});
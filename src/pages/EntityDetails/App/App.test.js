@@ -1,4 +1,5 @@
 import { mount } from "enzyme";
+import { act } from "react-dom/test-utils";
 import configureStore from "redux-mock-store";
 import { Provider } from "react-redux";
 import { MemoryRouter, Router, Route } from "react-router";
@@ -20,6 +21,16 @@ jest.mock("components/Topology/Topology", () => {
   return Topology;
 });
 
+const modelUUID = "e1e81a64-3385-4779-8643-05e3d5fake23";
+
+function generateDataWithAccess(access) {
+  const data = cloneDeep(dataDump);
+  data.juju.modelData[modelUUID].info.users.find(
+    ({ user }) => user === "eggman@external"
+  ).access = access;
+  return data;
+}
+
 describe("Entity Details App", () => {
   async function generateComponent(data = dataDump) {
     const store = mockStore(data);
@@ -42,8 +53,8 @@ describe("Entity Details App", () => {
     return wrapper;
   }
 
-  async function generateRoutableComponent() {
-    const store = mockStore(dataDump);
+  async function generateRoutableComponent(data = dataDump) {
+    const store = mockStore(data);
     const history = createMemoryHistory({
       initialEntries: [
         "/models/user-island@external/canonical-kubernetes/app/etcd",
@@ -142,7 +153,7 @@ describe("Entity Details App", () => {
   });
 
   it("enable the action button row when a unit is selected", async () => {
-    const wrapper = await generateComponent();
+    const wrapper = await generateComponent(generateDataWithAccess("write"));
     const findActionButton = () =>
       wrapper.find('button[data-test="run-action-button"]');
     const findSelectedUnits = () => wrapper.find('input[name="selectedUnits"]');
@@ -155,8 +166,68 @@ describe("Entity Details App", () => {
     expect(findActionButton().prop("disabled")).toBe(false);
   });
 
+  it("does not allow read only users to make changes", async () => {
+    const wrapper = await generateComponent(generateDataWithAccess("read"));
+    const firstInput = wrapper.find('input[name="selectedUnits"]').at(0);
+    firstInput.simulate("change", {
+      target: { name: "selectedUnits", value: firstInput.prop("value") },
+    });
+    await waitForComponentToPaint(wrapper);
+    expect(
+      wrapper.find('button[data-test="run-action-button"]').prop("disabled")
+    ).toBe(true);
+    const configure = wrapper.find('button[data-test="configure-button"]');
+    expect(configure.prop("disabled")).toBe(true);
+    expect(configure.prop("title")).toBe(
+      "You need write access to this model to change its configuration."
+    );
+    expect(
+      wrapper.find('button[data-test="scale-button"]').prop("disabled")
+    ).toBe(true);
+  });
+
+  it("does not allow changes while offline", async () => {
+    const wrapper = await generateComponent(generateDataWithAccess("write"));
+    act(() => {
+      window.dispatchEvent(new Event("offline"));
+    });
+    wrapper.update();
+    const configure = wrapper.find('button[data-test="configure-button"]');
+    expect(configure.prop("disabled")).toBe(true);
+    expect(configure.prop("title")).toBe(
+      "You can't change its configuration while the dashboard is offline."
+    );
+    expect(
+      wrapper.find('button[data-test="scale-button"]').prop("disabled")
+    ).toBe(true);
+    expect(
+      wrapper.find('button[data-test="run-action-button"]').prop("disabled")
+    ).toBe(true);
+    act(() => {
+      window.dispatchEvent(new Event("online"));
+    });
+  });
+
+  it("opens the scale panel with the selected units", async () => {
+    const { wrapper, history } = await generateRoutableComponent(
+      generateDataWithAccess("write")
+    );
+    const firstInput = wrapper.find('input[name="selectedUnits"]').at(0);
+    firstInput.simulate("change", {
+      target: { name: "selectedUnits", value: firstInput.prop("value") },
+    });
+    await waitForComponentToPaint(wrapper);
+    wrapper.find('button[data-test="scale-button"]').simulate("click");
+    await waitForComponentToPaint(wrapper);
+    const params = new URLSearchParams(history.location.search);
+    expect(params.get("panel")).toBe("scale-application");
+    expect(params.getAll("units")).toEqual(["etcd/0"]);
+  });
+
   it("updates the url when units are selected and deselected", async () => {
-    const { wrapper, history } = await generateRoutableComponent();
+    const { wrapper, history } = await generateRoutableComponent(
+      generateDataWithAccess("write")
+    );
 
     const findActionButton = () =>
       wrapper.find('button[data-test="run-action-button"]');
@@ -202,9 +273,7 @@ describe("Entity Details App", () => {
 
   it("does not fail if a subordiante is not related to another application", async () => {
     const tweakedData = cloneDeep(dataDump);
-    tweakedData.juju.modelData[
-      "e1e81a64-3385-4779-8643-05e3d5fake23"
-    ].applications.etcd.units = null;
+    tweakedData.juju.modelData[modelUUID].applications.etcd.units = null;
     const wrapper = await generateComponent(tweakedData);
     expect(wrapper.find("MainTable caption").text()).toBe(
       "There are no units in this application"
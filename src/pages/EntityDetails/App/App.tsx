@@ -20,6 +20,7 @@ import FormikFormData from "components/FormikFormData/FormikFormData";
 import EntityDetails from "pages/EntityDetails/EntityDetails";
 
 import useModelStatus from "hooks/useModelStatus";
+import useModelWriteAccess from "hooks/useModelWriteAccess";
 import useTableRowClick from "hooks/useTableRowClick";
 
 import {
@@ -75,6 +76,9 @@ export default function App(): JSX.Element {
   );
 
   const app = modelStatusData?.applications[entity];
+  const { canWrite, getDisabledTitle } = useModelWriteAccess(
+    modelStatusData?.uuid
+  );
 
   const machinesPanelRows = useMemo(
     () => generateMachineRows(filteredModelStatusData, tableRowClick),
@@ -156,6 +160,10 @@ export default function App(): JSX.Element {
     setPanel({ panel: "execute-action", units: selectedUnits.current });
   };
 
+  const showScale = () => {
+    setPanel({ panel: "scale-application", units: selectedUnits.current });
+  };
+
   const navigateActionLogs = () => {
     history.push(`/models/${userName}/${modelName}?activeView=action-logs`);
   };
@@ -200,6 +208,9 @@ export default function App(): JSX.Element {
       if (panel.panel === "execute-action") {
         selectedUnits.current = formData.selectedUnits;
         showActions();
+      } else if (panel.panel === "scale-application") {
+        selectedUnits.current = formData.selectedUnits;
+        showScale();
       }
     }
     selectedUnits.current = formData.selectedUnits;
@@ -219,9 +230,21 @@ export default function App(): JSX.Element {
             <button
               className="entity-details__action-button"
               onClick={showConfig}
+              disabled={!canWrite}
+              title={getDisabledTitle("change its configuration")}
+              data-test="configure-button"
             >
               <i className="p-icon--settings"></i>Configure
             </button>
+            <button
+              className="entity-details__action-button"
+              onClick={showScale}
+              disabled={!canWrite}
+              title={getDisabledTitle("scale applications")}
+              data-test="scale-button"
+            >
+              <i className="p-icon--units"></i>Scale
+            </button>
           </div>
           <EntityInfo data={AppEntityData} />
         </>
@@ -244,7 +267,8 @@ export default function App(): JSX.Element {
                   className="entity-details__action-button"
                   hasIcon={true}
                   onClick={showActions}
-                  disabled={!enableActionButtonRow}
+                  disabled={!enableActionButtonRow || !canWrite}
+                  title={getDisabledTitle("run actions")}
                   data-test="run-action-button"
                 >
                   <img
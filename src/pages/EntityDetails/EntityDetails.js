@@ -203,6 +203,16 @@ const EntityDetails = ({ type, children, className = "" }) => {
         label: "Action Logs",
         onClick: (e) => handleNavClick(e, "action-logs"),
       },
+      {
+        active: activeView === "history",
+        label: "History",
+        onClick: (e) => handleNavClick(e, "history"),
+      },
+      {
+        active: activeView === "logs",
+        label: "Logs",
+        onClick: (e) => handleNavClick(e, "logs"),
+      },
     ];
 
     if (modelStatusData.info["provider-type"] !== "kubernetes") {
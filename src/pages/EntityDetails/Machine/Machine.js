@@ -7,15 +7,24 @@ import useModelStatus from "hooks/useModelStatus";
 import useTableRowClick from "hooks/useTableRowClick";
 
 import {
+  generateMachineRows,
   generateUnitRows,
   generateLocalApplicationRows,
 } from "tables/tableRows";
 
 import {
   localApplicationTableHeaders,
+  machineTableHeaders,
   unitTableHeaders,
 } from "tables/tableHeaders";
 
+import {
+  decodeMachineId,
+  findMachine,
+  getMachineTreeIds,
+  splitParts,
+} from "app/utils/utils";
+
 import EntityDetails from "pages/EntityDetails/EntityDetails";
 
 import EntityInfo from "components/EntityInfo/EntityInfo";
@@ -23,31 +32,32 @@ import InfoPanel from "components/InfoPanel/InfoPanel";
 
 export default function Machine() {
   const modelStatusData = useModelStatus();
-  const { machineId } = useParams();
+  const params = useParams();
+  const machineId = decodeMachineId(params.machineId);
   const tableRowClick = useTableRowClick();
-  const machine = modelStatusData?.machines[machineId];
+  const machine = findMachine(modelStatusData?.machines, machineId);
+
+  // The machine and all the containers nested inside it so that everything
+  // running on the host can be displayed.
+  const machineTreeIds = useMemo(
+    () => getMachineTreeIds(machineId, machine),
+    [machineId, machine]
+  );
 
   const filteredModelStatusDataByApp = useCallback(
-    (machineId) => {
+    (machineIds) => {
       const filteredModelStatusData = cloneDeep(modelStatusData);
       filteredModelStatusData &&
         Object.keys(filteredModelStatusData.applications).forEach(
           (application) => {
             const units =
               filteredModelStatusData.applications[application]?.units || {};
-
-            if (Object.entries(units).length) {
-              Object.values(units).forEach((unit) => {
-                if (
-                  // Delete any app without a unit matching this machineId...
-                  unit.machine !== machineId ||
-                  // ...delete any app without units at all
-                  !Object.entries(units).length
-                ) {
-                  delete filteredModelStatusData.applications[application];
-                }
-              });
-            } else {
+            // Delete any app without a unit on this machine or its containers.
+            if (
+              !Object.values(units).some((unit) =>
+                machineIds.includes(unit.machine)
+              )
+            ) {
               delete filteredModelStatusData.applications[application];
             }
           }
@@ -58,7 +68,7 @@ export default function Machine() {
   );
 
   const filteredModelStatusDataByUnit = useCallback(
-    (machineId) => {
+    (machineIds) => {
       const filteredModelStatusData = cloneDeep(modelStatusData);
       filteredModelStatusData &&
         Object.keys(filteredModelStatusData.applications).forEach(
@@ -66,7 +76,7 @@ export default function Machine() {
             const units =
               filteredModelStatusData.applications[application].units || {};
             for (let [key, unit] of Object.entries(units)) {
-              if (unit.machine !== machineId) {
+              if (!machineIds.includes(unit.machine)) {
                 delete filteredModelStatusData.applications[application].units[
                   key
                 ];
@@ -83,37 +93,59 @@ export default function Machine() {
   const applicationRows = useMemo(
     () =>
       generateLocalApplicationRows(
-        filteredModelStatusDataByApp(machineId),
+        filteredModelStatusDataByApp(machineTreeIds),
         tableRowClick
       ),
-    [filteredModelStatusDataByApp, machineId, tableRowClick]
+    [filteredModelStatusDataByApp, machineTreeIds, tableRowClick]
   );
 
   // Generate units table content
   const unitRows = useMemo(
     () =>
-      generateUnitRows(filteredModelStatusDataByUnit(machineId), tableRowClick),
-    [filteredModelStatusDataByUnit, machineId, tableRowClick]
+      generateUnitRows(
+        filteredModelStatusDataByUnit(machineTreeIds),
+        tableRowClick
+      ),
+    [filteredModelStatusDataByUnit, machineTreeIds, tableRowClick]
+  );
+
+  // Generate the container tree table content
+  const containerRows = useMemo(
+    () =>
+      machine && Object.keys(machine.containers || {}).length
+        ? generateMachineRows(
+            { ...modelStatusData, machines: { [machineId]: machine } },
+            tableRowClick,
+            machineId
+          )
+        : [],
+    [machine, machineId, modelStatusData, tableRowClick]
   );
 
-  const getHardwareSpecs = () => {
-    if (!machine) return {};
-    const hardware = {};
-    const hardwareArr = machine.hardware.split(" ");
-    hardwareArr.forEach((spec) => {
-      const [name, value] = spec.split("=");
-      hardware[name] = value;
+  // Count the units, including subordinates, on the machine and its
+  // containers.
+  const unitCount = useMemo(() => {
+    let count = 0;
+    Object.values(modelStatusData?.applications || {}).forEach((app) => {
+      Object.values(app.units || {}).forEach((unit) => {
+        if (machineTreeIds.includes(unit.machine)) {
+          count += 1 + Object.keys(unit.subordinates || {}).length;
+        }
+      });
     });
-    return hardware;
-  };
-  const hardware = getHardwareSpecs();
+    return count;
+  }, [machineTreeIds, modelStatusData]);
+
+  const hardware = splitParts(machine?.hardware);
 
   const MachineEntityData = {
     memory: hardware?.["mem"] || "-",
     disk: hardware?.["root-disk"] || "-",
     cpu: hardware?.["cpu-power"] || "-",
     cores: hardware?.["cores"] || "-",
-    message: machine?.["agent-status"].info,
+    containers: machineTreeIds.length - 1,
+    units: unitCount,
+    message: machine?.["agent-status"]?.info,
   };
 
   return (
@@ -125,6 +157,14 @@ export default function Machine() {
       <div className="entity-details__main u-overflow--scroll">
         <div>
           <div className="entity-detail__tables">
+            {containerRows.length > 0 && (
+              <MainTable
+                headers={machineTableHeaders}
+                rows={containerRows}
+                className="entity-details__machines p-main-table"
+                sortable
+              />
+            )}
             <MainTable
               headers={unitTableHeaders}
               rows={unitRows}
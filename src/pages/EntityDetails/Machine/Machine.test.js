@@ -0,0 +1,78 @@
+import configureStore from "redux-mock-store";
+import { Provider } from "react-redux";
+import { mount } from "enzyme";
+import { QueryParamProvider } from "use-query-params";
+import { MemoryRouter, Route } from "react-router";
+import cloneDeep from "clone-deep";
+import TestRoute from "components/Routes/TestRoute";
+import dataDump from "testing/complete-redux-store-dump";
+
+import Machine from "./Machine";
+
+jest.mock("components/Topology/Topology", () => {
+  const Topology = () => <div className="topology"></div>;
+  return Topology;
+});
+
+const mockStore = configureStore([]);
+
+describe("Machine", () => {
+  const modelUUID = "348932aa-ac01-46d5-862b-d50fakee5fb7";
+
+  const generateComponent = (machineId) => {
+    const clonedData = cloneDeep(dataDump);
+    const model = clonedData.juju.modelData[modelUUID];
+    const container = {
+      ...cloneDeep(model.machines["0"]),
+      id: "0/lxd/0",
+      hardware: "arch=amd64 cores=1 mem=1024M",
+      "instance-id": "juju-container-0",
+      containers: {},
+    };
+    model.machines["0"].containers = { "0/lxd/0": container };
+    // Move the database unit into the container.
+    Object.values(model.applications.db.units)[0].machine = "0/lxd/0";
+    const store = mockStore(clonedData);
+    return mount(
+      <Provider store={store}>
+        <MemoryRouter
+          initialEntries={[
+            `/models/eggman@external/october/machine/${machineId}`,
+          ]}
+        >
+          <QueryParamProvider ReactRouterRoute={Route}>
+            <TestRoute path="/models/:userName/:modelName?/machine/:machineId?">
+              <Machine />
+            </TestRoute>
+          </QueryParamProvider>
+        </MemoryRouter>
+      </Provider>
+    );
+  };
+
+  it("displays the containers on the host", () => {
+    const wrapper = generateComponent("0");
+    const rows = wrapper.find(".entity-details__machines tbody tr");
+    expect(rows.length).toBe(2);
+    expect(rows.at(1).prop("data-machine")).toBe("0/lxd/0");
+    expect(rows.at(1).hasClass("container-row")).toBe(true);
+    expect(rows.at(1).text()).toContain("1 core, 1 GiB memory");
+  });
+
+  it("rolls up everything running on the host", () => {
+    const wrapper = generateComponent("0");
+    expect(wrapper.find(".entity-details__units tbody tr").length).toBe(2);
+    expect(wrapper.find(".entity-details__apps tbody tr").length).toBe(2);
+    expect(wrapper.find("[data-name='containers']").text()).toBe("1");
+    expect(wrapper.find("[data-name='units']").text()).toBe("2");
+  });
+
+  it("displays a container", () => {
+    const wrapper = generateComponent("0-lxd-0");
+    expect(wrapper.find(".entity-details__machines").exists()).toBe(false);
+    const units = wrapper.find(".entity-details__units tbody tr");
+    expect(units.length).toBe(1);
+    expect(units.at(0).prop("data-unit")).toMatch(/^db\//);
+    expect(wrapper.find("[data-name='cores']").text()).toBe("1");
+  });
+});
@@ -10,6 +10,9 @@ import { getModelUUID, getModelStatus } from "app/selectors";
 import { queryOperationsList } from "juju/index";
 import { generateIconImg, generateStatusElement } from "app/utils/utils";
 
+import NotSupported, {
+  isNotSupportedError,
+} from "components/NotSupported/NotSupported";
 import type { EntityDetailsRoute } from "components/Routes/Routes";
 
 type ApplicationList = { [key: string]: any };
@@ -87,6 +90,7 @@ function generateAppIcon(
 export default function ActionLogs() {
   const [operations, setOperations] = useState<Operations>([]);
   const [fetchedOperations, setFetchedOperations] = useState(false);
+  const [notSupported, setNotSupported] = useState(false);
   const { userName, modelName } = useParams<EntityDetailsRoute>();
   const appStore = useStore();
   const getModelUUIDMemo = useMemo(() => getModelUUID(modelName), [modelName]);
@@ -105,14 +109,22 @@ export default function ActionLogs() {
 
   useEffect(() => {
     async function fetchData() {
-      const operationList = await queryOperationsList(
-        {
-          applications: applicationList,
-        },
-        modelUUID,
-        appStore.getState()
-      );
-      setOperations(operationList.results);
+      try {
+        const operationList = await queryOperationsList(
+          {
+            applications: applicationList,
+          },
+          modelUUID,
+          appStore.getState()
+        );
+        setOperations(operationList.results);
+      } catch (error) {
+        if (isNotSupportedError(error)) {
+          setNotSupported(true);
+        } else {
+          console.error("error fetching operations", error);
+        }
+      }
       setFetchedOperations(true);
     }
     fetchData();
@@ -250,6 +262,8 @@ export default function ActionLogs() {
     >
       {!fetchedOperations ? (
         <Spinner />
+      ) : notSupported ? (
+        <NotSupported feature="Action logs" />
       ) : (
         <ModularTable
           emptyMsg={emptyMsg}
@@ -0,0 +1,118 @@
+import { useMemo, useState } from "react";
+import { useSelector } from "react-redux";
+import MainTable from "@canonical/react-components/dist/components/MainTable";
+import Select from "@canonical/react-components/dist/components/Select";
+
+import { getModelHistory } from "app/selectors";
+import { generateStatusElement } from "app/utils/utils";
+
+import useModelStatus from "hooks/useModelStatus";
+
+import "./_history.scss";
+
+const headers = [
+  { content: "Time", sortKey: "timestamp" },
+  { content: "Entity", sortKey: "entity" },
+  { content: "Type", sortKey: "entityType" },
+  { content: "Change" },
+];
+
+/**
+  Generates the value used to filter the events by entity.
+  @param {Object} event The history event.
+  @returns {String} The filter value.
+*/
+const generateEntityKey = ({ entityType, entity }) => `${entityType}:${entity}`;
+
+/**
+  Generates a description of the change for a history event.
+  @param {Object} event The history event.
+  @returns {Object} The description of the change.
+*/
+export const generateChangeDescription = ({ type, from, to }) => {
+  switch (type) {
+    case "status":
+      return (
+        <>
+          {generateStatusElement(from)} → {generateStatusElement(to)}
+        </>
+      );
+    case "scale":
+      return `Scaled from ${from} to ${to} ${to === 1 ? "unit" : "units"}`;
+    case "charm":
+      return `Charm changed from ${from} to ${to}`;
+    case "added":
+      return "Added";
+    case "removed":
+      return "Removed";
+    default:
+      return type;
+  }
+};
+
+export default function History() {
+  const modelStatusData = useModelStatus();
+  const modelHistory = useSelector(getModelHistory);
+  const [entityFilter, setEntityFilter] = useState("");
+  const events = useMemo(
+    () => modelHistory?.[modelStatusData?.uuid] || [],
+    [modelHistory, modelStatusData?.uuid]
+  );
+
+  const entities = useMemo(() => {
+    const keys = {};
+    events.forEach((event) => {
+      keys[generateEntityKey(event)] = event;
+    });
+    return Object.entries(keys).sort(([a], [b]) => a.localeCompare(b));
+  }, [events]);
+
+  const rows = useMemo(
+    () =>
+      events
+        .filter(
+          (event) => !entityFilter || generateEntityKey(event) === entityFilter
+        )
+        .reverse()
+        .map((event, i) => ({
+          columns: [
+            {
+              content: new Date(event.timestamp).toLocaleString(),
+              className: "u-nowrap",
+            },
+            { content: event.entity },
+            { content: event.entityType },
+            { content: generateChangeDescription(event) },
+          ],
+          key: `${event.timestamp}-${generateEntityKey(event)}-${i}`,
+          sortData: event,
+        })),
+    [events, entityFilter]
+  );
+
+  return (
+    <div className="entity-details__history history">
+      <Select
+        id="history-entity"
+        label="Entity"
+        wrapperClassName="history__filter"
+        value={entityFilter}
+        onChange={(e) => setEntityFilter(e.target.value)}
+        options={[
+          { label: "All entities", value: "" },
+          ...entities.map(([key, { entity, entityType }]) => ({
+            label: `${entity} (${entityType})`,
+            value: key,
+          })),
+        ]}
+      />
+      <MainTable
+        headers={headers}
+        rows={rows}
+        className="p-main-table"
+        sortable
+        emptyStateMsg="No changes have been recorded since the dashboard was opened."
+      />
+    </div>
+  );
+}
@@ -0,0 +1,88 @@
+import configureStore from "redux-mock-store";
+import { Provider } from "react-redux";
+import { mount } from "enzyme";
+import { QueryParamProvider } from "use-query-params";
+import { MemoryRouter, Route } from "react-router";
+import cloneDeep from "clone-deep";
+
+import TestRoute from "components/Routes/TestRoute";
+import dataDump from "testing/complete-redux-store-dump";
+
+import History from "./History";
+
+const mockStore = configureStore([]);
+const modelUUID = "2f995dee-392e-4459-8eb9-839c5fake0af";
+
+describe("History", () => {
+  let state;
+
+  beforeEach(() => {
+    state = cloneDeep(dataDump);
+    state.juju.modelHistory = {
+      [modelUUID]: [
+        {
+          timestamp: 1000,
+          entityType: "unit",
+          entity: "spark/0",
+          type: "status",
+          from: "active",
+          to: "blocked",
+        },
+        {
+          timestamp: 2000,
+          entityType: "application",
+          entity: "spark",
+          type: "scale",
+          from: 1,
+          to: 2,
+        },
+      ],
+    };
+  });
+
+  const renderComponent = () =>
+    mount(
+      <Provider store={mockStore(state)}>
+        <MemoryRouter initialEntries={["/models/pizza@external/hadoopspark"]}>
+          <QueryParamProvider ReactRouterRoute={Route}>
+            <TestRoute path="/models/:userName/:modelName?">
+              <History />
+            </TestRoute>
+          </QueryParamProvider>
+        </MemoryRouter>
+      </Provider>
+    );
+
+  it("displays the newest events first", () => {
+    const wrapper = renderComponent();
+    const rows = wrapper.find("tbody tr");
+    expect(rows.length).toBe(2);
+    expect(rows.at(0).find("td").at(1).text()).toBe("spark");
+    expect(rows.at(0).find("td").at(3).text()).toBe("Scaled from 1 to 2 units");
+    expect(rows.at(1).find("td").at(3).text()).toBe("active → blocked");
+  });
+
+  it("can filter the events by entity", () => {
+    const wrapper = renderComponent();
+    const options = wrapper.find("select#history-entity option");
+    expect(options.map((option) => option.text())).toStrictEqual([
+      "All entities",
+      "spark (application)",
+      "spark/0 (unit)",
+    ]);
+    wrapper
+      .find("select#history-entity")
+      .simulate("change", { target: { value: "unit:spark/0" } });
+    const rows = wrapper.find("tbody tr");
+    expect(rows.length).toBe(1);
+    expect(rows.at(0).find("td").at(1).text()).toBe("spark/0");
+  });
+
+  it("displays a message when there is no history", () => {
+    delete state.juju.modelHistory;
+    const wrapper = renderComponent();
+    expect(wrapper.find(".history").text()).toContain(
+      "No changes have been recorded since the dashboard was opened."
+    );
+  });
+});
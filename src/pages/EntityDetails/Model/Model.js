@@ -1,4 +1,5 @@
-import { useMemo, useCallback } from "react";
+import { useMemo, useCallback, useState } from "react";
+import { useDispatch, useStore } from "react-redux";
 import MainTable from "@canonical/react-components/dist/components/MainTable";
 import {
   useQueryParams,
@@ -7,6 +8,8 @@ import {
   withDefault,
 } from "use-query-params";
 import { useHistory, useParams } from "react-router-dom";
+import toast from "react-hot-toast";
+import { getModelDispatchOptions } from "app/selectors";
 import {
   pluralize,
   extractCloudName,
@@ -17,6 +20,7 @@ import {
   appsOffersTableHeaders,
   machineTableHeaders,
   relationTableHeaders,
+  editableRelationTableHeaders,
   offersTableHeaders,
   consumedTableHeaders,
   localApplicationTableHeaders,
@@ -33,16 +37,23 @@ import {
   generateAppOffersRows,
 } from "tables/tableRows";
 
+import { removeRelation } from "juju/actions";
+
+import ConfirmationModal from "components/ConfirmationModal/ConfirmationModal";
 import InfoPanel from "components/InfoPanel/InfoPanel";
+import ToastCard from "components/ToastCard/ToastCard";
 import ContentReveal from "components/ContentReveal/ContentReveal";
 
 import EntityDetails from "pages/EntityDetails/EntityDetails";
 import EntityInfo from "components/EntityInfo/EntityInfo";
 import ActionLogs from "pages/EntityDetails/Model/ActionLogs/ActionLogs";
+import History from "pages/EntityDetails/Model/History/History";
+import DebugLog from "components/DebugLog/DebugLog";
 
 import useModelStatus from "hooks/useModelStatus";
 import useTableRowClick from "hooks/useTableRowClick";
 import useActiveUser from "hooks/useActiveUser";
+import useModelWriteAccess from "hooks/useModelWriteAccess";
 
 import ChipGroup from "components/ChipGroup/ChipGroup";
 
@@ -59,6 +70,8 @@ const shouldShow = (segment, activeView) => {
     case "machines":
     case "integrations":
     case "action-logs":
+    case "history":
+    case "logs":
       if (segment === "relations-title") {
         return true;
       }
@@ -71,6 +84,13 @@ const Model = () => {
   const activeUser = useActiveUser();
   const history = useHistory();
   const { userName, modelName } = useParams();
+  // The dispatch accepts options for the check-auth middleware.
+  const dispatch = useDispatch();
+  const store = useStore();
+  const modelUUID = modelStatusData?.uuid;
+  const { canWrite, getDisabledTitle } = useModelWriteAccess(modelUUID);
+  const [relationToRemove, setRelationToRemove] = useState(null);
+  const [relationError, setRelationError] = useState(null);
 
   const [query, setQuery] = useQueryParams({
     panel: StringParam,
@@ -104,8 +124,12 @@ const Model = () => {
   }, [modelStatusData, tableRowClick, query]);
 
   const relationTableRows = useMemo(
-    () => generateRelationRows(modelStatusData),
-    [modelStatusData]
+    () =>
+      generateRelationRows(
+        modelStatusData,
+        canWrite ? setRelationToRemove : null
+      ),
+    [modelStatusData, canWrite]
   );
   const consumedTableRows = useMemo(
     () => generateConsumedRows(modelStatusData),
@@ -253,6 +277,36 @@ const Model = () => {
 
   const setPanelQs = useQueryParam("panel", StringParam)[1];
 
+  const relationEndpoints = relationToRemove?.endpoints.map(
+    ({ application, name }) => `${application}:${name}`
+  );
+
+  const handleRemoveRelation = async () => {
+    const endpoints = relationEndpoints;
+    setRelationToRemove(null);
+    setRelationError(null);
+    try {
+      const response = await dispatch(
+        removeRelation(modelUUID, endpoints),
+        getModelDispatchOptions(modelUUID, store.getState())
+      );
+      if (response === undefined) {
+        // The check-auth middleware refused the change.
+        setRelationError("Unable to remove the relation.");
+      } else {
+        toast.custom((t) => (
+          <ToastCard
+            toastInstance={t}
+            type="positive"
+            text={`Removed the relation between <strong>${endpoints[0]}</strong> and <strong>${endpoints[1]}</strong>.`}
+          />
+        ));
+      }
+    } catch (e) {
+      setRelationError(e?.message || e);
+    }
+  };
+
   return (
     <EntityDetails type="model">
       <div>
@@ -265,11 +319,22 @@ const Model = () => {
             <button
               className="entity-details__action-button"
               data-test="model-access-btn"
+              disabled={!canWrite}
+              title={getDisabledTitle("change model access")}
               onClick={() => setPanelQs("share-model")}
             >
               <i className="p-icon--share"></i>Model access
             </button>
           )}
+          <button
+            className="entity-details__action-button"
+            data-test="add-relation-btn"
+            disabled={!canWrite}
+            title={getDisabledTitle("add relations")}
+            onClick={() => setPanelQs("add-relation")}
+          >
+            <i className="p-icon--plus"></i>Add relation
+          </button>
         </div>
         {modelStatusData && <EntityInfo data={ModelEntityData} />}
       </div>
@@ -315,8 +380,18 @@ const Model = () => {
             {shouldShow("relations-title", query.activeView) && (
               <h5>Relations ({relationTableRows.length})</h5>
             )}
+            {relationError ? (
+              <div className="p-notification--negative">
+                <p className="p-notification__response">
+                  <span className="p-notification__status">Error:</span>
+                  {relationError}
+                </p>
+              </div>
+            ) : null}
             <MainTable
-              headers={relationTableHeaders}
+              headers={
+                canWrite ? editableRelationTableHeaders : relationTableHeaders
+              }
               rows={relationTableRows}
               className="entity-details__relations p-main-table"
               sortable
@@ -368,7 +443,38 @@ const Model = () => {
           </>
         )}
         {shouldShow("action-logs", query.activeView) && <ActionLogs />}
+        {shouldShow("history", query.activeView) && <History />}
+        {shouldShow("logs", query.activeView) && (
+          <DebugLog modelUUID={modelStatusData?.uuid} modelName={modelName} />
+        )}
       </div>
+      {relationToRemove ? (
+        <ConfirmationModal
+          buttonRow={[
+            <button
+              className="p-button--neutral"
+              key="cancel"
+              onClick={() => setRelationToRemove(null)}
+            >
+              Cancel
+            </button>,
+            <button
+              className="p-button--negative"
+              key="confirm"
+              data-test="confirm-remove-relation"
+              onClick={handleRemoveRelation}
+            >
+              Remove relation
+            </button>,
+          ]}
+        >
+          <h4>Remove the relation?</h4>
+          <p>
+            The relation between {relationEndpoints.join(" and ")} will be
+            removed.
+          </p>
+        </ConfirmationModal>
+      ) : null}
     </EntityDetails>
   );
 };
@@ -1,11 +1,17 @@
 import configureStore from "redux-mock-store";
+import thunk from "redux-thunk";
 import { Provider } from "react-redux";
 import { mount } from "enzyme";
+import { act } from "react-dom/test-utils";
+import cloneDeep from "clone-deep";
+import toast from "react-hot-toast";
 import { QueryParamProvider } from "use-query-params";
 import { MemoryRouter, Route } from "react-router";
 import TestRoute from "components/Routes/TestRoute";
 import dataDump from "testing/complete-redux-store-dump";
 
+import { removeRelation } from "juju/actions";
+
 import Model from "./Model";
 
 jest.mock("components/Topology/Topology", () => {
@@ -13,7 +19,22 @@ jest.mock("components/Topology/Topology", () => {
   return Topology;
 });
 
-const mockStore = configureStore([]);
+// The action logs make API calls when they are displayed.
+jest.mock("pages/EntityDetails/Model/ActionLogs/ActionLogs", () => {
+  const ActionLogs = () => <div className="action-logs"></div>;
+  return ActionLogs;
+});
+
+jest.mock("components/DebugLog/DebugLog", () => {
+  const DebugLog = () => <div className="debug-log"></div>;
+  return DebugLog;
+});
+
+jest.mock("juju/actions", () => ({
+  removeRelation: jest.fn(),
+}));
+
+const mockStore = configureStore([thunk]);
 
 describe("Model", () => {
   it("renders the main table", () => {
@@ -75,6 +96,12 @@ describe("Model", () => {
       .find(".p-tabs__link[data-test='tab-link-Action Logs']")
       .simulate("click");
     expect(wrapper.find("ActionLogs").length).toBe(1);
+    wrapper
+      .find(".p-tabs__link[data-test='tab-link-History']")
+      .simulate("click");
+    expect(wrapper.find("History").length).toBe(1);
+    wrapper.find(".p-tabs__link[data-test='tab-link-Logs']").simulate("click");
+    expect(wrapper.find(".debug-log").length).toBe(1);
   });
 
   it("renders the details pane for models shared-with-me", () => {
@@ -272,4 +299,137 @@ describe("Model", () => {
     );
     expect(wrapper.find("[data-test='model-access-btn']").exists()).toBe(true);
   });
+
+  it("disables the model access button while offline", () => {
+    const store = mockStore(dataDump);
+    const wrapper = mount(
+      <Provider store={store}>
+        <MemoryRouter
+          initialEntries={["/models/user-eggman@external/group-test"]}
+        >
+          <QueryParamProvider ReactRouterRoute={Route}>
+            <TestRoute path="/models/:userName/:modelName?">
+              <Model />
+            </TestRoute>
+          </QueryParamProvider>
+        </MemoryRouter>
+      </Provider>
+    );
+    act(() => {
+      window.dispatchEvent(new Event("offline"));
+    });
+    wrapper.update();
+    const button = wrapper.find("button[data-test='model-access-btn']");
+    expect(button.prop("disabled")).toBe(true);
+    expect(button.prop("title")).toBe(
+      "You can't change model access while the dashboard is offline."
+    );
+    act(() => {
+      window.dispatchEvent(new Event("online"));
+    });
+  });
+});
+
+describe("Model relations", () => {
+  const modelUUID = "348932aa-ac01-46d5-862b-d50fakee5fb7";
+
+  const generateState = (access) => {
+    const state = cloneDeep(dataDump);
+    state.juju.modelData[modelUUID].info.users = [
+      { user: "eggman@external", access },
+    ];
+    return state;
+  };
+
+  const renderComponent = (state) => {
+    const store = mockStore(state);
+    const wrapper = mount(
+      <Provider store={store}>
+        <MemoryRouter
+          initialEntries={[
+            "/models/island@external/october?activeView=integrations",
+          ]}
+        >
+          <QueryParamProvider ReactRouterRoute={Route}>
+            <TestRoute path="/models/:userName/:modelName?">
+              <Model />
+            </TestRoute>
+          </QueryParamProvider>
+        </MemoryRouter>
+      </Provider>
+    );
+    return { store, wrapper };
+  };
+
+  it("disables adding relations for read only users", () => {
+    const { wrapper } = renderComponent(generateState("read"));
+    expect(
+      wrapper.find("button[data-test='add-relation-btn']").prop("disabled")
+    ).toBe(true);
+    expect(wrapper.find("[data-test='remove-relation']").exists()).toBe(false);
+  });
+
+  it("disables changing relations while offline", () => {
+    const { wrapper } = renderComponent(generateState("write"));
+    act(() => {
+      window.dispatchEvent(new Event("offline"));
+    });
+    wrapper.update();
+    const addButton = wrapper.find("button[data-test='add-relation-btn']");
+    expect(addButton.prop("disabled")).toBe(true);
+    expect(addButton.prop("title")).toBe(
+      "You can't add relations while the dashboard is offline."
+    );
+    expect(wrapper.find("[data-test='remove-relation']").exists()).toBe(false);
+    act(() => {
+      window.dispatchEvent(new Event("online"));
+    });
+  });
+
+  it("removes a relation after confirming", async () => {
+    removeRelation.mockReturnValue({ type: "REMOVE_RELATION" });
+    const toastSpy = jest.spyOn(toast, "custom").mockImplementation(() => {});
+    const { store, wrapper } = renderComponent(generateState("write"));
+    expect(
+      wrapper.find("button[data-test='add-relation-btn']").prop("disabled")
+    ).toBe(false);
+    // Peer relations can't be removed.
+    const removeButtons = wrapper.find("button[data-test='remove-relation']");
+    expect(removeButtons.length).toBe(1);
+    removeButtons.simulate("click");
+    expect(wrapper.find(".p-confirmation-modal p").text()).toBe(
+      "The relation between wordpress:db and db:db will be removed."
+    );
+    await act(async () => {
+      wrapper
+        .find("button[data-test='confirm-remove-relation']")
+        .simulate("click");
+    });
+    expect(removeRelation).toHaveBeenCalledWith(modelUUID, [
+      "wordpress:db",
+      "db:db",
+    ]);
+    expect(store.getActions()).toContainEqual({ type: "REMOVE_RELATION" });
+    expect(toastSpy).toHaveBeenCalled();
+    toastSpy.mockRestore();
+  });
+
+  it("displays an error if the relation could not be removed", async () => {
+    // The dispatch is refused when the user doesn't have access.
+    removeRelation.mockReturnValue(() => undefined);
+    const toastSpy = jest.spyOn(toast, "custom").mockImplementation(() => {});
+    const { wrapper } = renderComponent(generateState("write"));
+    wrapper.find("button[data-test='remove-relation']").simulate("click");
+    await act(async () => {
+      wrapper
+        .find("button[data-test='confirm-remove-relation']")
+        .simulate("click");
+    });
+    wrapper.update();
+    expect(wrapper.find(".p-notification--negative").text()).toContain(
+      "Unable to remove the relation."
+    );
+    expect(toastSpy).not.toHaveBeenCalled();
+    toastSpy.mockRestore();
+  });
 });
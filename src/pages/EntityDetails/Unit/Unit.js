@@ -21,9 +21,10 @@ import { extractRevisionNumber } from "app/utils/utils";
 import EntityDetails from "pages/EntityDetails/EntityDetails";
 import InfoPanel from "components/InfoPanel/InfoPanel";
 import EntityInfo from "components/EntityInfo/EntityInfo";
+import DebugLog from "components/DebugLog/DebugLog";
 
 export default function Unit() {
-  const { unitId } = useParams();
+  const { unitId, modelName } = useParams();
   // The unit name might have a dash in it so we need to grab only the last one
   // ex) content-cache-0.
   const unitIdentifier = unitId.replace(/-(\d+)$/, "/$1");
@@ -37,8 +38,11 @@ export default function Unit() {
     (unit) => {
       const filteredModelStatusData = cloneDeep(modelStatusData);
       if (unit?.machine) {
+        // Units in containers keep their host so that the container tree can
+        // be displayed.
+        const hostId = unit.machine.split("/")[0];
         Object.keys(filteredModelStatusData.machines).forEach((machineId) => {
-          if (machineId !== unit.machine) {
+          if (machineId !== hostId) {
             delete filteredModelStatusData.machines[machineId];
           }
         });
@@ -117,6 +121,13 @@ export default function Unit() {
             sortable
             emptyStateMsg={"There are no apps in this model"}
           />
+          <h5>Logs</h5>
+          <DebugLog
+            key={unitIdentifier}
+            modelUUID={modelStatusData?.uuid}
+            modelName={modelName}
+            entity={unitIdentifier}
+          />
         </div>
       </div>
     </EntityDetails>
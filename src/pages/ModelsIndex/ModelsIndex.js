@@ -6,6 +6,7 @@ import Header from "components/Header/Header";
 import ModelTableList from "components/ModelTableList/ModelTableList";
 import ButtonGroup from "components/ButtonGroup/ButtonGroup";
 import ChipGroup from "components/ChipGroup/ChipGroup";
+import SavedViews from "components/SavedViews/SavedViews";
 
 import { SearchAndFilter } from "@canonical/react-components";
 import useModelAttributes from "hooks/useModelAttributes";
@@ -25,6 +26,7 @@ import {
 } from "use-query-params";
 
 import { getGroupedModelStatusCounts, getModelData } from "app/selectors";
+import { parseModelQuery, serializeModelQuery } from "app/model-query";
 
 import "./_models.scss";
 
@@ -44,6 +46,20 @@ export default function Models() {
     custom: withDefault(ArrayParam, []),
   });
 
+  const [sortParams, setSortParams] = useQueryParams({
+    sort: StringParam,
+    sortdirection: StringParam,
+  });
+  const sort = {
+    key: sortParams.sort || null,
+    direction: sortParams.sortdirection || null,
+  };
+  const setSort = ({ key, direction }) =>
+    setSortParams({
+      sort: key || undefined,
+      sortdirection: direction || undefined,
+    });
+
   // loop model data and pull out filter panel data
   const modelData = useSelector(getModelData);
   const { clouds, regions, owners, credentials } =
@@ -84,7 +100,15 @@ export default function Models() {
           </strong>
           <ButtonGroup
             activeButton={groupModelsBy}
-            buttons={["status", "cloud", "owner"]}
+            buttons={[
+              "status",
+              "cloud",
+              "owner",
+              "controller",
+              "region",
+              "charm",
+              "version",
+            ]}
             label="Group by:"
             setActiveButton={setGroupModelsBy}
           />
@@ -126,6 +150,14 @@ export default function Models() {
               searchData.length &&
                 searchData.forEach(({ lead, value }) => {
                   const chipLead = lead ? lead.toLowerCase() : "custom";
+                  if (chipLead === "custom") {
+                    // Store the query in its canonical form so that the URL
+                    // can be shared.
+                    value = serializeModelQuery(parseModelQuery(value));
+                    if (!value) {
+                      return;
+                    }
+                  }
                   if (!activeFilters[chipLead]) {
                     activeFilters[chipLead] = [];
                   }
@@ -144,8 +176,14 @@ export default function Models() {
         <FadeIn isActive={modelsLoaded}>
           <div className="l-content">
             <div className="models">
+              <SavedViews view={{ groupedBy: groupModelsBy, filters, sort }} />
               <ChipGroup chips={{ blocked, alert, running }} />
-              <ModelTableList groupedBy={groupModelsBy} filters={filters} />
+              <ModelTableList
+                groupedBy={groupModelsBy}
+                filters={filters}
+                sort={sort}
+                setSort={setSort}
+              />
             </div>
           </div>
         </FadeIn>
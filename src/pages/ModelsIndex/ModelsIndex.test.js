@@ -68,4 +68,106 @@ describe("Models Index page", () => {
     const pageTitle = document.title;
     expect(pageTitle).toEqual("Models | Juju Dashboard");
   });
+
+  it("filters the models using the query in the URL", () => {
+    const store = mockStore(dataDump);
+    const history = createMemoryHistory({
+      initialEntries: [
+        `/models?custom=${encodeURIComponent(
+          "app:spark OR charm:easyrsa -name:canonical-kubernetes -name:sub-test"
+        )}`,
+      ],
+    });
+    const wrapper = mount(
+      <Provider store={store}>
+        <Router history={history}>
+          <QueryParamProvider ReactRouterRoute={Route}>
+            <ModelsIndex />
+          </QueryParamProvider>
+        </Router>
+      </Provider>
+    );
+    const rows = wrapper.find("tbody tr");
+    expect(
+      rows.map((row) => row.prop("data-test-model-uuid")).sort()
+    ).toStrictEqual([
+      "2f995dee-392e-4459-8eb9-839c5fake0af",
+      "57650e3c-815f-4540-89df-81fdfakeb7ef",
+      "7ffe956a-06ac-4ae9-8aac-04ebafakeda5",
+      "d291b9ed-1e66-4023-84fe-57130e1fake2",
+    ]);
+  });
+
+  it("shows the models that match any of the custom filters", () => {
+    const store = mockStore(dataDump);
+    const history = createMemoryHistory({
+      initialEntries: ["/models?custom=name:sub-test&custom=app:spark"],
+    });
+    const wrapper = mount(
+      <Provider store={store}>
+        <Router history={history}>
+          <QueryParamProvider ReactRouterRoute={Route}>
+            <ModelsIndex />
+          </QueryParamProvider>
+        </Router>
+      </Provider>
+    );
+    const rows = wrapper.find("tbody tr");
+    expect(
+      rows.map((row) => row.prop("data-test-model-uuid")).sort()
+    ).toStrictEqual([
+      "2f995dee-392e-4459-8eb9-839c5fake0af",
+      "84e872ff-9171-46be-829b-70f0ffake18d",
+    ]);
+  });
+
+  it("stores the search query in the URL", () => {
+    const store = mockStore(dataDump);
+    const history = createMemoryHistory();
+    const wrapper = mount(
+      <Provider store={store}>
+        <Router history={history}>
+          <QueryParamProvider ReactRouterRoute={Route}>
+            <ModelsIndex />
+          </QueryParamProvider>
+        </Router>
+      </Provider>
+    );
+    wrapper
+      .find("input#search-and-filter-input")
+      .simulate("change", { target: { value: 'status:blocked  "owner":x' } });
+    wrapper.find("form.p-search-and-filter__box").simulate("submit");
+    const searchParams = new URLSearchParams(history.location.search);
+    expect(searchParams.get("custom")).toBe('status:blocked "owner:x"');
+  });
+
+  it("stores the table sort in the URL", () => {
+    const store = mockStore(dataDump);
+    const history = createMemoryHistory();
+    const wrapper = mount(
+      <Provider store={store}>
+        <Router history={history}>
+          <QueryParamProvider ReactRouterRoute={Route}>
+            <ModelsIndex />
+          </QueryParamProvider>
+        </Router>
+      </Provider>
+    );
+    const sortByOwner = () =>
+      wrapper
+        .find("th")
+        .filterWhere((header) => header.text() === "Owner")
+        .first()
+        .simulate("click");
+    const getSort = () => {
+      const searchParams = new URLSearchParams(history.location.search);
+      return [searchParams.get("sort"), searchParams.get("sortdirection")];
+    };
+    sortByOwner();
+    expect(getSort()).toStrictEqual(["owner", "ascending"]);
+    sortByOwner();
+    expect(getSort()).toStrictEqual(["owner", "descending"]);
+    sortByOwner();
+    expect(getSort()).toStrictEqual([null, null]);
+  });
 });
@@ -1,39 +1,48 @@
 import { Provider } from "react-redux";
 import configureStore from "redux-mock-store";
+import thunk from "redux-thunk";
 import { mount } from "enzyme";
 import { MemoryRouter, Route } from "react-router";
 import { QueryParamProvider } from "use-query-params";
 
+import cloneDeep from "clone-deep";
+
+import checkAuth from "app/check-auth";
 import dataDump from "testing/complete-redux-store-dump";
 
-import { executeActionOnUnits } from "juju/index";
+import { executeActionOnUnits, getActionsForApplication } from "juju/index";
+import { FacadeNotSupportedError } from "juju/facade-versions";
 import { waitForComponentToPaint } from "testing/utils";
 
 import TestRoute from "components/Routes/TestRoute";
 import ActionsPanel from "./ActionsPanel";
 
-const mockStore = configureStore([]);
+const mockStore = configureStore([checkAuth, thunk]);
 
 jest.mock("juju", () => {
   return {
     executeActionOnUnits: jest.fn(),
-    getActionsForApplication: () => {
+    getActionsForApplication: jest.fn(),
+  };
+});
+
+describe("ActionsPanel", () => {
+  beforeEach(() => {
+    getActionsForApplication.mockImplementation(() => {
       return new Promise((resolve) => {
         const apiData = require("testing/actions-list-api-response.json");
         resolve(apiData.response);
       });
-    },
-  };
-});
+    });
+  });
 
-describe("ActionsPanel", () => {
-  async function generateComponent(initialEntries) {
+  async function generateComponent(initialEntries, data = dataDump) {
     if (!initialEntries) {
       initialEntries = [
         "/models/user-eggman@external/group-test/app/kubernetes-master?panel=execute-action&units=ceph%2F0&units=ceph%2F1",
       ];
     }
-    const store = mockStore(dataDump);
+    const store = mockStore(data);
     const wrapper = mount(
       <Provider store={store}>
         <MemoryRouter initialEntries={initialEntries}>
@@ -56,6 +65,17 @@ describe("ActionsPanel", () => {
     expect(wrapper.find("Field").length).toBe(30);
   });
 
+  it("displays a message if actions are not supported", async () => {
+    getActionsForApplication.mockImplementation(() =>
+      Promise.reject(new FacadeNotSupportedError("action", "2.8.1"))
+    );
+    const wrapper = await generateComponent();
+    expect(wrapper.find("NotSupported").text()).toBe(
+      "Not supported:Running actions is not supported on this controller."
+    );
+    expect(wrapper.find("LoadingHandler").length).toBe(0);
+  });
+
   it("validates that an action is selected before submitting", async () => {
     const wrapper = await generateComponent();
     expect(wrapper.find("Button").prop("disabled")).toBe(true);
@@ -150,4 +170,22 @@ describe("ActionsPanel", () => {
       "osd-devices": "new device",
     });
   });
+
+  it("does not allow read only users to run actions", async () => {
+    const data = cloneDeep(dataDump);
+    data.juju.modelData[
+      "57650e3c-815f-4540-89df-81fdfakeb7ef"
+    ].info.users.forEach((user) => {
+      user.access = "read";
+    });
+    const wrapper = await generateComponent(null, data);
+    wrapper
+      .find('input[aria-labelledby="inputRadio-pause"]')
+      .simulate("click", {});
+    const button = wrapper.find("Button.actions-panel__run-action");
+    expect(button.prop("disabled")).toBe(true);
+    expect(button.prop("title")).toBe(
+      "You need write access to this model to run actions."
+    );
+  });
 });
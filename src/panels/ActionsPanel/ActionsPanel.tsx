@@ -6,15 +6,29 @@ import {
   useRef,
   useState,
 } from "react";
-import { DefaultRootState, useSelector, useStore } from "react-redux";
+import {
+  DefaultRootState,
+  useDispatch,
+  useSelector,
+  useStore,
+} from "react-redux";
 import { useParams } from "react-router-dom";
 import { useQueryParam, withDefault, ArrayParam } from "use-query-params";
-import { executeActionOnUnits, getActionsForApplication } from "juju";
-import { getModelUUID } from "app/selectors";
+import { getActionsForApplication } from "juju";
+import { runAction } from "juju/actions";
+import {
+  getModelDispatchOptions,
+  getModelUUID,
+  hasModelAccess,
+} from "app/selectors";
 import { generateIconImg, pluralize } from "app/utils/utils";
 import Button from "@canonical/react-components/dist/components/Button/Button";
 
+import NotSupported, {
+  isNotSupportedError,
+} from "components/NotSupported/NotSupported";
 import type { EntityDetailsRoute } from "components/Routes/Routes";
+import type { TSFixMe } from "types";
 
 import Aside from "components/Aside/Aside";
 import ConfirmationModal from "components/ConfirmationModal/ConfirmationModal";
@@ -79,16 +93,22 @@ export type OnValuesChange = (
 export default function ActionsPanel(): JSX.Element {
   const appStore = useStore();
   const appState = appStore.getState();
+  // The dispatch accepts options for the check-auth middleware. TSFixMe
+  const dispatch: TSFixMe = useDispatch();
   const { appName, modelName } = useParams<EntityDetailsRoute>();
   const getModelUUIDMemo = useMemo(() => getModelUUID(modelName), [modelName]);
   // Selectors.js is not typescript yet and it complains about the return value
   // of getModelUUID. TSFixMe
   const modelUUID = useSelector(
-    getModelUUIDMemo as (state: DefaultRootState) => unknown
+    getModelUUIDMemo as (state: DefaultRootState) => string
+  );
+  const canRunActions = useSelector((state) =>
+    hasModelAccess(modelUUID, "write", state)
   );
   const [disableSubmit, setDisableSubmit] = useState<boolean>(true);
   const [actionData, setActionData] = useState<ActionData>({});
   const [fetchingActionData, setFetchingActionData] = useState(false);
+  const [notSupported, setNotSupported] = useState(false);
   const [confirmType, setConfirmType] = useState<string>("");
   const [selectedAction, setSelectedAction]: [
     string | undefined,
@@ -107,14 +127,21 @@ export default function ActionsPanel(): JSX.Element {
 
   useEffect(() => {
     setFetchingActionData(true);
-    getActionsForApplication(appName, modelUUID, appStore.getState()).then(
-      (actions) => {
+    getActionsForApplication(appName, modelUUID, appStore.getState())
+      .then((actions) => {
         if (actions?.results?.[0]?.actions) {
           setActionData(actions.results[0].actions);
         }
         setFetchingActionData(false);
-      }
-    );
+      })
+      .catch((error) => {
+        if (isNotSupportedError(error)) {
+          setNotSupported(true);
+        } else {
+          console.error("error fetching actions", error);
+        }
+        setFetchingActionData(false);
+      });
   }, [appName, appStore, modelUUID]);
 
   // See above note about selectors.js typings TSFixMe
@@ -144,12 +171,14 @@ export default function ActionsPanel(): JSX.Element {
   const executeAction = async () => {
     // You shouldn't be able to get this far without this defined but jic.
     if (!selectedAction) return;
-    await executeActionOnUnits(
-      selectedUnits,
-      selectedAction,
-      actionOptionsValues.current[selectedAction],
-      modelUUID,
-      appStore.getState()
+    await dispatch(
+      runAction(
+        selectedUnits,
+        selectedAction,
+        actionOptionsValues.current[selectedAction],
+        modelUUID
+      ),
+      getModelDispatchOptions(modelUUID, appStore.getState())
     );
   };
 
@@ -218,35 +247,44 @@ export default function ActionsPanel(): JSX.Element {
           Run action on: {generateSelectedUnitList()}
         </div>
         <div className="actions-panel__action-list">
-          <LoadingHandler
-            hasData={data ? true : false}
-            loading={fetchingActionData}
-            noDataMessage="This charm has not provided any actions."
-          >
-            {Object.keys(actionData).map((actionName) => (
-              <RadioInputBox
-                name={actionName}
-                description={actionData[actionName].description}
-                onSelect={selectHandler}
-                selectedInput={selectedAction}
-                key={actionName}
-              >
-                <ActionOptions
+          {notSupported ? (
+            <NotSupported feature="Running actions" />
+          ) : (
+            <LoadingHandler
+              hasData={data ? true : false}
+              loading={fetchingActionData}
+              noDataMessage="This charm has not provided any actions."
+            >
+              {Object.keys(actionData).map((actionName) => (
+                <RadioInputBox
                   name={actionName}
-                  data={actionData}
-                  onValuesChange={changeHandler}
-                />
-              </RadioInputBox>
-            ))}
-          </LoadingHandler>
+                  description={actionData[actionName].description}
+                  onSelect={selectHandler}
+                  selectedInput={selectedAction}
+                  key={actionName}
+                >
+                  <ActionOptions
+                    name={actionName}
+                    data={actionData}
+                    onValuesChange={changeHandler}
+                  />
+                </RadioInputBox>
+              ))}
+            </LoadingHandler>
+          )}
         </div>
         {generateConfirmationModal()}
         <div className="actions-panel__drawer">
           <Button
             appearance="positive"
             className="actions-panel__run-action"
-            disabled={disableSubmit}
+            disabled={disableSubmit || !canRunActions}
             onClick={handleSubmit}
+            title={
+              canRunActions
+                ? undefined
+                : "You need write access to this model to run actions."
+            }
           >
             Run action
           </Button>
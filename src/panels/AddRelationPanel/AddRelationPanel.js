@@ -0,0 +1,308 @@
+import { useEffect, useMemo, useState } from "react";
+import { useDispatch, useStore } from "react-redux";
+import Select from "@canonical/react-components/dist/components/Select";
+import toast from "react-hot-toast";
+
+import { getModelDispatchOptions } from "app/selectors";
+import { getCharmInfo } from "juju";
+import { createRelation } from "juju/actions";
+import useModelStatus from "hooks/useModelStatus";
+import useModelWriteAccess from "hooks/useModelWriteAccess";
+
+import Aside from "components/Aside/Aside";
+import PanelHeader from "components/PanelHeader/PanelHeader";
+import ToastCard from "components/ToastCard/ToastCard";
+
+import "./_add-relation-panel.scss";
+
+/**
+  Generates the endpoints that a charm can be related with. Peer endpoints
+  are not included as Juju relates them automatically.
+  @param {Object} meta The charm metadata from the CharmInfo API.
+  @param {Boolean} subordinate Whether the application is a subordinate.
+  @returns {Array} The endpoints in the keys { name, interface, role }.
+*/
+export const getCharmEndpoints = (meta, subordinate = false) => {
+  const endpoints = [];
+  [
+    ["provides", "provider"],
+    ["requires", "requirer"],
+  ].forEach(([key, role]) => {
+    Object.entries(meta?.[key] || {}).forEach(([name, relation]) => {
+      endpoints.push({ name, interface: relation.interface, role });
+    });
+  });
+  // Juju provides the juju-info endpoint for every principal charm so that
+  // subordinates such as monitoring agents can be related to them.
+  if (!subordinate && !endpoints.some(({ name }) => name === "juju-info")) {
+    endpoints.push({
+      name: "juju-info",
+      interface: "juju-info",
+      role: "provider",
+    });
+  }
+  return endpoints;
+};
+
+/**
+  Generates the pairs of endpoints that can be related, excluding the
+  relations that already exist.
+  @param {Object} applications The endpoints for each application in the
+    format { [appName]: { endpoints, remote } }.
+  @param {Array} relations The relations from the model status.
+  @returns {Array} The compatible endpoints in the keys
+    { key, interface, provider, requirer, endpoints }.
+*/
+export const generateCompatibleEndpoints = (applications, relations = []) => {
+  const existing = new Set(
+    Object.values(relations || {}).map((relation) =>
+      relation.endpoints
+        .map(({ application, name }) => `${application}:${name}`)
+        .sort()
+        .join(" ")
+    )
+  );
+  const compatible = [];
+  Object.entries(applications).forEach(([providerApp, provider]) => {
+    provider.endpoints
+      .filter(({ role }) => role === "provider")
+      .forEach((providerEndpoint) => {
+        Object.entries(applications).forEach(([requirerApp, requirer]) => {
+          // Remote applications can only be related to local applications.
+          if (
+            requirerApp === providerApp ||
+            (provider.remote && requirer.remote)
+          ) {
+            return;
+          }
+          requirer.endpoints
+            .filter(
+              (endpoint) =>
+                endpoint.role === "requirer" &&
+                endpoint.interface === providerEndpoint.interface
+            )
+            .forEach((requirerEndpoint) => {
+              const endpoints = [
+                `${providerApp}:${providerEndpoint.name}`,
+                `${requirerApp}:${requirerEndpoint.name}`,
+              ];
+              const key = [...endpoints].sort().join(" ");
+              if (!existing.has(key)) {
+                compatible.push({
+                  key,
+                  interface: providerEndpoint.interface,
+                  provider: endpoints[0],
+                  requirer: endpoints[1],
+                  endpoints,
+                });
+              }
+            });
+        });
+      });
+  });
+  return compatible.sort((a, b) => a.key.localeCompare(b.key));
+};
+
+export default function AddRelationPanel() {
+  const modelStatusData = useModelStatus();
+  const modelUUID = modelStatusData?.uuid;
+  // The dispatch accepts options for the check-auth middleware.
+  const dispatch = useDispatch();
+  const store = useStore();
+  const { canWrite, getDisabledTitle } = useModelWriteAccess(modelUUID);
+  // The charm endpoints keyed by charm URL.
+  const [charmEndpoints, setCharmEndpoints] = useState(null);
+  const [unavailableCharms, setUnavailableCharms] = useState([]);
+  const [appFilter, setAppFilter] = useState("");
+  const [inProgress, setInProgress] = useState(null);
+  const [error, setError] = useState(null);
+
+  const applications = modelStatusData?.applications;
+  const charmURLs = useMemo(
+    () =>
+      Array.from(
+        new Set(
+          Object.values(applications || {})
+            .map(({ charm }) => charm)
+            .filter(Boolean)
+        )
+      ).sort(),
+    [applications]
+  );
+  // Only refetch the charms when they change, not on every status update.
+  const charmURLsKey = charmURLs.join(" ");
+
+  useEffect(() => {
+    if (!modelUUID) {
+      return;
+    }
+    let cancelled = false;
+    const urls = charmURLsKey ? charmURLsKey.split(" ") : [];
+    Promise.allSettled(
+      urls.map((url) => getCharmInfo(url, modelUUID, store.getState()))
+    ).then((results) => {
+      if (cancelled) {
+        return;
+      }
+      const endpoints = {};
+      const unavailable = [];
+      results.forEach((result, i) => {
+        if (result.status === "fulfilled" && result.value?.meta) {
+          endpoints[urls[i]] = result.value.meta;
+        } else {
+          unavailable.push(urls[i]);
+        }
+      });
+      setCharmEndpoints(endpoints);
+      setUnavailableCharms(unavailable);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [charmURLsKey, modelUUID, store]);
+
+  const compatibleEndpoints = useMemo(() => {
+    if (!charmEndpoints) {
+      return [];
+    }
+    const appEndpoints = {};
+    Object.entries(applications || {}).forEach(([appName, app]) => {
+      const meta = charmEndpoints[app.charm];
+      if (meta) {
+        appEndpoints[appName] = {
+          endpoints: getCharmEndpoints(
+            meta,
+            meta.subordinate || app["subordinate-to"]?.length > 0
+          ),
+          remote: false,
+        };
+      }
+    });
+    Object.entries(modelStatusData?.["remote-applications"] || {}).forEach(
+      ([appName, app]) => {
+        appEndpoints[appName] = {
+          endpoints: (app.endpoints || []).map((endpoint) => ({
+            name: endpoint.name,
+            interface: endpoint.interface,
+            role: endpoint.role,
+          })),
+          remote: true,
+        };
+      }
+    );
+    return generateCompatibleEndpoints(
+      appEndpoints,
+      modelStatusData?.relations
+    );
+  }, [applications, charmEndpoints, modelStatusData]);
+
+  const visibleEndpoints = appFilter
+    ? compatibleEndpoints.filter(({ endpoints }) =>
+        endpoints.some((endpoint) => endpoint.split(":")[0] === appFilter)
+      )
+    : compatibleEndpoints;
+
+  const appNames = Object.keys({
+    ...(applications || {}),
+    ...(modelStatusData?.["remote-applications"] || {}),
+  }).sort();
+
+  const handleAdd = async ({ key, endpoints }) => {
+    setInProgress(key);
+    setError(null);
+    try {
+      const response = await dispatch(
+        createRelation(modelUUID, endpoints),
+        getModelDispatchOptions(modelUUID, store.getState())
+      );
+      if (response === undefined) {
+        // The check-auth middleware refused the change.
+        setError("Unable to add the relation.");
+      } else {
+        toast.custom((t) => (
+          <ToastCard
+            toastInstance={t}
+            type="positive"
+            text={`Related <strong>${endpoints[0]}</strong> and <strong>${endpoints[1]}</strong>.`}
+          />
+        ));
+      }
+    } catch (e) {
+      setError(e?.message || e);
+    }
+    setInProgress(null);
+  };
+
+  return (
+    <Aside loading={!modelStatusData || !charmEndpoints}>
+      <div className="p-panel add-relation">
+        <PanelHeader title={<h4>Add relation</h4>} />
+        <div className="p-panel__content">
+          {error ? (
+            <div className="p-notification--negative">
+              <p className="p-notification__response">
+                <span className="p-notification__status">Error:</span>
+                {error}
+              </p>
+            </div>
+          ) : null}
+          {unavailableCharms.length ? (
+            <div className="p-notification--caution">
+              <p className="p-notification__response">
+                Unable to load the endpoints for: {unavailableCharms.join(", ")}
+              </p>
+            </div>
+          ) : null}
+          <Select
+            id="add-relation-application"
+            label="Application"
+            value={appFilter}
+            onChange={(e) => setAppFilter(e.target.value)}
+            options={[{ label: "All applications", value: "" }].concat(
+              appNames.map((appName) => ({ label: appName, value: appName }))
+            )}
+          />
+          {visibleEndpoints.length ? (
+            <table className="add-relation__list">
+              <thead>
+                <tr>
+                  <th>Provider</th>
+                  <th>Requirer</th>
+                  <th>Interface</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {visibleEndpoints.map((compatible) => (
+                  <tr key={compatible.key}>
+                    <td className="u-truncate" title={compatible.provider}>
+                      {compatible.provider}
+                    </td>
+                    <td className="u-truncate" title={compatible.requirer}>
+                      {compatible.requirer}
+                    </td>
+                    <td>{compatible.interface}</td>
+                    <td className="u-align--right">
+                      <button
+                        className="p-button--positive is-dense"
+                        disabled={!canWrite || inProgress !== null}
+                        title={getDisabledTitle("add relations")}
+                        onClick={() => handleAdd(compatible)}
+                      >
+                        {inProgress === compatible.key ? "Adding..." : "Add"}
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <p className="add-relation__empty">
+              There are no compatible endpoints that can be related.
+            </p>
+          )}
+        </div>
+      </div>
+    </Aside>
+  );
+}
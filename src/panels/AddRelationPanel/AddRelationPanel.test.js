@@ -0,0 +1,229 @@
+import { mount } from "enzyme";
+import { act } from "react-dom/test-utils";
+import { MemoryRouter, Route } from "react-router";
+import { Provider } from "react-redux";
+import configureStore from "redux-mock-store";
+import thunk from "redux-thunk";
+import { QueryParamProvider } from "use-query-params";
+import cloneDeep from "clone-deep";
+import toast from "react-hot-toast";
+
+import { getCharmInfo } from "juju";
+import { createRelation } from "juju/actions";
+import TestRoute from "components/Routes/TestRoute";
+import dataDump from "testing/complete-redux-store-dump";
+import { waitForComponentToPaint } from "testing/utils";
+
+import AddRelationPanel, {
+  generateCompatibleEndpoints,
+  getCharmEndpoints,
+} from "./AddRelationPanel";
+
+jest.mock("juju", () => ({
+  getCharmInfo: jest.fn(),
+}));
+
+jest.mock("juju/actions", () => ({
+  createRelation: jest.fn(),
+}));
+
+const mockStore = configureStore([thunk]);
+
+const charms = {
+  "cs:mysql-58": {
+    subordinate: false,
+    provides: {
+      db: { interface: "mysql" },
+      "db-admin": { interface: "mysql" },
+    },
+    requires: {},
+    peers: { cluster: { interface: "mysql-ha" } },
+  },
+  "cs:wordpress-0": {
+    subordinate: false,
+    provides: { website: { interface: "http" } },
+    requires: {
+      db: { interface: "mysql" },
+      cache: { interface: "memcache" },
+    },
+    peers: { loadbalancer: { interface: "reversenginx" } },
+  },
+};
+
+describe("AddRelationPanel", () => {
+  const modelUUID = "348932aa-ac01-46d5-862b-d50fakee5fb7";
+  let state;
+
+  beforeEach(() => {
+    state = cloneDeep(dataDump);
+    state.juju.modelData[modelUUID].info.users = [
+      { user: "eggman@external", access: "write" },
+    ];
+  });
+
+  const renderComponent = async () => {
+    getCharmInfo.mockImplementation((url) =>
+      charms[url]
+        ? Promise.resolve({ url, meta: charms[url] })
+        : Promise.reject(new Error("not found"))
+    );
+    const store = mockStore(state);
+    const wrapper = mount(
+      <MemoryRouter
+        initialEntries={["/models/island@external/october?panel=add-relation"]}
+      >
+        <Provider store={store}>
+          <TestRoute path="/models/:userName/:modelName?">
+            <QueryParamProvider ReactRouterRoute={Route}>
+              <AddRelationPanel />
+            </QueryParamProvider>
+          </TestRoute>
+        </Provider>
+      </MemoryRouter>
+    );
+    await waitForComponentToPaint(wrapper);
+    return { store, wrapper };
+  };
+
+  it("generates the charm endpoints", () => {
+    expect(getCharmEndpoints(charms["cs:mysql-58"])).toStrictEqual([
+      { name: "db", interface: "mysql", role: "provider" },
+      { name: "db-admin", interface: "mysql", role: "provider" },
+      { name: "juju-info", interface: "juju-info", role: "provider" },
+    ]);
+    expect(
+      getCharmEndpoints(
+        { requires: { juju: { interface: "juju-info" } } },
+        true
+      )
+    ).toStrictEqual([
+      { name: "juju", interface: "juju-info", role: "requirer" },
+    ]);
+  });
+
+  it("generates the compatible endpoints", () => {
+    const applications = {
+      mysql: {
+        endpoints: [{ name: "db", interface: "mysql", role: "provider" }],
+      },
+      wordpress: {
+        endpoints: [{ name: "db", interface: "mysql", role: "requirer" }],
+      },
+      "remote-mysql": {
+        endpoints: [{ name: "db", interface: "mysql", role: "provider" }],
+        remote: true,
+      },
+      "remote-wordpress": {
+        endpoints: [{ name: "db", interface: "mysql", role: "requirer" }],
+        remote: true,
+      },
+    };
+    const relations = [
+      {
+        endpoints: [
+          { application: "wordpress", name: "db" },
+          { application: "mysql", name: "db" },
+        ],
+      },
+    ];
+    expect(
+      generateCompatibleEndpoints(applications, relations).map(
+        ({ endpoints }) => endpoints
+      )
+    ).toStrictEqual([
+      ["mysql:db", "remote-wordpress:db"],
+      ["remote-mysql:db", "wordpress:db"],
+    ]);
+  });
+
+  it("lists the endpoints that can be related", async () => {
+    const { wrapper } = await renderComponent();
+    const rows = wrapper.find(".add-relation__list tbody tr");
+    // The existing db relation and the peer relations are not included.
+    expect(rows.length).toBe(1);
+    expect(rows.at(0).find("td").at(0).text()).toBe("db:db-admin");
+    expect(rows.at(0).find("td").at(1).text()).toBe("wordpress:db");
+  });
+
+  it("can filter the endpoints by application", async () => {
+    const { wrapper } = await renderComponent();
+    wrapper
+      .find("select#add-relation-application")
+      .simulate("change", { target: { value: "db" } });
+    expect(wrapper.find(".add-relation__list tbody tr").length).toBe(1);
+    wrapper
+      .find("select#add-relation-application")
+      .simulate("change", { target: { value: "missing" } });
+    expect(wrapper.find(".add-relation__empty").exists()).toBe(true);
+  });
+
+  it("adds a relation", async () => {
+    createRelation.mockReturnValue({ type: "CREATE_RELATION" });
+    const toastSpy = jest.spyOn(toast, "custom").mockImplementation(() => {});
+    const { store, wrapper } = await renderComponent();
+    await act(async () => {
+      wrapper.find(".add-relation__list tbody button").simulate("click");
+    });
+    expect(createRelation).toHaveBeenCalledWith(modelUUID, [
+      "db:db-admin",
+      "wordpress:db",
+    ]);
+    expect(store.getActions()).toContainEqual({ type: "CREATE_RELATION" });
+    expect(toastSpy).toHaveBeenCalled();
+    toastSpy.mockRestore();
+  });
+
+  it("displays errors when adding a relation", async () => {
+    createRelation.mockReturnValue(() => {
+      throw new Error("relation already exists");
+    });
+    const { wrapper } = await renderComponent();
+    await act(async () => {
+      wrapper.find(".add-relation__list tbody button").simulate("click");
+    });
+    wrapper.update();
+    expect(wrapper.find(".p-notification--negative").text()).toContain(
+      "relation already exists"
+    );
+  });
+
+  it("displays an error if the relation could not be added", async () => {
+    // The dispatch is refused when the user doesn't have access.
+    createRelation.mockReturnValue(() => undefined);
+    const toastSpy = jest.spyOn(toast, "custom").mockImplementation(() => {});
+    const { wrapper } = await renderComponent();
+    await act(async () => {
+      wrapper.find(".add-relation__list tbody button").simulate("click");
+    });
+    wrapper.update();
+    expect(wrapper.find(".p-notification--negative").text()).toContain(
+      "Unable to add the relation."
+    );
+    expect(toastSpy).not.toHaveBeenCalled();
+    toastSpy.mockRestore();
+  });
+
+  it("disables adding relations for read only users", async () => {
+    state.juju.modelData[modelUUID].info.users[0].access = "read";
+    const { wrapper } = await renderComponent();
+    expect(
+      wrapper.find(".add-relation__list tbody button").prop("disabled")
+    ).toBe(true);
+  });
+
+  it("disables adding relations while offline", async () => {
+    const { wrapper } = await renderComponent();
+    act(() => {
+      window.dispatchEvent(new Event("offline"));
+    });
+    wrapper.update();
+    const addButton = wrapper.find(".add-relation__list tbody button");
+    expect(addButton.prop("disabled")).toBe(true);
+    expect(addButton.prop("title")).toBe(
+      "You can't add relations while the dashboard is offline."
+    );
+    act(() => {
+      window.dispatchEvent(new Event("online"));
+    });
+  });
+});
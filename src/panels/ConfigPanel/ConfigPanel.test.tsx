@@ -1,11 +1,14 @@
 import { mount } from "enzyme";
+import { act } from "react-dom/test-utils";
 import configureStore from "redux-mock-store";
+import thunk from "redux-thunk";
 import { Provider } from "react-redux";
 import dataDump from "testing/complete-redux-store-dump";
 import configResponse from "testing/config-response";
 
 import { waitForComponentToPaint } from "testing/utils";
 import { getApplicationConfig } from "juju";
+import { saveApplicationConfig } from "juju/actions";
 
 import ConfigPanel from "./ConfigPanel";
 
@@ -15,6 +18,10 @@ jest.mock("juju/index", () => ({
   getApplicationConfig: jest.fn(),
 }));
 
+jest.mock("juju/actions", () => ({
+  saveApplicationConfig: jest.fn(),
+}));
+
 describe("ConfigPanel", () => {
   beforeEach(() => jest.resetModules());
 
@@ -66,4 +73,81 @@ describe("ConfigPanel", () => {
       "config-input config-input--changed"
     );
   });
+
+  it("does not allow read only users to save the config", async () => {
+    (getApplicationConfig as jest.Mock).mockImplementation(() => {
+      return Promise.resolve(configResponse);
+    });
+    const store = mockStore(dataDump);
+    const wrapper = mount(
+      <Provider store={store}>
+        <ConfigPanel
+          appName="easyrsa"
+          charm="cs:easyrsa"
+          // The user has read access to this model.
+          modelUUID="2f995dee-392e-4459-8eb9-839c5fake0af"
+          onClose={() => {}}
+        />
+      </Provider>
+    );
+
+    await waitForComponentToPaint(wrapper);
+    wrapper
+      .find("[data-config-name='custom-registry-ca'] textarea")
+      .simulate("change", { target: { value: "new value" } });
+    await waitForComponentToPaint(wrapper);
+    const saveButton = wrapper.find("button.config-panel__save-button");
+    expect(saveButton.prop("disabled")).toBe(true);
+    expect(saveButton.prop("title")).toBe(
+      "You need write access to this model to change its configuration."
+    );
+  });
+
+  it("keeps the changes if the config could not be saved", async () => {
+    (getApplicationConfig as jest.Mock).mockImplementation(() => {
+      return Promise.resolve(configResponse);
+    });
+    // The dispatch resolves to undefined when check-auth refuses the change.
+    (saveApplicationConfig as jest.Mock).mockReturnValue(() => undefined);
+    const consoleError = jest
+      .spyOn(console, "error")
+      .mockImplementation(() => {});
+    const store = configureStore([thunk])(dataDump);
+    const wrapper = mount(
+      <Provider store={store}>
+        <ConfigPanel
+          appName="easyrsa"
+          charm="cs:easyrsa"
+          // The user has admin access to this model.
+          modelUUID="84e872ff-9171-46be-829b-70f0ffake18d"
+          onClose={() => {}}
+        />
+      </Provider>
+    );
+
+    await waitForComponentToPaint(wrapper);
+    const getInput = () =>
+      wrapper.find("[data-config-name='custom-registry-ca'] textarea");
+    getInput().simulate("change", { target: { value: "new value" } });
+    await waitForComponentToPaint(wrapper);
+    wrapper.find("button.config-panel__save-button").simulate("click");
+    await act(async () => {
+      wrapper
+        .find(".p-confirmation-modal .p-button--positive")
+        .simulate("click");
+    });
+    wrapper.update();
+    expect(saveApplicationConfig).toHaveBeenCalled();
+    expect(consoleError).toHaveBeenCalledWith(
+      "error setting config",
+      "unable to change the config"
+    );
+    // The config is not reloaded and the changes can be saved again.
+    expect(getApplicationConfig).toHaveBeenCalledTimes(1);
+    expect(getInput().prop("value")).toBe("new value");
+    expect(
+      wrapper.find("button.config-panel__save-button").prop("disabled")
+    ).toBe(false);
+    consoleError.mockRestore();
+  });
 });
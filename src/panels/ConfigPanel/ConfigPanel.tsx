@@ -1,20 +1,27 @@
 import { ReactNode, useEffect, useState } from "react";
-import { getApplicationConfig, setApplicationConfig } from "juju";
-import { useStore } from "react-redux";
+import { getApplicationConfig } from "juju";
+import { saveApplicationConfig } from "juju/actions";
+import { useDispatch, useSelector, useStore } from "react-redux";
 import type { Store } from "redux";
 import classnames from "classnames";
 import cloneDeep from "clone-deep";
 
 import Spinner from "@canonical/react-components/dist/components/Spinner";
 
+import { getModelDispatchOptions, hasModelAccess } from "app/selectors";
 import { generateIconImg, isSet } from "app/utils/utils";
 import FadeIn from "animations/FadeIn";
 import ConfirmationModal from "components/ConfirmationModal/ConfirmationModal";
+import NotSupported, {
+  isNotSupportedError,
+} from "components/NotSupported/NotSupported";
 import SlidePanel from "components/SlidePanel/SlidePanel";
 
 import useAnalytics from "hooks/useAnalytics";
 import useEventListener from "hooks/useEventListener";
 
+import type { TSFixMe } from "types";
+
 import bulbImage from "static/images/bulb.svg";
 import boxImage from "static/images/no-config-params.svg";
 
@@ -62,6 +69,11 @@ export default function ConfigPanel({
   onClose,
 }: Props): JSX.Element {
   const reduxStore = useStore();
+  // The dispatch accepts options for the check-auth middleware. TSFixMe
+  const dispatch: TSFixMe = useDispatch();
+  const canConfigure = useSelector((state) =>
+    hasModelAccess(modelUUID, "write", state)
+  );
   const [config, setConfig] = useState<Config>({});
   const [selectedConfig, setSelectedConfig] = useState<ConfigData | undefined>(
     undefined
@@ -71,6 +83,7 @@ export default function ConfigPanel({
   const [isLoading, setIsLoading] = useState<boolean>(true);
   const [savingConfig, setSavingConfig] = useState<boolean>(false);
   const [confirmType, setConfirmType] = useState<ConfirmTypes>(null);
+  const [notSupported, setNotSupported] = useState<boolean>(false);
 
   const sendAnalytics = useAnalytics();
 
@@ -89,7 +102,14 @@ export default function ConfigPanel({
       setIsLoading,
       setConfig,
       checkAllDefaults
-    );
+    ).catch((error) => {
+      if (isNotSupportedError(error)) {
+        setNotSupported(true);
+      } else {
+        console.error("error fetching config", error);
+      }
+      setIsLoading(false);
+    });
   }, [appName, modelUUID, reduxStore]);
 
   useEffect(() => {
@@ -169,16 +189,22 @@ export default function ConfigPanel({
 
   async function _submitToJuju() {
     setSavingConfig(true);
-    const error = await setApplicationConfig(
-      modelUUID,
-      appName,
-      config,
-      reduxStore.getState()
+    const response = await dispatch(
+      saveApplicationConfig(modelUUID, appName, config),
+      getModelDispatchOptions(modelUUID, reduxStore.getState())
     );
-    // It returns an empty object if it's successful.
-    if (typeof error === "string") {
+    // It returns an empty object if it's successful and undefined if the
+    // user was not allowed to make the change.
+    if (response === undefined || typeof response === "string") {
       // XXX Surface this to the user.
-      console.error("error setting config", error);
+      console.error(
+        "error setting config",
+        response ?? "unable to change the config"
+      );
+      // Keep the changes so that they can be submitted again.
+      setSavingConfig(false);
+      setConfirmType(null);
+      return;
     }
     await getConfig(
       modelUUID,
@@ -250,6 +276,8 @@ export default function ConfigPanel({
           <div className="full-size u-vertically-center">
             <Spinner />
           </div>
+        ) : notSupported ? (
+          <NotSupported feature="Application configuration" />
         ) : !isLoading && (!config || Object.keys(config).length === 0) ? (
           <FadeIn isActive={true}>
             <div className="full-size u-align-center">
@@ -308,7 +336,12 @@ export default function ConfigPanel({
                         }
                       )}
                       onClick={handleSubmit}
-                      disabled={!enableSave || savingConfig}
+                      disabled={!enableSave || savingConfig || !canConfigure}
+                      title={
+                        canConfigure
+                          ? undefined
+                          : "You need write access to this model to change its configuration."
+                      }
                     >
                       {!savingConfig ? (
                         "Save and apply"
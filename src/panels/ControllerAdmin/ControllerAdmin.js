@@ -0,0 +1,290 @@
+import { useState } from "react";
+import { useSelector, useStore } from "react-redux";
+
+import {
+  getControllerData,
+  getWSControllerURL,
+  isJIMMAdmin,
+} from "app/selectors";
+import { addController, removeController, setControllerDeprecated } from "juju";
+
+import Aside from "components/Aside/Aside";
+import ConfirmationModal from "components/ConfirmationModal/ConfirmationModal";
+import PanelHeader from "components/PanelHeader/PanelHeader";
+
+import "./_controller-admin.scss";
+
+const addFields = [
+  {
+    name: "name",
+    label: "Name",
+    help: "e.g. production-controller-aws",
+    required: true,
+  },
+  {
+    name: "public-address",
+    label: "Public address",
+    help: "The address clients use to connect e.g. controller.example.com:443",
+  },
+  {
+    name: "api-addresses",
+    label: "API addresses",
+    help: "A comma separated list e.g. 10.0.0.1:17070,10.0.0.2:17070",
+    required: true,
+  },
+  {
+    name: "ca-certificate",
+    label: "CA certificate",
+    type: "textarea",
+  },
+  { name: "username", label: "Username", required: true },
+  { name: "password", label: "Password", type: "password", required: true },
+];
+
+/**
+  Returns whether the JIMM controller has been deprecated.
+  @param {Object} controller The controller from the JIMM controller list.
+  @returns {Boolean} Whether the controller is deprecated.
+*/
+export const isDeprecated = (controller) =>
+  controller?.status?.status === "deprecated";
+
+/**
+  Returns the name of the JIMM controller. Older versions of JIMM only provide
+  the controller path in the format "owner/name".
+  @param {Object} controller The controller from the JIMM controller list.
+  @returns {String} The controller name.
+*/
+export const getControllerName = (controller) =>
+  controller?.name || controller?.path?.split("/").pop();
+
+/**
+  Generate the AddController params from the form values.
+  @param {Object} formValues The values from the add controller form.
+  @returns {Object} The AddController params.
+*/
+export const generateAddControllerParams = (formValues) => {
+  const params = { ...formValues };
+  params["api-addresses"] = (formValues["api-addresses"] || "")
+    .split(",")
+    .map((address) => address.trim())
+    .filter(Boolean);
+  return params;
+};
+
+export default function ControllerAdmin() {
+  const reduxStore = useStore();
+  const isAdmin = useSelector(isJIMMAdmin);
+  const wsControllerURL = useSelector(getWSControllerURL);
+  const controllers = useSelector(getControllerData)?.[wsControllerURL] || [];
+  const [formValues, setFormValues] = useState({});
+  const [confirm, setConfirm] = useState(null);
+  const [forceRemove, setForceRemove] = useState(false);
+  const [inProgress, setInProgress] = useState(false);
+  const [error, setError] = useState(null);
+
+  if (!isAdmin) {
+    return null;
+  }
+
+  const confirmName = getControllerName(confirm?.controller);
+  const confirmations = {
+    add: {
+      title: `Add the controller "${formValues.name}"?`,
+      message: "Users will be able to add models to this controller.",
+      button: "Add controller",
+      buttonClass: "p-button--positive",
+      action: () =>
+        addController(generateAddControllerParams(formValues), reduxStore).then(
+          () => setFormValues({})
+        ),
+    },
+    deprecate: {
+      title: `Deprecate the controller "${confirmName}"?`,
+      message: "New models will not be added to this controller.",
+      button: "Deprecate",
+      buttonClass: "p-button--negative",
+      action: () => setControllerDeprecated(confirmName, true, reduxStore),
+    },
+    undeprecate: {
+      title: `Restore the controller "${confirmName}"?`,
+      message: "New models will be able to be added to this controller.",
+      button: "Restore",
+      buttonClass: "p-button--positive",
+      action: () => setControllerDeprecated(confirmName, false, reduxStore),
+    },
+    remove: {
+      title: `Remove the controller "${confirmName}"?`,
+      message:
+        "The controller and its models will no longer be available through JIMM.",
+      button: "Remove",
+      buttonClass: "p-button--negative",
+      action: () => removeController(confirmName, forceRemove, reduxStore),
+    },
+  };
+
+  const closeConfirmation = () => {
+    setConfirm(null);
+    setForceRemove(false);
+  };
+
+  const handleConfirm = async () => {
+    const confirmation = confirmations[confirm.type];
+    closeConfirmation();
+    setInProgress(true);
+    setError(null);
+    try {
+      await confirmation.action();
+    } catch (e) {
+      setError(e?.message || e);
+    }
+    setInProgress(false);
+  };
+
+  const handleInputChange = (e) => {
+    setFormValues({ ...formValues, [e.target.name]: e.target.value });
+  };
+
+  const generateConfirmation = () => {
+    const confirmation = confirmations[confirm.type];
+    return (
+      <ConfirmationModal
+        buttonRow={[
+          <button
+            className="p-button--neutral"
+            key="cancel"
+            onClick={closeConfirmation}
+          >
+            Cancel
+          </button>,
+          <button
+            className={confirmation.buttonClass}
+            key="confirm"
+            data-test="confirm-controller-admin"
+            onClick={handleConfirm}
+          >
+            {confirmation.button}
+          </button>,
+        ]}
+      >
+        <h4>{confirmation.title}</h4>
+        <p>{confirmation.message}</p>
+        {confirm.type === "remove" && !isDeprecated(confirm.controller) ? (
+          <>
+            <input
+              type="checkbox"
+              id="force-remove"
+              checked={forceRemove}
+              onChange={() => setForceRemove(!forceRemove)}
+            />
+            <label htmlFor="force-remove">
+              Force removal, this controller has not been deprecated.
+            </label>
+          </>
+        ) : null}
+      </ConfirmationModal>
+    );
+  };
+
+  return (
+    <Aside>
+      <div className="p-panel controller-admin">
+        <PanelHeader title={<h4>Manage JIMM controllers</h4>} />
+        <div className="p-panel__content">
+          {error ? (
+            <div className="p-notification--negative">
+              <p className="p-notification__response">
+                <span className="p-notification__status">Error:</span>
+                {error}
+              </p>
+            </div>
+          ) : null}
+          <table className="controller-admin__list">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Status</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {controllers.map((controller) => {
+                const deprecated = isDeprecated(controller);
+                return (
+                  <tr key={controller.uuid}>
+                    <td>{getControllerName(controller)}</td>
+                    <td>{deprecated ? "Deprecated" : "Available"}</td>
+                    <td className="u-align--right">
+                      <button
+                        className="p-button--base is-dense"
+                        disabled={inProgress}
+                        onClick={() =>
+                          setConfirm({
+                            type: deprecated ? "undeprecate" : "deprecate",
+                            controller,
+                          })
+                        }
+                      >
+                        {deprecated ? "Restore" : "Deprecate"}
+                      </button>
+                      <button
+                        className="p-button--negative is-dense"
+                        disabled={inProgress}
+                        onClick={() =>
+                          setConfirm({ type: "remove", controller })
+                        }
+                      >
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <h5>Add a controller</h5>
+          <form
+            className="p-form p-form--stacked"
+            onSubmit={(e) => {
+              e.preventDefault();
+              setConfirm({ type: "add" });
+            }}
+          >
+            {addFields.map(({ name, label, help, required, type = "text" }) => {
+              const Field = type === "textarea" ? "textarea" : "input";
+              return (
+                <div className="p-form__group" key={name}>
+                  <label
+                    htmlFor={`controller-admin-${name}`}
+                    className={required ? "p-form__label is-required" : ""}
+                  >
+                    {label}
+                  </label>
+                  <div className="p-form__control">
+                    <Field
+                      type={type === "textarea" ? undefined : type}
+                      id={`controller-admin-${name}`}
+                      name={name}
+                      value={formValues[name] || ""}
+                      onChange={handleInputChange}
+                      required={required}
+                    />
+                    {help ? <p className="p-form-help-text">{help}</p> : null}
+                  </div>
+                </div>
+              );
+            })}
+            <button
+              className="p-button--positive"
+              type="submit"
+              disabled={inProgress}
+            >
+              Add controller
+            </button>
+          </form>
+        </div>
+      </div>
+      {confirm ? generateConfirmation() : null}
+    </Aside>
+  );
+}
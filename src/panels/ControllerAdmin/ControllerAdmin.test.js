@@ -0,0 +1,193 @@
+import { mount } from "enzyme";
+import { act } from "react-dom/test-utils";
+import { MemoryRouter, Route } from "react-router";
+import { Provider } from "react-redux";
+import configureStore from "redux-mock-store";
+import { QueryParamProvider } from "use-query-params";
+import cloneDeep from "clone-deep";
+
+import {
+  addController,
+  removeController,
+  setControllerDeprecated,
+} from "juju/index";
+import dataDump from "testing/complete-redux-store-dump";
+
+import ControllerAdmin, {
+  generateAddControllerParams,
+} from "./ControllerAdmin";
+
+jest.mock("juju/index", () => ({
+  addController: jest.fn(),
+  removeController: jest.fn(),
+  setControllerDeprecated: jest.fn(),
+}));
+
+const mockStore = configureStore([]);
+
+describe("ControllerAdmin", () => {
+  let state;
+
+  beforeEach(() => {
+    state = cloneDeep(dataDump);
+    const conn =
+      state.root.controllerConnections["wss://jimm.jujucharms.com/api"];
+    conn.info.user["controller-access"] = "superuser";
+    conn.facades = { jimM: { version: 3 } };
+    addController.mockImplementation(() => Promise.resolve());
+    removeController.mockImplementation(() => Promise.resolve());
+    setControllerDeprecated.mockImplementation(() => Promise.resolve());
+  });
+
+  const renderComponent = () => {
+    const store = mockStore(state);
+    return {
+      store,
+      wrapper: mount(
+        <MemoryRouter initialEntries={["/controllers?panel=controller-admin"]}>
+          <Provider store={store}>
+            <QueryParamProvider ReactRouterRoute={Route}>
+              <ControllerAdmin />
+            </QueryParamProvider>
+          </Provider>
+        </MemoryRouter>
+      ),
+    };
+  };
+
+  const confirm = async (wrapper) => {
+    await act(async () => {
+      wrapper
+        .find("button[data-test='confirm-controller-admin']")
+        .simulate("click");
+    });
+    wrapper.update();
+  };
+
+  it("does not display for non JIMM admins", () => {
+    state = cloneDeep(dataDump);
+    const { wrapper } = renderComponent();
+    expect(wrapper.find(".controller-admin").exists()).toBe(false);
+  });
+
+  it("lists the JIMM controllers", () => {
+    const { wrapper } = renderComponent();
+    const rows = wrapper.find(".controller-admin__list tbody tr");
+    expect(rows.length).toBe(2);
+    expect(rows.at(0).find("td").at(0).text()).toBe("jaas");
+    expect(rows.at(1).find("td").at(0).text()).toBe("1-eu-west-1-aws-jaas");
+  });
+
+  it("deprecates a controller after confirming", async () => {
+    const { store, wrapper } = renderComponent();
+    wrapper
+      .find(".controller-admin__list tbody tr")
+      .at(0)
+      .find("button")
+      .at(0)
+      .simulate("click");
+    expect(wrapper.find(".p-confirmation-modal h4").text()).toBe(
+      'Deprecate the controller "jaas"?'
+    );
+    expect(setControllerDeprecated).not.toHaveBeenCalled();
+    await confirm(wrapper);
+    expect(setControllerDeprecated).toHaveBeenCalledWith("jaas", true, store);
+    expect(wrapper.find(".p-confirmation-modal").exists()).toBe(false);
+  });
+
+  it("restores a deprecated controller", async () => {
+    state.juju.controllers["wss://jimm.jujucharms.com/api"][0].status = {
+      status: "deprecated",
+    };
+    const { store, wrapper } = renderComponent();
+    const row = wrapper.find(".controller-admin__list tbody tr").at(0);
+    expect(row.find("td").at(1).text()).toBe("Deprecated");
+    row.find("button").at(0).simulate("click");
+    await confirm(wrapper);
+    expect(setControllerDeprecated).toHaveBeenCalledWith("jaas", false, store);
+  });
+
+  it("can force remove a controller that isn't deprecated", async () => {
+    const { store, wrapper } = renderComponent();
+    wrapper
+      .find(".controller-admin__list tbody tr")
+      .at(1)
+      .find("button")
+      .at(1)
+      .simulate("click");
+    wrapper.find("input#force-remove").simulate("change");
+    await confirm(wrapper);
+    expect(removeController).toHaveBeenCalledWith(
+      "1-eu-west-1-aws-jaas",
+      true,
+      store
+    );
+  });
+
+  it("does not remove a controller if cancelled", () => {
+    const { wrapper } = renderComponent();
+    wrapper
+      .find(".controller-admin__list tbody tr")
+      .at(1)
+      .find("button")
+      .at(1)
+      .simulate("click");
+    wrapper.find(".p-confirmation-modal .p-button--neutral").simulate("click");
+    expect(wrapper.find(".p-confirmation-modal").exists()).toBe(false);
+    expect(removeController).not.toHaveBeenCalled();
+  });
+
+  it("adds a controller after confirming", async () => {
+    const { store, wrapper } = renderComponent();
+    const setValue = (name, value) =>
+      wrapper
+        .find(`[name='${name}']`)
+        .simulate("change", { target: { name, value } });
+    setValue("name", "new-controller");
+    setValue("api-addresses", "10.0.0.1:17070");
+    setValue("username", "admin");
+    setValue("password", "secret");
+    wrapper.find("form").simulate("submit");
+    await confirm(wrapper);
+    expect(addController).toHaveBeenCalledWith(
+      {
+        name: "new-controller",
+        "api-addresses": ["10.0.0.1:17070"],
+        username: "admin",
+        password: "secret",
+      },
+      store
+    );
+  });
+
+  it("displays errors from the API", async () => {
+    setControllerDeprecated.mockImplementation(() =>
+      Promise.reject(new Error("unauthorized access"))
+    );
+    const { wrapper } = renderComponent();
+    wrapper
+      .find(".controller-admin__list tbody tr")
+      .at(0)
+      .find("button")
+      .at(0)
+      .simulate("click");
+    await confirm(wrapper);
+    expect(wrapper.find(".p-notification--negative").text()).toBe(
+      "Error:unauthorized access"
+    );
+  });
+});
+
+describe("generateAddControllerParams", () => {
+  it("splits the API addresses", () => {
+    expect(
+      generateAddControllerParams({
+        name: "new-controller",
+        "api-addresses": "10.0.0.1:17070, 10.0.0.2:17070,",
+      })
+    ).toStrictEqual({
+      name: "new-controller",
+      "api-addresses": ["10.0.0.1:17070", "10.0.0.2:17070"],
+    });
+  });
+});
@@ -0,0 +1,303 @@
+import { useState } from "react";
+import { useDispatch, useStore } from "react-redux";
+import { useParams } from "react-router-dom";
+import { useQueryParam, ArrayParam, withDefault } from "use-query-params";
+import Select from "@canonical/react-components/dist/components/Select";
+import toast from "react-hot-toast";
+
+import { getModelDispatchOptions } from "app/selectors";
+import { generateIconImg, getMachineTreeIds, pluralize } from "app/utils/utils";
+import { createUnits, removeUnits } from "juju/actions";
+import useModelStatus from "hooks/useModelStatus";
+import useModelWriteAccess from "hooks/useModelWriteAccess";
+
+import Aside from "components/Aside/Aside";
+import ConfirmationModal from "components/ConfirmationModal/ConfirmationModal";
+import PanelHeader from "components/PanelHeader/PanelHeader";
+import ToastCard from "components/ToastCard/ToastCard";
+
+import "./_scale-panel.scss";
+
+/**
+  Generates the placement directives for new units.
+  @param {String} machineId The machine or container to place the units on,
+    or an empty string to let Juju choose.
+  @returns {Array} The placement directives in the format
+    [{ scope, directive }].
+*/
+export const generatePlacement = (machineId) =>
+  machineId ? [{ scope: "#", directive: machineId }] : [];
+
+/**
+  Generates the placement options for the machines and containers in a model.
+  @param {Object} machines The machines from the model status.
+  @returns {Array} The select options.
+*/
+export const generatePlacementOptions = (machines) => [
+  { label: "Let Juju decide", value: "" },
+  ...Object.entries(machines || {})
+    .flatMap(([machineId, machine]) => getMachineTreeIds(machineId, machine))
+    .map((machineId) => ({
+      label: `${
+        machineId.includes("/") ? "Container" : "Machine"
+      } ${machineId}`,
+      value: machineId,
+    })),
+];
+
+export default function ScalePanel() {
+  const { appName } = useParams();
+  const modelStatusData = useModelStatus();
+  const modelUUID = modelStatusData?.uuid;
+  // The dispatch accepts options for the check-auth middleware.
+  const dispatch = useDispatch();
+  const store = useStore();
+  const { canWrite, getDisabledTitle } = useModelWriteAccess(modelUUID);
+  const [selectedUnits] = useQueryParam("units", withDefault(ArrayParam, []));
+  const [count, setCount] = useState("1");
+  const [placement, setPlacement] = useState("");
+  const [force, setForce] = useState(false);
+  const [destroyStorage, setDestroyStorage] = useState(false);
+  const [confirm, setConfirm] = useState(false);
+  const [inProgress, setInProgress] = useState(false);
+  const [error, setError] = useState(null);
+
+  const app = modelStatusData?.applications?.[appName];
+  const units = app?.units || {};
+  const unitCount = Object.keys(units).length;
+  // The selection may include units that have since been removed.
+  const unitsToRemove = selectedUnits.filter((unitName) => units[unitName]);
+  const hideMachines =
+    modelStatusData?.info?.["provider-type"] === "kubernetes";
+  const unitsToAdd = parseInt(count, 10);
+
+  const handleAdd = async () => {
+    setInProgress(true);
+    setError(null);
+    try {
+      const response = await dispatch(
+        createUnits(
+          modelUUID,
+          appName,
+          unitsToAdd,
+          generatePlacement(placement)
+        ),
+        getModelDispatchOptions(modelUUID, store.getState())
+      );
+      if (response === undefined) {
+        // The check-auth middleware refused the change.
+        setError("Unable to add units.");
+      } else {
+        const added = response.units || [];
+        toast.custom((t) => (
+          <ToastCard
+            toastInstance={t}
+            type="positive"
+            text={`Added ${pluralize(
+              added.length,
+              "unit"
+            )} <strong>${added.join(", ")}</strong>.`}
+          />
+        ));
+        setCount("1");
+      }
+    } catch (e) {
+      setError(e?.message || e);
+    }
+    setInProgress(false);
+  };
+
+  const handleRemove = async () => {
+    const unitNames = unitsToRemove;
+    setConfirm(false);
+    setInProgress(true);
+    setError(null);
+    try {
+      const response = await dispatch(
+        removeUnits(modelUUID, unitNames, { force, destroyStorage }),
+        getModelDispatchOptions(modelUUID, store.getState())
+      );
+      const errors = (response?.results || [])
+        .map((result) => result.error?.message)
+        .filter(Boolean);
+      if (response === undefined) {
+        // The check-auth middleware refused the change.
+        setError("Unable to remove units.");
+      } else if (errors.length) {
+        setError(errors.join(" "));
+      } else {
+        toast.custom((t) => (
+          <ToastCard
+            toastInstance={t}
+            type="positive"
+            text={`Removed ${pluralize(
+              unitNames.length,
+              "unit"
+            )} <strong>${unitNames.join(", ")}</strong>.`}
+          />
+        ));
+      }
+    } catch (e) {
+      setError(e?.message || e);
+    }
+    setInProgress(false);
+  };
+
+  const generateConfirmation = () => (
+    <ConfirmationModal
+      buttonRow={[
+        <button
+          className="p-button--neutral"
+          key="cancel"
+          onClick={() => setConfirm(false)}
+        >
+          Cancel
+        </button>,
+        <button
+          className="p-button--negative"
+          key="confirm"
+          data-test="confirm-remove-units"
+          onClick={handleRemove}
+        >
+          Remove {pluralize(unitsToRemove.length, "unit")}
+        </button>,
+      ]}
+    >
+      <h4>
+        Remove {unitsToRemove.length} {pluralize(unitsToRemove.length, "unit")}?
+      </h4>
+      <p>The following units will be removed from {appName}:</p>
+      <ul className="scale-panel__removal-list">
+        {unitsToRemove.map((unitName) => (
+          <li key={unitName}>
+            {unitName}
+            {units[unitName].machine
+              ? ` on machine ${units[unitName].machine}`
+              : null}
+          </li>
+        ))}
+      </ul>
+      <p>
+        {destroyStorage
+          ? "Storage attached to these units will be destroyed."
+          : "Storage attached to these units will be detached and kept."}
+      </p>
+      {force ? (
+        <p>The units will be removed even if they are in an error state.</p>
+      ) : null}
+    </ConfirmationModal>
+  );
+
+  return (
+    <Aside width="narrow" loading={!modelStatusData}>
+      <div className="p-panel scale-panel">
+        <PanelHeader
+          title={
+            <h5>
+              {app ? generateIconImg(appName, app.charm) : null} Scale {appName}
+            </h5>
+          }
+        />
+        <div className="p-panel__content">
+          {error ? (
+            <div className="p-notification--negative">
+              <p className="p-notification__response">
+                <span className="p-notification__status">Error:</span>
+                {error}
+              </p>
+            </div>
+          ) : null}
+          <p className="scale-panel__count" data-test="scale-panel-count">
+            {unitCount} {pluralize(unitCount, "unit")}
+          </p>
+          <h5>Add units</h5>
+          <form
+            className="scale-panel__add"
+            onSubmit={(e) => {
+              e.preventDefault();
+              handleAdd();
+            }}
+          >
+            <label className="scale-panel__field">
+              Number of units
+              <input
+                type="number"
+                name="count"
+                min="1"
+                value={count}
+                onChange={(e) => setCount(e.target.value)}
+              />
+            </label>
+            {hideMachines ? null : (
+              <>
+                <Select
+                  id="scale-panel-placement"
+                  label="Placement"
+                  value={placement}
+                  onChange={(e) => setPlacement(e.target.value)}
+                  options={generatePlacementOptions(modelStatusData?.machines)}
+                />
+                {placement && unitsToAdd > 1 ? (
+                  <p className="p-form-help-text">
+                    The first unit will be placed on {placement} and the others
+                    on new machines.
+                  </p>
+                ) : null}
+              </>
+            )}
+            <button
+              className="p-button--positive"
+              type="submit"
+              disabled={!canWrite || inProgress || !(unitsToAdd > 0)}
+              title={getDisabledTitle("add units")}
+            >
+              Add {pluralize(unitsToAdd, "unit")}
+            </button>
+          </form>
+          <h5>Remove units</h5>
+          {unitsToRemove.length ? (
+            <p data-test="scale-panel-selected">
+              Selected: {unitsToRemove.join(", ")}
+            </p>
+          ) : (
+            <p className="scale-panel__empty">
+              Select units in the units table to remove them.
+            </p>
+          )}
+          <div className="scale-panel__option">
+            <input
+              type="checkbox"
+              id="scale-panel-force"
+              checked={force}
+              onChange={() => setForce(!force)}
+            />
+            <label htmlFor="scale-panel-force">
+              Force removal of units in an error state
+            </label>
+          </div>
+          <div className="scale-panel__option">
+            <input
+              type="checkbox"
+              id="scale-panel-destroy-storage"
+              checked={destroyStorage}
+              onChange={() => setDestroyStorage(!destroyStorage)}
+            />
+            <label htmlFor="scale-panel-destroy-storage">
+              Destroy attached storage
+            </label>
+          </div>
+          <button
+            className="p-button--negative"
+            data-test="remove-units"
+            disabled={!canWrite || inProgress || !unitsToRemove.length}
+            title={getDisabledTitle("remove units")}
+            onClick={() => setConfirm(true)}
+          >
+            Remove {pluralize(unitsToRemove.length, "unit")}
+          </button>
+        </div>
+      </div>
+      {confirm ? generateConfirmation() : null}
+    </Aside>
+  );
+}
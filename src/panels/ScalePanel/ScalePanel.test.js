@@ -0,0 +1,235 @@
+import { mount } from "enzyme";
+import { act } from "react-dom/test-utils";
+import { MemoryRouter, Route } from "react-router";
+import { Provider } from "react-redux";
+import configureStore from "redux-mock-store";
+import thunk from "redux-thunk";
+import { QueryParamProvider } from "use-query-params";
+import cloneDeep from "clone-deep";
+import toast from "react-hot-toast";
+
+import { createUnits, removeUnits } from "juju/actions";
+import TestRoute from "components/Routes/TestRoute";
+import dataDump from "testing/complete-redux-store-dump";
+
+import ScalePanel, {
+  generatePlacement,
+  generatePlacementOptions,
+} from "./ScalePanel";
+
+jest.mock("juju/actions", () => ({
+  createUnits: jest.fn(),
+  removeUnits: jest.fn(),
+}));
+
+const mockStore = configureStore([thunk]);
+
+describe("ScalePanel", () => {
+  const modelUUID = "e1e81a64-3385-4779-8643-05e3d5fake23";
+  let state;
+
+  beforeEach(() => {
+    state = cloneDeep(dataDump);
+    state.juju.modelData[modelUUID].info.users.find(
+      ({ user }) => user === "eggman@external"
+    ).access = "write";
+  });
+
+  const renderComponent = (query = "") => {
+    const store = mockStore(state);
+    const wrapper = mount(
+      <MemoryRouter
+        initialEntries={[
+          `/models/user-pizza@external/canonical-kubernetes/app/etcd?panel=scale-application${query}`,
+        ]}
+      >
+        <Provider store={store}>
+          <TestRoute path="/models/:userName/:modelName?/app/:appName?">
+            <QueryParamProvider ReactRouterRoute={Route}>
+              <ScalePanel />
+            </QueryParamProvider>
+          </TestRoute>
+        </Provider>
+      </MemoryRouter>
+    );
+    return { store, wrapper };
+  };
+
+  it("generates the placement directives", () => {
+    expect(generatePlacement("")).toStrictEqual([]);
+    expect(generatePlacement("0/lxd/1")).toStrictEqual([
+      { scope: "#", directive: "0/lxd/1" },
+    ]);
+  });
+
+  it("generates the placement options for machines and containers", () => {
+    expect(
+      generatePlacementOptions({
+        0: { containers: { "0/lxd/0": {} } },
+        1: {},
+      })
+    ).toStrictEqual([
+      { label: "Let Juju decide", value: "" },
+      { label: "Machine 0", value: "0" },
+      { label: "Container 0/lxd/0", value: "0/lxd/0" },
+      { label: "Machine 1", value: "1" },
+    ]);
+  });
+
+  it("displays the number of units", () => {
+    const { wrapper } = renderComponent();
+    expect(wrapper.find("[data-test='scale-panel-count']").text()).toBe(
+      "3 units"
+    );
+  });
+
+  it("adds units with a placement", async () => {
+    createUnits.mockReturnValue(() => ({ units: ["etcd/3", "etcd/4"] }));
+    const toastSpy = jest.spyOn(toast, "custom").mockImplementation(() => {});
+    const { wrapper } = renderComponent();
+    wrapper
+      .find("input[name='count']")
+      .simulate("change", { target: { value: "2" } });
+    wrapper
+      .find("select#scale-panel-placement")
+      .simulate("change", { target: { value: "1" } });
+    expect(wrapper.find(".p-form-help-text").text()).toContain(
+      "The first unit will be placed on 1"
+    );
+    await act(async () => {
+      wrapper.find(".scale-panel__add").simulate("submit");
+    });
+    expect(createUnits).toHaveBeenCalledWith(modelUUID, "etcd", 2, [
+      { scope: "#", directive: "1" },
+    ]);
+    expect(toastSpy).toHaveBeenCalled();
+    toastSpy.mockRestore();
+  });
+
+  it("displays an error if units could not be added", async () => {
+    // The dispatch is refused when the user doesn't have access.
+    createUnits.mockReturnValue(() => undefined);
+    const toastSpy = jest.spyOn(toast, "custom").mockImplementation(() => {});
+    const { wrapper } = renderComponent();
+    await act(async () => {
+      wrapper.find(".scale-panel__add").simulate("submit");
+    });
+    wrapper.update();
+    expect(wrapper.find(".p-notification--negative").text()).toContain(
+      "Unable to add units."
+    );
+    expect(toastSpy).not.toHaveBeenCalled();
+    toastSpy.mockRestore();
+  });
+
+  it("lists the units that will be removed", () => {
+    const { wrapper } = renderComponent(
+      "&units=etcd/0&units=etcd/2&units=etcd/9"
+    );
+    // Units that no longer exist are not removed.
+    expect(wrapper.find("[data-test='scale-panel-selected']").text()).toBe(
+      "Selected: etcd/0, etcd/2"
+    );
+    wrapper.find("#scale-panel-destroy-storage").simulate("change");
+    wrapper.find("button[data-test='remove-units']").simulate("click");
+    const modal = wrapper.find(".p-confirmation-modal");
+    expect(modal.find("h4").text()).toBe("Remove 2 units?");
+    expect(modal.find("li").map((item) => item.text())).toStrictEqual([
+      "etcd/0 on machine 3",
+      "etcd/2 on machine 2",
+    ]);
+    expect(modal.text()).toContain(
+      "Storage attached to these units will be destroyed."
+    );
+  });
+
+  it("removes units after confirming", async () => {
+    removeUnits.mockReturnValue(() => ({ results: [{}] }));
+    const toastSpy = jest.spyOn(toast, "custom").mockImplementation(() => {});
+    const { wrapper } = renderComponent("&units=etcd/1");
+    wrapper.find("#scale-panel-force").simulate("change");
+    wrapper.find("button[data-test='remove-units']").simulate("click");
+    await act(async () => {
+      wrapper
+        .find("button[data-test='confirm-remove-units']")
+        .simulate("click");
+    });
+    expect(removeUnits).toHaveBeenCalledWith(modelUUID, ["etcd/1"], {
+      force: true,
+      destroyStorage: false,
+    });
+    expect(toastSpy).toHaveBeenCalled();
+    toastSpy.mockRestore();
+  });
+
+  it("displays errors for units that could not be removed", async () => {
+    removeUnits.mockReturnValue(() => ({
+      results: [{ error: { message: 'unit "etcd/1" is not alive' } }],
+    }));
+    const { wrapper } = renderComponent("&units=etcd/1");
+    wrapper.find("button[data-test='remove-units']").simulate("click");
+    await act(async () => {
+      wrapper
+        .find("button[data-test='confirm-remove-units']")
+        .simulate("click");
+    });
+    wrapper.update();
+    expect(wrapper.find(".p-notification--negative").text()).toContain(
+      'unit "etcd/1" is not alive'
+    );
+  });
+
+  it("displays an error if units could not be removed", async () => {
+    removeUnits.mockReturnValue(() => undefined);
+    const toastSpy = jest.spyOn(toast, "custom").mockImplementation(() => {});
+    const { wrapper } = renderComponent("&units=etcd/1");
+    wrapper.find("button[data-test='remove-units']").simulate("click");
+    await act(async () => {
+      wrapper
+        .find("button[data-test='confirm-remove-units']")
+        .simulate("click");
+    });
+    wrapper.update();
+    expect(wrapper.find(".p-notification--negative").text()).toContain(
+      "Unable to remove units."
+    );
+    expect(toastSpy).not.toHaveBeenCalled();
+    toastSpy.mockRestore();
+  });
+
+  it("disables scaling for read only users", () => {
+    state.juju.modelData[modelUUID].info.users.find(
+      ({ user }) => user === "eggman@external"
+    ).access = "read";
+    const { wrapper } = renderComponent("&units=etcd/1");
+    const addButton = wrapper.find(".scale-panel__add button");
+    expect(addButton.prop("disabled")).toBe(true);
+    expect(addButton.prop("title")).toBe(
+      "You need write access to this model to add units."
+    );
+    expect(
+      wrapper.find("button[data-test='remove-units']").prop("disabled")
+    ).toBe(true);
+  });
+
+  it("disables scaling while offline", () => {
+    const { wrapper } = renderComponent("&units=etcd/1");
+    act(() => {
+      window.dispatchEvent(new Event("offline"));
+    });
+    wrapper.update();
+    const addButton = wrapper.find(".scale-panel__add button");
+    expect(addButton.prop("disabled")).toBe(true);
+    expect(addButton.prop("title")).toBe(
+      "You can't add units while the dashboard is offline."
+    );
+    const removeButton = wrapper.find("button[data-test='remove-units']");
+    expect(removeButton.prop("disabled")).toBe(true);
+    expect(removeButton.prop("title")).toBe(
+      "You can't remove units while the dashboard is offline."
+    );
+    act(() => {
+      window.dispatchEvent(new Event("online"));
+    });
+  });
+});
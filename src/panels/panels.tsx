@@ -3,7 +3,10 @@ import { AnimatePresence } from "framer-motion";
 import useEventListener from "hooks/useEventListener";
 
 import ActionsPanel from "panels/ActionsPanel/ActionsPanel";
+import AddRelationPanel from "panels/AddRelationPanel/AddRelationPanel";
+import ControllerAdmin from "panels/ControllerAdmin/ControllerAdmin";
 import RegisterController from "panels/RegisterController/RegisterController";
+import ScalePanel from "panels/ScalePanel/ScalePanel";
 import ShareModel from "panels/ShareModelPanel/ShareModel";
 
 import "./_panels.scss";
@@ -31,10 +34,16 @@ export default function Panels() {
     switch (panelQs) {
       case "register-controller":
         return <RegisterController />;
+      case "controller-admin":
+        return <ControllerAdmin />;
       case "execute-action":
         return <ActionsPanel />;
       case "share-model":
         return <ShareModel />;
+      case "add-relation":
+        return <AddRelationPanel />;
+      case "scale-application":
+        return <ScalePanel />;
       default:
         return null;
     }
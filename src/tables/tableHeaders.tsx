@@ -54,6 +54,7 @@ export const machineTableHeaders: Header = [
   { content: "machine", sortKey: "machine" },
   { content: "apps", sortKey: "apps" },
   { content: "state", sortKey: "state" },
+  { content: "hardware" },
   { content: "az", sortKey: "az" },
   { content: "instance id", sortKey: "instanceId" },
   { content: "message", sortKey: "message" },
@@ -67,6 +68,12 @@ export const relationTableHeaders: Header = [
   { content: "message", sortKey: "message" },
 ];
 
+// The relation headers with a column for the remove action.
+export const editableRelationTableHeaders: Header = [
+  ...relationTableHeaders,
+  { content: "" },
+];
+
 export const consumedTableHeaders: Header = [
   { content: "consumed" },
   { content: "endpoint" },
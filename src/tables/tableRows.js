@@ -10,6 +10,7 @@ import {
   extractRelationEndpoints,
   generateIconImg,
   generateEntityIdentifier,
+  generateHardwareSummary,
 } from "app/utils/utils";
 
 export function generateLocalApplicationRows(
@@ -326,21 +327,35 @@ export function generateMachineRows(
     return apps;
   };
 
-  const machines = modelStatusData.machines;
-  return Object.keys(machines).map((machineId) => {
-    const machine = machines[machineId];
+  const generateMachineRow = (machineId, machine, depth, host) => {
     const az = splitParts(machine.hardware)["availability-zone"] || "";
+    const sortData = {
+      machine: machine.series,
+      state: machine?.["agent-status"]?.status,
+      az,
+      instanceId: machine["instance-id"],
+      message: machine?.["agent-status"]?.info,
+    };
+    const classNames = [];
+    if (depth > 0) {
+      classNames.push("container-row");
+    }
+    if (selectedEntity === machineId) {
+      classNames.push("is-selected");
+    }
     return {
       columns: [
         {
           content: (
-            <>
+            <div
+              className={depth > 0 ? `machine-container is-depth-${depth}` : ""}
+            >
               <div>
                 {machineId}
                 <span className="u-capitalise">. {machine.series}</span>
               </div>
-              {machine.dnsName}
-            </>
+              {machine["dns-name"]}
+            </div>
           ),
         },
         {
@@ -348,35 +363,46 @@ export function generateMachineRows(
           className: "machine-app-icons",
         },
         {
-          content: generateStatusElement(machine["agent-status"].status),
+          content: generateStatusElement(machine["agent-status"]?.status),
           className: "u-capitalise",
         },
+        { content: generateHardwareSummary(machine.hardware) },
         { content: az },
-        { content: machine.instanceId },
+        { content: machine["instance-id"] },
         {
           content: (
-            <span title={machine["agent-status"].info}>
-              {machine["agent-status"].info}
+            <span title={machine["agent-status"]?.info}>
+              {machine["agent-status"]?.info}
             </span>
           ),
           className: "u-truncate",
         },
       ],
-      sortData: {
-        machine: machine.series,
-        state: machine?.["agent-status"]?.status,
-        az,
-        instanceId: machine.instanceId,
-        message: machine?.agentStatus?.info,
-      },
+      // Containers use their host's data for sorting so that they stick to
+      // their host while being sorted.
+      sortData: host ? host.sortData : sortData,
       onClick: (e) => tableRowClick("machine", machineId, e),
       "data-machine": machineId,
-      className: selectedEntity === machineId ? "is-selected" : "",
+      className: classNames.join(" "),
     };
+  };
+
+  const rows = [];
+  // Add the rows for a machine followed by the containers nested inside it.
+  const addMachineRows = (machineId, machine, depth = 0, host = null) => {
+    const row = generateMachineRow(machineId, machine, depth, host);
+    rows.push(row);
+    Object.entries(machine.containers || {}).forEach(([id, container]) => {
+      addMachineRows(id, container, depth + 1, host || row);
+    });
+  };
+  Object.entries(modelStatusData.machines).forEach(([machineId, machine]) => {
+    addMachineRows(machineId, machine);
   });
+  return rows;
 }
 
-export function generateRelationRows(modelStatusData) {
+export function generateRelationRows(modelStatusData, removeRelation) {
   if (!modelStatusData) {
     return [];
   }
@@ -429,6 +455,23 @@ export function generateRelationRows(modelStatusData) {
             relation.status.status
           ),
         },
+        ...(removeRelation
+          ? [
+              {
+                // Peer relations are managed by Juju so can't be removed.
+                content: peer ? null : (
+                  <button
+                    className="p-button--base is-dense"
+                    data-test="remove-relation"
+                    onClick={() => removeRelation(relation)}
+                  >
+                    Remove
+                  </button>
+                ),
+                className: "u-align--right",
+              },
+            ]
+          : []),
       ],
       sortData: {
         provider: providerLabel,
@@ -0,0 +1,579 @@
+/*
+  A fake Juju controller that speaks the Juju RPC JSON protocol over a mocked
+  websocket. It replaces the global WebSocket (using mock-socket) so the real
+  connection code, including jujulib, can be exercised without a controller.
+
+  The controller is seeded from the fixture files in ./fixtures and serves:
+    - the controller API: wss://<host>/api
+    - each model API: wss://<host>/model/<uuid>/api
+    - each model commands endpoint used by the Web CLI:
+      wss://<host>/model/<uuid>/commands
+
+  Tests can script the controller by replacing the handler for a request,
+  inspecting the requests it received, pushing watcher deltas and dropping the
+  connections. The same controller can be started in the browser for e2e tests,
+  see the README.
+*/
+import { Server, WebSocket as MockWebSocket } from "mock-socket";
+import cloneDeep from "clone-deep";
+
+import actionsResponse from "testing/actions-list-api-response.json";
+import operationsResponse from "testing/list-operations-api-response.json";
+
+import charms from "./fixtures/charms.json";
+import commands from "./fixtures/commands.json";
+import controller from "./fixtures/controller.json";
+import models from "./fixtures/models.json";
+
+export const defaultFixtures = {
+  actions: actionsResponse.response,
+  charms,
+  commands,
+  controller,
+  models,
+  operations: operationsResponse.response,
+};
+
+/**
+  The error to throw from a handler to return an error response.
+*/
+export class MockControllerError extends Error {
+  constructor(message, code = "") {
+    super(message);
+    this.name = "MockControllerError";
+    this.code = code;
+  }
+}
+
+/*
+  mock-socket removes every listener for an event when the on<event> handler is
+  set, whereas browsers only replace the previous handler. jujulib sets the
+  onmessage handler after the facade recorder has added its listener so this
+  restores the browser behaviour.
+*/
+class CompliantWebSocket extends MockWebSocket {}
+["open", "message", "close", "error"].forEach((type) => {
+  const key = `_on${type}`;
+  Object.defineProperty(CompliantWebSocket.prototype, `on${type}`, {
+    get() {
+      return this[key] || null;
+    },
+    set(listener) {
+      if (this[key]) {
+        this.removeEventListener(type, this[key]);
+      }
+      this[key] = listener;
+      if (listener) {
+        this.addEventListener(type, listener);
+      }
+    },
+  });
+});
+
+// The facades that are only available on model connections.
+const MODEL_FACADES = [
+  "Action",
+  "AllWatcher",
+  "Annotations",
+  "Application",
+  "Charms",
+  "Client",
+];
+
+const getModelUUID = (tag) => tag?.replace(/^model-/, "");
+const getAppName = (tag) => tag?.replace(/^application-/, "");
+
+/**
+  The handlers for each request, keyed by "Facade.Request". Each handler is
+  called with the request params, the context of the connection in the format
+  {controller, fixtures, model} where model is only set on model connections,
+  and the full request. Handlers can return a value or a promise.
+*/
+const defaultHandlers = {
+  "Admin.Login": (params, { fixtures, model }) => {
+    const { users } = fixtures.controller;
+    const userName = params["auth-tag"]?.replace(/^user-/, "");
+    if (userName && users && users[userName] !== params.credentials) {
+      throw new MockControllerError(
+        "invalid entity name or password",
+        "unauthorized access"
+      );
+    }
+    // Logins without a user name are treated as a macaroon login from an
+    // identity provider and are always successful.
+    const response = {
+      "controller-tag": fixtures.controller["controller-tag"],
+      "server-version": fixtures.controller["server-version"],
+      "user-info": userName
+        ? {
+            ...fixtures.controller["user-info"],
+            identity: `user-${userName}`,
+            "display-name": userName,
+          }
+        : fixtures.controller["user-info"],
+      facades: fixtures.controller.facades,
+      servers: [],
+    };
+    if (model) {
+      response["model-tag"] = `model-${model.info.uuid}`;
+    }
+    return response;
+  },
+  "Pinger.Ping": () => ({}),
+  "Controller.ControllerConfig": (params, { fixtures }) => ({
+    config: fixtures.controller.config,
+  }),
+  "ModelManager.ListModels": (params, { fixtures }) => ({
+    "user-models": fixtures.models.map(({ info }) => ({
+      model: {
+        name: info.name,
+        uuid: info.uuid,
+        type: info.type,
+        "owner-tag": info["owner-tag"],
+      },
+      "last-connection": null,
+    })),
+  }),
+  "ModelManager.ModelInfo": (params, { controller }) => ({
+    results: params.entities.map(({ tag }) => {
+      const model = controller.getModel(getModelUUID(tag));
+      return model
+        ? { result: model.info }
+        : { error: { message: `model "${tag}" not found`, code: "not found" } };
+    }),
+  }),
+  "ModelManager.ModifyModelAccess": (params, { controller }) => ({
+    results: params.changes.map((change) => {
+      const model = controller.getModel(getModelUUID(change["model-tag"]));
+      if (!model) {
+        return { error: { message: "model not found", code: "not found" } };
+      }
+      const user = change["user-tag"].replace(/^user-/, "");
+      model.info.users = model.info.users.filter(
+        (modelUser) => modelUser.user !== user
+      );
+      if (change.action === "grant") {
+        model.info.users.push({
+          user,
+          "display-name": user,
+          access: change.access,
+        });
+      }
+      return {};
+    }),
+  }),
+  "Client.FullStatus": (params, { model }) => model.status,
+  "Client.WatchAll": (params, { controller, model }) => ({
+    "watcher-id": controller.startWatcher(model.info.uuid),
+  }),
+  "AllWatcher.Next": (params, { controller }, request) =>
+    controller.nextDeltas(request.id),
+  "AllWatcher.Stop": (params, { controller }, request) => {
+    controller.stopWatcher(request.id);
+    return {};
+  },
+  "Annotations.Get": (params, { model }) => ({
+    results: params.entities.map(({ tag }) => ({
+      entity: tag,
+      annotations: model.annotations?.[getAppName(tag)] || {},
+    })),
+  }),
+  "Annotations.Set": (params, { model }) => {
+    params.annotations.forEach(({ entity, annotations }) => {
+      const appName = getAppName(entity);
+      model.annotations = model.annotations || {};
+      model.annotations[appName] = {
+        ...model.annotations[appName],
+        ...annotations,
+      };
+    });
+    return { results: [] };
+  },
+  "Application.Get": (params, { model }) => {
+    const config = model.config?.[params.application];
+    if (!config) {
+      throw new MockControllerError(
+        `application "${params.application}" not found`,
+        "not found"
+      );
+    }
+    return config;
+  },
+  "Application.Set": (params, { model }) => {
+    const config = model.config?.[params.application]?.config || {};
+    Object.entries(params.options).forEach(([key, value]) => {
+      if (config[key]) {
+        config[key].value = value;
+        config[key].source = "user";
+      }
+    });
+    return {};
+  },
+  "Application.AddRelation": (params, { model }) => {
+    const endpoints = params.endpoints.map((endpoint) => {
+      const [application, name] = endpoint.split(":");
+      return { application, name };
+    });
+    const key = params.endpoints.join(" ");
+    const relations = model.status.relations;
+    if (relations.some((relation) => relation.key === key)) {
+      throw new MockControllerError(
+        `relation ${key} already exists`,
+        "already exists"
+      );
+    }
+    relations.push({
+      id: relations.length,
+      key,
+      interface: "",
+      scope: "global",
+      endpoints: endpoints.map((endpoint, i) => ({
+        ...endpoint,
+        role: i === 0 ? "provider" : "requirer",
+        subordinate: false,
+      })),
+      status: { status: "joined", info: "" },
+    });
+    return {
+      endpoints: Object.fromEntries(
+        endpoints.map(({ application, name }) => [application, { name }])
+      ),
+    };
+  },
+  "Application.DestroyRelation": (params, { model }) => {
+    const endpoints = [...params.endpoints].sort();
+    model.status.relations = model.status.relations.filter(
+      (relation) =>
+        relation.endpoints
+          .map(({ application, name }) => `${application}:${name}`)
+          .sort()
+          .join(" ") !== endpoints.join(" ")
+    );
+    return {};
+  },
+  "Application.AddUnits": (params, { model }) => {
+    const application = model.status.applications[params.application];
+    if (!application) {
+      throw new MockControllerError(
+        `application "${params.application}" not found`,
+        "not found"
+      );
+    }
+    application.units = application.units || {};
+    let next = Math.max(
+      -1,
+      ...Object.keys(application.units).map((unit) =>
+        parseInt(unit.split("/")[1], 10)
+      )
+    );
+    const units = [];
+    for (let i = 0; i < params["num-units"]; i++) {
+      next += 1;
+      const unitName = `${params.application}/${next}`;
+      application.units[unitName] = {
+        machine: params.placement?.[i]?.directive || "",
+        "agent-status": { status: "allocating", info: "" },
+        "workload-status": { status: "waiting", info: "" },
+      };
+      units.push(unitName);
+    }
+    return { units };
+  },
+  "Application.DestroyUnit": (params, { model }) => ({
+    results: params.units.map((unit) => {
+      const unitName = unit["unit-tag"]
+        .replace(/^unit-/, "")
+        .replace(/-(\d+)$/, "/$1");
+      const application = model.status.applications[unitName.split("/")[0]];
+      if (!application?.units?.[unitName]) {
+        return {
+          error: { message: `unit "${unitName}" not found`, code: "not found" },
+        };
+      }
+      delete application.units[unitName];
+      return { info: { "destroyed-storage": [], "detached-storage": [] } };
+    }),
+  }),
+  "Charms.CharmInfo": (params, { fixtures }) => {
+    const charm = fixtures.charms[params.url];
+    if (!charm) {
+      throw new MockControllerError(
+        `charm "${params.url}" not found`,
+        "not found"
+      );
+    }
+    return charm;
+  },
+  "Action.ApplicationsCharmsActions": (params, { fixtures }) => ({
+    results: params.entities.map(
+      ({ tag }) =>
+        fixtures.actions.results.find(
+          (result) => result["application-tag"] === tag
+        ) || { "application-tag": tag, actions: {} }
+    ),
+  }),
+  "Action.EnqueueOperation": (params, { controller }) =>
+    controller.enqueueOperation(params.actions),
+  "Action.ListOperations": (params, { fixtures }) => fixtures.operations,
+};
+
+export class MockController {
+  /**
+    @param {Object} options The options in the format {url, fixtures}.
+      url: The controller API url e.g. "wss://controller.example.com/api".
+      fixtures: The data to seed the controller with, defaults to the
+        fixtures in ./fixtures.
+  */
+  constructor({
+    url = "wss://controller.example.com/api",
+    fixtures = defaultFixtures,
+  } = {}) {
+    this.url = url;
+    this.fixtures = cloneDeep({ ...defaultFixtures, ...fixtures });
+    this.handlers = { ...defaultHandlers };
+    this.calls = [];
+    this._servers = [];
+    this._watchers = {};
+    this._counter = 0;
+  }
+
+  /**
+    Start listening on the controller url and the url of each model.
+    @returns {MockController} The controller so that calls can be chained.
+  */
+  start() {
+    this._listen(this.url, this._handleAPIConnection(null));
+    this.fixtures.models.forEach((model) => this._listenToModel(model));
+    return this;
+  }
+
+  /**
+    Stop listening and close all connections.
+  */
+  stop() {
+    Object.values(this._watchers).forEach((watcher) => watcher.stop());
+    // The servers are stopped in reverse so that the original WebSocket is
+    // restored.
+    this._servers.reverse().forEach((server) => {
+      server.close();
+      server.stop();
+    });
+    this._servers = [];
+  }
+
+  /**
+    Replace the handler for a request.
+    @param {String} name The request in the format "Facade.Request".
+    @param {Function} handler The handler that will be called with the
+      params, context and request. It can throw a MockControllerError to
+      return an error response.
+  */
+  handle(name, handler) {
+    this.handlers[name] = handler;
+  }
+
+  /**
+    Returns the requests that were received.
+    @param {String} name The request in the format "Facade.Request".
+    @returns {Array} The requests in the format {url, type, request, version,
+      params}.
+  */
+  getCalls(name) {
+    return this.calls.filter(
+      ({ type, request }) => `${type}.${request}` === name
+    );
+  }
+
+  /**
+    Returns the model fixture.
+    @param {String} modelUUID The model UUID.
+    @returns {Object} The model fixture.
+  */
+  getModel(modelUUID) {
+    return this.fixtures.models.find(({ info }) => info.uuid === modelUUID);
+  }
+
+  /**
+    Add a model to the controller.
+    @param {Object} model The model in the format of ./fixtures/models.json.
+  */
+  addModel(model) {
+    this.fixtures.models.push(model);
+    this._listenToModel(model);
+  }
+
+  /**
+    Send deltas to the watchers on the model.
+    @param {String} modelUUID The model UUID.
+    @param {Array} deltas The AllWatcher deltas.
+  */
+  sendDeltas(modelUUID, deltas) {
+    Object.values(this._watchers)
+      .filter((watcher) => watcher.modelUUID === modelUUID)
+      .forEach((watcher) => watcher.push(deltas));
+  }
+
+  /**
+    Close every open connection to simulate the connection dropping. The
+    controller keeps listening so clients can reconnect.
+  */
+  dropConnections() {
+    this._servers.forEach((server) =>
+      server.clients().forEach((socket) => socket.close())
+    );
+  }
+
+  /**
+    Start an AllWatcher on the model.
+    @param {String} modelUUID The model UUID.
+    @returns {String} The watcher id.
+  */
+  startWatcher(modelUUID) {
+    this._counter += 1;
+    const id = `${this._counter}`;
+    let queue = [];
+    let waiting = null;
+    this._watchers[id] = {
+      modelUUID,
+      push: (deltas) => {
+        queue = queue.concat(deltas);
+        if (waiting) {
+          waiting();
+        }
+      },
+      next: async () => {
+        if (!queue.length) {
+          await new Promise((resolve) => (waiting = resolve));
+          waiting = null;
+        }
+        const deltas = queue;
+        queue = [];
+        return { deltas };
+      },
+      stop: () => {
+        delete this._watchers[id];
+        if (waiting) {
+          waiting();
+        }
+      },
+    };
+    return id;
+  }
+
+  /**
+    Wait for the next deltas to be sent to the watcher.
+    @param {String} id The watcher id.
+    @returns {Promise} Resolves with the deltas in the format {deltas}.
+  */
+  nextDeltas(id) {
+    const watcher = this._watchers[id];
+    if (!watcher) {
+      throw new MockControllerError("watcher was stopped", "stopped");
+    }
+    return watcher.next();
+  }
+
+  /**
+    Stop the watcher.
+    @param {String} id The watcher id.
+  */
+  stopWatcher(id) {
+    this._watchers[id]?.stop();
+  }
+
+  /**
+    Generate an operation for the enqueued actions.
+    @param {Array} actions The actions in the format {name, receiver,
+      parameters}.
+    @returns {Object} The operation in the format {operation, actions}.
+  */
+  enqueueOperation(actions) {
+    this._counter += 1;
+    const operation = `operation-${this._counter}`;
+    return {
+      operation,
+      actions: actions.map((action) => {
+        this._counter += 1;
+        return {
+          action: { ...action, tag: `action-${this._counter}` },
+          status: "pending",
+        };
+      }),
+    };
+  }
+
+  _listen(url, onConnection) {
+    const server = new Server(url);
+    // Starting the server replaces the global WebSocket with the mock.
+    window.WebSocket = CompliantWebSocket;
+    server.on("connection", onConnection);
+    this._servers.push(server);
+  }
+
+  _listenToModel(model) {
+    const modelURL = this.url.replace("/api", `/model/${model.info.uuid}`);
+    this._listen(`${modelURL}/api`, this._handleAPIConnection(model));
+    this._listen(`${modelURL}/commands`, this._handleCommandsConnection());
+  }
+
+  _handleAPIConnection(model) {
+    return (socket) => {
+      socket.on("message", async (data) => {
+        const request = JSON.parse(data);
+        const { type, request: name, version, params } = request;
+        this.calls.push({
+          url: socket.url,
+          type,
+          request: name,
+          version,
+          params,
+        });
+        const message = { "request-id": request["request-id"] };
+        const handler = this.handlers[`${type}.${name}`];
+        try {
+          if (!handler || (!model && MODEL_FACADES.includes(type))) {
+            throw new MockControllerError(
+              `unknown facade type "${type}"`,
+              "not implemented"
+            );
+          }
+          message.response = await handler(
+            params || {},
+            { controller: this, fixtures: this.fixtures, model },
+            request
+          );
+        } catch (error) {
+          message.error = error.message;
+          message["error-code"] = error.code || "";
+        }
+        if (socket.readyState === 1) {
+          socket.send(JSON.stringify(message));
+        }
+      });
+    };
+  }
+
+  _handleCommandsConnection() {
+    return (socket) => {
+      socket.on("message", (data) => {
+        const { commands: requested = [] } = JSON.parse(data);
+        // The first message is an empty object, followed by the output and
+        // then a message to say the command has finished.
+        const messages = [{}];
+        requested.forEach((command) => {
+          this.calls.push({
+            url: socket.url,
+            type: "Commands",
+            request: command,
+          });
+          const output = this.fixtures.commands[command] || [
+            `ERROR unrecognized command: juju ${command}`,
+          ];
+          output.forEach((line) => messages.push({ output: [line] }));
+        });
+        messages.push({ done: true });
+        messages.forEach((message) => socket.send(JSON.stringify(message)));
+      });
+    };
+  }
+}
@@ -0,0 +1,269 @@
+import { applyMiddleware, combineReducers, createStore } from "redux";
+import thunk from "redux-thunk";
+import { Bakery, BakeryStorage } from "@canonical/macaroon-bakery";
+
+import checkAuth from "app/check-auth";
+import rootReducer from "app/root";
+import { storeBakery, storeConfig, storeUserPass } from "app/actions";
+import { connectAndPollController } from "app/model-poller";
+import Connection from "components/WebCLI/connection";
+import {
+  addRelation,
+  addUnits,
+  destroyRelation,
+  destroyUnits,
+  getApplicationConfig,
+  getCharmInfo,
+  loginWithBakery,
+} from "juju";
+import { closeAllModelConnections } from "juju/model-connection-pool";
+import jujuReducer from "juju/reducer";
+import uiReducer from "ui";
+
+import { MockController, MockControllerError } from "./mock-controller";
+
+const wsControllerURL = "wss://controller.example.com/api";
+const modelUUID = "57650e3c-815f-4540-89df-81fd5d70b7ef";
+const credentials = { user: "admin", password: "password" };
+
+/**
+  Wait until the condition returns a truthy value.
+  @param {Function} condition The condition to check.
+  @returns {Promise} Resolves with the value returned by the condition.
+*/
+const waitFor = async (condition, timeout = 4000) => {
+  const start = Date.now();
+  let result = condition();
+  while (!result) {
+    if (Date.now() - start > timeout) {
+      throw new Error("timed out waiting for condition");
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    result = condition();
+  }
+  return result;
+};
+
+const generateStore = () => {
+  const store = createStore(
+    combineReducers({ root: rootReducer, juju: jujuReducer, ui: uiReducer }),
+    applyMiddleware(checkAuth, thunk)
+  );
+  store.dispatch(
+    storeConfig({
+      baseControllerURL: "controller.example.com",
+      identityProviderAvailable: false,
+      isJuju: true,
+    })
+  );
+  store.dispatch(
+    storeBakery(
+      new Bakery({
+        visitPage: () => {},
+        storage: new BakeryStorage(localStorage, {}),
+      })
+    )
+  );
+  store.dispatch(storeUserPass(wsControllerURL, credentials));
+  return store;
+};
+
+describe("MockController", () => {
+  let mockController;
+  let store;
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    mockController = new MockController({ url: wsControllerURL }).start();
+  });
+
+  afterEach(() => {
+    if (store) {
+      // Log out so that the poller stops once the connection closes.
+      store.dispatch({ type: "LOG_OUT" });
+      store = null;
+    }
+    closeAllModelConnections();
+    mockController.stop();
+  });
+
+  const pollController = () => {
+    store = generateStore();
+    connectAndPollController(
+      [wsControllerURL, credentials, null, false],
+      store
+    );
+    return store;
+  };
+
+  it("logs in and negotiates the facades", async () => {
+    const { conn, juju, intervalId } = await loginWithBakery(
+      wsControllerURL,
+      credentials,
+      null,
+      false
+    );
+    clearInterval(intervalId);
+    expect(conn.info.user.identity).toBe("user-admin");
+    expect(conn.info.facadeVersions.selected).toMatchObject({
+      application: 13,
+      modelManager: 5,
+      pinger: 1,
+    });
+    expect(mockController.getCalls("Admin.Login")[0].params).toMatchObject({
+      "auth-tag": "user-admin",
+      credentials: "password",
+    });
+    juju.logout();
+  });
+
+  it("rejects invalid credentials", async () => {
+    const { error } = await loginWithBakery(
+      wsControllerURL,
+      { user: "admin", password: "wrong" },
+      null,
+      false
+    );
+    // jujulib replaces the invalid credentials error with its own message.
+    expect(error).toContain("Have you been granted permission");
+  });
+
+  it("polls the models into the store", async () => {
+    const { getState } = pollController();
+    const modelData = await waitFor(
+      () => getState().juju.modelData?.[modelUUID]?.info && getState().juju
+    );
+    expect(getState().root.controllerConnectionStates[wsControllerURL]).toEqual(
+      { state: "connected", lastError: null }
+    );
+    expect(getState().juju.controllers[wsControllerURL][0].path).toBe(
+      "mock-controller"
+    );
+    expect(modelData.models[modelUUID].name).toBe("hadoopspark");
+    expect(
+      Object.keys(modelData.modelData[modelUUID].applications)
+    ).toStrictEqual(["easyrsa"]);
+  });
+
+  it("reconnects when the connection drops", async () => {
+    const { getState } = pollController();
+    await waitFor(() => getState().juju.modelData?.[modelUUID]?.info);
+    mockController.dropConnections();
+    await waitFor(
+      () =>
+        getState().root.controllerConnectionStates[wsControllerURL].state ===
+        "reconnecting"
+    );
+    await waitFor(
+      () =>
+        getState().root.controllerConnectionStates[wsControllerURL].state ===
+        "connected"
+    );
+    expect(mockController.getCalls("Admin.Login").length).toBeGreaterThan(1);
+  });
+
+  it("can script responses", async () => {
+    mockController.handle("Application.Get", () => {
+      throw new MockControllerError("permission denied", "unauthorized access");
+    });
+    const { getState } = pollController();
+    await waitFor(() => getState().juju.modelData?.[modelUUID]?.info);
+    const response = await getApplicationConfig(
+      modelUUID,
+      "easyrsa",
+      getState()
+    );
+    expect(response).toBe("permission denied");
+  });
+
+  it("fetches the application config from the model", async () => {
+    const { getState } = pollController();
+    await waitFor(() => getState().juju.modelData?.[modelUUID]?.info);
+    const response = await getApplicationConfig(
+      modelUUID,
+      "easyrsa",
+      getState()
+    );
+    expect(response.config.nagios_context.value).toBe("juju");
+    const [call] = mockController.getCalls("Application.Get");
+    expect(call.url).toBe(
+      `wss://controller.example.com/model/${modelUUID}/api`
+    );
+  });
+
+  it("fetches the charm endpoints", async () => {
+    const { getState } = pollController();
+    await waitFor(() => getState().juju.modelData?.[modelUUID]?.info);
+    const charm = await getCharmInfo(
+      "cs:~containers/easyrsa-278",
+      modelUUID,
+      getState()
+    );
+    expect(charm.meta.provides.client.interface).toBe("tls-certificates");
+  });
+
+  it("adds and removes relations", async () => {
+    const { getState } = pollController();
+    await waitFor(() => getState().juju.modelData?.[modelUUID]?.info);
+    const endpoints = ["easyrsa:client", "etcd:certificates"];
+    await addRelation(modelUUID, endpoints, getState());
+    const model = mockController.getModel(modelUUID);
+    expect(model.status.relations[0].key).toBe(
+      "easyrsa:client etcd:certificates"
+    );
+    await destroyRelation(modelUUID, [...endpoints].reverse(), getState());
+    expect(model.status.relations).toStrictEqual([]);
+    expect(mockController.getCalls("Application.DestroyRelation").length).toBe(
+      1
+    );
+  });
+
+  it("adds and removes units", async () => {
+    const { getState } = pollController();
+    await waitFor(() => getState().juju.modelData?.[modelUUID]?.info);
+    const response = await addUnits(
+      modelUUID,
+      "easyrsa",
+      2,
+      [{ scope: "#", directive: "0" }],
+      getState()
+    );
+    expect(response.units).toStrictEqual(["easyrsa/1", "easyrsa/2"]);
+    const units =
+      mockController.getModel(modelUUID).status.applications.easyrsa.units;
+    expect(units["easyrsa/1"].machine).toBe("0");
+    const { results } = await destroyUnits(
+      modelUUID,
+      ["easyrsa/1", "easyrsa/5"],
+      { force: true },
+      getState()
+    );
+    expect(results[0].error).toBeUndefined();
+    expect(results[1].error.message).toBe('unit "easyrsa/5" not found');
+    expect(Object.keys(units)).toStrictEqual(["easyrsa/0", "easyrsa/2"]);
+    expect(
+      mockController.getCalls("Application.DestroyUnit")[0].params.units[0]
+    ).toStrictEqual({
+      "unit-tag": "unit-easyrsa-1",
+      "destroy-storage": false,
+      force: true,
+    });
+  });
+
+  it("streams command output to the Web CLI", async () => {
+    const messageCallback = jest.fn();
+    const connection = new Connection({
+      address: `wss://controller.example.com/model/${modelUUID}/commands`,
+      onopen: () => {},
+      onclose: () => {},
+      messageCallback,
+    }).connect();
+    await waitFor(() => connection._ws.readyState === 1);
+    connection.send(JSON.stringify({ ...credentials, commands: ["status"] }));
+    await waitFor(() => messageCallback.mock.calls.length > 0);
+    expect(messageCallback.mock.calls[0][0]).toContain(
+      "easyrsa/0*  active    idle"
+    );
+    connection.disconnect();
+  });
+});